@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+import dotenv from 'dotenv';
+dotenv.config({ override: true });
+import { scannedItemService, storageService } from '../src/services/index.js';
+
+// Usage: npm run migrate-storage -- [--dry-run] [--keep-content] [--batch-size=20]
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const keepContent = args.includes('--keep-content');
+const batchSize = parseInt(args.find((a) => a.startsWith('--batch-size='))?.split('=')[1] || '20', 10);
+
+function formatBytes(bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(1)}MB`;
+}
+
+async function main() {
+  console.log('');
+  console.log('╔══════════════════════════════════════════════════╗');
+  console.log('║     scanned_items.content → storage backend      ║');
+  console.log('╚══════════════════════════════════════════════════╝');
+  console.log('');
+  console.log('Supabase URL:', process.env.SUPABASE_URL);
+  console.log('Storage:     ', JSON.stringify(storageService.getStatus()));
+  console.log('Mode:        ', dryRun ? 'dry run (nothing is written)' : keepContent ? 'copy (content kept)' : 'move (content cleared)');
+  console.log('');
+
+  try {
+    const stats = await scannedItemService.moveContentToStorage({
+      batchSize,
+      dryRun,
+      keepContent,
+      onProgress: (s) => console.log(`  ${s.total} checked, ${s.moved} ${dryRun ? 'movable' : 'moved'}, ${s.invalid} invalid, ${s.failed} failed`),
+    });
+
+    console.log('');
+    console.log('═══════════════════════════════════════════════════');
+    console.log('                 MIGRATION SUMMARY                 ');
+    console.log('═══════════════════════════════════════════════════');
+    console.log(`  Checked:           ${stats.total}`);
+    console.log(`  ${dryRun ? 'Movable' : 'Moved'}:             ${stats.moved} (${formatBytes(stats.bytes)})`);
+    console.log(`  Not a PDF:         ${stats.invalid}`);
+    console.log(`  Failed:            ${stats.failed}`);
+
+    if (stats.errors.length > 0) {
+      console.log('');
+      console.log('Left in place:');
+      for (const { id, error } of stats.errors) {
+        console.log(`  ${id}: ${error}`);
+      }
+    }
+
+    console.log('═══════════════════════════════════════════════════');
+    console.log('');
+
+    process.exit(stats.failed > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('');
+    console.error('Migration failed:', error.message);
+    console.error('');
+    process.exit(1);
+  }
+}
+
+main();
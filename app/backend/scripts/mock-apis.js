@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+import dotenv from 'dotenv';
+dotenv.config({ override: true });
+import path from 'path';
+import { config } from '../src/config/index.js';
+import { createMockApiApp, DEFAULT_FIXTURES_DIR, MOCK_ENDPOINTS } from '../src/mock-apis/index.js';
+
+// Usage: npm run mock-apis -- [--port=4010] [--fixtures=dir] [--delay=ms] [--processing-polls=2]
+//                             [--error-rate=0.1] [--fail=mathpix.pdf,gemini]
+// Options default to the MOCK_APIS_* environment variables.
+const args = process.argv.slice(2);
+const arg = (name) => args.find((a) => a.startsWith(`--${name}=`))?.split('=').slice(1).join('=');
+
+const options = {
+  port: parseInt(arg('port') || config.mockApis.port, 10),
+  fixturesDir: arg('fixtures') ? path.resolve(arg('fixtures')) : config.mockApis.fixturesDir || DEFAULT_FIXTURES_DIR,
+  delayMs: parseInt(arg('delay') ?? config.mockApis.delayMs, 10),
+  processingPolls: parseInt(arg('processing-polls') ?? config.mockApis.processingPolls, 10),
+  errorRate: parseFloat(arg('error-rate') ?? config.mockApis.errorRate),
+  failEndpoints: arg('fail') !== undefined
+    ? arg('fail').split(',').map((e) => e.trim()).filter(Boolean)
+    : config.mockApis.failEndpoints,
+};
+
+const known = Object.entries(MOCK_ENDPOINTS).flatMap(([provider, endpoints]) => [provider, ...endpoints.map((e) => `${provider}.${e}`)]);
+const unknown = options.failEndpoints.filter((e) => !known.includes(e));
+if (unknown.length > 0) {
+  console.error(`Unknown endpoint(s) to fail: ${unknown.join(', ')}. Known: ${known.join(', ')}`);
+  process.exit(1);
+}
+
+const app = createMockApiApp(options);
+const base = `http://localhost:${options.port}`;
+
+app.listen(options.port, () => {
+  console.log('');
+  console.log('╔══════════════════════════════════════════════════╗');
+  console.log('║ Mock MathPix / LlamaParse / Gemini / OpenAI APIs ║');
+  console.log('╚══════════════════════════════════════════════════╝');
+  console.log('');
+  console.log('Fixtures:        ', options.fixturesDir);
+  console.log('Delay:           ', `${options.delayMs}ms per response`);
+  console.log('Processing polls:', options.processingPolls);
+  console.log('Error rate:      ', options.errorRate);
+  console.log('Failing:         ', options.failEndpoints.join(', ') || 'none');
+  console.log('');
+  console.log('Point the backend at it (any non-empty keys work):');
+  console.log(`  MATHPIX_API_URL=${base}/v3`);
+  console.log(`  LLAMAPARSE_API_URL=${base}/api/parsing`);
+  console.log(`  GEMINI_API_URL=${base}/v1beta/models`);
+  console.log(`  OPENAI_API_URL=${base}/v1`);
+  console.log('');
+});
@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+import dotenv from 'dotenv';
+dotenv.config({ override: true });
+import { imageRehostService, storageService } from '../src/services/index.js';
+import { config } from '../src/config/index.js';
+
+// Usage: npm run rehost-images -- [--dry-run] [--tables=scanned_items,question_sets] [--batch-size=50]
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const batchSize = parseInt(args.find((a) => a.startsWith('--batch-size='))?.split('=')[1] || '50', 10);
+const tables = args.find((a) => a.startsWith('--tables='))?.split('=')[1].split(',').map((t) => t.trim()).filter(Boolean)
+  || imageRehostService.getBackfillTables();
+
+async function main() {
+  console.log('');
+  console.log('╔══════════════════════════════════════════════════╗');
+  console.log('║      OCR images → storage backend (rehost)       ║');
+  console.log('╚══════════════════════════════════════════════════╝');
+  console.log('');
+  console.log('Supabase URL:', process.env.SUPABASE_URL);
+  console.log('Storage:     ', JSON.stringify(storageService.getStatus()));
+  console.log('Hosts:       ', config.images.hosts.join(', '));
+  console.log('Image URLs:  ', imageRehostService.internalUrl('<hash>.<ext>'));
+  console.log('Tables:      ', tables.join(', '));
+  console.log('Mode:        ', dryRun ? 'dry run (nothing is written)' : 'copy images and rewrite rows');
+  console.log('');
+
+  try {
+    const stats = await imageRehostService.backfill({
+      tables,
+      batchSize,
+      dryRun,
+      onProgress: (table, s) => console.log(`  ${table}: ${s.checked} checked, ${s.updated} ${dryRun ? 'to update' : 'updated'}, ${s.failed} failed`),
+    });
+
+    console.log('');
+    console.log('═══════════════════════════════════════════════════');
+    console.log('                  REHOST SUMMARY                   ');
+    console.log('═══════════════════════════════════════════════════');
+    let failed = 0;
+    for (const [table, s] of Object.entries(stats)) {
+      console.log(`  ${table.padEnd(16)} ${s.updated} row(s) ${dryRun ? 'to update' : 'updated'}, ${s.rehosted} image URL(s) ${dryRun ? 'found' : 'copied'}, ${s.failed} failed`);
+      failed += s.failed;
+    }
+    if (failed > 0) {
+      console.log('');
+      console.log('  Images that failed keep their original URL; run again to retry them.');
+    }
+    console.log('═══════════════════════════════════════════════════');
+    console.log('');
+
+    process.exit(failed > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('');
+    console.error('Rehost failed:', error.message);
+    console.error('');
+    process.exit(1);
+  }
+}
+
+main();
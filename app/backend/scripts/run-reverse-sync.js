@@ -2,8 +2,23 @@
 import dotenv from 'dotenv';
 dotenv.config({ override: true });
 import reverseSyncService from '../src/services/reverse-sync/index.js';
+import { taskService, TASK_TYPES } from '../src/services/tasks/index.js';
+
+// --queue hands the sync to the task queue instead of running it here
+async function queueSync() {
+  const task = await taskService.enqueue(TASK_TYPES.REVERSE_SYNC, { target: 'all' });
+  console.log(`Reverse sync queued as task ${task.id} (${task.status})`);
+  process.exit(0);
+}
 
 async function main() {
+  if (process.argv.includes('--queue')) {
+    return queueSync().catch((error) => {
+      console.error('Could not queue sync:', error.message);
+      process.exit(1);
+    });
+  }
+
   console.log('');
   console.log('╔══════════════════════════════════════════════════╗');
   console.log('║     SilverGate → MongoDB Reverse Sync            ║');
@@ -14,20 +14,186 @@ export const config = {
   mathpix: {
     appId: process.env.MATHPIX_APP_ID,
     appKey: process.env.MATHPIX_APP_KEY,
+    apiUrl: process.env.MATHPIX_API_URL || 'https://api.mathpix.com/v3',
+  },
+  // PDF→LaTeX conversion: 'mathpix' or 'local' (text layer of digital PDFs, no credentials).
+  // Jobs and items can pick their own; while the default has no credentials the fallback is used.
+  ocr: {
+    provider: process.env.OCR_PROVIDER || 'mathpix',
+    fallbackProvider: process.env.OCR_FALLBACK_PROVIDER ?? 'local',
+    local: {
+      // Fewer characters per page than this means an image-only scan with no text layer
+      minCharsPerPage: parseInt(process.env.OCR_LOCAL_MIN_CHARS_PER_PAGE || '20', 10),
+    },
+  },
+  // Question/solution extraction: 'llamaparse', 'gemini' or 'openai' when a request names none
+  extraction: {
+    provider: process.env.EXTRACTION_PROVIDER || 'llamaparse',
   },
   llamaParse: {
     apiKey: process.env.LLAMAPARSE_API_KEY,
-    apiUrl: 'https://api.cloud.llamaindex.ai/api/parsing',
+    apiUrl: process.env.LLAMAPARSE_API_URL || 'https://api.cloud.llamaindex.ai/api/parsing',
   },
   imap: {
     host: process.env.IMAP_HOST || 'imap.gmail.com',
     port: parseInt(process.env.IMAP_PORT || '993', 10),
     tls: process.env.IMAP_TLS !== 'false',
+    tlsRejectUnauthorized: process.env.IMAP_TLS_REJECT_UNAUTHORIZED === 'true',
     user: process.env.EMAIL_ADDRESS,
     password: process.env.EMAIL_PASSWORD,
     keepalive: process.env.IMAP_KEEPALIVE !== 'false',
     authTimeout: parseInt(process.env.IMAP_AUTH_TIMEOUT || '30000', 10),
     connTimeout: parseInt(process.env.IMAP_CONN_TIMEOUT || '30000', 10),
+    reconnect: {
+      baseDelayMs: parseInt(process.env.IMAP_RECONNECT_BASE_DELAY || '2000', 10),
+      maxDelayMs: parseInt(process.env.IMAP_RECONNECT_MAX_DELAY || '300000', 10),
+    },
+    // Folders to watch; the first gets IDLE push, all are polled when there are several
+    folders: (process.env.EMAIL_MONITOR_FOLDERS || 'INBOX').split(',').map((f) => f.trim()).filter(Boolean),
+    pollIntervalMs: parseInt(process.env.IMAP_POLL_INTERVAL || '60000', 10),
+    // What to do with a message after ingest: none | move | copy | label (Gmail X-GM-LABELS)
+    disposition: {
+      mode: process.env.EMAIL_DISPOSITION || 'none',
+      folders: {
+        processed: process.env.EMAIL_PROCESSED_FOLDER || 'Processed',
+        skipped: process.env.EMAIL_SKIPPED_FOLDER || 'Skipped',
+        failed: process.env.EMAIL_FAILED_FOLDER || 'Failed',
+        quarantined: process.env.EMAIL_QUARANTINE_FOLDER || 'Quarantine',
+      },
+    },
+  },
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '587', 10),
+    secure: process.env.SMTP_SECURE === 'true',
+    tlsRejectUnauthorized: process.env.SMTP_TLS_REJECT_UNAUTHORIZED !== 'false',
+    // Falls back to the IMAP account, which is usually the same mailbox
+    user: process.env.SMTP_USER || process.env.EMAIL_ADDRESS,
+    password: process.env.SMTP_PASSWORD || process.env.EMAIL_PASSWORD,
+    from: process.env.SMTP_FROM || process.env.EMAIL_ADDRESS,
+  },
+  acknowledgements: {
+    enabled: process.env.EMAIL_ACK_ENABLED === 'true',
+    // Send a second mail once MathPix conversion of the filed items finishes
+    conversionFollowUp: process.env.EMAIL_ACK_CONVERSION_FOLLOWUP !== 'false',
+    // Directory with override templates; files missing there fall back to src/templates/email
+    templateDir: process.env.EMAIL_ACK_TEMPLATE_DIR,
+  },
+  intake: {
+    // 'bundle' = all images in one email become one ordered scanned item; 'separate' = one item per image
+    imageBundling: process.env.EMAIL_IMAGE_BUNDLING === 'separate' ? 'separate' : 'bundle',
+    // A PDF whose bytes were seen before: 'reject' it, 'link' to the existing scanned item
+    // (a copy sent to another book/chapter still gets its own item there, reusing the
+    // conversion), or 'allow' a new item that reuses the existing conversion
+    duplicatePolicy: ['reject', 'link', 'allow'].includes(process.env.SCAN_DUPLICATE_POLICY)
+      ? process.env.SCAN_DUPLICATE_POLICY
+      : 'link',
+    // Messages failing these checks are quarantined in inbound_messages instead of ingested
+    security: {
+      // Reject everyone when the allowlist is empty (otherwise an empty allowlist allows all)
+      requireAllowlist: process.env.EMAIL_REQUIRE_ALLOWLIST === 'true',
+      // DKIM counts only for a signature by the From address's domain
+      requireDkim: process.env.EMAIL_REQUIRE_DKIM === 'true',
+      requireSpf: process.env.EMAIL_REQUIRE_SPF === 'true',
+      requireDmarc: process.env.EMAIL_REQUIRE_DMARC === 'true',
+      // Only trust Authentication-Results added by this server (e.g. mx.google.com)
+      authServId: process.env.EMAIL_AUTHSERV_ID,
+      maxAttachments: parseInt(process.env.EMAIL_MAX_ATTACHMENTS || '20', 10),
+      maxAttachmentBytes: parseInt(process.env.EMAIL_MAX_ATTACHMENT_SIZE_MB || '50', 10) * 1024 * 1024,
+    },
+  },
+  hotFolder: {
+    enabled: process.env.HOT_FOLDER_ENABLED === 'true',
+    path: process.env.HOT_FOLDER_PATH,
+    pollIntervalMs: parseInt(process.env.HOT_FOLDER_POLL_INTERVAL || '5000', 10),
+    // A file must be unchanged for this long before pickup (scanner still writing)
+    settleMs: parseInt(process.env.HOT_FOLDER_SETTLE_MS || '3000', 10),
+    doneDir: process.env.HOT_FOLDER_DONE_DIR || '_done',
+    failedDir: process.env.HOT_FOLDER_FAILED_DIR || '_failed',
+  },
+  // Where scanned PDFs are kept: 'local' (filesystem) or 's3' (any S3-compatible server)
+  storage: {
+    driver: process.env.STORAGE_DRIVER || 'local',
+    local: {
+      path: process.env.STORAGE_LOCAL_PATH || './storage',
+    },
+    s3: {
+      // Leave unset for AWS; set to e.g. http://localhost:9000 for MinIO
+      endpoint: process.env.STORAGE_S3_ENDPOINT,
+      region: process.env.STORAGE_S3_REGION || 'us-east-1',
+      bucket: process.env.STORAGE_S3_BUCKET,
+      prefix: process.env.STORAGE_S3_PREFIX,
+      accessKeyId: process.env.STORAGE_S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.STORAGE_S3_SECRET_ACCESS_KEY,
+      // MinIO and most self-hosted servers need path-style URLs
+      forcePathStyle: process.env.STORAGE_S3_FORCE_PATH_STYLE
+        ? process.env.STORAGE_S3_FORCE_PATH_STYLE === 'true'
+        : !!process.env.STORAGE_S3_ENDPOINT,
+    },
+  },
+  // Images referenced by OCR output (MathPix crops on cdn.mathpix.com expire) are copied
+  // into storage after conversion and served from /api/images
+  images: {
+    rehost: process.env.IMAGE_REHOST_ENABLED !== 'false',
+    // Hosts whose image URLs are copied
+    hosts: (process.env.IMAGE_REHOST_HOSTS || 'cdn.mathpix.com').split(',').map((h) => h.trim()).filter(Boolean),
+    // Prefix for rewritten URLs, e.g. https://silvergate.example.com; empty = relative /api/images/...
+    publicBaseUrl: (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, ''),
+    downloadTimeoutMs: parseInt(process.env.IMAGE_DOWNLOAD_TIMEOUT || '30000', 10),
+    maxBytes: parseInt(process.env.IMAGE_MAX_SIZE_MB || '20', 10) * 1024 * 1024,
+  },
+  // External API usage (api_usage table): estimated USD cost per unit, and optional monthly
+  // budget caps. Once a cap is reached, queued work using that provider waits for the next month.
+  usage: {
+    rates: {
+      mathpix: {
+        pdfPage: parseFloat(process.env.USAGE_COST_MATHPIX_PAGE || '0.005'),
+        image: parseFloat(process.env.USAGE_COST_MATHPIX_IMAGE || '0.002'),
+      },
+      llamaparse: {
+        // Premium mode pages
+        page: parseFloat(process.env.USAGE_COST_LLAMAPARSE_PAGE || '0.045'),
+      },
+      gemini: {
+        inputPerMillion: parseFloat(process.env.USAGE_COST_GEMINI_INPUT_1M || '0.10'),
+        outputPerMillion: parseFloat(process.env.USAGE_COST_GEMINI_OUTPUT_1M || '0.40'),
+      },
+      // Set both to 0 for a self-hosted model
+      openai: {
+        inputPerMillion: parseFloat(process.env.USAGE_COST_OPENAI_INPUT_1M || '0.15'),
+        outputPerMillion: parseFloat(process.env.USAGE_COST_OPENAI_OUTPUT_1M || '0.60'),
+      },
+    },
+    // USD per calendar month (UTC); unset = no cap
+    budgets: {
+      total: process.env.USAGE_BUDGET_MONTHLY_USD ? parseFloat(process.env.USAGE_BUDGET_MONTHLY_USD) : null,
+      mathpix: process.env.USAGE_BUDGET_MATHPIX_USD ? parseFloat(process.env.USAGE_BUDGET_MATHPIX_USD) : null,
+      llamaparse: process.env.USAGE_BUDGET_LLAMAPARSE_USD ? parseFloat(process.env.USAGE_BUDGET_LLAMAPARSE_USD) : null,
+      gemini: process.env.USAGE_BUDGET_GEMINI_USD ? parseFloat(process.env.USAGE_BUDGET_GEMINI_USD) : null,
+      openai: process.env.USAGE_BUDGET_OPENAI_USD ? parseFloat(process.env.USAGE_BUDGET_OPENAI_USD) : null,
+    },
+    // Paused tasks check the budget again after this long
+    budgetRecheckMs: parseInt(process.env.USAGE_BUDGET_RECHECK_MS || '900000', 10),
+  },
+  // Durable background job queue (tasks table). The API runs a worker unless
+  // TASK_WORKER_ENABLED=false, e.g. when `npm run worker` consumes the queue instead.
+  tasks: {
+    workerEnabled: process.env.TASK_WORKER_ENABLED !== 'false',
+    pollIntervalMs: parseInt(process.env.TASK_POLL_INTERVAL || '2000', 10),
+    // Tasks of each type running at once per worker
+    concurrency: {
+      ocr_conversion: parseInt(process.env.TASK_CONCURRENCY_OCR || '2', 10),
+      question_extraction: parseInt(process.env.TASK_CONCURRENCY_EXTRACTION || '1', 10),
+      solution_extraction: parseInt(process.env.TASK_CONCURRENCY_EXTRACTION || '1', 10),
+      reverse_sync: 1,
+    },
+    maxAttempts: parseInt(process.env.TASK_MAX_ATTEMPTS || '3', 10),
+    // Retry delay doubles per attempt: 30s, 1m, 2m, ... up to backoffMaxMs
+    backoffMs: parseInt(process.env.TASK_BACKOFF_MS || '30000', 10),
+    backoffMaxMs: parseInt(process.env.TASK_BACKOFF_MAX_MS || '3600000', 10),
+    heartbeatMs: parseInt(process.env.TASK_HEARTBEAT_INTERVAL || '10000', 10),
+    // A running task without a heartbeat for this long is queued again (its worker died)
+    staleAfterMs: parseInt(process.env.TASK_STALE_AFTER_MS || '120000', 10),
   },
   googleDrive: {
     clientEmail: process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL,
@@ -39,9 +205,37 @@ export const config = {
   },
   gemini: {
     apiKey: process.env.GOOGLE_API_KEY,
-    apiUrl: 'https://generativelanguage.googleapis.com/v1beta/models',
+    apiUrl: process.env.GEMINI_API_URL || 'https://generativelanguage.googleapis.com/v1beta/models',
     model: 'gemini-2.0-flash',
   },
+  // OpenAI-compatible chat completions: OpenAI, or a self-hosted model server (vLLM,
+  // llama.cpp, Ollama, ...) at its /v1 base URL, which needs no key
+  openai: {
+    apiKey: process.env.OPENAI_API_KEY,
+    apiUrl: (process.env.OPENAI_API_URL || 'https://api.openai.com/v1').replace(/\/+$/, ''),
+    model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    // response_format sent: 'json_object', 'json_schema', or 'off' for servers without JSON mode
+    jsonMode: process.env.OPENAI_JSON_MODE || 'json_object',
+    temperature: parseFloat(process.env.OPENAI_TEMPERATURE || '0.1'),
+    maxTokens: parseInt(process.env.OPENAI_MAX_TOKENS || '16384', 10),
+    // Larger content is extracted in chunks of at most this many characters
+    maxContentLength: parseInt(process.env.OPENAI_MAX_CONTENT_LENGTH || '200000', 10),
+    timeoutMs: parseInt(process.env.OPENAI_TIMEOUT || '600000', 10),
+  },
+  // Stand-in for the MathPix, LlamaParse, Gemini and OpenAI APIs (`npm run mock-apis`); point
+  // MATHPIX_API_URL, LLAMAPARSE_API_URL, GEMINI_API_URL and OPENAI_API_URL at it to run the pipeline offline
+  mockApis: {
+    port: parseInt(process.env.MOCK_APIS_PORT || '4010', 10),
+    fixturesDir: process.env.MOCK_APIS_FIXTURES_DIR || null,
+    // Added to every response
+    delayMs: parseInt(process.env.MOCK_APIS_DELAY_MS || '0', 10),
+    // Status polls a PDF conversion / parse job reports as still processing
+    processingPolls: parseInt(process.env.MOCK_APIS_PROCESSING_POLLS || '2', 10),
+    // Share of requests (0-1) answered with a 500
+    errorRate: parseFloat(process.env.MOCK_APIS_ERROR_RATE || '0'),
+    // Comma-separated endpoints that always fail, e.g. mathpix.pdf,gemini.generate
+    failEndpoints: (process.env.MOCK_APIS_FAIL || '').split(',').map((e) => e.trim()).filter(Boolean),
+  },
 };
 
 export default config;
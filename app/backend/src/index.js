@@ -7,7 +7,9 @@ import helmet from 'helmet';
 import { config } from './config/index.js';
 import routes from './routes/index.js';
 import { errorHandler } from './middleware/errorHandler.js';
-import { emailInboundService } from './services/emailInbound.service.js';
+import { intakeSourceService } from './services/intake-sources/index.js';
+import { scannedItemService } from './services/scannedItem.service.js';
+import { taskService } from './services/tasks/index.js';
 import { logger } from './utils/logger.js';
 
 const app = express();
@@ -43,59 +45,41 @@ app.use((req, res) => {
   res.status(404).json({ success: false, error: 'Not found' });
 });
 
-// Initialize email monitoring
-async function initEmailMonitoring() {
-  console.log('');
-  logger.info('EMAIL', '════════════════════════════════════════════════');
-  logger.info('EMAIL', '  Email Scanning Service - Initializing...');
-  logger.info('EMAIL', '════════════════════════════════════════════════');
-
-  try {
-    await emailInboundService.connect();
-    if (emailInboundService.isConnected()) {
-      await emailInboundService.startMonitoring('INBOX');
-      const status = emailInboundService.getStatus();
-      logger.success('EMAIL', '────────────────────────────────────────────────');
-      logger.success('EMAIL', '  ✓ Email Scanning Service STARTED');
-      logger.success('EMAIL', `  ✓ Monitoring: ${status.email}`);
-      logger.success('EMAIL', `  ✓ IMAP Host: ${status.host}`);
-      logger.success('EMAIL', `  ✓ Folder: ${status.currentFolder}`);
-      logger.success('EMAIL', '  ✓ Status: IDLE - Waiting for new emails...');
-      logger.success('EMAIL', '────────────────────────────────────────────────');
-      console.log('');
-    } else {
-      logger.warn('EMAIL', 'Email service not connected - scanning disabled');
-    }
-  } catch (error) {
-    logger.error('EMAIL', `Failed to initialize: ${error.message}`);
-    logger.warn('EMAIL', 'Email scanning service disabled - server continues without it');
-    // Don't crash the server if email monitoring fails
-  }
-}
-
 // Start server
 async function start() {
   app.listen(config.port, async () => {
     logger.banner('Silver Gate API', config.port, config.nodeEnv);
     logger.info('SERVER', `CORS origins: ${config.corsOrigins.join(', ')}`);
 
-    // Initialize email monitoring after server starts
-    await initEmailMonitoring();
+    // Consume the task queue here unless a separate worker (npm run worker) does
+    if (config.tasks.workerEnabled) {
+      taskService.startWorker();
+    } else {
+      logger.info('TASKS', 'In-process worker disabled; tasks wait for `npm run worker`');
+    }
+
+    // Queue MathPix conversions a previous run left in 'processing' without a task
+    try {
+      await scannedItemService.resumeInterruptedConversions();
+    } catch (error) {
+      logger.error('MATHPIX', `Conversion recovery failed: ${error.message}`);
+    }
+
+    // Start intake sources (IMAP mailbox, hot folder) after server starts
+    await intakeSourceService.startAll();
   });
 }
 
-// Graceful shutdown
-process.on('SIGINT', () => {
-  logger.warn('SERVER', 'Shutting down (SIGINT)...');
-  emailInboundService.disconnect();
+// Graceful shutdown: running tasks go back to the queue
+async function shutdown(signal) {
+  logger.warn('SERVER', `Shutting down (${signal})...`);
+  await intakeSourceService.stopAll();
+  await taskService.stopWorker().catch((error) => logger.error('TASKS', error.message));
   process.exit(0);
-});
+}
 
-process.on('SIGTERM', () => {
-  logger.warn('SERVER', 'Shutting down (SIGTERM)...');
-  emailInboundService.disconnect();
-  process.exit(0);
-});
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
 
 start();
 
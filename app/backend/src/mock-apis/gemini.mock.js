@@ -0,0 +1,55 @@
+import { Router } from 'express';
+
+// Rough token count of a text, as reported in usageMetadata
+const tokens = (text) => Math.ceil((text || '').length / 4);
+
+/**
+ * Gemini generateContent subset.
+ * Fixtures (gemini/): <model>.<kind>.json or <kind>.json, where kind is the array the
+ * prompt asks for ("questions" or "solutions"), else default.json
+ */
+export function createGeminiRouter(context) {
+  const router = Router();
+
+  // POST /:model:generateContent?key=...
+  router.post('/:action', context.simulate('gemini.generate'), async (req, res) => {
+    const [model, method] = req.params.action.split(':');
+    if (method !== 'generateContent') {
+      return res.status(404).json({ error: { code: 404, message: `The mock does not implement ${method}`, status: 'NOT_FOUND' } });
+    }
+    if (!req.query.key) {
+      return res.status(400).json({ error: { code: 400, message: 'API key not valid. Please pass a valid API key.', status: 'INVALID_ARGUMENT' } });
+    }
+
+    const prompt = (req.body?.contents || [])
+      .flatMap((content) => content.parts || [])
+      .map((part) => part.text || '')
+      .join('\n');
+    const kind = prompt.match(/the "(\w+)" array/)?.[1];
+
+    const fixture = await context.fixture('gemini', kind ? [`${model}.${kind}.json`, `${kind}.json`, 'default.json'] : ['default.json']);
+    if (!fixture) {
+      return res.status(500).json({ error: { code: 500, message: `No gemini fixture for ${kind || 'default'}`, status: 'INTERNAL' } });
+    }
+
+    res.json({
+      candidates: [
+        {
+          content: { parts: [{ text: fixture.content }], role: 'model' },
+          finishReason: 'STOP',
+          index: 0,
+        },
+      ],
+      usageMetadata: {
+        promptTokenCount: tokens(prompt),
+        candidatesTokenCount: tokens(fixture.content),
+        totalTokenCount: tokens(prompt) + tokens(fixture.content),
+      },
+      modelVersion: model,
+    });
+  });
+
+  return router;
+}
+
+export default createGeminiRouter;
@@ -0,0 +1,140 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import express from 'express';
+import { logger } from '../utils/logger.js';
+import { createMathpixRouter } from './mathpix.mock.js';
+import { createLlamaParseRouter } from './llamaparse.mock.js';
+import { createGeminiRouter } from './gemini.mock.js';
+import { createOpenAIRouter } from './openai.mock.js';
+
+export const DEFAULT_FIXTURES_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../fixtures/mock-apis');
+
+// Endpoint names accepted by the fail option, per provider
+export const MOCK_ENDPOINTS = {
+  mathpix: ['pdf', 'status', 'output', 'text'],
+  llamaparse: ['upload', 'job', 'result'],
+  gemini: ['generate'],
+  openai: ['chat'],
+};
+
+/**
+ * Shared state and helpers of the mock routers: options, submitted jobs and fixture lookup
+ */
+class MockContext {
+  constructor({ fixturesDir, delayMs = 0, processingPolls = 2, errorRate = 0, failEndpoints = [] }) {
+    this.fixturesDir = fixturesDir || DEFAULT_FIXTURES_DIR;
+    this.delayMs = delayMs;
+    this.processingPolls = processingPolls;
+    this.errorRate = errorRate;
+    this.failEndpoints = new Set(failEndpoints);
+    // job id -> { provider, polls, ... }
+    this.jobs = new Map();
+    this.stats = { requests: 0, failures: 0 };
+  }
+
+  /**
+   * Middleware adding the configured delay, then failing the request when the endpoint
+   * (e.g. "gemini.generate") or its provider is set to fail, or at random at errorRate
+   */
+  simulate(endpoint) {
+    return async (req, res, next) => {
+      this.stats.requests++;
+      if (this.delayMs > 0) {
+        await new Promise((resolve) => setTimeout(resolve, this.delayMs));
+      }
+
+      const provider = endpoint.split('.')[0];
+      if (this.failEndpoints.has(endpoint) || this.failEndpoints.has(provider) || Math.random() < this.errorRate) {
+        this.stats.failures++;
+        logger.warn('MOCK', `Simulated failure of ${endpoint}`);
+        return res.status(500).json({ error: `Simulated ${endpoint} failure` });
+      }
+      next();
+    };
+  }
+
+  createJob(provider, fields = {}) {
+    const id = `mock-${provider}-${crypto.randomUUID()}`;
+    this.jobs.set(id, { id, provider, polls: 0, createdAt: Date.now(), ...fields });
+    return this.jobs.get(id);
+  }
+
+  getJob(provider, id) {
+    const job = this.jobs.get(id);
+    return job?.provider === provider ? job : null;
+  }
+
+  /**
+   * Count a status poll; a job reports processing for processingPolls polls, then completes
+   * @returns {boolean} - Whether the job is complete
+   */
+  poll(job) {
+    job.polls++;
+    return job.polls > this.processingPolls;
+  }
+
+  /**
+   * Read the first fixture that exists, e.g. fixture('mathpix', ['<sha256>.tex', 'default.tex']).
+   * Fixtures are read on every request, so they can be edited while the server runs.
+   * @returns {Promise<{name: string, content: string}|null>}
+   */
+  async fixture(provider, names) {
+    for (const name of names) {
+      if (!name || name.includes('/') || name.includes('\\') || name.startsWith('.')) continue;
+      try {
+        const content = await fs.readFile(path.join(this.fixturesDir, provider, name), 'utf8');
+        return { name, content };
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+    }
+    return null;
+  }
+}
+
+/**
+ * Express app standing in for the MathPix (/v3), LlamaParse (/api/parsing), Gemini
+ * (/v1beta/models) and OpenAI-compatible (/v1) endpoints the services call
+ * @param {object} options - { fixturesDir, delayMs, processingPolls, errorRate, failEndpoints }
+ */
+export function createMockApiApp(options = {}) {
+  const context = new MockContext(options);
+  const app = express();
+
+  app.use((req, res, next) => {
+    const start = Date.now();
+    res.on('finish', () => logger.request(req.method, req.originalUrl.replace(/key=[^&]+/, 'key=***'), res.statusCode, Date.now() - start));
+    next();
+  });
+  app.use(express.json({ limit: '50mb' }));
+
+  app.get('/health', (req, res) => {
+    res.json({
+      status: 'ok',
+      fixturesDir: context.fixturesDir,
+      jobs: context.jobs.size,
+      ...context.stats,
+    });
+  });
+
+  app.use('/v3', createMathpixRouter(context));
+  app.use('/api/parsing', createLlamaParseRouter(context));
+  app.use('/v1beta/models', createGeminiRouter(context));
+  app.use('/v1', createOpenAIRouter(context));
+
+  app.use((req, res) => {
+    res.status(404).json({ error: `The mock does not implement ${req.method} ${req.path}` });
+  });
+
+  app.use((err, req, res, next) => {
+    logger.error('MOCK', err.message);
+    res.status(err.status || 500).json({ error: err.message });
+  });
+
+  app.locals.context = context;
+  return app;
+}
+
+export default createMockApiApp;
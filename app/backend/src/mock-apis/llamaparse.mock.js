@@ -0,0 +1,77 @@
+import path from 'path';
+import { Router } from 'express';
+import multer from 'multer';
+
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 100 * 1024 * 1024 } });
+
+// Characters counted as one page of an uploaded text file
+const CHARS_PER_PAGE = 3000;
+// Premium mode credits per page
+const CREDITS_PER_PAGE = 45;
+
+function requireAuth(req, res, next) {
+  if (!/^Bearer \S+/.test(req.get('authorization') || '')) {
+    return res.status(401).json({ detail: 'Invalid authentication credentials' });
+  }
+  next();
+}
+
+/**
+ * LlamaParse subset: upload, job status and markdown result.
+ * Fixtures (llamaparse/): <uploaded file name without extension>.md (questions.md,
+ * solutions.md) or default.md
+ */
+export function createLlamaParseRouter(context) {
+  const router = Router();
+  router.use(requireAuth);
+
+  router.post('/upload', context.simulate('llamaparse.upload'), upload.single('file'), (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({ detail: 'file is required' });
+    }
+
+    const job = context.createJob('llamaparse', {
+      name: path.parse(req.file.originalname || 'default').name,
+      pages: Math.max(1, Math.ceil(req.file.size / CHARS_PER_PAGE)),
+      premium: req.body?.premium_mode === 'true',
+    });
+    res.json({ id: job.id, status: 'PENDING' });
+  });
+
+  router.get('/job/:id', context.simulate('llamaparse.job'), (req, res) => {
+    const job = context.getJob('llamaparse', req.params.id);
+    if (!job) {
+      return res.status(404).json({ detail: 'Job not found' });
+    }
+
+    res.json({ id: job.id, status: context.poll(job) ? 'SUCCESS' : 'PENDING' });
+  });
+
+  router.get('/job/:id/result/markdown', context.simulate('llamaparse.result'), async (req, res) => {
+    const job = context.getJob('llamaparse', req.params.id);
+    if (!job) {
+      return res.status(404).json({ detail: 'Job not found' });
+    }
+    if (job.polls <= context.processingPolls) {
+      return res.status(400).json({ detail: 'Job is not complete' });
+    }
+
+    const fixture = await context.fixture('llamaparse', [`${job.name}.md`, 'default.md']);
+    if (!fixture) {
+      return res.status(404).json({ detail: `No llamaparse fixture for ${job.name}` });
+    }
+
+    res.json({
+      markdown: fixture.content,
+      job_metadata: {
+        job_pages: job.pages,
+        credits_used: job.pages * (job.premium ? CREDITS_PER_PAGE : 1),
+        job_is_cache_hit: false,
+      },
+    });
+  });
+
+  return router;
+}
+
+export default createLlamaParseRouter;
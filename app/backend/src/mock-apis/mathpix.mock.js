@@ -0,0 +1,99 @@
+import crypto from 'crypto';
+import { Router } from 'express';
+import multer from 'multer';
+import { getPageCount } from '../utils/pdf.js';
+
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 100 * 1024 * 1024 } });
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+function requireAuth(req, res, next) {
+  if (!req.get('app_id') || !req.get('app_key')) {
+    return res.status(401).json({ error: 'Missing app_id or app_key header', error_info: { id: 'http_unauthorized' } });
+  }
+  next();
+}
+
+/**
+ * MathPix v3 subset: PDF submit / status / outputs and image OCR (/text).
+ * Fixtures (mathpix/): <sha256 of the PDF>.<format> or default.<format> for PDFs,
+ * <sha256 of the image src>.mmd or image.mmd for images.
+ */
+export function createMathpixRouter(context) {
+  const router = Router();
+  router.use(requireAuth);
+
+  // Submit a PDF as multipart (file + options_json) or JSON ({ url })
+  router.post('/pdf', context.simulate('mathpix.pdf'), upload.single('file'), async (req, res) => {
+    let hash = null;
+    let pages = 1;
+
+    if (req.file) {
+      hash = sha256(req.file.buffer);
+      pages = await getPageCount(req.file.buffer).catch(() => 1);
+    } else if (req.body?.url) {
+      // URLs are not fetched, so the mock stays offline
+      hash = sha256(Buffer.from(req.body.url));
+    } else {
+      return res.status(400).json({ error: 'Expected a file or a url', error_info: { id: 'json_syntax' } });
+    }
+
+    const job = context.createJob('mathpix', { hash, pages });
+    res.json({ pdf_id: job.id });
+  });
+
+  // Outputs of a completed PDF: GET /pdf/:id.tex, .mmd, .lines.json
+  router.get(/^\/pdf\/([^/]+)\.(tex|mmd|lines\.json)$/, context.simulate('mathpix.output'), async (req, res) => {
+    const [id, format] = [req.params[0], req.params[1]];
+    const job = context.getJob('mathpix', id);
+    if (!job) {
+      return res.status(404).json({ error: `Unknown pdf_id ${id}` });
+    }
+    if (job.polls <= context.processingPolls) {
+      return res.status(404).json({ error: 'Conversion is not complete' });
+    }
+
+    const fixture = await context.fixture('mathpix', [`${job.hash}.${format}`, `default.${format}`]);
+    if (!fixture) {
+      return res.status(404).json({ error: `No mathpix fixture for .${format}` });
+    }
+    res.type(format === 'lines.json' ? 'application/json' : 'text/plain').send(fixture.content);
+  });
+
+  router.get('/pdf/:id', context.simulate('mathpix.status'), (req, res) => {
+    const job = context.getJob('mathpix', req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: `Unknown pdf_id ${req.params.id}` });
+    }
+
+    const completed = context.poll(job);
+    const share = completed ? 1 : job.polls / (context.processingPolls + 1);
+    res.json({
+      status: completed ? 'completed' : job.polls === 1 ? 'split' : 'processing',
+      num_pages: job.pages,
+      num_pages_completed: Math.floor(job.pages * share),
+      percent_done: Math.round(100 * share),
+    });
+  });
+
+  // Image OCR: { src: URL or data URL, formats }
+  router.post('/text', context.simulate('mathpix.text'), async (req, res) => {
+    if (!req.body?.src) {
+      return res.status(400).json({ error: 'src is required' });
+    }
+
+    const fixture = await context.fixture('mathpix', [`${sha256(Buffer.from(req.body.src))}.mmd`, 'image.mmd']);
+    const text = fixture?.content || '';
+    res.json({
+      request_id: `mock-${Date.now()}`,
+      text,
+      confidence: 1,
+      is_printed: true,
+      is_handwritten: false,
+    });
+  });
+
+  return router;
+}
+
+export default createMathpixRouter;
@@ -0,0 +1,54 @@
+import crypto from 'crypto';
+import { Router } from 'express';
+
+// Rough token count of a text, as reported in usage
+const tokens = (text) => Math.ceil((text || '').length / 4);
+
+/**
+ * OpenAI chat completions subset.
+ * Fixtures (openai/): <model>.<kind>.json or <kind>.json, where kind is the array the
+ * prompt asks for ("questions" or "solutions"), else default.json
+ */
+export function createOpenAIRouter(context) {
+  const router = Router();
+
+  router.post('/chat/completions', context.simulate('openai.chat'), async (req, res) => {
+    const { model, messages } = req.body || {};
+    if (!model || !Array.isArray(messages)) {
+      return res.status(400).json({ error: { message: 'model and messages are required', type: 'invalid_request_error' } });
+    }
+
+    const prompt = messages
+      .map((message) => (typeof message.content === 'string' ? message.content : ''))
+      .join('\n');
+    const kind = prompt.match(/the "(\w+)" array/)?.[1];
+
+    const fixture = await context.fixture('openai', kind ? [`${model}.${kind}.json`, `${kind}.json`, 'default.json'] : ['default.json']);
+    if (!fixture) {
+      return res.status(500).json({ error: { message: `No openai fixture for ${kind || 'default'}`, type: 'server_error' } });
+    }
+
+    res.json({
+      id: `chatcmpl-mock-${crypto.randomUUID()}`,
+      object: 'chat.completion',
+      created: Math.floor(Date.now() / 1000),
+      model,
+      choices: [
+        {
+          index: 0,
+          message: { role: 'assistant', content: fixture.content },
+          finish_reason: 'stop',
+        },
+      ],
+      usage: {
+        prompt_tokens: tokens(prompt),
+        completion_tokens: tokens(fixture.content),
+        total_tokens: tokens(prompt) + tokens(fixture.content),
+      },
+    });
+  });
+
+  return router;
+}
+
+export default createOpenAIRouter;
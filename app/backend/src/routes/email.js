@@ -0,0 +1,160 @@
+import { Router } from 'express';
+import {
+  emailInboundService,
+  inboundMessageService,
+  intakePolicyService,
+  MAIL_OUTCOMES,
+  SENDER_LIST_TYPES,
+} from '../services/index.js';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+
+const router = Router();
+
+// Validate sender policy fields shared by create and update
+function validateSenderPolicy(body, { partial = false } = {}) {
+  const { list_type, pattern } = body;
+
+  if (!partial && (!list_type || !pattern)) {
+    return 'list_type and pattern are required';
+  }
+
+  const validListTypes = Object.values(SENDER_LIST_TYPES);
+  if (list_type !== undefined && !validListTypes.includes(list_type)) {
+    return `list_type must be one of: ${validListTypes.join(', ')}`;
+  }
+
+  if (pattern !== undefined && (typeof pattern !== 'string' || !pattern.trim())) {
+    return 'pattern must be an address (alice@example.com) or domain (@example.com)';
+  }
+
+  return null;
+}
+
+// Get email intake connection/monitoring status
+router.get('/status', asyncHandler(async (req, res) => {
+  res.json({ success: true, data: emailInboundService.getStatus() });
+}));
+
+// Start monitoring (connects first if needed); optional body.folders overrides the configured folders
+router.post('/monitoring/start', asyncHandler(async (req, res) => {
+  const { folders } = req.body || {};
+
+  if (folders !== undefined && !(Array.isArray(folders) && folders.every((f) => typeof f === 'string' && f.trim()))) {
+    return res.status(400).json({ success: false, error: 'folders must be an array of folder names' });
+  }
+
+  if (!emailInboundService.isConnected()) {
+    await emailInboundService.connect();
+  }
+
+  await emailInboundService.startMonitoring(folders?.map((f) => f.trim()));
+  res.json({ success: true, data: emailInboundService.getStatus() });
+}));
+
+// Stop monitoring (the IMAP connection stays open)
+router.post('/monitoring/stop', asyncHandler(async (req, res) => {
+  emailInboundService.stopMonitoring();
+  res.json({ success: true, data: emailInboundService.getStatus() });
+}));
+
+// Force a re-poll of the monitored folders
+router.post('/poll', asyncHandler(async (req, res) => {
+  if (!emailInboundService.isConnected()) {
+    return res.status(409).json({ success: false, error: 'Not connected to IMAP server' });
+  }
+  if (emailInboundService.getStatus().monitoredFolders.length === 0) {
+    return res.status(409).json({ success: false, error: 'Monitoring is not started' });
+  }
+
+  const processedUids = await emailInboundService.fetchNewEmails();
+  res.json({ success: true, data: { processed: processedUids.length, uids: processedUids } });
+}));
+
+// Get logged inbound messages (newest first)
+router.get('/messages', asyncHandler(async (req, res) => {
+  const { outcome, folder, sender, limit } = req.query;
+
+  if (outcome && !Object.values(MAIL_OUTCOMES).includes(outcome)) {
+    return res.status(400).json({
+      success: false,
+      error: `outcome must be one of: ${Object.values(MAIL_OUTCOMES).join(', ')}`,
+    });
+  }
+
+  const messages = await inboundMessageService.getAll({
+    outcome,
+    folder,
+    sender,
+    limit: limit ? Math.min(parseInt(limit, 10) || 100, 500) : undefined,
+  });
+  res.json({ success: true, data: messages });
+}));
+
+// Get logged inbound message by ID
+router.get('/messages/:id', asyncHandler(async (req, res) => {
+  const message = await inboundMessageService.findById(req.params.id);
+  if (!message) {
+    return res.status(404).json({ success: false, error: 'Inbound message not found' });
+  }
+  res.json({ success: true, data: message });
+}));
+
+// Reprocess a logged inbound message (fetched again from the server by Message-ID)
+// body.bypass_policy releases a quarantined message despite its policy violations
+router.post('/messages/:id/reprocess', asyncHandler(async (req, res) => {
+  const { bypass_policy } = req.body || {};
+  const message = await inboundMessageService.findById(req.params.id);
+  if (!message) {
+    return res.status(404).json({ success: false, error: 'Inbound message not found' });
+  }
+  if (!emailInboundService.isConnected()) {
+    return res.status(409).json({ success: false, error: 'Not connected to IMAP server' });
+  }
+
+  const updated = await emailInboundService.reprocessMessage(message.id, { bypassPolicy: bypass_policy === true });
+  res.json({ success: true, data: updated });
+}));
+
+// Get sender allow/deny list entries
+router.get('/senders', asyncHandler(async (req, res) => {
+  const { listType } = req.query;
+  const policies = await intakePolicyService.getAll({ listType });
+  res.json({ success: true, data: policies });
+}));
+
+// Add a sender allow/deny list entry
+router.post('/senders', asyncHandler(async (req, res) => {
+  const validationError = validateSenderPolicy(req.body);
+  if (validationError) {
+    return res.status(400).json({ success: false, error: validationError });
+  }
+
+  const { list_type, pattern, note, is_enabled } = req.body;
+  const policy = await intakePolicyService.create({ list_type, pattern, note, is_enabled });
+  res.status(201).json({ success: true, data: policy });
+}));
+
+// Update a sender allow/deny list entry
+router.put('/senders/:id', asyncHandler(async (req, res) => {
+  const validationError = validateSenderPolicy(req.body, { partial: true });
+  if (validationError) {
+    return res.status(400).json({ success: false, error: validationError });
+  }
+
+  const existing = await intakePolicyService.findById(req.params.id);
+  if (!existing) {
+    return res.status(404).json({ success: false, error: 'Sender policy not found' });
+  }
+
+  const { list_type, pattern, note, is_enabled } = req.body;
+  const policy = await intakePolicyService.update(req.params.id, { list_type, pattern, note, is_enabled });
+  res.json({ success: true, data: policy });
+}));
+
+// Delete a sender allow/deny list entry
+router.delete('/senders/:id', asyncHandler(async (req, res) => {
+  await intakePolicyService.delete(req.params.id);
+  res.json({ success: true, message: 'Sender policy deleted successfully' });
+}));
+
+export default router;
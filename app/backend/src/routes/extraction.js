@@ -0,0 +1,12 @@
+import { Router } from 'express';
+import { extractionProviderService } from '../services/index.js';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+
+const router = Router();
+
+// Get the extraction providers, what they can extract, whether they are configured, and the default
+router.get('/providers', asyncHandler(async (req, res) => {
+  res.json({ success: true, data: extractionProviderService.getStatus() });
+}));
+
+export default router;
@@ -0,0 +1,23 @@
+import { Router } from 'express';
+import { imageRehostService } from '../services/index.js';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+
+const router = Router();
+
+// Get an image copied from OCR output. Names are content hashes, so responses never change.
+router.get('/:name', asyncHandler(async (req, res) => {
+  const image = await imageRehostService.read(req.params.name);
+  if (!image) {
+    return res.status(404).json({ success: false, error: 'Image not found' });
+  }
+
+  res.setHeader('Content-Type', image.contentType);
+  res.setHeader('Content-Length', image.content.length);
+  res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  // Lessons synced elsewhere embed these URLs
+  res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+  return res.send(image.content);
+}));
+
+export default router;
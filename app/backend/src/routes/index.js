@@ -8,6 +8,15 @@ import questionSetsRoutes from './questionSets.js';
 import solutionSetsRoutes from './solutionSets.js';
 import driveRoutes from './drive.js';
 import lessonsRoutes from './lessons.js';
+import intakeRulesRoutes from './intakeRules.js';
+import emailRoutes from './email.js';
+import intakeSourcesRoutes from './intakeSources.js';
+import tasksRoutes from './tasks.js';
+import ocrRoutes from './ocr.js';
+import extractionRoutes from './extraction.js';
+import promptTemplatesRoutes from './promptTemplates.js';
+import imagesRoutes from './images.js';
+import usageRoutes from './usage.js';
 
 const router = Router();
 
@@ -26,5 +35,14 @@ router.use('/question-sets', questionSetsRoutes);
 router.use('/solution-sets', solutionSetsRoutes);
 router.use('/drive', driveRoutes);
 router.use('/lessons', lessonsRoutes);
+router.use('/intake-rules', intakeRulesRoutes);
+router.use('/email', emailRoutes);
+router.use('/intake-sources', intakeSourcesRoutes);
+router.use('/tasks', tasksRoutes);
+router.use('/ocr', ocrRoutes);
+router.use('/extraction', extractionRoutes);
+router.use('/prompt-templates', promptTemplatesRoutes);
+router.use('/images', imagesRoutes);
+router.use('/usage', usageRoutes);
 
 export default router;
@@ -0,0 +1,109 @@
+import { Router } from 'express';
+import { intakeRuleService, INTAKE_MATCH_TYPES } from '../services/index.js';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+
+const router = Router();
+
+// Validate rule fields shared by create and update
+function validateRule(body, { partial = false } = {}) {
+  const { name, match_type, pattern, book_id, chapter_id, item_type, priority } = body;
+
+  if (!partial && (!name || !match_type || !pattern || !book_id || !chapter_id)) {
+    return 'name, match_type, pattern, book_id, and chapter_id are required';
+  }
+
+  const validMatchTypes = Object.values(INTAKE_MATCH_TYPES);
+  if (match_type !== undefined && !validMatchTypes.includes(match_type)) {
+    return `match_type must be one of: ${validMatchTypes.join(', ')}`;
+  }
+
+  if (item_type && !['question', 'solution'].includes(item_type)) {
+    return 'item_type must be either "question" or "solution"';
+  }
+
+  if (priority !== undefined && !Number.isInteger(priority)) {
+    return 'priority must be an integer';
+  }
+
+  return null;
+}
+
+// Get all intake rules (in evaluation order)
+router.get('/', asyncHandler(async (req, res) => {
+  const { bookId } = req.query;
+  const rules = await intakeRuleService.getAll({ bookId });
+  res.json({ success: true, data: rules });
+}));
+
+// Preview which route an email/attachment would take (must be before /:id routes)
+router.post('/test', asyncHandler(async (req, res) => {
+  const { from, to, subject, filename } = req.body;
+
+  const email = {
+    from: { address: from || '' },
+    to: (Array.isArray(to) ? to : [to]).filter(Boolean).map((address) => ({ address })),
+    subject: subject || '',
+  };
+
+  const route = await intakeRuleService.resolveRoute(email, { filename: filename || '' });
+  res.json({ success: true, data: route });
+}));
+
+// Get intake rule by ID
+router.get('/:id', asyncHandler(async (req, res) => {
+  const rule = await intakeRuleService.findById(req.params.id);
+  if (!rule) {
+    return res.status(404).json({ success: false, error: 'Intake rule not found' });
+  }
+  res.json({ success: true, data: rule });
+}));
+
+// Create intake rule
+router.post('/', asyncHandler(async (req, res) => {
+  const validationError = validateRule(req.body);
+  if (validationError) {
+    return res.status(400).json({ success: false, error: validationError });
+  }
+
+  const { name, match_type, pattern, book_id, chapter_id, item_type, priority, is_enabled } = req.body;
+  const rule = await intakeRuleService.create({
+    name,
+    match_type,
+    pattern,
+    book_id,
+    chapter_id,
+    item_type,
+    priority,
+    is_enabled,
+  });
+  res.status(201).json({ success: true, data: rule });
+}));
+
+// Update intake rule
+router.put('/:id', asyncHandler(async (req, res) => {
+  const validationError = validateRule(req.body, { partial: true });
+  if (validationError) {
+    return res.status(400).json({ success: false, error: validationError });
+  }
+
+  const { name, match_type, pattern, book_id, chapter_id, item_type, priority, is_enabled } = req.body;
+  const rule = await intakeRuleService.update(req.params.id, {
+    name,
+    match_type,
+    pattern,
+    book_id,
+    chapter_id,
+    item_type,
+    priority,
+    is_enabled,
+  });
+  res.json({ success: true, data: rule });
+}));
+
+// Delete intake rule
+router.delete('/:id', asyncHandler(async (req, res) => {
+  await intakeRuleService.delete(req.params.id);
+  res.json({ success: true, message: 'Intake rule deleted successfully' });
+}));
+
+export default router;
@@ -0,0 +1,37 @@
+import { Router } from 'express';
+import { intakeSourceService } from '../services/index.js';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+
+const router = Router();
+
+// Get status of all intake sources
+router.get('/', asyncHandler(async (req, res) => {
+  res.json({ success: true, data: intakeSourceService.getStatus() });
+}));
+
+// Start an intake source
+router.post('/:name/start', asyncHandler(async (req, res) => {
+  const source = intakeSourceService.get(req.params.name);
+  if (!source) {
+    return res.status(404).json({ success: false, error: 'Intake source not found' });
+  }
+  if (!source.isEnabled()) {
+    return res.status(409).json({ success: false, error: `Intake source "${source.name}" is not configured` });
+  }
+
+  await source.start();
+  res.json({ success: true, data: source.getStatus() });
+}));
+
+// Stop an intake source
+router.post('/:name/stop', asyncHandler(async (req, res) => {
+  const source = intakeSourceService.get(req.params.name);
+  if (!source) {
+    return res.status(404).json({ success: false, error: 'Intake source not found' });
+  }
+
+  await source.stop();
+  res.json({ success: true, data: source.getStatus() });
+}));
+
+export default router;
@@ -1,5 +1,5 @@
 import { Router } from 'express';
-import { jobService } from '../services/index.js';
+import { jobService, ocrService } from '../services/index.js';
 import { asyncHandler } from '../middleware/asyncHandler.js';
 
 const router = Router();
@@ -16,9 +16,9 @@ router.get('/', asyncHandler(async (req, res) => {
   res.json({ success: true, data: jobs });
 }));
 
-// Set active job (book, chapter, and item_type)
+// Set active job (book, chapter, item_type and optional ocr_provider)
 router.post('/active', asyncHandler(async (req, res) => {
-  const { book_id, chapter_id, item_type } = req.body;
+  const { book_id, chapter_id, item_type, ocr_provider } = req.body;
 
   if (!book_id || !chapter_id) {
     return res.status(400).json({
@@ -35,13 +35,20 @@ router.post('/active', asyncHandler(async (req, res) => {
     });
   }
 
-  const job = await jobService.setActiveJob(book_id, chapter_id, item_type || 'question');
+  const providerError = ocr_provider && ocrService.validate(ocr_provider);
+  if (providerError) {
+    return res.status(400).json({ success: false, error: providerError });
+  }
+
+  const job = await jobService.setActiveJob(book_id, chapter_id, item_type || 'question', {
+    ocrProvider: ocr_provider === undefined ? undefined : ocr_provider || null,
+  });
   res.json({ success: true, data: job });
 }));
 
 // Update active job
 router.put('/active', asyncHandler(async (req, res) => {
-  const { book_id, chapter_id, item_type } = req.body;
+  const { book_id, chapter_id, item_type, ocr_provider } = req.body;
 
   if (!book_id || !chapter_id) {
     return res.status(400).json({
@@ -58,7 +65,14 @@ router.put('/active', asyncHandler(async (req, res) => {
     });
   }
 
-  const job = await jobService.setActiveJob(book_id, chapter_id, item_type || 'question');
+  const providerError = ocr_provider && ocrService.validate(ocr_provider);
+  if (providerError) {
+    return res.status(400).json({ success: false, error: providerError });
+  }
+
+  const job = await jobService.setActiveJob(book_id, chapter_id, item_type || 'question', {
+    ocrProvider: ocr_provider === undefined ? undefined : ocr_provider || null,
+  });
   res.json({ success: true, data: job });
 }));
 
@@ -3,7 +3,7 @@ import fs from 'fs/promises';
 import path from 'path';
 import https from 'https';
 import http from 'http';
-import { lessonsService } from '../services/index.js';
+import { lessonsService, imageRehostService } from '../services/index.js';
 import { asyncHandler } from '../middleware/asyncHandler.js';
 
 /**
@@ -410,7 +410,13 @@ router.post('/create-folders', asyncHandler(async (req, res) => {
           const visualPath = item.question_solution_item_json?.visual_path;
           if (visualPath && typeof visualPath === 'string' && visualPath.trim()) {
             const visualDestPath = path.join(itemFolderPath, 'visual.png');
-            const downloaded = await downloadImage(visualPath.trim(), visualDestPath);
+            // Images copied from OCR output are read from storage rather than over HTTP
+            const imageName = imageRehostService.nameFromUrl(visualPath.trim());
+            const image = imageName && await imageRehostService.read(imageName);
+            if (image) {
+              await fs.writeFile(visualDestPath, image.content);
+            }
+            const downloaded = !!image || await downloadImage(visualPath.trim(), visualDestPath);
             if (downloaded) {
               filesCreated.push('visual.png');
             }
@@ -0,0 +1,12 @@
+import { Router } from 'express';
+import { ocrService } from '../services/index.js';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+
+const router = Router();
+
+// Get the OCR providers, whether they are configured, and the default in use
+router.get('/providers', asyncHandler(async (req, res) => {
+  res.json({ success: true, data: ocrService.getStatus() });
+}));
+
+export default router;
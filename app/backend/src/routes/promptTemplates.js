@@ -0,0 +1,70 @@
+import { Router } from 'express';
+import { promptTemplateService, EXTRACTION_KINDS } from '../services/index.js';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+
+const router = Router();
+
+const validKinds = Object.values(EXTRACTION_KINDS);
+
+// Get prompt template versions
+// query: kind (questions, solutions), source_type, active (true = active versions only)
+router.get('/', asyncHandler(async (req, res) => {
+  const { kind, source_type, active } = req.query;
+
+  if (kind && !validKinds.includes(kind)) {
+    return res.status(400).json({ success: false, error: `kind must be one of: ${validKinds.join(', ')}` });
+  }
+
+  const templates = await promptTemplateService.getAll({
+    kind: kind || null,
+    sourceType: source_type || null,
+    activeOnly: active === 'true',
+  });
+  res.json({ success: true, data: templates });
+}));
+
+// Get source types sets can be extracted as (must be before /:id routes)
+// query: kind (questions, solutions); without it, types with a template of either kind
+router.get('/source-types', asyncHandler(async (req, res) => {
+  const { kind } = req.query;
+
+  if (kind && !validKinds.includes(kind)) {
+    return res.status(400).json({ success: false, error: `kind must be one of: ${validKinds.join(', ')}` });
+  }
+
+  const sourceTypes = await promptTemplateService.getSourceTypes(kind || null);
+  res.json({ success: true, data: sourceTypes });
+}));
+
+// Get prompt template version by ID
+router.get('/:id', asyncHandler(async (req, res) => {
+  const template = await promptTemplateService.findById(req.params.id);
+  if (!template) {
+    return res.status(404).json({ success: false, error: 'Prompt template not found' });
+  }
+  res.json({ success: true, data: template });
+}));
+
+// Save a new version of a template; a new source_type creates the template at version 1
+// body: kind, source_type, instructions, notes, activate (default true)
+router.post('/', asyncHandler(async (req, res) => {
+  const { kind, source_type, instructions, notes, activate } = req.body;
+
+  if (activate !== undefined && typeof activate !== 'boolean') {
+    return res.status(400).json({ success: false, error: 'activate must be a boolean' });
+  }
+
+  const template = await promptTemplateService.createVersion({ kind, source_type, instructions, notes, activate });
+  res.status(201).json({ success: true, data: template });
+}));
+
+// Make a version the active one of its template (e.g. roll back)
+router.post('/:id/activate', asyncHandler(async (req, res) => {
+  const template = await promptTemplateService.activate(req.params.id);
+  if (!template) {
+    return res.status(404).json({ success: false, error: 'Prompt template not found' });
+  }
+  res.json({ success: true, data: template });
+}));
+
+export default router;
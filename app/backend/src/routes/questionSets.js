@@ -1,6 +1,7 @@
 import { Router } from 'express';
-import { questionExtractionService, EXTRACTION_PROVIDERS } from '../services/index.js';
+import { questionExtractionService, extractionProviderService, promptTemplateService, EXTRACTION_KINDS, taskService, TASK_TYPES } from '../services/index.js';
 import { asyncHandler } from '../middleware/asyncHandler.js';
+import { normalizeLabels, expandLabelRange, MAX_RANGE_LABELS } from '../utils/labelSlice.js';
 
 const router = Router();
 
@@ -96,6 +97,15 @@ router.get('/:id/status', asyncHandler(async (req, res) => {
   });
 }));
 
+// Get the extraction quality report (label gaps, duplicates, per-entry warnings)
+router.get('/:id/report', asyncHandler(async (req, res) => {
+  const report = await questionExtractionService.getReport(req.params.id);
+  if (!report) {
+    return res.status(404).json({ success: false, error: 'Question set not found' });
+  }
+  res.json({ success: true, data: report });
+}));
+
 // Create question set and start extraction
 router.post('/extract', asyncHandler(async (req, res) => {
   const { item_ids, name, type, provider } = req.body;
@@ -107,8 +117,8 @@ router.post('/extract', asyncHandler(async (req, res) => {
     });
   }
 
-  // Validate type if provided
-  const validTypes = ['Question Bank', 'Academic Book'];
+  // Validate type if provided: a source type with an active prompt template
+  const validTypes = await promptTemplateService.getSourceTypes(EXTRACTION_KINDS.QUESTIONS);
   if (type && !validTypes.includes(type)) {
     return res.status(400).json({
       success: false,
@@ -116,25 +126,87 @@ router.post('/extract', asyncHandler(async (req, res) => {
     });
   }
 
-  // Validate provider if provided
-  const validProviders = Object.values(EXTRACTION_PROVIDERS);
-  const extractionProvider = provider || EXTRACTION_PROVIDERS.LLAMAPARSE;
-  if (provider && !validProviders.includes(provider)) {
+  // Validate provider; without one the default extraction provider is used
+  const extractionProvider = provider || extractionProviderService.resolve().name;
+  const providerError = extractionProviderService.validate(extractionProvider, EXTRACTION_KINDS.QUESTIONS);
+  if (providerError) {
     return res.status(400).json({
       success: false,
-      error: `provider must be one of: ${validProviders.join(', ')}`,
+      error: providerError,
     });
   }
 
   // Create the question set
   const questionSet = await questionExtractionService.createQuestionSet(item_ids, { name, type });
 
-  // Start extraction asynchronously (don't wait)
-  questionExtractionService.extractQuestions(questionSet.id, extractionProvider).catch((err) => {
-    console.error('Extraction error:', err);
+  // Extraction runs on the task queue
+  const task = await taskService.enqueue(TASK_TYPES.QUESTION_EXTRACTION, {
+    question_set_id: questionSet.id,
+    provider: extractionProvider,
+  });
+
+  res.status(201).json({ success: true, data: { ...questionSet, task_id: task.id } });
+}));
+
+// Re-extract some questions of a set from their part of the source LaTeX, keeping the rest
+// body: labels (e.g. ["3", "7", "2.4"]) or from and to (a label range, e.g. 3 to 6 or 2.3 to 2.7), provider
+router.post('/:id/reextract', asyncHandler(async (req, res) => {
+  const { labels, from, to, provider } = req.body;
+
+  let selected = null;
+  if (labels !== undefined) {
+    if (!Array.isArray(labels) || labels.length === 0 || labels.length > MAX_RANGE_LABELS) {
+      return res.status(400).json({
+        success: false,
+        error: `labels must be an array of 1 to ${MAX_RANGE_LABELS} labels`,
+      });
+    }
+    selected = normalizeLabels(labels);
+  } else if (from !== undefined && to !== undefined) {
+    selected = expandLabelRange(from, to);
+  } else {
+    return res.status(400).json({
+      success: false,
+      error: 'labels or from and to are required',
+    });
+  }
+
+  if (!selected) {
+    return res.status(400).json({
+      success: false,
+      error: `labels must be question numbers (e.g. 12, 3a or 2.4), and a range at most ${MAX_RANGE_LABELS} labels from low to high, differing only in its last number`,
+    });
+  }
+
+  const questionSet = await questionExtractionService.findById(req.params.id);
+  if (!questionSet) {
+    return res.status(404).json({ success: false, error: 'Question set not found' });
+  }
+  if (questionSet.status !== 'completed') {
+    return res.status(409).json({
+      success: false,
+      error: `Question set is ${questionSet.status}; questions can be re-extracted once extraction completes`,
+    });
+  }
+
+  // Validate provider; without one the default extraction provider is used
+  const extractionProvider = provider || extractionProviderService.resolve().name;
+  const providerError = extractionProviderService.validate(extractionProvider, EXTRACTION_KINDS.QUESTIONS);
+  if (providerError) {
+    return res.status(400).json({
+      success: false,
+      error: providerError,
+    });
+  }
+
+  // Re-extraction runs on the task queue, like extraction
+  const task = await taskService.enqueue(TASK_TYPES.QUESTION_EXTRACTION, {
+    question_set_id: questionSet.id,
+    provider: extractionProvider,
+    labels: selected,
   });
 
-  res.status(201).json({ success: true, data: questionSet });
+  res.status(202).json({ success: true, data: { question_set_id: questionSet.id, labels: selected, task_id: task.id } });
 }));
 
 // Delete question set
@@ -1,10 +1,16 @@
 import { Router } from 'express';
 import multer from 'multer';
-import { scannedItemService } from '../services/index.js';
+import { scannedItemService, ocrService, OCR_OUTPUT_FORMATS } from '../services/index.js';
 import { asyncHandler } from '../middleware/asyncHandler.js';
+import { decodeImageContent } from '../utils/images.js';
+import { detectArchiveKind } from '../utils/archives.js';
+import { isPdf } from '../utils/pdf.js';
 
 const router = Router();
 
+// Most files accepted by one batch upload
+const MAX_BATCH_FILES = 50;
+
 // Configure multer for memory storage (files stored in buffer)
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -12,11 +18,11 @@ const upload = multer({
     fileSize: 50 * 1024 * 1024, // 50MB limit
   },
   fileFilter: (req, file, cb) => {
-    // Only allow PDF files
-    if (file.mimetype === 'application/pdf') {
+    // Only allow PDF files and ZIP/tar.gz archives of PDFs
+    if (file.mimetype === 'application/pdf' || detectArchiveKind(file.originalname, file.mimetype)) {
       cb(null, true);
     } else {
-      cb(new Error('Only PDF files are allowed'), false);
+      cb(new Error('Only PDF files or ZIP/tar.gz archives are allowed'), false);
     }
   },
 });
@@ -51,68 +57,30 @@ router.get('/:id/pdf', asyncHandler(async (req, res) => {
   }
 
   const filename = item.item_data || 'document.pdf';
-  console.log(`[PDF] Fetching PDF for item ${req.params.id}, scan_type: ${item.scan_type}, has content: ${!!item.content}, content type: ${typeof item.content}`);
+  console.log(`[PDF] Fetching PDF for item ${req.params.id}, scan_type: ${item.scan_type}, storage: ${item.storage_key || (item.content ? 'legacy content' : 'none')}`);
 
-  // If content is stored as binary (BYTEA for email attachments)
-  // Supabase returns BYTEA as base64 string or hex format
-  if (item.content) {
+  // Stored PDFs (storage backend, or the legacy content column for rows not yet migrated)
+  if (item.storage_key || item.content) {
+    let pdfBuffer;
     try {
-      let pdfBuffer;
-      if (Buffer.isBuffer(item.content)) {
-        pdfBuffer = item.content;
-      } else if (typeof item.content === 'string') {
-        // Check if it's hex format (starts with \x)
-        if (item.content.startsWith('\\x')) {
-          const hexString = item.content.slice(2);
-          const decodedFromHex = Buffer.from(hexString, 'hex');
-
-          // Check if the hex-decoded content is base64-encoded PDF
-          // Base64-encoded PDF starts with "JVBER" (which is "%PDF" in base64)
-          const hexDecodedStr = decodedFromHex.toString('utf8');
-          if (hexDecodedStr.startsWith('JVBER')) {
-            console.log(`[PDF] Detected double-encoding: hex -> base64. Decoding base64...`);
-            pdfBuffer = Buffer.from(hexDecodedStr, 'base64');
-          } else {
-            // Direct hex to binary
-            pdfBuffer = decodedFromHex;
-          }
-        } else if (item.content.startsWith('JVBER')) {
-          // Direct base64-encoded PDF (starts with "JVBER" = "%PDF" in base64)
-          console.log(`[PDF] Detected base64-encoded PDF`);
-          pdfBuffer = Buffer.from(item.content, 'base64');
-        } else {
-          // Supabase returns BYTEA as base64 string
-          pdfBuffer = Buffer.from(item.content, 'base64');
-        }
-      } else if (item.content instanceof Uint8Array) {
-        pdfBuffer = Buffer.from(item.content);
-      } else if (typeof item.content === 'object' && item.content.type === 'Buffer' && Array.isArray(item.content.data)) {
-        // Handle JSON-serialized Buffer: {type: "Buffer", data: [...]}
-        console.log(`[PDF] Handling JSON-serialized Buffer format`);
-        pdfBuffer = Buffer.from(item.content.data);
-      } else {
-        throw new Error(`Unknown content format: ${typeof item.content}`);
-      }
-
-      // Verify it looks like a PDF (starts with %PDF)
-      const header = pdfBuffer.slice(0, 4).toString('utf8');
-      console.log(`[PDF] Buffer size: ${pdfBuffer.length}, header: "${header}"`);
-
-      if (header !== '%PDF') {
-        console.error(`[PDF] Invalid PDF header: "${header}" (expected "%PDF"). First 20 bytes: ${pdfBuffer.slice(0, 20).toString('hex')}`);
-        return res.status(400).json({
-          success: false,
-          error: `Invalid PDF structure. The file does not appear to be a valid PDF (header: "${header}").`
-        });
-      }
-
-      res.setHeader('Content-Type', 'application/pdf');
-      res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
-      return res.send(pdfBuffer);
+      pdfBuffer = await scannedItemService.getPdfContent(item);
     } catch (error) {
-      console.error(`[PDF] Error decoding content:`, error);
-      return res.status(400).json({ success: false, error: `Failed to decode PDF content: ${error.message}` });
+      console.error(`[PDF] Error reading content:`, error);
+      return res.status(400).json({ success: false, error: `Failed to read PDF content: ${error.message}` });
     }
+
+    if (!isPdf(pdfBuffer)) {
+      const header = pdfBuffer.subarray(0, 4).toString('utf8');
+      console.error(`[PDF] Invalid PDF header: "${header}" (expected "%PDF"). First 20 bytes: ${pdfBuffer.subarray(0, 20).toString('hex')}`);
+      return res.status(400).json({
+        success: false,
+        error: `Invalid PDF structure. The file does not appear to be a valid PDF (header: "${header}").`
+      });
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+    return res.send(pdfBuffer);
   }
 
   // If item_data is a URL, redirect to it
@@ -140,6 +108,57 @@ router.get('/:id/pdf', asyncHandler(async (req, res) => {
   return res.status(404).json({ success: false, error: 'No PDF content available' });
 }));
 
+// List source images for an image-backed scanned item
+router.get('/:id/images', asyncHandler(async (req, res) => {
+  const images = await scannedItemService.getImages(req.params.id);
+  res.json({ success: true, data: images });
+}));
+
+// Get a source image by position for viewing
+router.get('/:id/images/:position', asyncHandler(async (req, res) => {
+  const position = parseInt(req.params.position, 10);
+  if (Number.isNaN(position)) {
+    return res.status(400).json({ success: false, error: 'position must be an integer' });
+  }
+
+  const image = await scannedItemService.getImage(req.params.id, position);
+  if (!image) {
+    return res.status(404).json({ success: false, error: 'Image not found' });
+  }
+
+  const imageBuffer = decodeImageContent(image.content);
+  res.setHeader('Content-Type', image.content_type || 'image/jpeg');
+  res.setHeader('Content-Disposition', `inline; filename="${image.filename || `image-${position + 1}.jpg`}"`);
+  res.setHeader('Content-Length', imageBuffer.length);
+  return res.send(imageBuffer);
+}));
+
+// Get a stored OCR output of an item: tex, mmd or lines.json (per-page lines with positions)
+router.get('/:id/outputs/:format', asyncHandler(async (req, res) => {
+  const { format } = req.params;
+  if (!OCR_OUTPUT_FORMATS[format]) {
+    return res.status(400).json({
+      success: false,
+      error: `format must be one of: ${Object.keys(OCR_OUTPUT_FORMATS).join(', ')}`,
+    });
+  }
+
+  const item = await scannedItemService.findById(req.params.id);
+  if (!item) {
+    return res.status(404).json({ success: false, error: 'Scanned item not found' });
+  }
+
+  const output = await ocrService.getOutput(item, format);
+  if (!output) {
+    return res.status(404).json({ success: false, error: `No ${format} output for this item` });
+  }
+
+  res.setHeader('Content-Type', output.contentType);
+  res.setHeader('Content-Disposition', `inline; filename="${item.id}.${OCR_OUTPUT_FORMATS[format].extension}"`);
+  res.setHeader('Content-Length', output.content.length);
+  return res.send(output.content);
+}));
+
 // Create scanned item (uses active job's book/chapter)
 router.post('/', asyncHandler(async (req, res) => {
   const { item_data, scan_type, status, metadata } = req.body;
@@ -178,20 +197,126 @@ router.post('/manual', asyncHandler(async (req, res) => {
 }));
 
 // Upload PDF file (uses active job's book/chapter)
+// form field ocr_provider optionally picks the OCR provider for the new items
 router.post('/upload', upload.single('file'), asyncHandler(async (req, res) => {
   if (!req.file) {
     return res.status(400).json({ success: false, error: 'No PDF file uploaded' });
   }
 
+  const ocrProvider = req.body?.ocr_provider || null;
+  const providerError = ocrProvider && ocrService.validate(ocrProvider);
+  if (providerError) {
+    return res.status(400).json({ success: false, error: providerError });
+  }
+
+  // Archives create one scanned item per contained PDF
+  if (detectArchiveKind(req.file.originalname, req.file.mimetype)) {
+    const { items, rejected } = await scannedItemService.createFromArchiveUpload({
+      filename: req.file.originalname,
+      buffer: req.file.buffer,
+      mimetype: req.file.mimetype,
+      ocrProvider,
+    });
+    return res.status(201).json({ success: true, data: items, archive: req.file.originalname, rejected });
+  }
+
   const item = await scannedItemService.createWithFileUpload({
     filename: req.file.originalname,
     buffer: req.file.buffer,
     mimetype: req.file.mimetype,
+    ocrProvider,
   });
 
+  // A linked duplicate returns the existing item rather than creating one
+  res.status(item.duplicate ? 200 : 201).json({ success: true, data: item });
+}));
+
+// Upload several PDFs/archives as one ordered batch (uses active job's book/chapter)
+// Files are created in the order they appear in the form; one result is returned per file
+router.post('/upload/batch', upload.array('files', MAX_BATCH_FILES), asyncHandler(async (req, res) => {
+  if (!req.files?.length) {
+    return res.status(400).json({ success: false, error: 'No files uploaded' });
+  }
+
+  const ocrProvider = req.body?.ocr_provider || null;
+  const providerError = ocrProvider && ocrService.validate(ocrProvider);
+  if (providerError) {
+    return res.status(400).json({ success: false, error: providerError });
+  }
+
+  const batch = await scannedItemService.createBatchUpload(req.files.map((file) => ({
+    filename: file.originalname,
+    buffer: file.buffer,
+    mimetype: file.mimetype,
+  })), { ocrProvider });
+
+  res.status(201).json({ success: true, data: batch });
+}));
+
+// Retry every failed OCR conversion in a chapter (queued as background tasks)
+// body: { chapter_id, item_type?, ocr_provider? }
+router.post('/retry-failed', asyncHandler(async (req, res) => {
+  const { chapter_id, item_type, ocr_provider } = req.body || {};
+
+  if (!chapter_id) {
+    return res.status(400).json({ success: false, error: 'chapter_id is required' });
+  }
+
+  const providerError = ocr_provider && ocrService.validate(ocr_provider);
+  if (providerError) {
+    return res.status(400).json({ success: false, error: providerError });
+  }
+
+  const result = await scannedItemService.retryFailedConversions(chapter_id, {
+    itemType: item_type,
+    ocrProvider: ocr_provider || null,
+  });
+  res.status(202).json({ success: true, data: result });
+}));
+
+// Convert one item again; body.ocr_provider optionally switches its OCR provider
+router.post('/:id/convert', asyncHandler(async (req, res) => {
+  const { ocr_provider } = req.body || {};
+
+  const providerError = ocr_provider && ocrService.validate(ocr_provider);
+  if (providerError) {
+    return res.status(400).json({ success: false, error: providerError });
+  }
+
+  const item = await scannedItemService.retryConversion(req.params.id, { ocrProvider: ocr_provider || null });
+  res.status(202).json({ success: true, data: item });
+}));
+
+// Merge scanned items into one PDF, in the order given
+// body: { item_ids, item_type?, chapter_id?, book_id?, filename?, archive_sources? }
+router.post('/merge', asyncHandler(async (req, res) => {
+  const { item_ids, item_type, chapter_id, book_id, filename, archive_sources } = req.body || {};
+
+  if (!Array.isArray(item_ids) || item_ids.length < 2) {
+    return res.status(400).json({ success: false, error: 'item_ids must list at least two scanned items' });
+  }
+
+  const item = await scannedItemService.merge(item_ids, {
+    target: { item_type, chapter_id, book_id },
+    filename,
+    archiveSources: archive_sources === true,
+  });
   res.status(201).json({ success: true, data: item });
 }));
 
+// Split a scanned item into new items by page range
+// body: { parts: [{ pages: "1-3", item_type?, chapter_id?, book_id? }], archive_source? }
+router.post('/:id/split', asyncHandler(async (req, res) => {
+  const { parts, archive_source } = req.body || {};
+
+  if (!Array.isArray(parts) || parts.length === 0 || parts.some((part) => !part?.pages)) {
+    return res.status(400).json({ success: false, error: 'parts must be a non-empty array, each with pages (e.g. "1-3,5")' });
+  }
+
+  const items = await scannedItemService.split(req.params.id, parts, { archiveSource: archive_source === true });
+  res.status(201).json({ success: true, data: items });
+}));
+
 // Update scanned item
 router.put('/:id', asyncHandler(async (req, res) => {
   const { item_data, scan_type, status, metadata } = req.body;
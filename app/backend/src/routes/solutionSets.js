@@ -1,6 +1,7 @@
 import { Router } from 'express';
-import { solutionExtractionService, SOLUTION_EXTRACTION_PROVIDERS } from '../services/index.js';
+import { solutionExtractionService, extractionProviderService, promptTemplateService, EXTRACTION_KINDS, taskService, TASK_TYPES } from '../services/index.js';
 import { asyncHandler } from '../middleware/asyncHandler.js';
+import { normalizeLabels, expandLabelRange, MAX_RANGE_LABELS } from '../utils/labelSlice.js';
 
 const router = Router();
 
@@ -80,6 +81,15 @@ router.get('/:id/status', asyncHandler(async (req, res) => {
   });
 }));
 
+// Get the extraction quality report (label gaps, duplicates, per-entry warnings)
+router.get('/:id/report', asyncHandler(async (req, res) => {
+  const report = await solutionExtractionService.getReport(req.params.id);
+  if (!report) {
+    return res.status(404).json({ success: false, error: 'Solution set not found' });
+  }
+  res.json({ success: true, data: report });
+}));
+
 // Create solution set and start extraction
 router.post('/extract', asyncHandler(async (req, res) => {
   const { item_ids, name, type, question_set_id, provider } = req.body;
@@ -91,8 +101,8 @@ router.post('/extract', asyncHandler(async (req, res) => {
     });
   }
 
-  // Validate type if provided
-  const validTypes = ['Question Bank', 'Academic Book'];
+  // Validate type if provided: a source type with an active prompt template
+  const validTypes = await promptTemplateService.getSourceTypes(EXTRACTION_KINDS.SOLUTIONS);
   if (type && !validTypes.includes(type)) {
     return res.status(400).json({
       success: false,
@@ -100,25 +110,26 @@ router.post('/extract', asyncHandler(async (req, res) => {
     });
   }
 
-  // Validate provider if provided
-  const validProviders = Object.values(SOLUTION_EXTRACTION_PROVIDERS);
-  const extractionProvider = provider || SOLUTION_EXTRACTION_PROVIDERS.LLAMAPARSE;
-  if (provider && !validProviders.includes(provider)) {
+  // Validate provider; without one the default extraction provider is used
+  const extractionProvider = provider || extractionProviderService.resolve().name;
+  const providerError = extractionProviderService.validate(extractionProvider, EXTRACTION_KINDS.SOLUTIONS);
+  if (providerError) {
     return res.status(400).json({
       success: false,
-      error: `provider must be one of: ${validProviders.join(', ')}`,
+      error: providerError,
     });
   }
 
   // Create the solution set
   const solutionSet = await solutionExtractionService.createSolutionSet(item_ids, { name, type, question_set_id });
 
-  // Start extraction asynchronously (don't wait)
-  solutionExtractionService.extractSolutions(solutionSet.id, extractionProvider).catch((err) => {
-    console.error('Solution extraction error:', err);
+  // Extraction runs on the task queue
+  const task = await taskService.enqueue(TASK_TYPES.SOLUTION_EXTRACTION, {
+    solution_set_id: solutionSet.id,
+    provider: extractionProvider,
   });
 
-  res.status(201).json({ success: true, data: solutionSet });
+  res.status(201).json({ success: true, data: { ...solutionSet, task_id: task.id } });
 }));
 
 // Link solution set to a question set
@@ -136,6 +147,67 @@ router.post('/:id/link', asyncHandler(async (req, res) => {
   res.json({ success: true, data: solutionSet });
 }));
 
+// Re-extract some solutions of a set from their part of the source LaTeX, keeping the rest
+// body: labels (e.g. ["3", "7", "2.4"]) or from and to (a label range, e.g. 3 to 6 or 2.3 to 2.7), provider
+router.post('/:id/reextract', asyncHandler(async (req, res) => {
+  const { labels, from, to, provider } = req.body;
+
+  let selected = null;
+  if (labels !== undefined) {
+    if (!Array.isArray(labels) || labels.length === 0 || labels.length > MAX_RANGE_LABELS) {
+      return res.status(400).json({
+        success: false,
+        error: `labels must be an array of 1 to ${MAX_RANGE_LABELS} labels`,
+      });
+    }
+    selected = normalizeLabels(labels);
+  } else if (from !== undefined && to !== undefined) {
+    selected = expandLabelRange(from, to);
+  } else {
+    return res.status(400).json({
+      success: false,
+      error: 'labels or from and to are required',
+    });
+  }
+
+  if (!selected) {
+    return res.status(400).json({
+      success: false,
+      error: `labels must be solution numbers (e.g. 12 or 3a), and a range at most ${MAX_RANGE_LABELS} labels from low to high`,
+    });
+  }
+
+  const solutionSet = await solutionExtractionService.findById(req.params.id);
+  if (!solutionSet) {
+    return res.status(404).json({ success: false, error: 'Solution set not found' });
+  }
+  if (solutionSet.status !== 'completed') {
+    return res.status(409).json({
+      success: false,
+      error: `Solution set is ${solutionSet.status}; solutions can be re-extracted once extraction completes`,
+    });
+  }
+
+  // Validate provider; without one the default extraction provider is used
+  const extractionProvider = provider || extractionProviderService.resolve().name;
+  const providerError = extractionProviderService.validate(extractionProvider, EXTRACTION_KINDS.SOLUTIONS);
+  if (providerError) {
+    return res.status(400).json({
+      success: false,
+      error: providerError,
+    });
+  }
+
+  // Re-extraction runs on the task queue, like extraction
+  const task = await taskService.enqueue(TASK_TYPES.SOLUTION_EXTRACTION, {
+    solution_set_id: solutionSet.id,
+    provider: extractionProvider,
+    labels: selected,
+  });
+
+  res.status(202).json({ success: true, data: { solution_set_id: solutionSet.id, labels: selected, task_id: task.id } });
+}));
+
 // Delete solution set
 router.delete('/:id', asyncHandler(async (req, res) => {
   await solutionExtractionService.delete(req.params.id);
@@ -0,0 +1,81 @@
+import { Router } from 'express';
+import { taskService, TASK_STATUSES } from '../services/index.js';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+
+const router = Router();
+
+// Get background tasks (newest first)
+// query: status, type, scanned_item_id, question_set_id, solution_set_id, limit
+router.get('/', asyncHandler(async (req, res) => {
+  const { status, type, scanned_item_id, question_set_id, solution_set_id, limit } = req.query;
+
+  if (status && !Object.values(TASK_STATUSES).includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: `status must be one of: ${Object.values(TASK_STATUSES).join(', ')}`,
+    });
+  }
+
+  const payload = {
+    ...(scanned_item_id && { scanned_item_id }),
+    ...(question_set_id && { question_set_id }),
+    ...(solution_set_id && { solution_set_id }),
+  };
+
+  const tasks = await taskService.getAll({
+    status,
+    type,
+    payload: Object.keys(payload).length > 0 ? payload : undefined,
+    limit: limit ? Math.min(parseInt(limit, 10) || 100, 500) : undefined,
+  });
+  res.json({ success: true, data: tasks });
+}));
+
+// Get queue counts and the status of this process's worker
+router.get('/status', asyncHandler(async (req, res) => {
+  res.json({ success: true, data: await taskService.getStatus() });
+}));
+
+// Queue a task, e.g. { type: 'reverse_sync', payload: { target: 'all' } }
+router.post('/', asyncHandler(async (req, res) => {
+  const { type, payload, priority, max_attempts } = req.body || {};
+
+  if (!type) {
+    return res.status(400).json({ success: false, error: 'type is required' });
+  }
+
+  const task = await taskService.enqueue(type, payload || {}, {
+    priority: Number.isInteger(priority) ? priority : 0,
+    maxAttempts: Number.isInteger(max_attempts) && max_attempts > 0 ? max_attempts : null,
+  });
+  res.status(201).json({ success: true, data: task });
+}));
+
+// Get task by ID
+router.get('/:id', asyncHandler(async (req, res) => {
+  const task = await taskService.findById(req.params.id);
+  if (!task) {
+    return res.status(404).json({ success: false, error: 'Task not found' });
+  }
+  res.json({ success: true, data: task });
+}));
+
+// Cancel a queued or running task
+router.post('/:id/cancel', asyncHandler(async (req, res) => {
+  const task = await taskService.cancel(req.params.id);
+  if (!task) {
+    return res.status(404).json({ success: false, error: 'Task not found' });
+  }
+  res.json({ success: true, data: task });
+}));
+
+// Queue a failed or cancelled task again
+router.post('/:id/retry', asyncHandler(async (req, res) => {
+  const task = await taskService.retry(req.params.id);
+  if (!task) {
+    return res.status(404).json({ success: false, error: 'Task not found' });
+  }
+  res.json({ success: true, data: task });
+}));
+
+export default router;
@@ -0,0 +1,79 @@
+import { Router } from 'express';
+import { usageService, USAGE_PROVIDERS, USAGE_GROUPS } from '../services/index.js';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+
+const router = Router();
+
+// Check the provider and from/to query params shared by the usage endpoints; returns an error message or null
+function validateFilters({ provider, from, to }) {
+  if (provider && !Object.values(USAGE_PROVIDERS).includes(provider)) {
+    return `provider must be one of: ${Object.values(USAGE_PROVIDERS).join(', ')}`;
+  }
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (value && Number.isNaN(new Date(value).getTime())) {
+      return `${name} must be a date, e.g. 2026-10-01`;
+    }
+  }
+  return null;
+}
+
+// Get API usage and estimated cost, summed per group
+// query: group_by (comma list of month, provider, book, chapter; default month,provider),
+//        from, to (dates, to is exclusive), provider, book_id, chapter_id
+router.get('/', asyncHandler(async (req, res) => {
+  const { group_by, from, to, provider, book_id, chapter_id } = req.query;
+
+  const groupBy = group_by ? group_by.split(',').map((g) => g.trim()).filter(Boolean) : ['month', 'provider'];
+  const unknown = groupBy.filter((g) => !USAGE_GROUPS.includes(g));
+  if (unknown.length > 0) {
+    return res.status(400).json({ success: false, error: `group_by must be made of: ${USAGE_GROUPS.join(', ')}` });
+  }
+
+  const invalid = validateFilters({ provider, from, to });
+  if (invalid) {
+    return res.status(400).json({ success: false, error: invalid });
+  }
+
+  const report = await usageService.getReport({
+    groupBy,
+    from: from || null,
+    to: to || null,
+    provider: provider || null,
+    bookId: book_id || null,
+    chapterId: chapter_id || null,
+  });
+  res.json({ success: true, data: report });
+}));
+
+// Get this month's spend against the configured budget caps
+router.get('/budget', asyncHandler(async (req, res) => {
+  res.json({ success: true, data: await usageService.getBudgetStatus() });
+}));
+
+// Get individual metered calls (newest first)
+// query: provider, status, book_id, chapter_id, scanned_item_id, question_set_id, solution_set_id, limit
+router.get('/records', asyncHandler(async (req, res) => {
+  const { provider, status, book_id, chapter_id, scanned_item_id, question_set_id, solution_set_id, limit } = req.query;
+
+  const invalid = validateFilters({ provider });
+  if (invalid) {
+    return res.status(400).json({ success: false, error: invalid });
+  }
+  if (status && !['success', 'error'].includes(status)) {
+    return res.status(400).json({ success: false, error: 'status must be one of: success, error' });
+  }
+
+  const records = await usageService.getRecords({
+    provider,
+    status,
+    bookId: book_id,
+    chapterId: chapter_id,
+    scannedItemId: scanned_item_id,
+    questionSetId: question_set_id,
+    solutionSetId: solution_set_id,
+    limit: limit ? Math.min(parseInt(limit, 10) || 100, 500) : undefined,
+  });
+  res.json({ success: true, data: records });
+}));
+
+export default router;
@@ -3,17 +3,44 @@ import { simpleParser } from 'mailparser';
 import { config } from '../config/index.js';
 import { supabase } from '../config/database.js';
 import { jobService } from './job.service.js';
-import { mathpixService } from './mathpix.service.js';
+import { intakeRuleService } from './intakeRule.service.js';
+import { intakePolicyService } from './intakePolicy.service.js';
+import { inboundMessageService } from './inboundMessage.service.js';
+import { emailOutboundService } from './emailOutbound.service.js';
+import { scannedItemService } from './scannedItem.service.js';
 import { logger } from '../utils/logger.js';
+import { detectImageKind, normalizeImage } from '../utils/images.js';
+import { detectArchiveKind, expandArchive } from '../utils/archives.js';
+
+// Result of processing one email; decides which disposition folder/label it gets
+export const MAIL_OUTCOMES = {
+  PROCESSED: 'processed',
+  SKIPPED: 'skipped',
+  FAILED: 'failed',
+  QUARANTINED: 'quarantined',
+};
 
 export const emailInboundService = {
   imap: null,
   connected: false,
   monitoring: false,
   currentFolder: 'INBOX',
+  currentUidValidity: null,
+  monitoredFolders: [],
+  pollTimer: null,
+  knownFolders: new Set(),
+  stopping: false,
+  reconnectTimer: null,
+  reconnectAttempts: 0,
+  lastError: null,
+  lastConnectedAt: null,
+  syncing: false,
+  syncRequested: false,
 
   /**
    * Connect to IMAP server
+   * Connection loss (network blip, server restart) schedules a reconnect with exponential backoff
+   * until disconnect() is called.
    */
   connect() {
     return new Promise((resolve, reject) => {
@@ -23,46 +50,132 @@ export const emailInboundService = {
         return resolve();
       }
 
+      // A manual connect supersedes a pending backoff attempt
+      if (this.reconnectTimer) {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+      }
+
+      this.stopping = false;
       logger.info('EMAIL', `Connecting to IMAP server: ${config.imap.host}:${config.imap.port}`);
 
-      this.imap = new Imap({
+      const imap = this.createClient({
         user: config.imap.user,
         password: config.imap.password,
         host: config.imap.host,
         port: config.imap.port,
         tls: config.imap.tls,
-        tlsOptions: { rejectUnauthorized: false },
+        tlsOptions: { rejectUnauthorized: config.imap.tlsRejectUnauthorized },
         keepalive: config.imap.keepalive,
         authTimeout: config.imap.authTimeout,
         connTimeout: config.imap.connTimeout,
       });
+      this.imap = imap;
 
-      this.imap.once('ready', () => {
+      let settled = false;
+
+      imap.once('ready', async () => {
         this.connected = true;
+        this.reconnectAttempts = 0;
+        this.lastError = null;
+        this.lastConnectedAt = new Date().toISOString();
         logger.success('EMAIL', 'Connected to IMAP server');
+        settled = true;
         resolve();
+
+        // After a reconnect, resume monitoring and pick up mail that arrived while offline
+        if (this.monitoredFolders.length > 0 && !this.monitoring) {
+          try {
+            await this.startMonitoring(this.monitoredFolders);
+          } catch (err) {
+            logger.error('EMAIL', `Failed to resume monitoring: ${err.message}`);
+          }
+        }
       });
 
-      this.imap.once('error', (err) => {
+      imap.on('error', (err) => {
         logger.error('EMAIL', `Connection error: ${err.message}`);
-        this.connected = false;
-        reject(err);
+        this.lastError = err.message;
+        if (!settled) {
+          settled = true;
+          reject(err);
+        }
       });
 
-      this.imap.once('end', () => {
-        this.connected = false;
+      imap.once('end', () => {
         logger.info('EMAIL', 'Connection ended');
       });
 
-      this.imap.connect();
+      // 'close' fires once the socket is gone, whether after 'end' or 'error'
+      imap.once('close', () => {
+        // Ignore stale instances replaced by a newer connection
+        if (this.imap !== imap) return;
+
+        this.connected = false;
+        this.monitoring = false;
+        this.imap = null;
+        this.currentUidValidity = null;
+        this.knownFolders.clear();
+        this.clearPollTimer();
+
+        if (!this.stopping) {
+          this.scheduleReconnect();
+        }
+      });
+
+      imap.connect();
     });
   },
 
+  /**
+   * IMAP client for one connection (tests put an in-process stand-in here)
+   */
+  createClient(options) {
+    return new Imap(options);
+  },
+
+  /**
+   * Delay before a reconnect attempt: doubles with every failed attempt, up to the maximum
+   * @param {number} attempt - Failed attempts so far
+   */
+  reconnectDelay(attempt) {
+    const { baseDelayMs, maxDelayMs } = config.imap.reconnect;
+    return Math.min(baseDelayMs * 2 ** attempt, maxDelayMs);
+  },
+
+  /**
+   * Schedule a reconnect attempt using exponential backoff
+   */
+  scheduleReconnect() {
+    if (this.reconnectTimer || this.stopping) return;
+
+    const delay = this.reconnectDelay(this.reconnectAttempts);
+    this.reconnectAttempts++;
+
+    logger.warn('EMAIL', `Reconnecting in ${Math.round(delay / 1000)}s (attempt ${this.reconnectAttempts})...`);
+
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+      try {
+        await this.connect();
+      } catch (err) {
+        // The 'close' handler schedules the next attempt
+        logger.error('EMAIL', `Reconnect attempt ${this.reconnectAttempts} failed: ${err.message}`);
+      }
+    }, delay);
+  },
+
   /**
    * Disconnect from IMAP server
    */
   disconnect() {
+    this.stopping = true;
     this.monitoring = false;
+    this.clearPollTimer();
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
     if (this.imap) {
       this.imap.end();
       this.imap = null;
@@ -88,24 +201,34 @@ export const emailInboundService = {
       this.imap.openBox(folder, readOnly, (err, box) => {
         if (err) return reject(err);
         this.currentFolder = folder;
+        this.currentUidValidity = box.uidvalidity;
         resolve(box);
       });
     });
   },
 
   /**
-   * Start monitoring folder for new emails using IMAP IDLE
+   * Start monitoring folders for new emails.
+   * IMAP IDLE only watches the selected mailbox, so the first folder gets IDLE push
+   * and every monitored folder is also swept on a poll interval when there are several.
+   * If not connected yet, monitoring starts as soon as a (re)connect succeeds.
+   * @param {string|string[]} folders - Folder name or list of folder names
    */
-  async startMonitoring(folder = 'INBOX') {
+  async startMonitoring(folders = config.imap.folders) {
+    const folderList = (Array.isArray(folders) ? folders : [folders]).filter(Boolean);
+    this.monitoredFolders = folderList.length > 0 ? folderList : ['INBOX'];
+    const [primaryFolder] = this.monitoredFolders;
+
     if (!this.imap || !this.connected) {
-      logger.warn('EMAIL', 'Cannot start monitoring - not connected');
+      logger.warn('EMAIL', `Not connected - monitoring of ${this.monitoredFolders.join(', ')} will start once connected`);
       return;
     }
 
-    await this.openFolder(folder, false);
+    await this.openFolder(primaryFolder, false);
     this.monitoring = true;
 
-    // Listen for new mail
+    // Listen for new mail (replace any listener left by an earlier startMonitoring call)
+    this.imap.removeAllListeners('mail');
     this.imap.on('mail', async (numNewMsgs) => {
       console.log('');
       logger.info('EMAIL', '┌──────────────────────────────────────────────┐');
@@ -113,13 +236,30 @@ export const emailInboundService = {
       logger.info('EMAIL', '└──────────────────────────────────────────────┘');
 
       try {
-        await this.fetchNewEmails(numNewMsgs, folder);
+        await this.fetchNewEmails();
       } catch (err) {
         logger.error('EMAIL', `Error fetching emails: ${err.message}`);
       }
     });
 
-    logger.info('EMAIL', `IDLE monitoring active on ${folder}`);
+    logger.info('EMAIL', `IDLE monitoring active on ${primaryFolder}`);
+
+    this.clearPollTimer();
+    if (this.monitoredFolders.length > 1) {
+      logger.info('EMAIL', `Polling ${this.monitoredFolders.join(', ')} every ${Math.round(config.imap.pollIntervalMs / 1000)}s`);
+      this.pollTimer = setInterval(() => {
+        this.fetchNewEmails().catch((err) => {
+          logger.error('EMAIL', `Poll failed: ${err.message}`);
+        });
+      }, config.imap.pollIntervalMs);
+    }
+
+    // Catch up on anything that arrived since the last processed UID
+    try {
+      await this.fetchNewEmails();
+    } catch (err) {
+      logger.error('EMAIL', `Catch-up failed: ${err.message}`);
+    }
   },
 
   /**
@@ -127,41 +267,330 @@ export const emailInboundService = {
    */
   stopMonitoring() {
     this.monitoring = false;
+    this.monitoredFolders = [];
+    this.clearPollTimer();
+    if (this.imap) {
+      this.imap.removeAllListeners('mail');
+    }
     logger.info('EMAIL', 'Monitoring stopped');
   },
 
+  clearPollTimer() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  },
+
   /**
-   * Fetch the newest emails
+   * Load the last processed UID watermark for a folder
+   * @returns {Promise<{uid_validity: number, last_uid: number}|null>}
    */
-  async fetchNewEmails(count, folder) {
+  async getWatermark(folder) {
+    const { data, error } = await supabase
+      .from('email_sync_state')
+      .select('uid_validity, last_uid')
+      .eq('mailbox', config.imap.user)
+      .eq('folder', folder)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data;
+  },
+
+  /**
+   * Persist the last processed UID watermark for a folder
+   */
+  async saveWatermark(folder, uidValidity, lastUid) {
+    const { error } = await supabase
+      .from('email_sync_state')
+      .upsert({
+        mailbox: config.imap.user,
+        folder,
+        uid_validity: uidValidity,
+        last_uid: lastUid,
+        updated_at: new Date().toISOString(),
+      }, { onConflict: 'mailbox,folder' });
+
+    if (error) throw error;
+  },
+
+  /**
+   * Search for UIDs matching criteria
+   */
+  searchUids(criteria) {
     return new Promise((resolve, reject) => {
       if (!this.imap) return reject(new Error('Not connected'));
 
-      // Search for recent unseen emails
-      this.imap.search(['UNSEEN'], async (err, uids) => {
+      this.imap.search(criteria, (err, uids) => {
         if (err) return reject(err);
+        resolve(uids || []);
+      });
+    });
+  },
+
+  /**
+   * Fetch and process every unseen email above the persisted UID watermark in each monitored folder.
+   * Used for IDLE 'mail' notifications, the multi-folder poll and the catch-up pass after (re)connecting.
+   */
+  async fetchNewEmails(folders = this.monitoredFolders) {
+    // Coalesce overlapping notifications into one extra pass
+    if (this.syncing) {
+      this.syncRequested = true;
+      return [];
+    }
+
+    this.syncing = true;
+    const processedUids = [];
 
-        if (!uids || uids.length === 0) {
-          logger.info('EMAIL', 'No unseen emails to process');
-          return resolve([]);
+    try {
+      do {
+        this.syncRequested = false;
+        for (const folder of folders) {
+          if (!this.connected) break;
+          if (this.currentFolder !== folder || !this.currentUidValidity) {
+            await this.openFolder(folder, false);
+          }
+          processedUids.push(...await this.processUnseenSinceWatermark(folder));
         }
+      } while (this.syncRequested && this.connected);
+
+      // Return to the primary folder so IDLE keeps watching it
+      const [primaryFolder] = this.monitoredFolders;
+      if (this.connected && primaryFolder && this.currentFolder !== primaryFolder) {
+        await this.openFolder(primaryFolder, false);
+      }
+    } finally {
+      this.syncing = false;
+    }
+
+    return processedUids;
+  },
+
+  async processUnseenSinceWatermark(folder) {
+    if (!this.imap) throw new Error('Not connected');
+
+    const uidValidity = this.currentUidValidity;
+    const watermark = await this.getWatermark(folder);
+
+    // A changed UIDVALIDITY invalidates stored UIDs - start over from all unseen mail
+    let lastUid = 0;
+    if (watermark && Number(watermark.uid_validity) === Number(uidValidity)) {
+      lastUid = Number(watermark.last_uid) || 0;
+    } else if (watermark) {
+      logger.warn('EMAIL', `UIDVALIDITY changed for ${folder} (${watermark.uid_validity} → ${uidValidity}) - resetting watermark`);
+    }
+
+    const criteria = lastUid > 0 ? ['UNSEEN', ['UID', `${lastUid + 1}:*`]] : ['UNSEEN'];
+    // "n:*" always matches the highest UID, so filter explicitly
+    const uids = (await this.searchUids(criteria))
+      .filter((uid) => uid > lastUid)
+      .sort((a, b) => a - b);
+
+    if (uids.length === 0) {
+      logger.info('EMAIL', `No unseen emails to process in ${folder}`);
+      return [];
+    }
 
-        // Take the last 'count' emails
-        const targetUids = uids.slice(-count);
-        logger.info('EMAIL', `Processing ${targetUids.length} unseen email(s)...`);
+    logger.info('EMAIL', `Processing ${uids.length} unseen email(s) in ${folder} since UID ${lastUid}...`);
 
-        for (const uid of targetUids) {
+    const processedUids = [];
+    for (const uid of uids) {
+      let email;
+      try {
+        email = await this.fetchSingleEmail(uid);
+      } catch (fetchErr) {
+        // Most likely the connection dropped; leave the watermark so the catch-up retries
+        logger.error('EMAIL', `Error fetching UID ${uid}: ${fetchErr.message}`);
+        break;
+      }
+
+      const result = await this.processEmailSafely(email, uid);
+
+      await this.saveWatermark(folder, uidValidity, uid);
+      processedUids.push(uid);
+
+      try {
+        const logged = await inboundMessageService.record({
+          mailbox: config.imap.user,
+          folder,
+          uid,
+          uid_validity: uidValidity,
+          email,
+          result,
+        });
+        this.acknowledge(logged, email, result, uid);
+      } catch (logErr) {
+        logger.error('EMAIL', `Failed to log UID ${uid}: ${logErr.message}`);
+      }
+
+      try {
+        await this.applyDisposition(uid, result.outcome);
+      } catch (dispositionErr) {
+        logger.error('EMAIL', `Failed to file UID ${uid} as ${result.outcome}: ${dispositionErr.message}`);
+      }
+    }
+
+    return processedUids;
+  },
+
+  /**
+   * Run processEmail, turning a missing email or a thrown error into a failed/skipped result
+   */
+  async processEmailSafely(email, uid, options = {}) {
+    if (!email) {
+      return { outcome: MAIL_OUTCOMES.SKIPPED, reason: 'No email data received', attachments: [], scannedItemIds: [] };
+    }
+
+    let result;
+    try {
+      result = await this.processEmail(email, options);
+    } catch (processErr) {
+      logger.error('EMAIL', `Error processing UID ${uid}: ${processErr.message}`);
+      result = { outcome: MAIL_OUTCOMES.FAILED, reason: processErr.message, attachments: [], scannedItemIds: [] };
+    }
+
+    return result;
+  },
+
+  /**
+   * Acknowledge a logged email to its sender. Runs in the background so SMTP never
+   * delays the mailbox sync; the replies sent are recorded on the logged message.
+   */
+  acknowledge(logged, email, result, uid) {
+    if (!email) return;
+    emailOutboundService.sendIntakeAcknowledgement(logged, email, result).catch((err) => {
+      logger.error('SMTP', `Failed to acknowledge UID ${uid}: ${err.message}`);
+    });
+  },
+
+  /**
+   * Reprocess a logged inbound message.
+   * The message is looked up by Message-ID in its original folder and, when mail is
+   * moved after ingest, in the disposition folders, then run through intake again.
+   * @param {string} inboundMessageId - inbound_messages.id
+   * @param {object} options - { bypassPolicy } releases a quarantined message despite policy violations
+   * @returns {Promise<object>} - Updated inbound_messages row
+   */
+  async reprocessMessage(inboundMessageId, options = {}) {
+    const logged = await inboundMessageService.findById(inboundMessageId);
+    if (!logged) throw new Error('Inbound message not found');
+    if (!this.connected) throw new Error('Not connected to IMAP server');
+    if (!logged.message_id) throw new Error('Logged message has no Message-ID to look up');
+    if (this.syncing) throw new Error('A mailbox sync is in progress - try again shortly');
+
+    const { mode, folders } = config.imap.disposition;
+    const candidateFolders = [logged.folder];
+    if (mode === 'move') {
+      candidateFolders.push(folders[logged.outcome], ...Object.values(folders));
+    }
+
+    // Block the IDLE/poll sync while another folder is selected
+    this.syncing = true;
+    let result = null;
+    let email = null;
+    let uid = null;
+    try {
+      for (const folder of [...new Set(candidateFolders.filter(Boolean))]) {
+        try {
+          await this.openFolder(folder, false);
+        } catch (err) {
+          logger.warn('EMAIL', `Cannot open ${folder} while reprocessing: ${err.message}`);
+          continue;
+        }
+
+        [uid] = await this.searchUids([['HEADER', 'MESSAGE-ID', logged.message_id]]);
+        if (!uid) continue;
+
+        logger.info('EMAIL', `Reprocessing ${logged.message_id} (UID ${uid} in ${folder})`);
+        email = await this.fetchSingleEmail(uid);
+        result = await this.processEmailSafely(email, uid, options);
+
+        // Re-file under the new outcome unless it is already where it belongs
+        if (mode !== 'none' && folder !== folders[result.outcome]) {
           try {
-            const email = await this.fetchSingleEmail(uid);
-            if (email) {
-              await this.processEmail(email);
-            }
-          } catch (fetchErr) {
-            logger.error('EMAIL', `Error processing UID ${uid}: ${fetchErr.message}`);
+            await this.applyDisposition(uid, result.outcome);
+          } catch (dispositionErr) {
+            logger.error('EMAIL', `Failed to file UID ${uid} as ${result.outcome}: ${dispositionErr.message}`);
           }
         }
+        break;
+      }
+
+      const [primaryFolder] = this.monitoredFolders;
+      if (primaryFolder && this.currentFolder !== primaryFolder) {
+        await this.openFolder(primaryFolder, false);
+      }
+    } finally {
+      this.syncing = false;
+    }
+
+    if (!result) throw new Error(`Message ${logged.message_id} no longer found on the server`);
+
+    const updated = await inboundMessageService.recordReprocess(logged.id, result);
+    // Only sent if the first processing did not acknowledge the message (e.g. it was quarantined)
+    this.acknowledge(updated, email, result, uid);
+
+    // Mail that arrived meanwhile was deferred by the syncing flag
+    if (this.syncRequested) {
+      this.fetchNewEmails().catch((err) => {
+        logger.error('EMAIL', `Deferred sync failed: ${err.message}`);
+      });
+    }
+
+    return updated;
+  },
+
+  /**
+   * File a processed message into the Processed/Skipped/Failed folder (or Gmail label)
+   * for its outcome, according to config.imap.disposition.mode:
+   * - none: leave the message where it is (only \Seen is set)
+   * - move: move it out of the monitored folder
+   * - copy: copy it, leaving the original in place
+   * - label: add a Gmail label via X-GM-LABELS
+   */
+  async applyDisposition(uid, outcome) {
+    const { mode, folders } = config.imap.disposition;
+    const target = folders[outcome];
+    if (mode === 'none' || !target) return;
+
+    if (mode === 'label') {
+      await this.imapCall('addLabels', uid, target);
+    } else {
+      await this.ensureFolder(target);
+      await this.imapCall(mode === 'copy' ? 'copy' : 'move', uid, target);
+    }
 
-        resolve(targetUids);
+    logger.info('EMAIL', `Filed UID ${uid} → ${target} (${mode})`);
+  },
+
+  /**
+   * Create a disposition folder on the server if it does not exist yet
+   */
+  async ensureFolder(folder) {
+    if (this.knownFolders.has(folder)) return;
+
+    try {
+      await this.imapCall('addBox', folder);
+      logger.info('EMAIL', `Created folder ${folder}`);
+    } catch (err) {
+      // Servers answer ALREADYEXISTS (or a free-text equivalent) for existing folders
+      if (!/exist/i.test(err.message)) throw err;
+    }
+
+    this.knownFolders.add(folder);
+  },
+
+  /**
+   * Promisify a callback-style node-imap method on the current connection
+   */
+  imapCall(method, ...args) {
+    return new Promise((resolve, reject) => {
+      if (!this.imap) return reject(new Error('Not connected'));
+
+      this.imap[method](...args, (err, result) => {
+        if (err) return reject(err);
+        resolve(result);
       });
     });
   },
@@ -232,6 +661,11 @@ export const emailInboundService = {
             subject: parsed.subject || '(No subject)',
             from: parsed.from?.value?.[0] || { address: 'unknown' },
             to: parsed.to?.value || [],
+            cc: parsed.cc?.value || [],
+            // Topmost first, as added by the receiving servers
+            authenticationResults: (parsed.headerLines || [])
+              .filter((h) => h.key === 'authentication-results')
+              .map((h) => h.line.replace(/^[^:]*:\s*/, '').replace(/\s+/g, ' ').trim()),
             date: parsed.date || new Date(),
             text: parsed.text,
             html: parsed.html,
@@ -252,26 +686,40 @@ export const emailInboundService = {
   },
 
   /**
-   * Process an email - extract PDF attachments and store in scanned_items
+   * Process an email - extract PDF and image attachments and store in scanned_items
+   * Messages rejected by the intake security policy are quarantined without saving anything.
+   * @param {object} options - { bypassPolicy } to release a quarantined message
+   * @returns {Promise<object>} - { outcome (one of MAIL_OUTCOMES), reason, jobId, attachments, scannedItemIds, policy }
    */
-  async processEmail(email) {
+  async processEmail(email, options = {}) {
     logger.info('EMAIL', '─────────────────────────────────────────────────');
     logger.info('EMAIL', `Subject: "${email.subject}"`);
     logger.info('EMAIL', `From: ${email.from.address}`);
     logger.info('EMAIL', `Date: ${email.date}`);
     logger.info('EMAIL', `Attachments: ${email.attachments.length}`);
 
-    // Get active job
-    const activeJob = await jobService.getActiveJob();
-
-    if (!activeJob) {
-      logger.warn('EMAIL', 'No active job configured - email skipped');
-      logger.warn('EMAIL', 'Configure an active job in Job Config to process emails');
+    const policy = await intakePolicyService.evaluate(email);
+    if (!policy.allowed && !options.bypassPolicy) {
+      policy.violations.forEach((violation) => logger.warn('EMAIL', `  ⚠ ${violation}`));
+      logger.warn('EMAIL', 'Message quarantined by intake policy');
       logger.info('EMAIL', '─────────────────────────────────────────────────');
-      return;
+      return {
+        outcome: MAIL_OUTCOMES.QUARANTINED,
+        reason: policy.violations.join('; '),
+        jobId: null,
+        attachments: email.attachments.map((att) => ({
+          filename: att.filename,
+          content_type: att.contentType,
+          size: att.size,
+          status: 'quarantined',
+        })),
+        scannedItemIds: [],
+        policy,
+      };
+    }
+    if (!policy.allowed) {
+      logger.warn('EMAIL', `Intake policy bypassed: ${policy.violations.join('; ')}`);
     }
-
-    logger.info('EMAIL', `Active Job: Book=${activeJob.active_book_id}, Chapter=${activeJob.active_chapter_id}`);
 
     // Filter PDF attachments - include various PDF content types Gmail might use
     const pdfContentTypes = [
@@ -283,7 +731,13 @@ export const emailInboundService = {
       'text/x-pdf',
     ];
 
-    const pdfAttachments = email.attachments.filter((att) => {
+    const pdfAttachments = [];
+    const imageAttachments = [];
+    // Per-attachment log entries for inbound_messages, keyed by attachment object
+    const attachmentLog = new Map();
+    let failedCount = 0;
+
+    for (const att of email.attachments) {
       const contentType = att.contentType?.toLowerCase() || '';
       const filename = att.filename?.toLowerCase() || '';
 
@@ -292,44 +746,188 @@ export const emailInboundService = {
       // Also check for generic octet-stream with .pdf filename
       const isOctetStreamPdf = contentType.includes('octet-stream') && isPdfByName;
 
+      const entry = {
+        filename: att.filename,
+        content_type: att.contentType,
+        size: att.size,
+        kind: 'unsupported',
+        status: 'ignored',
+      };
+      attachmentLog.set(att, entry);
+
       if (isPdfByType || isPdfByName || isOctetStreamPdf) {
         logger.info('EMAIL', `  ✓ PDF attachment: "${att.filename}" (${att.contentType})`);
-        return true;
+        entry.kind = 'pdf';
+        pdfAttachments.push(att);
+      } else if (detectImageKind(att.filename, att.contentType)) {
+        logger.info('EMAIL', `  ✓ Image attachment: "${att.filename}" (${att.contentType})`);
+        entry.kind = 'image';
+        imageAttachments.push(att);
+      } else if (detectArchiveKind(att.filename, att.contentType)) {
+        // Each PDF inside becomes its own attachment, in natural filename order
+        entry.kind = 'archive';
+        try {
+          const files = await expandArchive(att);
+          logger.info('EMAIL', `  ✓ Archive: "${att.filename}" (${files.length} PDF${files.length === 1 ? '' : 's'})`);
+          entry.status = 'expanded';
+          entry.contained = files.length;
+
+          for (const file of files) {
+            const contained = {
+              filename: file.filename,
+              contentType: 'application/pdf',
+              size: file.content.length,
+              content: file.content,
+              archive: { name: att.filename, path: file.path, position: file.position, count: files.length },
+            };
+            attachmentLog.set(contained, {
+              filename: file.filename,
+              content_type: 'application/pdf',
+              size: file.content.length,
+              kind: 'pdf',
+              status: 'ignored',
+              archive: att.filename,
+            });
+            pdfAttachments.push(contained);
+          }
+        } catch (err) {
+          failedCount++;
+          entry.status = 'failed';
+          entry.reason = err.message;
+          logger.error('EMAIL', `  ✗ Could not expand "${att.filename}": ${err.message}`);
+        }
+      } else {
+        logger.info('EMAIL', `  ✗ Skipping unsupported: "${att.filename}" (${att.contentType})`);
       }
+    }
 
-      logger.info('EMAIL', `  ✗ Skipping non-PDF: "${att.filename}" (${att.contentType})`);
-      return false;
-    });
+    const result = {
+      outcome: MAIL_OUTCOMES.SKIPPED,
+      reason: null,
+      jobId: null,
+      attachments: [...attachmentLog.values()],
+      scannedItemIds: [],
+      policy: { ...policy, bypassed: !policy.allowed },
+    };
 
-    if (pdfAttachments.length === 0) {
-      logger.info('EMAIL', 'No PDF attachments found - email skipped');
+    if (pdfAttachments.length === 0 && imageAttachments.length === 0) {
+      logger.info('EMAIL', 'No PDF or image attachments found - email skipped');
       logger.info('EMAIL', '─────────────────────────────────────────────────');
-      return;
+      if (failedCount > 0) {
+        result.outcome = MAIL_OUTCOMES.FAILED;
+        result.reason = 'Archive could not be expanded';
+      } else {
+        result.reason = 'No PDF or image attachments';
+      }
+      return result;
     }
 
-    logger.success('EMAIL', `Found ${pdfAttachments.length} PDF attachment(s) to process`);
+    logger.success('EMAIL', `Found ${pdfAttachments.length} PDF and ${imageAttachments.length} image attachment(s) to process`);
+
+    // Load routing rules and the fallback active job once per email
+    const routingContext = {
+      rules: await intakeRuleService.getAll({ enabledOnly: true }),
+      activeJob: await jobService.getActiveJob(),
+    };
+    result.jobId = routingContext.activeJob?.id || null;
+
+    // Record the same status on every attachment that went into one scanned item
+    const logGroup = (group, fields) => {
+      for (const att of group) {
+        Object.assign(attachmentLog.get(att), fields);
+      }
+    };
+
+    // Images become one ordered scanned item per email, or one per image
+    const imageGroups = config.intake.imageBundling === 'separate'
+      ? imageAttachments.map((image) => [image])
+      : (imageAttachments.length > 0 ? [imageAttachments] : []);
 
-    for (const attachment of pdfAttachments) {
+    const groups = [
+      ...pdfAttachments.map((attachment) => ({ files: [attachment], save: (route) => this.saveAttachmentAsScannedItem(attachment, email, route) })),
+      ...imageGroups.map((images) => ({ files: images, save: (route) => this.saveImagesAsScannedItem(images, email, route) })),
+    ];
+
+    for (const { files, save } of groups) {
+      let route = null;
       try {
-        await this.saveAttachmentAsScannedItem(attachment, email, activeJob);
+        // A bundle is routed by its first file
+        route = await this.resolveAttachmentRoute(email, files[0], routingContext);
+        if (!route) {
+          logGroup(files, { status: 'skipped', reason: 'No matching intake rule and no active job' });
+          continue;
+        }
+
+        const item = await save(route);
+        result.scannedItemIds.push(item.id);
+        logGroup(files, {
+          status: item.duplicate ? 'linked' : 'saved',
+          scanned_item_id: item.id,
+          routing: route.routing,
+          ...(item.duplicate_of && { duplicate_of: item.duplicate_of }),
+        });
       } catch (err) {
-        logger.error('EMAIL', `Failed to save "${attachment.filename}": ${err.message}`);
+        if (err.code === 'DUPLICATE_SCAN') {
+          logGroup(files, { status: 'duplicate', reason: err.message, duplicate_of: err.originalId, routing: route?.routing || null });
+          continue;
+        }
+        failedCount++;
+        logGroup(files, { status: 'failed', reason: err.message, routing: route?.routing || null });
+        logger.error('EMAIL', `Failed to save "${files.map((f) => f.filename).join(', ')}": ${err.message}`);
       }
     }
 
     logger.success('EMAIL', 'Email processing complete');
     logger.info('EMAIL', '─────────────────────────────────────────────────');
     console.log('');
+
+    if (failedCount > 0) {
+      result.outcome = MAIL_OUTCOMES.FAILED;
+      result.reason = `${failedCount} attachment(s) failed`;
+    } else if (result.scannedItemIds.length > 0) {
+      result.outcome = MAIL_OUTCOMES.PROCESSED;
+    } else if (result.attachments.some((a) => a.status === 'duplicate')) {
+      result.reason = 'Attachments were already scanned';
+    } else {
+      result.reason = 'No matching intake rule and no active job';
+    }
+
+    return result;
+  },
+
+  /**
+   * Resolve the book/chapter/item_type for an attachment, logging the outcome
+   * @returns {Promise<object|null>} - Route, or null if the attachment should be skipped
+   */
+  async resolveAttachmentRoute(email, attachment, routingContext) {
+    const route = await intakeRuleService.resolveRoute(email, attachment, routingContext);
+
+    if (!route) {
+      logger.warn('EMAIL', `No matching intake rule and no active job - skipped "${attachment.filename}"`);
+      logger.warn('EMAIL', 'Add an intake rule or configure an active job in Job Config to process emails');
+      return null;
+    }
+
+    if (route.routing.source === 'rule') {
+      logger.info('EMAIL', `Routed "${attachment.filename}" by rule "${route.routing.rule_name}" (${route.routing.match_type})`);
+    } else {
+      logger.info('EMAIL', `Routed "${attachment.filename}" to active job`);
+    }
+    logger.info('EMAIL', `  Book=${route.book_id}, Chapter=${route.chapter_id}, Type=${route.item_type}`);
+
+    // The active job's OCR provider is recorded on the item now, not looked up when it converts
+    return { ...route, ocr_provider: routingContext.activeJob?.ocr_provider || null };
   },
 
   /**
    * Save a PDF attachment as a scanned item
+   * @param {object} route - Resolved { book_id, chapter_id, item_type, routing, ocr_provider } from resolveAttachmentRoute
    */
-  async saveAttachmentAsScannedItem(attachment, email, activeJob) {
+  async saveAttachmentAsScannedItem(attachment, email, route) {
     logger.info('SCAN', `┌─ Saving Attachment ─────────────────────────────`);
     logger.info('SCAN', `│ File: ${attachment.filename}`);
     logger.info('SCAN', `│ Size: ${Math.round(attachment.size / 1024)}KB`);
-    logger.info('SCAN', `│ Type: ${activeJob.active_item_type || 'question'}`);
+    logger.info('SCAN', `│ Type: ${route.item_type}`);
     logger.info('SCAN', `└─────────────────────────────────────────────────`);
 
     // Check if attachment content exists
@@ -338,26 +936,90 @@ export const emailInboundService = {
       throw new Error(`Attachment content is empty for "${attachment.filename}"`);
     }
 
-    // Convert Buffer to base64 for proper BYTEA storage in Supabase
-    // Supabase JS client expects base64 strings for BYTEA columns
-    const base64Content = attachment.content.toString('base64');
-
     // Verify PDF header before storing
     const pdfHeader = attachment.content.slice(0, 4).toString('utf8');
     if (pdfHeader !== '%PDF') {
       logger.warn('SCAN', `Warning: File "${attachment.filename}" may not be a valid PDF (header: ${pdfHeader})`);
     }
 
-    // Insert into scanned_items with base64-encoded content
+    // Throws for the 'reject' policy; 'link' hands back the existing item in the routed chapter
+    const { item, duplicate, linked } = await scannedItemService.insertScan({
+      buffer: attachment.content,
+      filename: attachment.filename,
+      target: route,
+      insert: (fields) => supabase
+        .from('scanned_items')
+        .insert({
+          book_id: route.book_id,
+          chapter_id: route.chapter_id,
+          item_type: route.item_type,
+          item_data: attachment.filename, // Store filename in item_data
+          scan_type: 'email_attachment',
+          status: 'pending',
+          latex_conversion_status: 'pending',
+          metadata: {
+            email_subject: email.subject,
+            email_from: email.from.address,
+            email_date: email.date,
+            email_message_id: email.messageId,
+            filename: attachment.filename,
+            size: attachment.size,
+            content_type: attachment.contentType,
+            // Files expanded from one archive share its name, so the batch stays grouped
+            ...(attachment.archive && { archive: attachment.archive }),
+            routing: route.routing,
+          },
+          ocr_provider: route.ocr_provider || null,
+          ...fields,
+        })
+        .select()
+        .single(),
+    });
+
+    if (linked) {
+      return { ...item, duplicate: { policy: duplicate.policy, original_id: duplicate.original.id } };
+    }
+
+    logger.success('SCAN', `✓ Scanned item created: ${item.id}`);
+    return item;
+  },
+
+  /**
+   * Save one or more image attachments as a single ordered scanned item
+   * @param {object[]} images - Image attachments in page order
+   * @param {object} route - Resolved { book_id, chapter_id, item_type, routing, ocr_provider } from resolveAttachmentRoute
+   */
+  async saveImagesAsScannedItem(images, email, route) {
+    logger.info('SCAN', `┌─ Saving Image${images.length > 1 ? ` Bundle (${images.length})` : ''} ──────────────────────────`);
+    images.forEach((image, i) => {
+      logger.info('SCAN', `│ [${i + 1}] ${image.filename} (${Math.round(image.size / 1024)}KB)`);
+    });
+    logger.info('SCAN', `│ Type: ${route.item_type}`);
+    logger.info('SCAN', `└─────────────────────────────────────────────────`);
+
+    const emptyImage = images.find((image) => !image.content || image.content.length === 0);
+    if (emptyImage) {
+      throw new Error(`Attachment content is empty for "${emptyImage.filename}"`);
+    }
+
+    // HEIC photos are converted to JPEG so they can be viewed and OCR'd
+    const normalized = [];
+    for (const image of images) {
+      normalized.push(await normalizeImage(image));
+    }
+
+    const itemData = normalized.length > 1
+      ? `${normalized[0].filename} (+${normalized.length - 1} more)`
+      : normalized[0].filename;
+
     const { data, error } = await supabase
       .from('scanned_items')
       .insert({
-        book_id: activeJob.active_book_id,
-        chapter_id: activeJob.active_chapter_id,
-        item_type: activeJob.active_item_type || 'question',
-        item_data: attachment.filename, // Store filename in item_data
-        content: base64Content, // Base64-encoded PDF for BYTEA column
-        scan_type: 'email_attachment',
+        book_id: route.book_id,
+        chapter_id: route.chapter_id,
+        item_type: route.item_type,
+        item_data: itemData,
+        scan_type: 'email_image',
         status: 'pending',
         latex_conversion_status: 'pending',
         metadata: {
@@ -365,10 +1027,17 @@ export const emailInboundService = {
           email_from: email.from.address,
           email_date: email.date,
           email_message_id: email.messageId,
-          filename: attachment.filename,
-          size: attachment.size,
-          content_type: attachment.contentType,
+          image_count: normalized.length,
+          images: normalized.map((image, i) => ({
+            position: i,
+            filename: image.filename,
+            content_type: image.contentType,
+            original_content_type: image.originalContentType,
+            size: image.content.length,
+          })),
+          routing: route.routing,
         },
+        ocr_provider: route.ocr_provider || null,
       })
       .select()
       .single();
@@ -377,28 +1046,29 @@ export const emailInboundService = {
       throw error;
     }
 
-    logger.success('SCAN', `✓ Scanned item created: ${data.id}`);
+    // Store each image as base64 for its BYTEA column, keeping page order
+    const { error: imagesError } = await supabase
+      .from('scanned_item_images')
+      .insert(normalized.map((image, i) => ({
+        scanned_item_id: data.id,
+        position: i,
+        filename: image.filename,
+        content_type: image.contentType,
+        size: image.content.length,
+        content: image.content.toString('base64'),
+      })));
 
-    // Trigger MathPix conversion asynchronously
-    this.triggerMathPixConversion(data.id, attachment.content, attachment.filename);
+    if (imagesError) {
+      await supabase.from('scanned_items').delete().eq('id', data.id);
+      throw imagesError;
+    }
 
-    return data;
-  },
+    logger.success('SCAN', `✓ Scanned item created: ${data.id} (${normalized.length} image${normalized.length > 1 ? 's' : ''})`);
 
-  /**
-   * Trigger MathPix conversion for email attachment
-   */
-  async triggerMathPixConversion(scannedItemId, contentBuffer, filename) {
-    try {
-      logger.info('MATHPIX', `Starting PDF→LaTeX conversion...`);
-      logger.info('MATHPIX', `Item ID: ${scannedItemId}`);
-      // Convert buffer to base64 for MathPix API
-      const base64Content = contentBuffer.toString('base64');
-      await mathpixService.convertPdfToLatex(base64Content, scannedItemId);
-      logger.success('MATHPIX', `✓ Conversion complete for: ${filename || scannedItemId}`);
-    } catch (err) {
-      logger.error('MATHPIX', `✗ Conversion failed: ${err.message}`);
-    }
+    // Queue MathPix conversion; the task reads the images back in page order
+    await scannedItemService.queueConversion(data.id);
+
+    return data;
   },
 
   /**
@@ -409,8 +1079,14 @@ export const emailInboundService = {
       connected: this.connected,
       monitoring: this.monitoring,
       currentFolder: this.currentFolder,
+      monitoredFolders: this.monitoredFolders,
+      disposition: config.imap.disposition.mode,
       email: config.imap.user,
       host: config.imap.host,
+      reconnecting: !!this.reconnectTimer,
+      reconnectAttempts: this.reconnectAttempts,
+      lastError: this.lastError,
+      lastConnectedAt: this.lastConnectedAt,
     };
   },
 };
@@ -0,0 +1,242 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import nodemailer from 'nodemailer';
+import { config } from '../config/index.js';
+import { supabase } from '../config/database.js';
+import { logger } from '../utils/logger.js';
+import { inboundMessageService } from './inboundMessage.service.js';
+
+const DEFAULT_TEMPLATE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '../templates/email');
+
+// Never answer automated senders (bounces, notifications) - that is how mail loops start
+const NO_REPLY_PATTERN = /^(no-?reply|do-?not-?reply|mailer-daemon|postmaster)@/i;
+
+const ITEM_SELECT = `
+  id, item_data, item_type, latex_conversion_status, conversion_error,
+  book:books(id, name, display_name),
+  chapter:chapters(id, name, display_name, chapter_number)
+`;
+
+// Replace {{name}} placeholders; unknown names render as empty strings
+function renderTemplate(template, vars) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, name) => (vars[name] ?? '').toString());
+}
+
+// Split a template file into its "Subject:" header line and body
+function parseTemplate(raw) {
+  const match = raw.match(/^Subject:\s*(.*)\r?\n\r?\n?([\s\S]*)$/);
+  if (!match) return { subject: '{{subject}}', body: raw };
+  return { subject: match[1], body: match[2] };
+}
+
+// The parts of an inbound email sendReply needs, from its inbound_messages row
+function emailFromMessage(message) {
+  return {
+    from: { address: message.sender, name: message.sender_name },
+    subject: message.subject,
+    messageId: message.message_id,
+  };
+}
+
+const hasSent = (message, prefix) => (message.replies || []).some((reply) => reply.template?.startsWith(prefix));
+
+function describeLocation(item) {
+  const book = item.book?.display_name || item.book?.name || 'Unknown book';
+  const chapter = item.chapter?.display_name || item.chapter?.name || 'Unknown chapter';
+  return `${book} / ${chapter} (${item.item_type})`;
+}
+
+export const emailOutboundService = {
+  transporter: null,
+
+  isEnabled() {
+    return config.acknowledgements.enabled && !!config.smtp.host;
+  },
+
+  getTransporter() {
+    if (!this.transporter) {
+      this.transporter = nodemailer.createTransport({
+        host: config.smtp.host,
+        port: config.smtp.port,
+        secure: config.smtp.secure,
+        auth: config.smtp.user && config.smtp.password
+          ? { user: config.smtp.user, pass: config.smtp.password }
+          : undefined,
+        tls: { rejectUnauthorized: config.smtp.tlsRejectUnauthorized },
+      });
+    }
+    return this.transporter;
+  },
+
+  /**
+   * Load a template, preferring the configured override directory
+   * @param {string} name - Template name without extension (e.g. 'ack-processed')
+   */
+  async loadTemplate(name) {
+    const dirs = [config.acknowledgements.templateDir, DEFAULT_TEMPLATE_DIR].filter(Boolean);
+
+    for (const dir of dirs) {
+      try {
+        return parseTemplate(await fs.readFile(path.join(dir, `${name}.txt`), 'utf8'));
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+    }
+
+    throw new Error(`Email template not found: ${name}`);
+  },
+
+  /**
+   * Check whether an inbound email should get a reply at all
+   */
+  shouldReply(email) {
+    const sender = email?.from?.address?.toLowerCase();
+    if (!sender || sender === 'unknown') return false;
+    if (sender === config.imap.user?.toLowerCase()) return false;
+    return !NO_REPLY_PATTERN.test(sender);
+  },
+
+  /**
+   * Render a template and send it as a reply in the original thread
+   */
+  async sendReply(email, templateName, vars) {
+    const template = await this.loadTemplate(templateName);
+    const allVars = {
+      sender_name: email.from.name || email.from.address,
+      sender_email: email.from.address,
+      // Templates add their own "Re:"
+      subject: (email.subject || '').replace(/^(re:\s*)+/i, ''),
+      ...vars,
+    };
+
+    const info = await this.getTransporter().sendMail({
+      from: config.smtp.from,
+      to: email.from.address,
+      subject: renderTemplate(template.subject, allVars),
+      text: renderTemplate(template.body, allVars),
+      inReplyTo: email.messageId,
+      references: email.messageId ? [email.messageId] : undefined,
+    });
+
+    logger.success('SMTP', `Sent "${templateName}" to ${email.from.address} (${info.messageId})`);
+    return info;
+  },
+
+  async getItems(scannedItemIds) {
+    if (scannedItemIds.length === 0) return [];
+
+    const { data, error } = await supabase
+      .from('scanned_items')
+      .select(ITEM_SELECT)
+      .in('id', scannedItemIds);
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Reply to the sender with where each attachment was filed (or why it was not).
+   * Emails without PDF/image attachments get no reply, and a message gets one
+   * acknowledgement at most: reprocessing it sends nothing again.
+   * @param {object} message - The email's inbound_messages row, where sent replies are recorded
+   * @param {object} email - Parsed inbound email
+   * @param {object} result - processEmail result ({ outcome, reason, attachments, scannedItemIds })
+   */
+  async sendIntakeAcknowledgement(message, email, result) {
+    if (!this.isEnabled() || !this.shouldReply(email)) return;
+    // Replying to rejected senders would only confirm the address to spammers
+    if (result.outcome === 'quarantined') return;
+    if (hasSent(message, 'ack-')) return;
+
+    // Expanded archives are reported through their contained PDFs; only a broken archive is listed itself
+    const relevant = (result.attachments || []).filter((a) => a.kind === 'pdf' || a.kind === 'image'
+      || (a.kind === 'archive' && a.status === 'failed'));
+    if (relevant.length === 0) return;
+
+    const items = await this.getItems(result.scannedItemIds || []);
+    const itemsById = new Map(items.map((item) => [item.id, item]));
+
+    const files = relevant.map((attachment) => {
+      const item = itemsById.get(attachment.scanned_item_id);
+      if (attachment.status === 'saved' && item) {
+        return `- ${attachment.filename} → ${describeLocation(item)}`;
+      }
+      if (attachment.status === 'linked' && item) {
+        return `- ${attachment.filename} → ${describeLocation(item)} (already received earlier)`;
+      }
+      return `- ${attachment.filename}: ${attachment.status}${attachment.reason ? ` (${attachment.reason})` : ''}`;
+    }).join('\n');
+
+    const template = `ack-${result.outcome}`;
+    const info = await this.sendReply(email, template, { files, reason: result.reason || '' });
+
+    // The follow-up is sent when the items' conversions finish (see sendConversionFollowUps)
+    const followUp = config.acknowledgements.conversionFollowUp && items.length > 0 && !hasSent(message, 'conversion-');
+    const updated = await inboundMessageService.recordReply(
+      message.id,
+      { template, message_id: info.messageId },
+      followUp ? { follow_up_item_ids: items.map((item) => item.id) } : {},
+    );
+
+    // Items that were converted already (linked duplicates) do not finish again
+    if (followUp) await this.sendConversionFollowUp(updated);
+  },
+
+  /**
+   * Send the follow-ups of emails waiting on a scanned item whose conversion has finished.
+   * Called when an OCR conversion task completes or gives up.
+   * @param {string} scannedItemId - The converted item; duplicates reusing its conversion count too
+   */
+  async sendConversionFollowUps(scannedItemId) {
+    if (!this.isEnabled() || !config.acknowledgements.conversionFollowUp) return;
+
+    const { data: items, error } = await supabase
+      .from('scanned_items')
+      .select('id')
+      .or(`id.eq.${scannedItemId},duplicate_of.eq.${scannedItemId}`);
+
+    if (error) throw error;
+    if (items.length === 0) return;
+
+    const messages = await inboundMessageService.getAwaitingFollowUp(items.map((item) => item.id));
+    for (const message of messages) {
+      await this.sendConversionFollowUp(message);
+    }
+  },
+
+  /**
+   * Once every scanned item of a message has finished conversion, send its one follow-up
+   * listing completed items or the conversion_error of failed ones
+   * @param {object} message - inbound_messages row with follow_up_item_ids
+   * @returns {Promise<boolean>} - Whether the follow-up was sent
+   */
+  async sendConversionFollowUp(message) {
+    if (!message.follow_up_item_ids?.length) return false;
+
+    const items = await this.getItems(message.follow_up_item_ids);
+    if (items.some((item) => !['completed', 'failed'].includes(item.latex_conversion_status))) return false;
+
+    // Another process (API or worker) may be finishing a conversion of the same message
+    if (!await inboundMessageService.claimFollowUp(message)) return false;
+
+    const failed = items.filter((item) => item.latex_conversion_status === 'failed');
+    const files = items.map((item) => (item.latex_conversion_status === 'failed'
+      ? `- ${item.item_data}: failed (${item.conversion_error || 'unknown error'})`
+      : `- ${item.item_data} → ${describeLocation(item)}`)).join('\n');
+    const template = failed.length > 0 ? 'conversion-failed' : 'conversion-completed';
+
+    let info;
+    try {
+      info = await this.sendReply(emailFromMessage(message), template, { files });
+    } catch (err) {
+      await inboundMessageService.releaseFollowUp(message.id, message.follow_up_item_ids);
+      throw err;
+    }
+
+    await inboundMessageService.recordReply(message.id, { template, message_id: info.messageId });
+    return true;
+  },
+};
+
+export default emailOutboundService;
@@ -0,0 +1,78 @@
+/**
+ * What an extraction returns: the JSON array a provider is asked for, and the parser
+ * (questionExtractionService.parseQuestionsFromContent / solutionExtractionService.parseSolutionsFromContent)
+ * that turns the raw result into a set
+ */
+export const EXTRACTION_KINDS = {
+  QUESTIONS: 'questions',
+  SOLUTIONS: 'solutions',
+};
+
+/**
+ * Base class for extraction providers (LlamaParse, Gemini, OpenAI-compatible, ...)
+ * A provider turns the combined LaTeX of a set's source items into raw text holding
+ * {"questions": [...]} or {"solutions": [...]} JSON; the set bookkeeping and parsing
+ * around it is done by questionExtractionService and solutionExtractionService.
+ */
+export class BaseExtractionProvider {
+  constructor(options) {
+    this.name = options.name;
+    this.label = options.label || options.name;
+    this.description = options.description || '';
+    this.logTag = options.logTag || 'EXTRACT';
+    this.kinds = options.kinds || Object.values(EXTRACTION_KINDS);
+    // Whether the work runs as a remote job whose id is reported through onSubmitted
+    this.remoteJobs = options.remoteJobs || false;
+    // Whether large documents are split into chunks extracted one by one
+    this.chunked = options.chunked || false;
+  }
+
+  /**
+   * Whether the provider has what it needs to run (credentials, ...)
+   * Must be implemented by subclass
+   */
+  isConfigured() {
+    throw new Error('isConfigured must be implemented by subclass');
+  }
+
+  supports(kind) {
+    return this.kinds.includes(kind);
+  }
+
+  /**
+   * Extract questions or solutions from a document
+   * Must be implemented by subclass
+   * @param {string} content - Combined LaTeX/text content of the source items
+   * @param {object} request - { kind, sourceType, instructions, usage, onSubmitted }:
+   *   kind is one of EXTRACTION_KINDS, instructions the parsing instructions for the
+   *   source type, usage the context recorded with metered calls, and onSubmitted(jobId)
+   *   records a remote job on the set
+   * @returns {Promise<string>} - Raw result for the kind's parser
+   */
+  async extract(content, request) {
+    throw new Error('extract must be implemented by subclass');
+  }
+
+  /**
+   * Provider-specific status details
+   * Can be overridden by subclass
+   */
+  getDetails() {
+    return {};
+  }
+
+  getStatus() {
+    return {
+      name: this.name,
+      label: this.label,
+      description: this.description,
+      configured: this.isConfigured(),
+      kinds: this.kinds,
+      remoteJobs: this.remoteJobs,
+      chunked: this.chunked,
+      ...this.getDetails(),
+    };
+  }
+}
+
+export default BaseExtractionProvider;
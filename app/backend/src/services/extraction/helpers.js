@@ -0,0 +1,109 @@
+/**
+ * Helpers shared by the extraction providers and the question/solution parsers
+ */
+
+/**
+ * Fix invalid escape sequences in JSON string (LlamaParse bug workaround)
+ * LlamaParse returns LaTeX with single backslashes in JSON strings (\wedge, \sim, etc.)
+ * These need to be escaped as \\ for valid JSON
+ * @param {string} jsonStr - JSON string potentially containing invalid escape sequences
+ * @param {string} logPrefix - Prefix of the log line reporting fixes, e.g. '[EXTRACT]'
+ * @returns {string} - Fixed JSON string
+ */
+export function fixInvalidEscapeSequences(jsonStr, logPrefix = '[EXTRACT]') {
+  let fixCount = 0;
+  let result = '';
+  let i = 0;
+
+  while (i < jsonStr.length) {
+    // Look for the start of a string value
+    if (jsonStr[i] === '"') {
+      result += '"';
+      i++;
+
+      // Process the content of the string until we find the closing quote
+      while (i < jsonStr.length) {
+        const char = jsonStr[i];
+
+        if (char === '\\' && i + 1 < jsonStr.length) {
+          const nextChar = jsonStr[i + 1];
+
+          // Check if this is a valid JSON escape sequence
+          // Valid: \" \\ \/ \b \f \n \r \t \uXXXX
+          if ('"\\/bfnrtu'.includes(nextChar)) {
+            // Valid escape - keep as is
+            result += char + nextChar;
+            i += 2;
+          } else {
+            // Invalid escape - double the backslash
+            result += '\\\\' + nextChar;
+            fixCount++;
+            i += 2;
+          }
+        } else if (char === '"') {
+          // Found unescaped closing quote - end of string
+          result += '"';
+          i++;
+          break;
+        } else {
+          result += char;
+          i++;
+        }
+      }
+    } else {
+      result += jsonStr[i];
+      i++;
+    }
+  }
+
+  if (fixCount > 0) {
+    console.log(`${logPrefix} Fixed ${fixCount} invalid escape sequences in JSON`);
+  }
+
+  return result;
+}
+
+/**
+ * Split combined content into chunks of at most maxLength characters, keeping the
+ * "% ========== Document N ==========" parts of combineLatexContent together
+ * @returns {string[]}
+ */
+export function splitIntoChunks(content, maxLength) {
+  if (content.length <= maxLength) {
+    return [content];
+  }
+
+  const chunks = [];
+  const documentParts = content.split(/% ========== Document \d+ ==========/);
+  let currentChunk = '';
+
+  for (const part of documentParts) {
+    if ((currentChunk + part).length > maxLength && currentChunk.length > 0) {
+      chunks.push(currentChunk);
+      currentChunk = part;
+    } else {
+      currentChunk += part;
+    }
+  }
+  if (currentChunk.length > 0) {
+    chunks.push(currentChunk);
+  }
+
+  return chunks;
+}
+
+/**
+ * Remove a markdown code fence (```json ... ```) around a model response
+ */
+export function stripCodeFences(text) {
+  let cleanedText = text.trim();
+  if (cleanedText.startsWith('```json')) {
+    cleanedText = cleanedText.slice(7);
+  } else if (cleanedText.startsWith('```')) {
+    cleanedText = cleanedText.slice(3);
+  }
+  if (cleanedText.endsWith('```')) {
+    cleanedText = cleanedText.slice(0, -3);
+  }
+  return cleanedText.trim();
+}
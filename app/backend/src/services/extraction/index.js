@@ -0,0 +1,62 @@
+import { config } from '../../config/index.js';
+import { EXTRACTION_KINDS } from './base.extraction-provider.js';
+import { llamaParseExtractionProvider, geminiExtractionProvider, openaiExtractionProvider } from './providers/index.js';
+
+// Registered extraction providers, in the order they are offered
+const PROVIDERS = [llamaParseExtractionProvider, geminiExtractionProvider, openaiExtractionProvider];
+
+// Provider names, e.g. EXTRACTION_PROVIDERS.GEMINI
+export const EXTRACTION_PROVIDERS = Object.fromEntries(PROVIDERS.map((provider) => [provider.name.toUpperCase(), provider.name]));
+
+export const extractionProviderService = {
+  getAll() {
+    return PROVIDERS;
+  },
+
+  get(name) {
+    return PROVIDERS.find((provider) => provider.name === name) || null;
+  },
+
+  // Names of the providers that can extract a kind
+  getNames(kind) {
+    return PROVIDERS.filter((provider) => provider.supports(kind)).map((provider) => provider.name);
+  },
+
+  /**
+   * Check a requested provider name for a kind of extraction; returns an error message or null
+   * @param {string} name - Provider name
+   * @param {string} kind - One of EXTRACTION_KINDS
+   */
+  validate(name, kind) {
+    const provider = this.get(name);
+    if (!provider || !provider.supports(kind)) {
+      return `provider must be one of: ${this.getNames(kind).join(', ')}`;
+    }
+    if (!provider.isConfigured()) {
+      return `Extraction provider "${name}" is not configured`;
+    }
+    return null;
+  },
+
+  /**
+   * Provider for an extraction: the one requested, else config.extraction.provider
+   * @param {string|null} name - Requested provider
+   */
+  resolve(name = null) {
+    const provider = this.get(name || config.extraction.provider);
+    if (!provider) throw new Error(`Unknown extraction provider "${name || config.extraction.provider}"`);
+    return provider;
+  },
+
+  getStatus() {
+    return {
+      provider: config.extraction.provider,
+      kinds: Object.values(EXTRACTION_KINDS),
+      providers: PROVIDERS.map((provider) => provider.getStatus()),
+    };
+  },
+};
+
+export { BaseExtractionProvider, EXTRACTION_KINDS } from './base.extraction-provider.js';
+export { fixInvalidEscapeSequences } from './helpers.js';
+export default extractionProviderService;
@@ -0,0 +1,419 @@
+import { EXTRACTION_KINDS } from './base.extraction-provider.js';
+
+/**
+ * Built-in parsing instructions by source type. They seed version 1 of each prompt
+ * template (see promptTemplateService); extractions use the active template version.
+ */
+
+// Question extraction, by source type
+export const PARSING_INSTRUCTIONS = {
+  'Question Bank': `
+CRITICAL: Extract EVERY SINGLE question from this document with ALL their choices. Do NOT skip any questions or choices.
+
+This document contains competitive exam questions (JEE, NEET, etc.). Extract ALL question types:
+- Single correct MCQs (one correct answer)
+- Multiple correct MCQs (one or more correct answers)
+- Numerical/Integer type questions (answer is a number, NO choices provided)
+- Paragraph/Comprehension based questions
+- Matrix match questions
+- Assertion-Reason questions
+
+CHOICE FORMATS - Look for these patterns on SEPARATE LINES after the question:
+- (a), (b), (c), (d) - lowercase with parentheses (MOST COMMON in JEE)
+- (A), (B), (C), (D) - uppercase with parentheses
+- A., B., C., D. or A), B), C), D)
+
+IMPORTANT - CHOICES CAN CONTAIN:
+- Simple numbers: (a) 2, (b) 12, (c) 4, (d) 6
+- Mathematical expressions: (a) $\\beta^{2}-2 \\sqrt{\\alpha}=\\frac{19}{4}$
+- Text with math: (a) Perimeter of $\\triangle ABC$ is $18\\sqrt{3}$
+- Fractions, square roots, matrices, determinants
+
+HOW TO IDENTIFY CHOICES:
+- Choices appear AFTER phrases like "is equal to", "then", "is", "are", "equals"
+- Each choice starts on a new line with (a), (b), (c), (d)
+- Choices end when the next question number appears OR document ends
+
+For EACH question, extract:
+1. question_label: The number EXACTLY as shown (e.g., "1", "10", "17")
+2. text: Complete question INCLUDING all math notation up to but NOT including the choices
+3. choices: Array of ALL 4 choices with their labels ["(a) ...", "(b) ...", "(c) ...", "(d) ..."]
+
+Return in JSON format:
+{
+  "questions": [
+    {
+      "question_label": "10",
+      "text": "Let S denote the set... is equal to",
+      "choices": ["(a) 2", "(b) 12", "(c) 4", "(d) 6"]
+    },
+    {
+      "question_label": "17",
+      "text": "Let $f(x)=...$. If $\\alpha$ and $\\beta$ respectively are the maximum and minimum values of $f$, then",
+      "choices": ["(a) $\\beta^{2}-2 \\sqrt{\\alpha}=\\frac{19}{4}$", "(b) $\\beta^{2}+2 \\sqrt{\\alpha}=\\frac{19}{4}$", "(c) $\\alpha^{2}-\\beta^{2}=4 \\sqrt{3}$", "(d) $\\alpha^{2}+\\beta^{2}=\\frac{9}{2}$"]
+    },
+    {
+      "question_label": "21",
+      "text": "Numerical question (no choices)",
+      "choices": []
+    }
+  ]
+}
+
+MANDATORY RULES:
+- Extract EVERY question from 1 to the last question number
+- For EACH MCQ (questions 1-20 typically), you MUST extract exactly 4 choices
+- Choices with mathematical expressions - preserve ALL LaTeX notation exactly
+- For questions ending with "is equal to", "then", etc. - the choices follow on next lines
+- Numerical/Integer type questions (usually 21-30) have NO choices - set choices to []
+- Preserve ALL LaTeX: $...$ and $$...$$ and special characters
+- Do NOT skip choices even if they contain complex math expressions
+- VERIFY: Every MCQ must have exactly 4 choices in the output
+`,
+  'Academic Book': `
+CRITICAL: Extract EVERY SINGLE question from this document with ALL their choices. Do NOT skip any questions or choices.
+
+This is an academic textbook. Extract ALL types of questions including:
+- Multiple choice questions (MCQs)
+- Fill in the blanks
+- True/False questions
+- Short answer questions
+- Long answer questions
+- Numerical problems
+- Exercise questions
+
+CHOICE FORMATS - Look for these patterns on SEPARATE LINES after the question:
+- (a), (b), (c), (d) - lowercase with parentheses
+- (A), (B), (C), (D) - uppercase with parentheses
+- A., B., C., D. or A), B), C), D)
+- (i), (ii), (iii), (iv)
+
+IMPORTANT - CHOICES CAN CONTAIN:
+- Simple numbers or text
+- Mathematical expressions with LaTeX
+- Fractions, square roots, matrices, determinants
+- Mixed text and math
+
+HOW TO IDENTIFY CHOICES:
+- Choices appear AFTER phrases like "is equal to", "then", "is", "are", "equals", "find"
+- Each choice starts on a new line with (a), (b), (c), (d) or similar
+- Choices end when the next question number appears OR document ends
+
+For EACH question, extract:
+1. question_label: The number EXACTLY as shown
+2. text: Complete question INCLUDING all math notation up to but NOT including the choices
+3. choices: Array of ALL choices with their labels, or empty [] if no choices
+
+Return in JSON format:
+{
+  "questions": [
+    {
+      "question_label": "1",
+      "text": "Complete question text with $math$ preserved",
+      "choices": ["(a) choice1", "(b) choice2", "(c) choice3", "(d) choice4"]
+    },
+    {
+      "question_label": "2",
+      "text": "Question without choices",
+      "choices": []
+    }
+  ]
+}
+
+MANDATORY RULES:
+- Extract EVERY question - do not stop early or skip any
+- For EACH MCQ, you MUST extract ALL choices (typically 4)
+- Choices with mathematical expressions - preserve ALL LaTeX notation exactly
+- Questions may have blank lines between number and text - still extract them
+- Preserve ALL LaTeX: $...$ and $$...$$ exactly
+- Do NOT skip choices even if they contain complex math expressions
+- VERIFY: Every MCQ must have its choices in the output
+`,
+};
+
+// Solution extraction, by source type
+export const SOLUTION_PARSING_INSTRUCTIONS = {
+  'Question Bank': `
+CRITICAL: Extract EVERY SINGLE solution as a SEPARATE JSON object. Each solution must be its own entry in the solutions array.
+
+This document contains solutions for competitive exam questions (JEE, NEET, etc.).
+
+CRITICAL - SOLUTION SEPARATION:
+- Each question number (1, 2, 3, ..., 30) is a SEPARATE solution
+- NEVER combine multiple solutions into one JSON object
+- When you see "8. (D)" or "\\section*{8. (D)}", that is the START of solution 8 and the END of solution 7
+- Each worked_solution field contains ONLY the content for THAT specific question
+- If you see content like "7. (D) ... content ... 8. (D) ... more content", these are TWO separate solutions, not one
+
+IMPORTANT - HANDLING IMAGES:
+- Solutions may contain image references like: ![](https://cdn.mathpix.com/cropped/...)
+- EXTRACT the image URL into the "visual_path" field (just the URL, not the markdown)
+- CONTINUE extracting all text and math AFTER the image into worked_solution
+- Do NOT stop at images - the worked solution continues after them
+
+CRITICAL - PRESERVING LATEX BLOCK ENVIRONMENTS:
+Solutions often contain multi-line LaTeX blocks. You MUST preserve them correctly:
+
+CORRECT format for aligned equations:
+"$\\begin{aligned} & \\frac{x-x_1}{a_1} = \\frac{y-y_1}{a_2} \\\\ & \\frac{x-x_2}{b_1} = \\frac{y-y_2}{b_2} \\end{aligned}$"
+
+CORRECT format for gathered equations:
+"$\\begin{gathered} \\frac{|\\begin{array}{ccc} 8 & 7 & 3 \\\\ 1 & 2 & -3 \\end{array}|}{\\sqrt{12}} \\end{gathered}$"
+
+Rules for LaTeX blocks:
+- Keep $\\begin{aligned}...\\end{aligned}$ as ONE complete string - no breaks
+- Keep $\\begin{gathered}...\\end{gathered}$ as ONE complete string - no breaks
+- Keep $\\begin{array}...\\end{array}$ intact for matrices/determinants
+- Do NOT add spaces between $ and \\begin (write "$\\begin" not "$ \\begin")
+- Replace internal newlines within math blocks with spaces or \\\\
+- Text BETWEEN math blocks (like "is given as") goes on separate line
+
+SOLUTION FORMAT IN DOCUMENT:
+- Question number followed by answer: "22. (11.00)" or "12. (B)" or "6. (C)"
+- May have an image reference on next line: ![](url)
+- Then the FULL worked solution with all math and steps
+- Solution continues until the next question number appears
+
+EXAMPLE WITH IMAGE:
+"""
+22. (11.00)
+![](https://cdn.mathpix.com/cropped/xxx.jpg)
+$A(2,6,2) B(-4,0,\\lambda), C(2,3,-1) D(4,5,0)$
+Area $= \\frac{1}{2}|\\overrightarrow{BD} \\times \\overrightarrow{AC}| = 18$
+$\\overrightarrow{AC} \\times \\overrightarrow{BD} = (3\\lambda + 15)\\hat{i} + 24j - 24k$
+$\\lambda = -1, -9$
+$|\\lambda| \\leq 5 \\Rightarrow \\lambda = -1$
+$5 - 6\\lambda = 5 - 6(-1) = 11$
+"""
+
+You must extract:
+{
+  "question_label": "22",
+  "answer_key": "11.00",
+  "visual_path": "https://cdn.mathpix.com/cropped/xxx.jpg",
+  "worked_solution": "$A(2,6,2) B(-4,0,\\lambda), C(2,3,-1) D(4,5,0)$\\nArea $= \\frac{1}{2}|\\overrightarrow{BD} \\times \\overrightarrow{AC}| = 18$\\n$\\overrightarrow{AC} \\times \\overrightarrow{BD} = (3\\lambda + 15)\\hat{i} + 24j - 24k$\\n$\\lambda = -1, -9$\\n$|\\lambda| \\leq 5 \\Rightarrow \\lambda = -1$\\n$5 - 6\\lambda = 5 - 6(-1) = 11$",
+  "explanation": ""
+}
+
+EXAMPLE WITHOUT IMAGE:
+"""
+12. (B)
+$\\cos^{-1}(2x) = \\pi + 2\\cos^{-1}(\\sqrt{1-x^2})$
+LHS $= [0, \\pi]$
+$x = \\frac{-1}{2}$ and $x = 0$ which is not possible
+$\\therefore x \\in \\emptyset$, Sum = 0
+"""
+
+You must extract:
+{
+  "question_label": "12",
+  "answer_key": "B",
+  "worked_solution": "$\\cos^{-1}(2x) = \\pi + 2\\cos^{-1}(\\sqrt{1-x^2})$\\nLHS $= [0, \\pi]$\\n$x = \\frac{-1}{2}$ and $x = 0$ which is not possible\\n$\\therefore x \\in \\emptyset$, Sum = 0",
+  "explanation": ""
+}
+
+For EACH solution, extract:
+1. question_label: The question number (e.g., "22", "12", "6")
+2. answer_key: The answer - letter (B, C, D) OR number (11.00, 42) - just the value without parentheses
+3. visual_path: If there's an image ![](url), extract JUST the URL (e.g., "https://cdn.mathpix.com/cropped/xxx.jpg"). Empty string if no image.
+4. worked_solution: ALL content after answer key, including ALL math and text (skip the image markdown itself)
+5. explanation: Any additional explanation (can be empty)
+
+Return in JSON format:
+{
+  "solutions": [...]
+}
+
+EXAMPLE WITH LATEX BLOCK ENVIRONMENTS (Question 9):
+"""
+9. (C)
+Shortest distance between two lines
+$\\begin{aligned} & \\frac{x-x_1}{a_1} = \\frac{y-y_1}{a_2} = \\frac{z-z_1}{a_3} \\\\ & \\frac{x-x_2}{b_1} = \\frac{y-y_2}{b_2} = \\frac{z-z_2}{b_3} \\end{aligned}$
+is given as
+$\\begin{gathered} \\frac{|\\begin{array}{ccc} x_1-x_2 & y_1-y_2 & z_1-z_2 \\\\ a_1 & a_2 & a_3 \\\\ b_1 & b_2 & b_3 \\end{array}|}{\\sqrt{(a_2b_3-a_3b_2)^2+(a_1b_3-a_3b_1)^2+(a_1b_2-a_2b_1)^2}} \\\\ = \\frac{16+14+6}{\\sqrt{12}} = \\frac{36}{2\\sqrt{3}} = 6\\sqrt{3} \\end{gathered}$
+"""
+
+You must extract with LaTeX blocks preserved as single strings AND include ALL calculations to the final answer:
+{
+  "question_label": "9",
+  "answer_key": "C",
+  "worked_solution": "Shortest distance between two lines\\n$\\begin{aligned} & \\frac{x-x_1}{a_1} = \\frac{y-y_1}{a_2} = \\frac{z-z_1}{a_3} \\\\ & \\frac{x-x_2}{b_1} = \\frac{y-y_2}{b_2} = \\frac{z-z_2}{b_3} \\end{aligned}$\\nis given as\\n$\\begin{gathered} \\frac{|\\begin{array}{ccc} x_1-x_2 & y_1-y_2 & z_1-z_2 \\\\ a_1 & a_2 & a_3 \\\\ b_1 & b_2 & b_3 \\end{array}|}{\\sqrt{(a_2b_3-a_3b_2)^2+(a_1b_3-a_3b_1)^2+(a_1b_2-a_2b_1)^2}} \\\\ = \\frac{16+14+6}{\\sqrt{12}} = \\frac{36}{2\\sqrt{3}} = 6\\sqrt{3} \\end{gathered}$",
+  "explanation": ""
+}
+
+EXAMPLE WITH MULTIPLE CONSECUTIVE EQUATIONS (Question 8):
+"""
+8. (D)
+Equation of the pair of angle bisector for $ax^2 + 2hxy + by^2 = 0$ is $\\frac{x^2-y^2}{a-b} = \\frac{xy}{h}$
+Here $a = 2, h = \\frac{1}{2}$ & $b = -3$
+Equation will become
+$\\frac{x^2-y^2}{2-(-3)} = \\frac{xy}{1/2}$
+$x^2 - y^2 = 10xy$
+$x^2 - y^2 - 10xy = 0$
+"""
+
+Extract the COMPLETE solution including ALL equations after "Equation will become":
+{
+  "question_label": "8",
+  "answer_key": "D",
+  "worked_solution": "Equation of the pair of angle bisector for $ax^2 + 2hxy + by^2 = 0$ is $\\frac{x^2-y^2}{a-b} = \\frac{xy}{h}$\\nHere $a = 2, h = \\frac{1}{2}$ & $b = -3$\\nEquation will become\\n$\\frac{x^2-y^2}{2-(-3)} = \\frac{xy}{1/2}$\\n$x^2 - y^2 = 10xy$\\n$x^2 - y^2 - 10xy = 0$",
+  "explanation": ""
+}
+
+EXAMPLE WITH IMAGE AND MULTIPLE MATH BLOCKS (Question 22):
+"""
+22. (11.00)
+![](https://cdn.mathpix.com/cropped/xxx.jpg)
+$A(2,6,2) B(-4,0,\\lambda), C(2,3,-1) D(4,5,0)$
+$\\begin{gathered} \\text{Area} = \\frac{1}{2}|\\overrightarrow{BD} \\times \\overrightarrow{AC}| = 18 \\\\ \\overrightarrow{AC} \\times \\overrightarrow{BD} = |\\begin{array}{ccc} \\hat{i} & \\hat{j} & \\hat{k} \\\\ 0 & -3 & -3 \\\\ 8 & 5 & -\\lambda \\end{array}| \\end{gathered}$
+$\\begin{gathered} \\overrightarrow{AC} \\times \\overrightarrow{BD} = (3\\lambda+15)\\hat{i} + 24\\hat{j} - 24\\hat{k} \\\\ \\sqrt{(3\\lambda+15)^2 + 576 + 576} = 36 \\\\ \\lambda^2 + 10\\lambda + 9 = 0 \\\\ \\lambda = -1, -9 \\\\ |\\lambda| \\leq 5 \\Rightarrow \\lambda = -1 \\\\ 5 - 6\\lambda = 5 - 6(-1) = 11 \\end{gathered}$
+23. (next question)
+"""
+
+You MUST extract ALL content from "22. (11.00)" until "23." - include EVERY equation and calculation:
+{
+  "question_label": "22",
+  "answer_key": "11.00",
+  "visual_path": "https://cdn.mathpix.com/cropped/xxx.jpg",
+  "worked_solution": "$A(2,6,2) B(-4,0,\\lambda), C(2,3,-1) D(4,5,0)$\\n$\\begin{gathered} \\text{Area} = \\frac{1}{2}|\\overrightarrow{BD} \\times \\overrightarrow{AC}| = 18 \\\\ \\overrightarrow{AC} \\times \\overrightarrow{BD} = |\\begin{array}{ccc} \\hat{i} & \\hat{j} & \\hat{k} \\\\ 0 & -3 & -3 \\\\ 8 & 5 & -\\lambda \\end{array}| \\end{gathered}$\\n$\\begin{gathered} \\overrightarrow{AC} \\times \\overrightarrow{BD} = (3\\lambda+15)\\hat{i} + 24\\hat{j} - 24\\hat{k} \\\\ \\sqrt{(3\\lambda+15)^2 + 576 + 576} = 36 \\\\ \\lambda^2 + 10\\lambda + 9 = 0 \\\\ \\lambda = -1, -9 \\\\ |\\lambda| \\leq 5 \\Rightarrow \\lambda = -1 \\\\ 5 - 6\\lambda = 5 - 6(-1) = 11 \\end{gathered}$",
+  "explanation": ""
+}
+
+MANDATORY RULE 1 - SOLUTION SEPARATION (MOST IMPORTANT):
+- Create ONE JSON object per solution - NEVER combine multiple solutions into one object
+- Solution N ENDS when you see "N+1. (X)" pattern (where X is an answer like A, B, C, D, or a number)
+- Example: Solution 7's worked_solution ENDS when you see "8. (D)" - do NOT include "8. (D)" or anything after
+- Example: Solution 22's worked_solution ENDS when you see "23. (514.00)"
+- If your worked_solution for question 7 contains "\\section*{8." or "8. (D)", you made an ERROR
+- Each worked_solution must contain ONLY that question's content, NOTHING from subsequent questions
+- The document has 30 solutions - you must create exactly 30 separate JSON objects
+
+MANDATORY RULE 2 - COMPLETE CONTENT WITHIN BOUNDARIES:
+- EXTRACT image URL from ![](url) into visual_path field, then extract ALL content after it
+- Within a solution's boundaries, include EVERYTHING until the next question number
+- Do NOT stop at:
+  - Image references ![](...)
+  - Multiple $\\begin{gathered}...\\end{gathered}$ blocks - include ALL of them
+  - Multiple $\\begin{aligned}...\\end{aligned}$ blocks - include ALL of them
+  - Blank lines
+  - Any math-only lines
+  - Transitional phrases like "Equation will become", "Therefore", "Hence"
+  - Lines with only inline math like $x^2 - y^2 = 10xy$
+- When you see phrases like "Equation will become" or "Therefore", ALL equations that follow MUST be included
+- Keep extracting until you see the NEXT question number pattern "^\\d+\\." at line start
+- Include determinants, matrices, vectors - preserve ALL LaTeX exactly
+- For numerical answers like (11.00), extract "11.00" as the answer_key
+- Join multiple lines/blocks with \\n in the worked_solution
+- NEVER truncate - include EVERY line until the next question number
+
+CRITICAL - NO PLACEHOLDERS OR ABBREVIATIONS:
+- NEVER use "..." or ellipsis as a placeholder for actual content
+- NEVER abbreviate formulas - include the COMPLETE expression
+- NEVER write \\sqrt{...} - write the ACTUAL content like \\sqrt{(a_2b_3-a_3b_2)^2+...}
+- If the document has actual content, you MUST extract it exactly - do not summarize or abbreviate
+- Every mathematical expression must be COMPLETE with all terms, not shortened
+
+CRITICAL - SOLUTIONS WITH IMAGES:
+- When a solution has an image ![](url), there is ALWAYS content AFTER the image
+- The image is usually a diagram - the actual mathematical working is in the TEXT after it
+- You MUST extract ALL text and math that appears AFTER the image line
+- Example: If you see "6. (D)\\n![](url)\\n$m = -1/2$\\nWhen two lines..." you must include "$m = -1/2$\\nWhen two lines..." in worked_solution
+- An EMPTY worked_solution for a solution with an image is WRONG - there is always content to extract
+`,
+  'Academic Book': `
+CRITICAL: Extract EVERY SINGLE solution as a SEPARATE JSON object. Each solution must be its own entry.
+
+This is an academic textbook solutions section.
+
+CRITICAL - SOLUTION SEPARATION:
+- Each question number (1, 2, 3, ...) is a SEPARATE solution
+- NEVER combine multiple solutions into one JSON object
+- When you see "8. (D)" that is the START of solution 8 and the END of solution 7
+- Each worked_solution field contains ONLY the content for THAT specific question
+
+IMPORTANT - HANDLING IMAGES:
+- Solutions may contain image references like: ![](https://cdn.mathpix.com/cropped/...)
+- EXTRACT the image URL into the "visual_path" field (just the URL, not the markdown)
+- CONTINUE extracting all text and math AFTER the image into worked_solution
+- Do NOT stop at images - the worked solution continues after them
+
+CRITICAL - PRESERVING LATEX BLOCK ENVIRONMENTS:
+- Keep $\\begin{aligned}...\\end{aligned}$ as ONE complete string
+- Keep $\\begin{gathered}...\\end{gathered}$ as ONE complete string
+- Keep $\\begin{array}...\\end{array}$ intact for matrices/determinants
+- Do NOT add spaces between $ and \\begin
+- Replace internal newlines within math blocks with spaces or \\\\
+
+SOLUTION FORMAT IN DOCUMENT:
+- Question number followed by answer: "12. (B)" or "22. (11.00)"
+- May have an image reference: ![](url)
+- Then the FULL worked solution with all math and steps
+- Solution continues until the next question number appears
+
+EXAMPLE WITH IMAGE:
+"""
+22. (11.00)
+![](https://cdn.mathpix.com/cropped/xxx.jpg)
+$A(2,6,2) B(-4,0,\\lambda)$
+Area $= \\frac{1}{2}|\\overrightarrow{BD} \\times \\overrightarrow{AC}| = 18$
+$\\lambda = -1$
+$5 - 6\\lambda = 11$
+"""
+
+You must extract:
+{
+  "question_label": "22",
+  "answer_key": "11.00",
+  "visual_path": "https://cdn.mathpix.com/cropped/xxx.jpg",
+  "worked_solution": "$A(2,6,2) B(-4,0,\\lambda)$\\nArea $= \\frac{1}{2}|\\overrightarrow{BD} \\times \\overrightarrow{AC}| = 18$\\n$\\lambda = -1$\\n$5 - 6\\lambda = 11$",
+  "explanation": ""
+}
+
+For EACH solution, extract:
+1. question_label: The question number
+2. answer_key: The answer - letter (B, C, D) OR number (11.00) - just the value
+3. visual_path: If there's an image ![](url), extract JUST the URL. Empty string if no image.
+4. worked_solution: ALL content after answer key, including ALL math and text (skip image markdown)
+5. explanation: Any additional explanation (can be empty)
+
+Return in JSON format:
+{
+  "solutions": [...]
+}
+
+MANDATORY RULES:
+- EXTRACT image URL from ![](url) into visual_path field, then CONTINUE extracting ALL content after it
+- A solution includes EVERYTHING from the answer key until the NEXT question number appears
+- The NEXT question number looks like: "6.", "7.", "23.", etc. at the START of a line
+- Do NOT stop at:
+  - Image references ![](...)
+  - Multiple $\\begin{gathered}...\\end{gathered}$ blocks - include ALL of them
+  - Multiple $\\begin{aligned}...\\end{aligned}$ blocks - include ALL of them
+  - Blank lines or math-only lines
+  - Transitional phrases like "Equation will become", "Therefore", "Hence", "So", "Thus", "We get"
+  - Lines with only inline math like $x^2 - y^2 = 10xy$
+- When you see phrases like "Equation will become" or "Therefore", ALL equations that follow MUST be included
+- Multiple math blocks in one solution are COMMON - extract ALL of them
+- Keep extracting until you see the pattern "^\\d+\\." (next question number at line start)
+- Include determinants, matrices, vectors - preserve ALL LaTeX exactly
+- Join multiple lines/blocks with \\n in the worked_solution
+- NEVER truncate a solution - include EVERY line until the next question number
+
+CRITICAL - NO PLACEHOLDERS OR ABBREVIATIONS:
+- NEVER use "..." or ellipsis as a placeholder for actual content
+- NEVER abbreviate formulas - include the COMPLETE expression
+- If the document has actual content, you MUST extract it exactly - do not summarize or abbreviate
+- Every mathematical expression must be COMPLETE with all terms
+
+CRITICAL - SOLUTIONS WITH IMAGES:
+- When a solution has an image ![](url), there is ALWAYS content AFTER the image
+- The image is usually a diagram - the actual mathematical working is in the TEXT after it
+- You MUST extract ALL text and math that appears AFTER the image line
+- An EMPTY worked_solution for a solution with an image is WRONG - there is always content to extract
+`,
+};
+
+export const BUILT_IN_INSTRUCTIONS = {
+  [EXTRACTION_KINDS.QUESTIONS]: PARSING_INSTRUCTIONS,
+  [EXTRACTION_KINDS.SOLUTIONS]: SOLUTION_PARSING_INSTRUCTIONS,
+};
@@ -0,0 +1,165 @@
+import { config } from '../../../config/index.js';
+import logger from '../../../utils/logger.js';
+import { usageService, USAGE_PROVIDERS } from '../../usage.service.js';
+import { BaseExtractionProvider } from '../base.extraction-provider.js';
+import { splitIntoChunks, stripCodeFences } from '../helpers.js';
+
+// Split content into chunks if too large (Gemini has context limits)
+const MAX_CONTENT_LENGTH = 900000; // ~900KB to stay within limits
+
+// Token counts of a Gemini response, for the usage meter
+const geminiUsage = (result) => ({
+  inputTokens: result.usageMetadata?.promptTokenCount || 0,
+  outputTokens: result.usageMetadata?.candidatesTokenCount || 0,
+  metadata: { model: config.gemini.model },
+});
+
+/**
+ * Google Gemini with the extraction instructions as the prompt. Large documents are
+ * extracted chunk by chunk in JSON mode and the entries merged.
+ */
+class GeminiExtractionProvider extends BaseExtractionProvider {
+  constructor() {
+    super({
+      name: 'gemini',
+      label: 'Gemini AI',
+      description: 'Google Gemini; an alternative when the LlamaParse limit is reached',
+      logTag: 'GEMINI',
+      chunked: true,
+    });
+  }
+
+  isConfigured() {
+    return !!config.gemini.apiKey;
+  }
+
+  getDetails() {
+    return { model: config.gemini.model };
+  }
+
+  async extract(content, { kind, instructions, usage } = {}) {
+    if (!config.gemini.apiKey) {
+      throw new Error('Gemini API key not configured. Please set GOOGLE_API_KEY in environment variables.');
+    }
+
+    return usageService.track(USAGE_PROVIDERS.GEMINI, 'generate', usage, (meter) => (
+      this.generate(content, kind, instructions, meter)
+    ));
+  }
+
+  /**
+   * Gemini requests of an extraction, counting requests and tokens on its usage meter
+   * @returns {Promise<string>} - {"<kind>": [...]} JSON merged from the chunks, else the raw
+   *   response to the last chunk for the kind's parser to handle
+   */
+  async generate(content, kind, instructions, meter) {
+    const chunks = splitIntoChunks(content, MAX_CONTENT_LENGTH);
+    if (chunks.length > 1) {
+      logger.info(this.logTag, `Content too large (${Math.round(content.length / 1024)}KB), split into ${chunks.length} chunks`);
+    }
+
+    // Process each chunk and merge results
+    const allEntries = [];
+
+    for (let i = 0; i < chunks.length; i++) {
+      const chunk = chunks[i];
+      logger.info(this.logTag, `Processing chunk ${i + 1}/${chunks.length} (${Math.round(chunk.length / 1024)}KB)`);
+
+      const chunkPrompt = `${instructions}
+
+DOCUMENT CONTENT (Part ${i + 1} of ${chunks.length}):
+${chunk}
+
+IMPORTANT: Return ONLY the JSON object with the "${kind}" array. Do not include any markdown code blocks or additional text. The response should start with { and end with }.`;
+
+      const result = await this.generateContent(chunkPrompt, { json: true }, meter);
+
+      // Extract text from Gemini response
+      const generatedText = result.candidates?.[0]?.content?.parts?.[0]?.text;
+      if (!generatedText) {
+        logger.error(this.logTag, `Gemini response structure: ${JSON.stringify(result, null, 2)}`);
+        throw new Error('No text generated from Gemini');
+      }
+
+      logger.info(this.logTag, `Chunk ${i + 1} response length: ${generatedText.length}`);
+
+      // Try to parse entries from this chunk
+      try {
+        const parsed = JSON.parse(stripCodeFences(generatedText));
+        if (parsed[kind] && Array.isArray(parsed[kind])) {
+          allEntries.push(...parsed[kind]);
+          logger.info(this.logTag, `Extracted ${parsed[kind].length} ${kind} from chunk ${i + 1}`);
+        }
+      } catch (parseErr) {
+        logger.error(this.logTag, `Failed to parse chunk ${i + 1} response: ${parseErr.message}`);
+        // Continue with raw text - the main parser will try to extract entries
+      }
+    }
+
+    // If we successfully extracted entries from chunks, return them as JSON
+    if (allEntries.length > 0) {
+      logger.info(this.logTag, `Total ${kind} extracted via Gemini: ${allEntries.length}`);
+      return JSON.stringify({ [kind]: allEntries });
+    }
+
+    // If chunk parsing failed, return the last result for main parser to handle
+    // This handles single chunk case or fallback
+    const lastChunkPrompt = `${instructions}
+
+DOCUMENT CONTENT:
+${chunks[chunks.length - 1]}
+
+IMPORTANT: Return ONLY the JSON object with the "${kind}" array. Do not include any markdown code blocks or additional text.`;
+
+    const result = await this.generateContent(lastChunkPrompt, { json: false }, meter);
+    return result.candidates?.[0]?.content?.parts?.[0]?.text || '';
+  }
+
+  /**
+   * One generateContent request
+   * @param {object} options - { json } requests a JSON response
+   * @returns {Promise<object>} - Gemini response
+   */
+  async generateContent(prompt, { json }, meter) {
+    const requestBody = {
+      contents: [
+        {
+          parts: [
+            {
+              text: prompt,
+            },
+          ],
+        },
+      ],
+      generationConfig: {
+        temperature: 0.1,
+        maxOutputTokens: 65536,
+        ...(json && { responseMimeType: 'application/json' }),
+      },
+    };
+
+    meter.request();
+    const response = await fetch(
+      `${config.gemini.apiUrl}/${config.gemini.model}:generateContent?key=${config.gemini.apiKey}`,
+      {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(requestBody),
+      }
+    );
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      logger.error(this.logTag, `Gemini API error: ${response.status} - ${errorText}`);
+      throw new Error(`Gemini API request failed: ${response.status} - ${errorText}`);
+    }
+
+    const result = await response.json();
+    meter.add(geminiUsage(result));
+    return result;
+  }
+}
+
+export const geminiExtractionProvider = new GeminiExtractionProvider();
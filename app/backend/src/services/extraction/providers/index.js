@@ -0,0 +1,3 @@
+export { llamaParseExtractionProvider } from './llamaparse.extraction-provider.js';
+export { geminiExtractionProvider } from './gemini.extraction-provider.js';
+export { openaiExtractionProvider } from './openai.extraction-provider.js';
@@ -0,0 +1,141 @@
+import { config } from '../../../config/index.js';
+import logger from '../../../utils/logger.js';
+import { usageService, USAGE_PROVIDERS } from '../../usage.service.js';
+import { BaseExtractionProvider } from '../base.extraction-provider.js';
+
+/**
+ * LlamaParse premium parsing with the set's parsing instructions. The document is
+ * uploaded as a text file and parsed as a remote job, whose id is recorded on the set.
+ */
+class LlamaParseExtractionProvider extends BaseExtractionProvider {
+  constructor() {
+    super({
+      name: 'llamaparse',
+      label: 'LlamaParse',
+      description: 'LlamaParse premium parsing with the extraction instructions',
+      logTag: 'LLAMAPARSE',
+      remoteJobs: true,
+    });
+  }
+
+  isConfigured() {
+    return !!config.llamaParse.apiKey;
+  }
+
+  async extract(content, { kind, instructions, usage, onSubmitted } = {}) {
+    const jobId = await this.submit(content, { kind, instructions, usage });
+    await onSubmitted?.(jobId);
+    return this.pollForCompletion(jobId, { usage });
+  }
+
+  /**
+   * Submit content to LlamaParse
+   * @param {string} content - Combined LaTeX/text content
+   * @param {object} options - { kind, instructions, usage }
+   * @returns {Promise<string>} - Job ID from LlamaParse
+   */
+  async submit(content, { kind, instructions, usage } = {}) {
+    return usageService.track(USAGE_PROVIDERS.LLAMAPARSE, 'parse_submit', usage, async (meter) => {
+      // Create a text file blob from the combined content
+      const blob = new Blob([content], { type: 'text/plain' });
+
+      const formData = new FormData();
+      formData.append('file', blob, `${kind}.txt`);
+      formData.append('parsing_instruction', instructions);
+      formData.append('result_type', 'markdown');
+      formData.append('premium_mode', 'true');
+
+      logger.info(this.logTag, `Submitting ${Math.round(content.length / 1024)}KB for ${kind} extraction`);
+      meter.request();
+      const response = await fetch(`${config.llamaParse.apiUrl}/upload`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${config.llamaParse.apiKey}`,
+        },
+        body: formData,
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`LlamaParse upload failed: ${response.status} - ${errorText}`);
+      }
+
+      const result = await response.json();
+      return result.id;
+    });
+  }
+
+  /**
+   * Poll LlamaParse for job completion
+   * @param {string} jobId - LlamaParse job ID
+   * @param {object} options - Optional { maxAttempts, intervalMs, usage } - usage is the context
+   *   recorded with the metered parse (pages, requests)
+   * @returns {Promise<string>} - Extracted content
+   */
+  async pollForCompletion(jobId, { maxAttempts = 120, intervalMs = 2000, usage } = {}) {
+    return usageService.track(USAGE_PROVIDERS.LLAMAPARSE, 'parse', usage, async (meter) => {
+      for (let attempt = 0; attempt < maxAttempts; attempt++) {
+        meter.request();
+        const statusResponse = await fetch(`${config.llamaParse.apiUrl}/job/${jobId}`, {
+          method: 'GET',
+          headers: {
+            Authorization: `Bearer ${config.llamaParse.apiKey}`,
+          },
+        });
+
+        if (!statusResponse.ok) {
+          throw new Error(`Failed to check job status: ${statusResponse.status}`);
+        }
+
+        const statusData = await statusResponse.json();
+
+        if (statusData.status === 'SUCCESS') {
+          // Get the result
+          return await this.getResult(jobId, meter);
+        }
+
+        if (statusData.status === 'ERROR') {
+          throw new Error(statusData.error || 'LlamaParse processing failed');
+        }
+
+        // Wait before next poll
+        await new Promise((resolve) => setTimeout(resolve, intervalMs));
+      }
+
+      throw new Error('LlamaParse extraction timed out');
+    });
+  }
+
+  /**
+   * Get result from LlamaParse
+   * @param {string} jobId - LlamaParse job ID
+   * @param {object} meter - Optional usage meter, given the pages LlamaParse billed
+   * @returns {Promise<string>} - Extracted content
+   */
+  async getResult(jobId, meter = null) {
+    meter?.request();
+    const response = await fetch(`${config.llamaParse.apiUrl}/job/${jobId}/result/markdown`, {
+      method: 'GET',
+      headers: {
+        Authorization: `Bearer ${config.llamaParse.apiKey}`,
+      },
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to get result: ${response.status}`);
+    }
+
+    const result = await response.json();
+
+    // Cached results are not billed
+    const jobMetadata = result.job_metadata || {};
+    meter?.add({
+      pages: jobMetadata.job_is_cache_hit ? 0 : jobMetadata.job_pages || 0,
+      metadata: { job_id: jobId, credits_used: jobMetadata.credits_used ?? null, cache_hit: !!jobMetadata.job_is_cache_hit },
+    });
+
+    return result.markdown || result.text || JSON.stringify(result);
+  }
+}
+
+export const llamaParseExtractionProvider = new LlamaParseExtractionProvider();
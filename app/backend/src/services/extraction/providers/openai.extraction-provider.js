@@ -0,0 +1,177 @@
+import { config } from '../../../config/index.js';
+import logger from '../../../utils/logger.js';
+import { usageService, USAGE_PROVIDERS } from '../../usage.service.js';
+import { BaseExtractionProvider } from '../base.extraction-provider.js';
+import { splitIntoChunks, stripCodeFences } from '../helpers.js';
+
+const OPENAI_HOST = 'api.openai.com';
+
+// Token counts of a chat completion, for the usage meter
+const openaiUsage = (result) => ({
+  inputTokens: result.usage?.prompt_tokens || 0,
+  outputTokens: result.usage?.completion_tokens || 0,
+  metadata: { model: result.model || config.openai.model, host: new URL(config.openai.apiUrl).host },
+});
+
+/**
+ * response_format of a request for the kind's {"<kind>": [...]} object, per config.openai.jsonMode
+ */
+function responseFormat(kind) {
+  switch (config.openai.jsonMode) {
+    case 'json_object':
+      return { type: 'json_object' };
+    case 'json_schema':
+      return {
+        type: 'json_schema',
+        json_schema: {
+          name: `extracted_${kind}`,
+          schema: {
+            type: 'object',
+            properties: { [kind]: { type: 'array', items: { type: 'object' } } },
+            required: [kind],
+          },
+        },
+      };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Any OpenAI-compatible chat completions endpoint: OpenAI itself or a self-hosted model
+ * server (vLLM, llama.cpp, Ollama, ...). Large documents are extracted chunk by chunk,
+ * as with Gemini, and the entries merged.
+ */
+class OpenAIExtractionProvider extends BaseExtractionProvider {
+  constructor() {
+    super({
+      name: 'openai',
+      label: 'OpenAI-compatible',
+      description: 'OpenAI or a self-hosted model behind an OpenAI-compatible chat completions API',
+      logTag: 'OPENAI',
+      chunked: true,
+    });
+  }
+
+  // Self-hosted servers usually accept requests without a key
+  isConfigured() {
+    return !!config.openai.apiKey || new URL(config.openai.apiUrl).host !== OPENAI_HOST;
+  }
+
+  getDetails() {
+    return {
+      model: config.openai.model,
+      apiUrl: config.openai.apiUrl,
+      jsonMode: config.openai.jsonMode,
+    };
+  }
+
+  async extract(content, { kind, instructions, usage } = {}) {
+    if (!this.isConfigured()) {
+      throw new Error('OpenAI API key not configured. Please set OPENAI_API_KEY, or OPENAI_API_URL for a self-hosted server.');
+    }
+
+    return usageService.track(USAGE_PROVIDERS.OPENAI, 'generate', usage, (meter) => (
+      this.generate(content, kind, instructions, meter)
+    ));
+  }
+
+  /**
+   * Chat completions of an extraction, counting requests and tokens on its usage meter
+   * @returns {Promise<string>} - {"<kind>": [...]} JSON merged from the chunks, else the raw
+   *   responses for the kind's parser to handle
+   */
+  async generate(content, kind, instructions, meter) {
+    const chunks = splitIntoChunks(content, config.openai.maxContentLength);
+    if (chunks.length > 1) {
+      logger.info(this.logTag, `Content too large (${Math.round(content.length / 1024)}KB), split into ${chunks.length} chunks`);
+    }
+
+    const allEntries = [];
+    const rawResponses = [];
+
+    for (let i = 0; i < chunks.length; i++) {
+      const chunk = chunks[i];
+      logger.info(this.logTag, `Processing chunk ${i + 1}/${chunks.length} (${Math.round(chunk.length / 1024)}KB) with ${config.openai.model}`);
+
+      const chunkPrompt = `DOCUMENT CONTENT (Part ${i + 1} of ${chunks.length}):
+${chunk}
+
+IMPORTANT: Return ONLY the JSON object with the "${kind}" array. Do not include any markdown code blocks or additional text. The response should start with { and end with }.`;
+
+      const generatedText = await this.complete(instructions, chunkPrompt, kind, meter);
+      logger.info(this.logTag, `Chunk ${i + 1} response length: ${generatedText.length}`);
+      rawResponses.push(generatedText);
+
+      try {
+        const parsed = JSON.parse(stripCodeFences(generatedText));
+        if (Array.isArray(parsed[kind])) {
+          allEntries.push(...parsed[kind]);
+          logger.info(this.logTag, `Extracted ${parsed[kind].length} ${kind} from chunk ${i + 1}`);
+        }
+      } catch (parseErr) {
+        logger.error(this.logTag, `Failed to parse chunk ${i + 1} response: ${parseErr.message}`);
+        // Kept in rawResponses - the main parser will try to extract entries
+      }
+    }
+
+    if (allEntries.length > 0) {
+      logger.info(this.logTag, `Total ${kind} extracted via ${config.openai.model}: ${allEntries.length}`);
+      return JSON.stringify({ [kind]: allEntries });
+    }
+
+    // The kind's parser finds and merges the JSON blocks of every response
+    return rawResponses.join('\n\n');
+  }
+
+  /**
+   * One chat completion with the parsing instructions as the system message
+   * @returns {Promise<string>} - Text of the first choice
+   */
+  async complete(instructions, prompt, kind, meter) {
+    const format = responseFormat(kind);
+    const requestBody = {
+      model: config.openai.model,
+      messages: [
+        { role: 'system', content: instructions },
+        { role: 'user', content: prompt },
+      ],
+      temperature: config.openai.temperature,
+      max_tokens: config.openai.maxTokens,
+      ...(format && { response_format: format }),
+    };
+
+    meter.request();
+    const response = await fetch(`${config.openai.apiUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(config.openai.apiKey && { Authorization: `Bearer ${config.openai.apiKey}` }),
+      },
+      body: JSON.stringify(requestBody),
+      signal: AbortSignal.timeout(config.openai.timeoutMs),
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      logger.error(this.logTag, `Chat completions error: ${response.status} - ${errorText}`);
+      throw new Error(`OpenAI-compatible API request failed: ${response.status} - ${errorText}`);
+    }
+
+    const result = await response.json();
+    meter.add(openaiUsage(result));
+
+    const choice = result.choices?.[0];
+    if (!choice?.message?.content) {
+      logger.error(this.logTag, `Chat completions response structure: ${JSON.stringify(result, null, 2)}`);
+      throw new Error('No text generated by the OpenAI-compatible API');
+    }
+    if (choice.finish_reason === 'length') {
+      logger.warn(this.logTag, `Response cut off at max_tokens (${config.openai.maxTokens}); raise OPENAI_MAX_TOKENS or lower OPENAI_MAX_CONTENT_LENGTH`);
+    }
+
+    return choice.message.content;
+  }
+}
+
+export const openaiExtractionProvider = new OpenAIExtractionProvider();
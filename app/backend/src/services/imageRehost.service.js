@@ -0,0 +1,264 @@
+import { supabase } from '../config/database.js';
+import { config } from '../config/index.js';
+import { storageService } from './storage/index.js';
+import logger from '../utils/logger.js';
+
+// Image types kept, by content type. SVG is not: served from this origin, its scripts would run here
+const IMAGE_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/jpg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+};
+
+const IMAGE_CONTENT_TYPES = {
+  jpg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+};
+
+// Names of stored images: "<sha256>.<extension>"
+const IMAGE_NAME = /^[a-f0-9]{64}\.(jpg|png|gif|webp)$/;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Image URLs on the rehosted hosts; a URL ends at whitespace, a quote or closing bracket
+function hostUrlPattern() {
+  const hosts = config.images.hosts.map(escapeRegExp).join('|');
+  return new RegExp(`https?://(?:${hosts})/[^\\s"'<>()\\[\\]{}]+`, 'g');
+}
+
+// Columns that can hold image URLs, per table, for the backfill
+const BACKFILL_TABLES = {
+  scanned_items: ['latex_doc'],
+  question_sets: ['questions'],
+  solution_sets: ['solutions'],
+  lesson_items: ['problem_statement', 'solution_context', 'question_solution_item_json'],
+};
+
+export const imageRehostService = {
+  /**
+   * Image URLs in a text that should be copied, in order of appearance, without repeats
+   * @returns {string[]}
+   */
+  findUrls(text) {
+    if (!text || config.images.hosts.length === 0) return [];
+    const urls = (String(text).match(hostUrlPattern()) || [])
+      // "...jpg." at the end of a sentence
+      .map((url) => url.replace(/[.,;:]+$/, ''));
+    return [...new Set(urls)];
+  },
+
+  /**
+   * URL an image name is served from
+   */
+  internalUrl(name) {
+    return `${config.images.publicBaseUrl}/api/images/${name}`;
+  },
+
+  /**
+   * Stored image name behind a rewritten URL, or null for any other URL
+   */
+  nameFromUrl(url) {
+    const match = String(url || '').match(/\/api\/images\/([^/?#]+)$/);
+    return match && IMAGE_NAME.test(match[1]) ? match[1] : null;
+  },
+
+  /**
+   * Read a stored image
+   * @returns {Promise<{content: Buffer, contentType: string}|null>}
+   */
+  async read(name) {
+    if (!IMAGE_NAME.test(name)) return null;
+    const content = await storageService.getImage(name);
+    if (!content) return null;
+    return { content, contentType: IMAGE_CONTENT_TYPES[name.split('.').pop()] };
+  },
+
+  /**
+   * Download an image once and store it
+   * @param {string} url - External image URL
+   * @param {Map} cache - URL -> internal URL (or a pending download) shared within one run
+   * @returns {Promise<string>} - Internal URL
+   */
+  async rehostUrl(url, cache = new Map()) {
+    if (!cache.has(url)) {
+      cache.set(url, this.download(url).then(async ({ buffer, extension, contentType }) => {
+        const name = await storageService.putImage(buffer, extension, { contentType });
+        return this.internalUrl(name);
+      }));
+    }
+    return cache.get(url);
+  },
+
+  async download(url) {
+    const response = await fetch(url, { signal: AbortSignal.timeout(config.images.downloadTimeoutMs) });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+    const extension = IMAGE_EXTENSIONS[contentType];
+    if (!extension) {
+      throw new Error(`Not an image (${contentType || 'no content type'})`);
+    }
+
+    const buffer = Buffer.from(await response.arrayBuffer());
+    if (buffer.length > config.images.maxBytes) {
+      throw new Error(`Image is larger than ${Math.round(config.images.maxBytes / 1024 / 1024)}MB`);
+    }
+
+    return { buffer, extension, contentType: IMAGE_CONTENT_TYPES[extension] };
+  },
+
+  /**
+   * Copy the images a text refers to and point the text at the copies.
+   * Images that cannot be downloaded keep their original URL, so a later backfill can retry them.
+   * @param {string} text - LaTeX / Markdown
+   * @param {Map} cache - Optional cache shared across texts of one run
+   * @returns {Promise<{text: string, rehosted: number, failed: number}>}
+   */
+  async rehostText(text, cache = new Map()) {
+    let result = text;
+    let rehosted = 0;
+    let failed = 0;
+
+    // Longest first, so a URL that is a prefix of another is not replaced inside it
+    const urls = this.findUrls(text).sort((a, b) => b.length - a.length);
+    for (const url of urls) {
+      try {
+        const internalUrl = await this.rehostUrl(url, cache);
+        result = result.split(url).join(internalUrl);
+        rehosted++;
+      } catch (error) {
+        logger.warn('IMAGES', `Could not copy ${url}: ${error.message}`);
+        failed++;
+      }
+    }
+
+    return { text: result, rehosted, failed };
+  },
+
+  /**
+   * rehostText applied to every string inside a JSON value (question and solution sets, lesson items)
+   * @returns {Promise<{value: *, rehosted: number, failed: number}>}
+   */
+  async rehostJson(value, cache = new Map()) {
+    if (typeof value === 'string') {
+      const { text, rehosted, failed } = await this.rehostText(value, cache);
+      return { value: text, rehosted, failed };
+    }
+
+    const totals = { rehosted: 0, failed: 0 };
+    const walk = async (entry) => {
+      const result = await this.rehostJson(entry, cache);
+      totals.rehosted += result.rehosted;
+      totals.failed += result.failed;
+      return result.value;
+    };
+
+    if (Array.isArray(value)) {
+      const items = [];
+      for (const entry of value) items.push(await walk(entry));
+      return { value: items, ...totals };
+    }
+    if (value && typeof value === 'object') {
+      const copy = {};
+      for (const [key, entry] of Object.entries(value)) copy[key] = await walk(entry);
+      return { value: copy, ...totals };
+    }
+    return { value, ...totals };
+  },
+
+  /**
+   * Rehost the images of converted LaTeX before it is saved (no-op when IMAGE_REHOST_ENABLED=false)
+   * @returns {Promise<string>}
+   */
+  async rehostConvertedLatex(scannedItemId, latex) {
+    if (!config.images.rehost || this.findUrls(latex).length === 0) return latex;
+
+    const { text, rehosted, failed } = await this.rehostText(latex);
+    logger.info('IMAGES', `Copied ${rehosted} image(s) of ${scannedItemId}${failed ? `, ${failed} failed` : ''}`);
+    return text;
+  },
+
+  /**
+   * Copy images still referenced by their external URL in existing rows and rewrite the rows
+   * @param {object} options - Optional { tables, batchSize, dryRun, onProgress }
+   * @returns {Promise<object>} - Per table { checked, updated, rehosted, failed }
+   */
+  async backfill({ tables = Object.keys(BACKFILL_TABLES), batchSize = 50, dryRun = false, onProgress } = {}) {
+    const cache = new Map();
+    const stats = {};
+
+    for (const table of tables) {
+      const columns = BACKFILL_TABLES[table];
+      if (!columns) throw new Error(`Unknown table "${table}"; known: ${Object.keys(BACKFILL_TABLES).join(', ')}`);
+      const tableStats = { checked: 0, updated: 0, rehosted: 0, failed: 0 };
+      stats[table] = tableStats;
+      let lastId = null;
+
+      while (true) {
+        let query = supabase
+          .from(table)
+          .select(['id', ...columns].join(', '))
+          .order('id', { ascending: true })
+          .limit(batchSize);
+
+        if (lastId) {
+          query = query.gt('id', lastId);
+        }
+
+        const { data: rows, error } = await query;
+        if (error) throw error;
+        if (rows.length === 0) break;
+        lastId = rows[rows.length - 1].id;
+
+        for (const row of rows) {
+          tableStats.checked++;
+          const urls = columns.flatMap((column) => this.findUrls(
+            typeof row[column] === 'string' ? row[column] : JSON.stringify(row[column] ?? '')
+          ));
+          if (urls.length === 0) continue;
+
+          if (dryRun) {
+            tableStats.updated++;
+            tableStats.rehosted += new Set(urls).size;
+            continue;
+          }
+
+          const update = {};
+          for (const column of columns) {
+            const result = await this.rehostJson(row[column], cache);
+            tableStats.rehosted += result.rehosted;
+            tableStats.failed += result.failed;
+            if (result.rehosted > 0) update[column] = result.value;
+          }
+          if (Object.keys(update).length === 0) continue;
+
+          const { error: updateError } = await supabase
+            .from(table)
+            .update(update)
+            .eq('id', row.id);
+
+          if (updateError) throw updateError;
+          tableStats.updated++;
+        }
+
+        onProgress?.(table, tableStats);
+      }
+    }
+
+    return stats;
+  },
+
+  getBackfillTables() {
+    return Object.keys(BACKFILL_TABLES);
+  },
+};
+
+export default imageRehostService;
@@ -0,0 +1,163 @@
+import { supabase } from '../config/database.js';
+
+export const inboundMessageService = {
+  async getAll(filters = {}) {
+    let query = supabase
+      .from('inbound_messages')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(filters.limit || 100);
+
+    if (filters.outcome) {
+      query = query.eq('outcome', filters.outcome);
+    }
+    if (filters.folder) {
+      query = query.eq('folder', filters.folder);
+    }
+    if (filters.sender) {
+      query = query.ilike('sender', `%${filters.sender}%`);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    return data;
+  },
+
+  async findById(id) {
+    const { data, error } = await supabase
+      .from('inbound_messages')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data;
+  },
+
+  /**
+   * Log the result of processing one email.
+   * A message seen again (same mailbox/folder/UIDVALIDITY/UID) updates its existing row.
+   * @param {object} entry - { mailbox, folder, uid, uid_validity, email, result }
+   */
+  async record({ mailbox, folder, uid, uid_validity, email, result }) {
+    const { data, error } = await supabase
+      .from('inbound_messages')
+      .upsert({
+        mailbox,
+        folder,
+        uid,
+        uid_validity,
+        message_id: email?.messageId || null,
+        sender: email?.from?.address || null,
+        sender_name: email?.from?.name || null,
+        subject: email?.subject || null,
+        email_date: email?.date || null,
+        attachments: result.attachments || [],
+        job_id: result.jobId || null,
+        scanned_item_ids: result.scannedItemIds || [],
+        outcome: result.outcome,
+        reason: result.reason || null,
+        policy: result.policy || null,
+        last_processed_at: new Date().toISOString(),
+      }, { onConflict: 'mailbox,folder,uid_validity,uid' })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Update a logged message after it was reprocessed, keeping earlier scanned item ids
+   */
+  async recordReprocess(id, result) {
+    const existing = await this.findById(id);
+    if (!existing) throw new Error('Inbound message not found');
+
+    const { data, error } = await supabase
+      .from('inbound_messages')
+      .update({
+        attachments: result.attachments || [],
+        job_id: result.jobId || null,
+        scanned_item_ids: [...new Set([...(existing.scanned_item_ids || []), ...(result.scannedItemIds || [])])],
+        outcome: result.outcome,
+        reason: result.reason || null,
+        policy: result.policy || null,
+        process_count: (existing.process_count || 1) + 1,
+        last_processed_at: new Date().toISOString(),
+      })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Record a reply sent to the sender of a logged message
+   * @param {object} reply - { template, message_id }
+   * @param {object} fields - Extra fields, e.g. { follow_up_item_ids }
+   */
+  async recordReply(id, reply, fields = {}) {
+    const existing = await this.findById(id);
+    if (!existing) throw new Error('Inbound message not found');
+
+    const { data, error } = await supabase
+      .from('inbound_messages')
+      .update({
+        replies: [...(existing.replies || []), { ...reply, sent_at: new Date().toISOString() }],
+        ...fields,
+      })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Messages whose conversion follow-up waits for any of the scanned items
+   */
+  async getAwaitingFollowUp(scannedItemIds) {
+    const { data, error } = await supabase
+      .from('inbound_messages')
+      .select('*')
+      .overlaps('follow_up_item_ids', scannedItemIds);
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Take a message's pending follow-up, so only one process sends it
+   * @returns {Promise<object|null>} - The message as it was, or null if another process took it
+   */
+  async claimFollowUp(message) {
+    const { data, error } = await supabase
+      .from('inbound_messages')
+      .update({ follow_up_item_ids: null })
+      .eq('id', message.id)
+      .not('follow_up_item_ids', 'is', null)
+      .select('id');
+
+    if (error) throw error;
+    return data.length > 0 ? message : null;
+  },
+
+  /**
+   * Put a claimed follow-up back, e.g. after sending it failed
+   */
+  async releaseFollowUp(id, scannedItemIds) {
+    const { error } = await supabase
+      .from('inbound_messages')
+      .update({ follow_up_item_ids: scannedItemIds })
+      .eq('id', id);
+
+    if (error) throw error;
+  },
+};
+
+export default inboundMessageService;
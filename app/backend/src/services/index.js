@@ -2,11 +2,23 @@ export { userService } from './user.service.js';
 export { bookService } from './book.service.js';
 export { chapterService } from './chapter.service.js';
 export { jobService } from './job.service.js';
-export { scannedItemService } from './scannedItem.service.js';
+export { scannedItemService, DUPLICATE_POLICIES } from './scannedItem.service.js';
 export { mathpixService } from './mathpix.service.js';
-export { questionExtractionService, EXTRACTION_PROVIDERS } from './questionExtraction.service.js';
-export { solutionExtractionService, SOLUTION_EXTRACTION_PROVIDERS } from './solutionExtraction.service.js';
-export { emailInboundService } from './emailInbound.service.js';
+export { ocrService, OCR_OUTPUT_FORMATS } from './ocr/index.js';
+export { imageRehostService } from './imageRehost.service.js';
+export { usageService, USAGE_PROVIDERS, USAGE_GROUPS } from './usage.service.js';
+export { extractionProviderService, EXTRACTION_PROVIDERS, EXTRACTION_KINDS } from './extraction/index.js';
+export { questionExtractionService } from './questionExtraction.service.js';
+export { solutionExtractionService } from './solutionExtraction.service.js';
+export { promptTemplateService } from './promptTemplate.service.js';
+export { emailInboundService, MAIL_OUTCOMES } from './emailInbound.service.js';
+export { emailOutboundService } from './emailOutbound.service.js';
+export { inboundMessageService } from './inboundMessage.service.js';
+export { intakeRuleService, INTAKE_MATCH_TYPES } from './intakeRule.service.js';
+export { intakePolicyService, SENDER_LIST_TYPES } from './intakePolicy.service.js';
 export { googleDriveService } from './googleDrive.service.js';
 export { lessonsService } from './lessons.service.js';
 export { reverseSyncService } from './reverse-sync/index.js';
+export { intakeSourceService } from './intake-sources/index.js';
+export { storageService } from './storage/index.js';
+export { taskService, TASK_TYPES, TASK_STATUSES } from './tasks/index.js';
@@ -0,0 +1,75 @@
+import logger from '../../utils/logger.js';
+
+/**
+ * Base class for intake sources (IMAP mailbox, hot folder, ...)
+ * A source turns files arriving from somewhere into scanned items.
+ */
+export class BaseIntakeSource {
+  constructor(options) {
+    this.name = options.name;
+    this.logTag = options.logTag || 'INTAKE';
+    this.running = false;
+  }
+
+  /**
+   * Whether the source is configured; disabled sources are not started
+   * Must be implemented by subclass
+   */
+  isEnabled() {
+    throw new Error('isEnabled must be implemented by subclass');
+  }
+
+  /**
+   * Begin picking up files
+   * Must be implemented by subclass
+   */
+  async onStart() {
+    throw new Error('onStart must be implemented by subclass');
+  }
+
+  /**
+   * Stop picking up files and release resources
+   * Must be implemented by subclass
+   */
+  async onStop() {
+    throw new Error('onStop must be implemented by subclass');
+  }
+
+  /**
+   * Source-specific status details
+   * Can be overridden by subclass
+   */
+  getDetails() {
+    return {};
+  }
+
+  async start() {
+    if (this.running) return;
+
+    if (!this.isEnabled()) {
+      logger.info(this.logTag, `Intake source "${this.name}" is not configured - skipped`);
+      return;
+    }
+
+    await this.onStart();
+    this.running = true;
+  }
+
+  async stop() {
+    if (!this.running) return;
+
+    await this.onStop();
+    this.running = false;
+  }
+
+  getStatus() {
+    return {
+      name: this.name,
+      enabled: this.isEnabled(),
+      running: this.running,
+      ...this.getDetails(),
+    };
+  }
+}
+
+export default BaseIntakeSource;
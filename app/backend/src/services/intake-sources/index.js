@@ -0,0 +1,45 @@
+import logger from '../../utils/logger.js';
+import { imapIntakeSource, hotFolderIntakeSource } from './sources/index.js';
+
+// Registered intake sources, started in this order
+const SOURCES = [imapIntakeSource, hotFolderIntakeSource];
+
+export const intakeSourceService = {
+  getAll() {
+    return SOURCES;
+  },
+
+  get(name) {
+    return SOURCES.find((source) => source.name === name) || null;
+  },
+
+  /**
+   * Start every configured source; one failing source does not stop the others
+   */
+  async startAll() {
+    for (const source of SOURCES) {
+      try {
+        await source.start();
+      } catch (error) {
+        logger.error(source.logTag, `Failed to start intake source "${source.name}": ${error.message}`);
+      }
+    }
+  },
+
+  async stopAll() {
+    for (const source of SOURCES) {
+      try {
+        await source.stop();
+      } catch (error) {
+        logger.error(source.logTag, `Failed to stop intake source "${source.name}": ${error.message}`);
+      }
+    }
+  },
+
+  getStatus() {
+    return SOURCES.map((source) => source.getStatus());
+  },
+};
+
+export { BaseIntakeSource } from './base.intake-source.js';
+export default intakeSourceService;
@@ -0,0 +1,254 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from '../../../config/index.js';
+import { BaseIntakeSource } from '../base.intake-source.js';
+import { bookService } from '../../book.service.js';
+import { chapterService } from '../../chapter.service.js';
+import { scannedItemService } from '../../scannedItem.service.js';
+import logger from '../../../utils/logger.js';
+
+const ITEM_TYPES = ['question', 'solution'];
+
+// Compare folder names loosely: "Physics 10" matches "physics-10" and "physics_10"
+function normalizeName(value) {
+  return (value ?? '').toString().trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+}
+
+/**
+ * Watches a directory (typically a scanner's network share) for PDFs.
+ * Files are routed by their subfolders - <book>/<chapter>/<question|solution>/file.pdf,
+ * <book>/<chapter>/file.pdf, or file.pdf in the root for the active job - and the
+ * originals are moved to the done/failed subfolders afterwards.
+ * The folder is polled rather than watched because fs.watch is unreliable on network shares.
+ */
+class HotFolderIntakeSource extends BaseIntakeSource {
+  constructor() {
+    super({
+      name: 'hot_folder',
+      logTag: 'HOT_FOLDER',
+    });
+    this.pollTimer = null;
+    this.scanning = false;
+    // path -> { size, mtimeMs } from the previous scan, to wait until the scanner finished writing
+    this.pending = new Map();
+    this.lastScanAt = null;
+    this.lastError = null;
+    this.stats = { processed: 0, failed: 0 };
+  }
+
+  isEnabled() {
+    return config.hotFolder.enabled && !!config.hotFolder.path;
+  }
+
+  async onStart() {
+    const { path: rootDir, pollIntervalMs } = config.hotFolder;
+
+    await fs.mkdir(rootDir, { recursive: true });
+    await fs.mkdir(this.doneDir(), { recursive: true });
+    await fs.mkdir(this.failedDir(), { recursive: true });
+
+    this.pollTimer = setInterval(() => {
+      this.scan().catch((err) => {
+        this.lastError = err.message;
+        logger.error(this.logTag, `Scan failed: ${err.message}`);
+      });
+    }, pollIntervalMs);
+
+    logger.success(this.logTag, `Watching ${rootDir} every ${Math.round(pollIntervalMs / 1000)}s`);
+  }
+
+  async onStop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+    this.pending.clear();
+  }
+
+  getDetails() {
+    return {
+      path: config.hotFolder.path,
+      lastScanAt: this.lastScanAt,
+      lastError: this.lastError,
+      pendingFiles: this.pending.size,
+      ...this.stats,
+    };
+  }
+
+  doneDir() {
+    return path.join(config.hotFolder.path, config.hotFolder.doneDir);
+  }
+
+  failedDir() {
+    return path.join(config.hotFolder.path, config.hotFolder.failedDir);
+  }
+
+  /**
+   * Recursively list PDFs below the root, skipping the done/failed folders
+   */
+  async listPdfs(dir = config.hotFolder.path) {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    const files = [];
+
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.name.startsWith('.')) continue;
+
+      if (entry.isDirectory()) {
+        if (fullPath === this.doneDir() || fullPath === this.failedDir()) continue;
+        files.push(...await this.listPdfs(fullPath));
+      } else if (entry.isFile() && entry.name.toLowerCase().endsWith('.pdf')) {
+        files.push(fullPath);
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Pick up every PDF that has stopped changing since the previous scan
+   */
+  async scan() {
+    if (this.scanning) return;
+    this.scanning = true;
+
+    try {
+      const files = await this.listPdfs();
+      const seen = new Set(files);
+
+      for (const filePath of files) {
+        let stat;
+        try {
+          stat = await fs.stat(filePath);
+        } catch {
+          continue; // Removed between listing and stat
+        }
+
+        const previous = this.pending.get(filePath);
+        const settled = previous
+          && previous.size === stat.size
+          && previous.mtimeMs === stat.mtimeMs
+          && Date.now() - stat.mtimeMs >= config.hotFolder.settleMs;
+
+        if (!settled) {
+          this.pending.set(filePath, { size: stat.size, mtimeMs: stat.mtimeMs });
+          continue;
+        }
+
+        this.pending.delete(filePath);
+        await this.processFile(filePath);
+      }
+
+      // Forget files that disappeared before they settled
+      for (const filePath of this.pending.keys()) {
+        if (!seen.has(filePath)) this.pending.delete(filePath);
+      }
+
+      this.lastScanAt = new Date().toISOString();
+      this.lastError = null;
+    } finally {
+      this.scanning = false;
+    }
+  }
+
+  /**
+   * Resolve book/chapter/item_type from the file's subfolders.
+   * Returns null route fields for files in the root so the active job is used.
+   */
+  async resolveRoute(relativePath) {
+    const folders = path.dirname(relativePath).split(path.sep).filter((part) => part && part !== '.');
+    if (folders.length === 0) return null;
+
+    if (folders.length < 2) {
+      throw new Error(`Expected <book>/<chapter>/[question|solution]/file.pdf, got "${relativePath}"`);
+    }
+
+    const [bookFolder, chapterFolder, typeFolder] = folders;
+
+    const books = await bookService.getAll();
+    const book = books.find((b) => [b.name, b.display_name].some((n) => normalizeName(n) === normalizeName(bookFolder)));
+    if (!book) throw new Error(`No book matches folder "${bookFolder}"`);
+
+    // Chapters match by name, display name, number, or "ch3"/"chapter 3"
+    const chapters = await chapterService.getByBookId(book.id);
+    const chapterKey = normalizeName(chapterFolder);
+    const chapterNumber = chapterKey.match(/^(?:ch|chapter)?\s*(\d+)$/)?.[1];
+    const chapter = chapters.find((c) => [c.name, c.display_name].some((n) => normalizeName(n) === chapterKey))
+      || (chapterNumber && chapters.find((c) => Number(c.chapter_number) === Number(chapterNumber)));
+    if (!chapter) throw new Error(`No chapter of "${book.name}" matches folder "${chapterFolder}"`);
+
+    let itemType = null;
+    if (typeFolder) {
+      itemType = normalizeName(typeFolder).replace(/s$/, '');
+      if (!ITEM_TYPES.includes(itemType)) {
+        throw new Error(`Folder "${typeFolder}" must be "question" or "solution"`);
+      }
+    }
+
+    return { book_id: book.id, chapter_id: chapter.id, item_type: itemType };
+  }
+
+  async processFile(filePath) {
+    const relativePath = path.relative(config.hotFolder.path, filePath);
+    logger.info(this.logTag, `Picked up ${relativePath}`);
+
+    try {
+      const route = await this.resolveRoute(relativePath);
+      const buffer = await fs.readFile(filePath);
+
+      const item = await scannedItemService.createWithFileUpload({
+        filename: path.basename(filePath),
+        buffer,
+        mimetype: 'application/pdf',
+        route,
+        scanType: 'hot_folder',
+        metadata: { source: 'hot_folder', source_path: relativePath },
+      });
+
+      await this.moveOriginal(filePath, this.doneDir());
+      this.stats.processed++;
+      logger.success(this.logTag, `✓ ${relativePath} → scanned item ${item.id}`);
+    } catch (err) {
+      this.stats.failed++;
+      logger.error(this.logTag, `✗ ${relativePath}: ${err.message}`);
+
+      try {
+        const movedTo = await this.moveOriginal(filePath, this.failedDir());
+        await fs.writeFile(`${movedTo}.error.txt`, `${new Date().toISOString()}\n${err.message}\n`);
+      } catch (moveErr) {
+        logger.error(this.logTag, `Could not move ${relativePath} to failed: ${moveErr.message}`);
+      }
+    }
+  }
+
+  /**
+   * Move a file into targetRoot, keeping its relative subfolders and never overwriting
+   * @returns {Promise<string>} - New path
+   */
+  async moveOriginal(filePath, targetRoot) {
+    const relativePath = path.relative(config.hotFolder.path, filePath);
+    let target = path.join(targetRoot, relativePath);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+
+    try {
+      await fs.access(target);
+      const ext = path.extname(target);
+      target = `${target.slice(0, -ext.length)}-${Date.now()}${ext}`;
+    } catch {
+      // Target does not exist yet
+    }
+
+    try {
+      await fs.rename(filePath, target);
+    } catch (err) {
+      // rename fails across devices (e.g. done folder on another mount)
+      if (err.code !== 'EXDEV') throw err;
+      await fs.copyFile(filePath, target);
+      await fs.unlink(filePath);
+    }
+
+    return target;
+  }
+}
+
+export const hotFolderIntakeSource = new HotFolderIntakeSource();
@@ -0,0 +1,68 @@
+import { config } from '../../../config/index.js';
+import { BaseIntakeSource } from '../base.intake-source.js';
+import { emailInboundService } from '../../emailInbound.service.js';
+import logger from '../../../utils/logger.js';
+
+class ImapIntakeSource extends BaseIntakeSource {
+  constructor() {
+    super({
+      name: 'imap',
+      logTag: 'EMAIL',
+    });
+  }
+
+  isEnabled() {
+    return !!(config.imap.user && config.imap.password);
+  }
+
+  async onStart() {
+    console.log('');
+    logger.info(this.logTag, '════════════════════════════════════════════════');
+    logger.info(this.logTag, '  Email Scanning Service - Initializing...');
+    logger.info(this.logTag, '════════════════════════════════════════════════');
+
+    try {
+      await emailInboundService.connect();
+    } catch (error) {
+      logger.error(this.logTag, `Failed to connect: ${error.message}`);
+      logger.warn(this.logTag, 'Will keep retrying in the background - server continues without it');
+      // Don't crash the server if email monitoring fails
+    }
+
+    try {
+      if (emailInboundService.isConnected()) {
+        await emailInboundService.startMonitoring();
+        const status = emailInboundService.getStatus();
+        logger.success(this.logTag, '────────────────────────────────────────────────');
+        logger.success(this.logTag, '  ✓ Email Scanning Service STARTED');
+        logger.success(this.logTag, `  ✓ Monitoring: ${status.email}`);
+        logger.success(this.logTag, `  ✓ IMAP Host: ${status.host}`);
+        logger.success(this.logTag, `  ✓ Folders: ${status.monitoredFolders.join(', ')}`);
+        if (status.disposition !== 'none') {
+          logger.success(this.logTag, `  ✓ Disposition: ${status.disposition}`);
+        }
+        logger.success(this.logTag, '  ✓ Status: IDLE - Waiting for new emails...');
+        logger.success(this.logTag, '────────────────────────────────────────────────');
+        console.log('');
+      } else if (emailInboundService.getStatus().reconnecting) {
+        // Monitoring starts automatically once a reconnect succeeds
+        await emailInboundService.startMonitoring();
+      } else {
+        logger.warn(this.logTag, 'Email service not connected - scanning disabled');
+      }
+    } catch (error) {
+      logger.error(this.logTag, `Failed to initialize: ${error.message}`);
+      logger.warn(this.logTag, 'Email scanning service disabled - server continues without it');
+    }
+  }
+
+  async onStop() {
+    emailInboundService.disconnect();
+  }
+
+  getDetails() {
+    return emailInboundService.getStatus();
+  }
+}
+
+export const imapIntakeSource = new ImapIntakeSource();
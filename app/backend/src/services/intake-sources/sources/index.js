@@ -0,0 +1,2 @@
+export { imapIntakeSource } from './imap.intake-source.js';
+export { hotFolderIntakeSource } from './hotFolder.intake-source.js';
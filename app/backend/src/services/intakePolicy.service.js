@@ -0,0 +1,205 @@
+import { supabase } from '../config/database.js';
+import { config } from '../config/index.js';
+
+export const SENDER_LIST_TYPES = {
+  ALLOW: 'allow',
+  DENY: 'deny',
+};
+
+// "alice@example.com" matches one address; "@example.com" or "example.com" a whole domain
+function matchesSender(pattern, sender) {
+  const normalized = (pattern || '').trim().toLowerCase();
+  if (!normalized || !sender) return false;
+
+  if (!normalized.includes('@') || normalized.startsWith('@')) {
+    const domain = normalized.replace(/^@/, '');
+    return sender.endsWith(`@${domain}`);
+  }
+  return sender === normalized;
+}
+
+/**
+ * Whether a DKIM signing domain vouches for a From domain: the same domain, or a parent
+ * of it (relaxed alignment, e.g. example.com signing for mail.example.com)
+ */
+function alignsWith(signingDomain, fromDomain) {
+  return !!fromDomain && (fromDomain === signingDomain || fromDomain.endsWith(`.${signingDomain}`));
+}
+
+/**
+ * Parse Authentication-Results headers into { dkim, spf, dmarc } results, plus the
+ * domains (header.d) of the DKIM signatures that passed.
+ * Only the topmost header (added by our own receiving server) is trusted unless an
+ * authserv-id is configured, in which case only headers from that server are used -
+ * lower headers can be forged by the sender.
+ * @param {string[]} headers - Header values, topmost first
+ */
+function parseAuthenticationResults(headers = []) {
+  const { authServId } = config.intake.security;
+  const trusted = authServId
+    ? headers.filter((h) => h.split(';')[0].trim().split(/\s+/)[0].toLowerCase() === authServId.toLowerCase())
+    : headers.slice(0, 1);
+
+  const results = { dkim: 'none', spf: 'none', dmarc: 'none', dkim_domains: [], authserv_id: null };
+
+  for (const header of trusted) {
+    const [authservId, ...methods] = header.split(';');
+    results.authserv_id = authservId.trim().split(/\s+/)[0];
+
+    // One result per segment, e.g. "dkim=pass header.d=example.com header.s=s1"
+    for (const segment of methods) {
+      const match = segment.match(/^\s*(dkim|spf|dmarc)\s*=\s*([a-z]+)/i);
+      if (!match) continue;
+      const method = match[1].toLowerCase();
+      const value = match[2].toLowerCase();
+      // Several DKIM signatures may be checked; one passing signature is enough
+      if (results[method] !== 'pass') {
+        results[method] = value;
+      }
+
+      const signingDomain = segment.match(/\bheader\.d\s*=\s*([^\s;]+)/i)?.[1];
+      if (method === 'dkim' && value === 'pass' && signingDomain) {
+        results.dkim_domains.push(signingDomain.toLowerCase());
+      }
+    }
+  }
+
+  return results;
+}
+
+export const intakePolicyService = {
+  async getAll(filters = {}) {
+    let query = supabase
+      .from('intake_sender_policies')
+      .select('*')
+      .order('list_type', { ascending: true })
+      .order('pattern', { ascending: true });
+
+    if (filters.enabledOnly) {
+      query = query.eq('is_enabled', true);
+    }
+    if (filters.listType) {
+      query = query.eq('list_type', filters.listType);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    return data;
+  },
+
+  async findById(id) {
+    const { data, error } = await supabase
+      .from('intake_sender_policies')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data;
+  },
+
+  async create(policyData) {
+    const { data, error } = await supabase
+      .from('intake_sender_policies')
+      .insert({
+        list_type: policyData.list_type,
+        pattern: policyData.pattern.trim().toLowerCase(),
+        note: policyData.note || null,
+        is_enabled: policyData.is_enabled ?? true,
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async update(id, policyData) {
+    const updateFields = {};
+    const allowedFields = ['list_type', 'pattern', 'note', 'is_enabled'];
+
+    for (const field of allowedFields) {
+      if (policyData[field] !== undefined) {
+        updateFields[field] = field === 'pattern' ? policyData.pattern.trim().toLowerCase() : policyData[field];
+      }
+    }
+
+    const { data, error } = await supabase
+      .from('intake_sender_policies')
+      .update(updateFields)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async delete(id) {
+    const { error } = await supabase
+      .from('intake_sender_policies')
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+    return true;
+  },
+
+  /**
+   * Decide whether an inbound email may be ingested.
+   * Checks, in order: denylist, allowlist, DKIM/SPF/DMARC results, attachment count and size.
+   * DKIM counts only when a passing signature is by the From domain: anyone can sign
+   * with their own domain while putting an allowlisted address in From.
+   * @param {object} email - Parsed email ({ from, attachments, authenticationResults })
+   * @param {object} context - Optional preloaded { policies }
+   * @returns {Promise<{allowed: boolean, violations: string[], authentication: object}>}
+   */
+  async evaluate(email, context = {}) {
+    const security = config.intake.security;
+    const policies = context.policies || await this.getAll({ enabledOnly: true });
+    const sender = email.from?.address?.toLowerCase() || '';
+    const violations = [];
+
+    const denied = policies.find((p) => p.list_type === SENDER_LIST_TYPES.DENY && matchesSender(p.pattern, sender));
+    if (denied) {
+      violations.push(`Sender ${sender} is denylisted (${denied.pattern})`);
+    }
+
+    const allowlist = policies.filter((p) => p.list_type === SENDER_LIST_TYPES.ALLOW);
+    if ((allowlist.length > 0 || security.requireAllowlist) && !allowlist.some((p) => matchesSender(p.pattern, sender))) {
+      violations.push(`Sender ${sender} is not on the allowlist`);
+    }
+
+    const authentication = parseAuthenticationResults(email.authenticationResults);
+    const fromDomain = sender.split('@')[1] || '';
+    if (security.requireDkim && authentication.dkim !== 'pass') {
+      violations.push(`DKIM check did not pass (dkim=${authentication.dkim})`);
+    } else if (security.requireDkim && !authentication.dkim_domains.some((domain) => alignsWith(domain, fromDomain))) {
+      const signers = authentication.dkim_domains.join(', ') || 'no header.d';
+      violations.push(`DKIM signature is not by the sender's domain ${fromDomain || '(none)'} (signed by ${signers})`);
+    }
+    if (security.requireSpf && authentication.spf !== 'pass') {
+      violations.push(`SPF check did not pass (spf=${authentication.spf})`);
+    }
+    if (security.requireDmarc && authentication.dmarc !== 'pass') {
+      violations.push(`DMARC check did not pass (dmarc=${authentication.dmarc})`);
+    }
+
+    const attachments = email.attachments || [];
+    if (attachments.length > security.maxAttachments) {
+      violations.push(`Too many attachments (${attachments.length} > ${security.maxAttachments})`);
+    }
+
+    const maxMb = Math.round(security.maxAttachmentBytes / (1024 * 1024));
+    for (const attachment of attachments) {
+      if ((attachment.size || 0) > security.maxAttachmentBytes) {
+        violations.push(`Attachment "${attachment.filename}" exceeds ${maxMb}MB`);
+      }
+    }
+
+    return { allowed: violations.length === 0, violations, authentication };
+  },
+};
+
+export default intakePolicyService;
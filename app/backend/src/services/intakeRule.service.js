@@ -0,0 +1,228 @@
+import { supabase } from '../config/database.js';
+import { jobService } from './job.service.js';
+
+// Supported rule match types
+export const INTAKE_MATCH_TYPES = {
+  SENDER: 'sender',
+  SUBJECT_TOKEN: 'subject_token',
+  PLUS_ADDRESS: 'plus_address',
+  FILENAME: 'filename',
+};
+
+const ITEM_TYPES = ['question', 'solution'];
+
+const RULE_SELECT = `
+  *,
+  book:books(id, name, display_name),
+  chapter:chapters(id, name, display_name, chapter_number)
+`;
+
+// Pull "[PHY10/ch3/solution]" style tokens out of a subject line
+function parseSubjectTokens(subject = '') {
+  const tokens = [];
+  const tokenRegex = /\[([^\]]+)\]/g;
+  let match;
+
+  while ((match = tokenRegex.exec(subject)) !== null) {
+    const parts = match[1].split('/').map((part) => part.trim().toLowerCase()).filter(Boolean);
+    if (parts.length === 0) continue;
+
+    // A trailing "question"/"solution" segment selects the item type
+    const last = parts[parts.length - 1];
+    const itemType = ITEM_TYPES.includes(last) ? last : null;
+    const path = (itemType ? parts.slice(0, -1) : parts).join('/');
+
+    if (path) tokens.push({ path, itemType });
+  }
+
+  return tokens;
+}
+
+// Collect "+tag" parts from recipient addresses (scans+phy10-ch3@example.com -> phy10-ch3)
+function parsePlusTags(recipients = []) {
+  return recipients
+    .map((recipient) => recipient?.address?.toLowerCase() || '')
+    .map((address) => address.match(/^[^+@]+\+([^@]+)@/))
+    .filter(Boolean)
+    .map((match) => match[1]);
+}
+
+// Convert a simple glob (* and ?) into an anchored, case-insensitive RegExp
+function globToRegExp(glob) {
+  const escaped = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`, 'i');
+}
+
+/**
+ * Check a single rule against an email/attachment pair
+ * @returns {object|null} - { itemType } from the match (may be null), or null if no match
+ */
+function matchRule(rule, email, attachment) {
+  const pattern = (rule.pattern || '').trim().toLowerCase();
+  if (!pattern) return null;
+
+  switch (rule.match_type) {
+    case INTAKE_MATCH_TYPES.SENDER: {
+      const sender = email.from?.address?.toLowerCase() || '';
+      if (!sender) return null;
+      // "@example.com" or "example.com" matches a whole domain
+      if (!pattern.includes('@') || pattern.startsWith('@')) {
+        const domain = pattern.replace(/^@/, '');
+        return sender.endsWith(`@${domain}`) ? { itemType: null } : null;
+      }
+      return sender === pattern ? { itemType: null } : null;
+    }
+
+    case INTAKE_MATCH_TYPES.SUBJECT_TOKEN: {
+      const token = parseSubjectTokens(email.subject).find(
+        (t) => t.path === pattern || t.path.startsWith(`${pattern}/`)
+      );
+      return token ? { itemType: token.itemType } : null;
+    }
+
+    case INTAKE_MATCH_TYPES.PLUS_ADDRESS: {
+      const recipients = [...(email.to || []), ...(email.cc || [])];
+      return parsePlusTags(recipients).includes(pattern) ? { itemType: null } : null;
+    }
+
+    case INTAKE_MATCH_TYPES.FILENAME: {
+      const filename = attachment?.filename || '';
+      return globToRegExp(pattern).test(filename) ? { itemType: null } : null;
+    }
+
+    default:
+      return null;
+  }
+}
+
+export const intakeRuleService = {
+  async getAll(filters = {}) {
+    let query = supabase
+      .from('intake_rules')
+      .select(RULE_SELECT)
+      .order('priority', { ascending: true })
+      .order('created_at', { ascending: true });
+
+    if (filters.enabledOnly) {
+      query = query.eq('is_enabled', true);
+    }
+    if (filters.bookId) {
+      query = query.eq('book_id', filters.bookId);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    return data;
+  },
+
+  async findById(id) {
+    const { data, error } = await supabase
+      .from('intake_rules')
+      .select(RULE_SELECT)
+      .eq('id', id)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data;
+  },
+
+  async create(ruleData) {
+    const { data, error } = await supabase
+      .from('intake_rules')
+      .insert({
+        name: ruleData.name,
+        match_type: ruleData.match_type,
+        pattern: ruleData.pattern,
+        book_id: ruleData.book_id,
+        chapter_id: ruleData.chapter_id,
+        item_type: ruleData.item_type || null,
+        priority: ruleData.priority ?? 100,
+        is_enabled: ruleData.is_enabled ?? true,
+      })
+      .select(RULE_SELECT)
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async update(id, ruleData) {
+    const updateFields = {};
+    const allowedFields = ['name', 'match_type', 'pattern', 'book_id', 'chapter_id', 'item_type', 'priority', 'is_enabled'];
+
+    for (const field of allowedFields) {
+      if (ruleData[field] !== undefined) {
+        updateFields[field] = ruleData[field];
+      }
+    }
+
+    const { data, error } = await supabase
+      .from('intake_rules')
+      .update(updateFields)
+      .eq('id', id)
+      .select(RULE_SELECT)
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async delete(id) {
+    const { error } = await supabase
+      .from('intake_rules')
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+    return true;
+  },
+
+  /**
+   * Resolve where an attachment should be filed.
+   * Enabled rules are checked in priority order; the active job is the fallback.
+   * @param {object} email - Parsed email ({ from, to, cc, subject })
+   * @param {object} attachment - Attachment ({ filename })
+   * @param {object} context - Optional preloaded { rules, activeJob } to avoid refetching per attachment
+   * @returns {Promise<object|null>} - { book_id, chapter_id, item_type, routing } or null if unroutable
+   */
+  async resolveRoute(email, attachment, context = {}) {
+    const rules = context.rules || await this.getAll({ enabledOnly: true });
+
+    for (const rule of rules) {
+      const match = matchRule(rule, email, attachment);
+      if (!match) continue;
+
+      return {
+        book_id: rule.book_id,
+        chapter_id: rule.chapter_id,
+        // Rule-routed mail never takes anything from the active job
+        item_type: rule.item_type || match.itemType || 'question',
+        routing: {
+          source: 'rule',
+          rule_id: rule.id,
+          rule_name: rule.name,
+          match_type: rule.match_type,
+          pattern: rule.pattern,
+        },
+      };
+    }
+
+    const activeJob = context.activeJob !== undefined ? context.activeJob : await jobService.getActiveJob();
+    if (activeJob?.active_book_id && activeJob?.active_chapter_id) {
+      return {
+        book_id: activeJob.active_book_id,
+        chapter_id: activeJob.active_chapter_id,
+        item_type: activeJob.active_item_type || 'question',
+        routing: {
+          source: 'active_job',
+          job_id: activeJob.id,
+        },
+      };
+    }
+
+    return null;
+  },
+};
+
+export default intakeRuleService;
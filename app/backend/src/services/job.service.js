@@ -17,8 +17,9 @@ export const jobService = {
     return data;
   },
 
-  // Create or update the active job
-  async setActiveJob(bookId, chapterId, itemType = 'question') {
+  // Create or update the active job. ocrProvider picks the OCR provider for items scanned
+  // into it (null = configured default); left out, the job keeps its current choice.
+  async setActiveJob(bookId, chapterId, itemType = 'question', { ocrProvider } = {}) {
     // First, deactivate any existing active jobs
     await supabase
       .from('jobs')
@@ -40,6 +41,7 @@ export const jobService = {
           active_book_id: bookId,
           active_chapter_id: chapterId,
           active_item_type: itemType,
+          ...(ocrProvider !== undefined && { ocr_provider: ocrProvider }),
           is_active: true,
           updated_at: new Date().toISOString(),
         })
@@ -61,6 +63,7 @@ export const jobService = {
           active_book_id: bookId,
           active_chapter_id: chapterId,
           active_item_type: itemType,
+          ocr_provider: ocrProvider || null,
           is_active: true,
         })
         .select(`
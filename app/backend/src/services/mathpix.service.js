@@ -1,21 +1,21 @@
 import { config } from '../config/index.js';
-import { supabase } from '../config/database.js';
 import { logger } from '../utils/logger.js';
+import { usageService, USAGE_PROVIDERS } from './usage.service.js';
 
-const MATHPIX_API_URL = 'https://api.mathpix.com/v3';
+const MATHPIX_API_URL = config.mathpix.apiUrl;
+
+// Outputs downloaded for every converted PDF
+const PDF_OUTPUT_FORMATS = ['tex', 'mmd', 'lines.json'];
 
 export const mathpixService = {
   /**
-   * Convert a PDF document to LaTeX using MathPix API
+   * Submit a PDF for conversion; the result is fetched with pollForCompletion
    * @param {string|Buffer} pdfSource - PDF URL, base64 encoded PDF, or Buffer
-   * @param {string} scannedItemId - ID of the scanned item to update
-   * @returns {Promise<string>} - LaTeX document
+   * @param {object} options - Optional { usage } context recorded with the metered call
+   * @returns {Promise<string>} - MathPix pdf_id
    */
-  async convertPdfToLatex(pdfSource, scannedItemId) {
-    try {
-      // Update status to processing
-      await this.updateConversionStatus(scannedItemId, 'processing');
-
+  async submitPdf(pdfSource, { usage } = {}) {
+    return usageService.track(USAGE_PROVIDERS.MATHPIX, 'pdf_submit', usage, async (meter) => {
       // Determine if source is URL or binary data
       const isUrl = typeof pdfSource === 'string' &&
         (pdfSource.startsWith('http://') || pdfSource.startsWith('https://'));
@@ -32,6 +32,7 @@ export const mathpixService = {
         };
 
         logger.info('MATHPIX', `Submitting PDF URL to MathPix API...`);
+        meter.request();
 
         response = await fetch(`${MATHPIX_API_URL}/pdf`, {
           method: 'POST',
@@ -65,6 +66,7 @@ export const mathpixService = {
           math_display_delimiters: ['$$', '$$'],
         };
         formData.append('options_json', JSON.stringify(options));
+        meter.request();
 
         response = await fetch(`${MATHPIX_API_URL}/pdf`, {
           method: 'POST',
@@ -89,56 +91,29 @@ export const mathpixService = {
       }
 
       logger.info('MATHPIX', `PDF submitted successfully. ID: ${pdfId}`);
-
-      // Store the request ID
-      await supabase
-        .from('scanned_items')
-        .update({ mathpix_request_id: pdfId })
-        .eq('id', scannedItemId);
-
-      // Poll for completion
-      const latexContent = await this.pollForCompletion(pdfId, scannedItemId);
-
-      // Update the scanned item with LaTeX content
-      await this.updateWithLatex(scannedItemId, latexContent);
-
-      return latexContent;
-    } catch (error) {
-      logger.error('MATHPIX', `Conversion error: ${error.message}`);
-      await this.updateConversionError(scannedItemId, error.message);
-      throw error;
-    }
+      return pdfId;
+    });
   },
 
   /**
    * Poll MathPix API for PDF processing completion
+   * @param {string} pdfId - pdf_id from submitPdf
+   * @param {object} options - Optional { maxAttempts, intervalMs, signal, usage } - signal stops polling;
+   *   usage is the context recorded with the metered conversion (pages, requests)
+   * @returns {Promise<{latex: string, outputs: object}>} - LaTeX document (.tex, or .mmd when
+   *   .tex is unavailable) and every output downloaded, keyed by format (see downloadOutputs)
    */
-  async pollForCompletion(pdfId, scannedItemId, maxAttempts = 60, intervalMs = 2000) {
-    logger.info('MATHPIX', `Polling for completion. PDF ID: ${pdfId}`);
-
-    for (let attempt = 0; attempt < maxAttempts; attempt++) {
-      const statusResponse = await fetch(`${MATHPIX_API_URL}/pdf/${pdfId}`, {
-        method: 'GET',
-        headers: {
-          'app_id': config.mathpix.appId,
-          'app_key': config.mathpix.appKey,
-        },
-      });
-
-      if (!statusResponse.ok) {
-        const errorBody = await statusResponse.text();
-        logger.error('MATHPIX', `Status check failed. Status: ${statusResponse.status}, Body: ${errorBody}`);
-        throw new Error(`Failed to check PDF status: ${statusResponse.status}`);
-      }
-
-      const statusData = await statusResponse.json();
-      logger.info('MATHPIX', `Status: ${statusData.status}, Progress: ${statusData.percent_done || 0}%`);
+  async pollForCompletion(pdfId, { maxAttempts = 60, intervalMs = 2000, signal = null, usage } = {}) {
+    return usageService.track(USAGE_PROVIDERS.MATHPIX, 'pdf', usage, async (meter) => {
+      logger.info('MATHPIX', `Polling for completion. PDF ID: ${pdfId}`);
 
-      if (statusData.status === 'completed') {
-        // Get the LaTeX output (tex.zip format)
-        logger.info('MATHPIX', `Downloading LaTeX output...`);
+      for (let attempt = 0; attempt < maxAttempts; attempt++) {
+        if (signal?.aborted) {
+          throw new Error('Conversion was cancelled');
+        }
 
-        const texResponse = await fetch(`${MATHPIX_API_URL}/pdf/${pdfId}.tex`, {
+        meter.request();
+        const statusResponse = await fetch(`${MATHPIX_API_URL}/pdf/${pdfId}`, {
           method: 'GET',
           headers: {
             'app_id': config.mathpix.appId,
@@ -146,118 +121,133 @@ export const mathpixService = {
           },
         });
 
-        if (texResponse.ok) {
-          const content = await texResponse.text();
-          logger.success('MATHPIX', `Downloaded .tex format: ${Math.round(content.length / 1024)}KB`);
-          return content;
+        if (!statusResponse.ok) {
+          const errorBody = await statusResponse.text();
+          logger.error('MATHPIX', `Status check failed. Status: ${statusResponse.status}, Body: ${errorBody}`);
+          throw new Error(`Failed to check PDF status: ${statusResponse.status}`);
         }
 
-        // If .tex fails, try .mmd (Mathpix Markdown) as fallback
-        logger.info('MATHPIX', `.tex not available (${texResponse.status}), trying .mmd format...`);
-        const mmdResponse = await fetch(`${MATHPIX_API_URL}/pdf/${pdfId}.mmd`, {
-          method: 'GET',
-          headers: {
-            'app_id': config.mathpix.appId,
-            'app_key': config.mathpix.appKey,
-          },
-        });
+        const statusData = await statusResponse.json();
+        logger.info('MATHPIX', `Status: ${statusData.status}, Progress: ${statusData.percent_done || 0}%`);
+
+        // Pages are billed once processed, whether or not the conversion then succeeds
+        meter.pages = statusData.num_pages_completed || statusData.num_pages || meter.pages;
 
-        if (mmdResponse.ok) {
-          const content = await mmdResponse.text();
-          logger.success('MATHPIX', `Downloaded .mmd format: ${Math.round(content.length / 1024)}KB`);
-          return content;
+        if (statusData.status === 'completed') {
+          const outputs = await this.downloadOutputs(pdfId, meter);
+          const latex = outputs.tex || outputs.mmd;
+
+          if (!latex) {
+            throw new Error('Failed to get LaTeX output: neither .tex nor .mmd is available');
+          }
+          return { latex, outputs };
         }
 
-        throw new Error(`Failed to get LaTeX output: ${texResponse.status}`);
-      }
+        if (statusData.status === 'error') {
+          throw new Error(statusData.error || 'MathPix processing failed');
+        }
 
-      if (statusData.status === 'error') {
-        throw new Error(statusData.error || 'MathPix processing failed');
+        // Wait before next poll
+        await new Promise((resolve) => setTimeout(resolve, intervalMs));
       }
 
-      // Wait before next poll
-      await new Promise((resolve) => setTimeout(resolve, intervalMs));
-    }
-
-    throw new Error('MathPix conversion timed out');
+      throw new Error('MathPix conversion timed out');
+    });
   },
 
   /**
-   * Convert a single image to LaTeX (for smaller documents)
+   * Download the outputs of a completed PDF conversion: the LaTeX document (.tex),
+   * Mathpix Markdown (.mmd) and per-page line data with positions (.lines.json)
+   * @param {string} pdfId - pdf_id from submitPdf
+   * @param {object} meter - Optional usage meter counting the downloads
+   * @returns {Promise<object>} - { tex?, mmd?, 'lines.json'? }; formats MathPix could not return are left out
    */
-  async convertImageToLatex(imageSource) {
-    const isUrl = imageSource.startsWith('http://') || imageSource.startsWith('https://');
-
-    const requestBody = isUrl
-      ? { src: imageSource }
-      : { src: `data:image/png;base64,${imageSource}` };
-
-    requestBody.formats = ['text', 'latex_styled'];
-    requestBody.math_inline_delimiters = ['$', '$'];
-    requestBody.math_display_delimiters = ['$$', '$$'];
-
-    const response = await fetch(`${MATHPIX_API_URL}/text`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'app_id': config.mathpix.appId,
-        'app_key': config.mathpix.appKey,
-      },
-      body: JSON.stringify(requestBody),
-    });
+  async downloadOutputs(pdfId, meter = null) {
+    const outputs = {};
+
+    for (const format of PDF_OUTPUT_FORMATS) {
+      meter?.request();
+      const response = await fetch(`${MATHPIX_API_URL}/pdf/${pdfId}.${format}`, {
+        method: 'GET',
+        headers: {
+          'app_id': config.mathpix.appId,
+          'app_key': config.mathpix.appKey,
+        },
+      });
+
+      if (!response.ok) {
+        logger.warn('MATHPIX', `.${format} not available (${response.status})`);
+        continue;
+      }
 
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData.error || `MathPix API error: ${response.status}`);
+      outputs[format] = await response.text();
+      logger.success('MATHPIX', `Downloaded .${format} format: ${Math.round(outputs[format].length / 1024)}KB`);
     }
 
-    const result = await response.json();
-    return result.latex_styled || result.text || '';
+    return outputs;
   },
 
   /**
-   * Update scanned item with converted LaTeX
+   * Convert a single image to LaTeX (for smaller documents)
+   * @param {string} imageSource - Image URL or base64 encoded image
+   * @param {string} mimeType - MIME type used for base64 data URLs
+   * @param {object} options - Optional { usage } context recorded with the metered call
    */
-  async updateWithLatex(scannedItemId, latexContent) {
-    const { error } = await supabase
-      .from('scanned_items')
-      .update({
-        latex_doc: latexContent,
-        latex_conversion_status: 'completed',
-        status: 'completed',
-        conversion_error: null,
-      })
-      .eq('id', scannedItemId);
-
-    if (error) throw error;
-  },
+  async convertImageToLatex(imageSource, mimeType = 'image/png', { usage } = {}) {
+    return usageService.track(USAGE_PROVIDERS.MATHPIX, 'image', usage, async (meter) => {
+      const isUrl = imageSource.startsWith('http://') || imageSource.startsWith('https://');
 
-  /**
-   * Update conversion status
-   */
-  async updateConversionStatus(scannedItemId, status) {
-    const { error } = await supabase
-      .from('scanned_items')
-      .update({ latex_conversion_status: status })
-      .eq('id', scannedItemId);
+      const requestBody = isUrl
+        ? { src: imageSource }
+        : { src: `data:${mimeType};base64,${imageSource}` };
 
-    if (error) throw error;
+      requestBody.formats = ['text', 'latex_styled'];
+      requestBody.math_inline_delimiters = ['$', '$'];
+      requestBody.math_display_delimiters = ['$$', '$$'];
+
+      meter.request();
+      const response = await fetch(`${MATHPIX_API_URL}/text`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'app_id': config.mathpix.appId,
+          'app_key': config.mathpix.appKey,
+        },
+        body: JSON.stringify(requestBody),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || `MathPix API error: ${response.status}`);
+      }
+
+      const result = await response.json();
+      return result.latex_styled || result.text || '';
+    });
   },
 
   /**
-   * Update with conversion error
+   * Convert an ordered set of images (e.g. phone photos of consecutive pages) to one LaTeX document
+   * @param {Array<{content?: Buffer, url?: string, contentType: string, filename: string}>} images - Images in page order
+   * @param {object} options - Optional { signal } to stop between images when the task is cancelled,
+   *   { usage } context recorded with each metered image
+   * @returns {Promise<string>} - Combined LaTeX document
    */
-  async updateConversionError(scannedItemId, errorMessage) {
-    const { error } = await supabase
-      .from('scanned_items')
-      .update({
-        latex_conversion_status: 'failed',
-        status: 'failed',
-        conversion_error: errorMessage,
-      })
-      .eq('id', scannedItemId);
-
-    if (error) logger.error('MATHPIX', `Failed to update error status: ${error.message}`);
+  async convertImagesToLatex(images, { signal, usage } = {}) {
+    const pages = [];
+    for (let i = 0; i < images.length; i++) {
+      if (signal?.aborted) {
+        throw new Error('Conversion was cancelled');
+      }
+
+      // Images are bytes, or a URL for url scans
+      const image = images[i];
+      logger.info('MATHPIX', `Converting image ${i + 1}/${images.length}: ${image.filename || image.url}${image.content ? ` (${Math.round(image.content.length / 1024)}KB)` : ''}`);
+      const latex = await this.convertImageToLatex(image.url || image.content.toString('base64'), image.contentType, { usage });
+      pages.push(`% ---------- Image ${i + 1}: ${image.filename} ----------\n\n${latex}`);
+    }
+
+    return pages.join('\n\n');
   },
 };
 
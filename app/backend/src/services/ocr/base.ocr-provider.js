@@ -0,0 +1,86 @@
+/**
+ * Output formats a provider can return next to the LaTeX document; they are kept
+ * per scanned item and served by GET /scanned-items/:id/outputs/:format
+ */
+export const OCR_OUTPUT_FORMATS = {
+  tex: { extension: 'tex', contentType: 'application/x-tex; charset=utf-8' },
+  mmd: { extension: 'mmd', contentType: 'text/markdown; charset=utf-8' },
+  // Per-page lines with positions: { pages: [{ page, lines: [{ text, ... }] }] }
+  'lines.json': { extension: 'lines.json', contentType: 'application/json; charset=utf-8' },
+};
+
+/**
+ * Base class for OCR providers (MathPix, local text layer, ...)
+ * A provider turns a scanned PDF (or page images) into a LaTeX document plus any
+ * other outputs it has (see OCR_OUTPUT_FORMATS); the scanned item bookkeeping
+ * around it is done by ocrService.
+ */
+export class BaseOcrProvider {
+  constructor(options) {
+    this.name = options.name;
+    this.label = options.label || options.name;
+    this.logTag = options.logTag || 'OCR';
+    this.supportsImages = options.supportsImages || false;
+    // Whether a submitted conversion can be picked up again after a restart
+    this.supportsResume = options.supportsResume || false;
+  }
+
+  /**
+   * Whether the provider has what it needs to run (credentials, ...)
+   * Must be implemented by subclass
+   */
+  isConfigured() {
+    throw new Error('isConfigured must be implemented by subclass');
+  }
+
+  /**
+   * Convert a PDF to a LaTeX document
+   * Must be implemented by subclass
+   * @param {{buffer?: Buffer, url?: string}} source - PDF bytes or URL
+   * @param {{signal?: AbortSignal, onSubmitted?: Function, usage?: object}} context - onSubmitted(requestId)
+   *   records a remote request so it can be resumed; usage links metered API calls to the item
+   * @returns {Promise<{latex: string, outputs?: object}>} - outputs keyed by OCR_OUTPUT_FORMATS name
+   */
+  async convertPdf(source, context = {}) {
+    throw new Error('convertPdf must be implemented by subclass');
+  }
+
+  /**
+   * Convert ordered page images to one LaTeX document
+   * Can be overridden by subclass
+   * @returns {Promise<{latex: string, outputs?: object}>}
+   */
+  async convertImages(images, context = {}) {
+    throw new Error(`${this.label} cannot convert images`);
+  }
+
+  /**
+   * Finish a conversion submitted before a restart
+   * Can be overridden by subclass
+   * @returns {Promise<{latex: string, outputs?: object}>}
+   */
+  async resume(requestId, context = {}) {
+    throw new Error(`${this.label} cannot resume conversions`);
+  }
+
+  /**
+   * Provider-specific status details
+   * Can be overridden by subclass
+   */
+  getDetails() {
+    return {};
+  }
+
+  getStatus() {
+    return {
+      name: this.name,
+      label: this.label,
+      configured: this.isConfigured(),
+      supportsImages: this.supportsImages,
+      supportsResume: this.supportsResume,
+      ...this.getDetails(),
+    };
+  }
+}
+
+export default BaseOcrProvider;
@@ -0,0 +1,284 @@
+import { supabase } from '../../config/database.js';
+import { config } from '../../config/index.js';
+import logger from '../../utils/logger.js';
+import { buildPageIndex } from '../../utils/pageIndex.js';
+import { storageService } from '../storage/index.js';
+import { imageRehostService } from '../imageRehost.service.js';
+import { usageService } from '../usage.service.js';
+import { OCR_OUTPUT_FORMATS } from './base.ocr-provider.js';
+import { mathpixOcrProvider, localOcrProvider } from './providers/index.js';
+
+// Registered OCR providers
+const PROVIDERS = [mathpixOcrProvider, localOcrProvider];
+
+let warnedFallback = false;
+
+export const ocrService = {
+  getAll() {
+    return PROVIDERS;
+  },
+
+  get(name) {
+    return PROVIDERS.find((provider) => provider.name === name) || null;
+  },
+
+  /**
+   * Check a requested provider name; returns an error message or null
+   */
+  validate(name) {
+    const provider = this.get(name);
+    if (!provider) {
+      return `ocr_provider must be one of: ${PROVIDERS.map((p) => p.name).join(', ')}`;
+    }
+    if (!provider.isConfigured()) {
+      return `OCR provider "${name}" is not configured`;
+    }
+    return null;
+  },
+
+  /**
+   * Provider for a conversion: the one chosen for the item (or its job), else
+   * config.ocr.provider, falling back to config.ocr.fallbackProvider while the
+   * default has no credentials (e.g. development without MathPix)
+   * @param {string|null} name - Requested provider
+   */
+  resolve(name = null) {
+    if (name) {
+      const requested = this.get(name);
+      if (!requested) throw new Error(`Unknown OCR provider "${name}"`);
+      return requested;
+    }
+
+    const preferred = this.get(config.ocr.provider) || mathpixOcrProvider;
+    if (preferred.isConfigured()) return preferred;
+
+    const fallback = this.get(config.ocr.fallbackProvider);
+    if (fallback && fallback !== preferred && fallback.isConfigured()) {
+      if (!warnedFallback) {
+        logger.warn('OCR', `${preferred.label} is not configured; converting with ${fallback.label}`);
+        warnedFallback = true;
+      }
+      return fallback;
+    }
+
+    return preferred;
+  },
+
+  /**
+   * Convert a scanned item, recording the provider, status and result on it and its duplicates
+   * @param {object} item - Scanned item (its ocr_provider, if set, picks the provider)
+   * @param {{buffer?: Buffer, url?: string, images?: object[]}} source - PDF bytes or URL, or page images
+   * @param {object} options - Optional { signal }
+   * @returns {Promise<string>} - LaTeX document
+   */
+  async convertItem(item, source, { signal } = {}) {
+    const provider = this.resolve(item.ocr_provider);
+    const usage = this.usageContext(item);
+
+    // Before the item is touched, so a paused conversion stays pending
+    await usageService.assertWithinBudget(provider.name);
+
+    try {
+      if (!provider.isConfigured()) {
+        throw new Error(`OCR provider "${provider.name}" is not configured`);
+      }
+
+      await this.updateConversionStatus(item.id, 'processing', { ocr_provider: provider.name });
+      logger.info(provider.logTag, `Converting ${item.id} with ${provider.label}`);
+
+      const result = source.images
+        ? await provider.convertImages(source.images, { signal, usage })
+        : await provider.convertPdf(source, {
+          signal,
+          usage,
+          onSubmitted: (requestId) => this.recordRequest(item.id, requestId),
+        });
+
+      await this.saveResult(item, result);
+      logger.success(provider.logTag, `✓ Converted ${item.id} (${Math.round(result.latex.length / 1024)}KB)`);
+      return result.latex;
+    } catch (error) {
+      logger.error(provider.logTag, `Conversion error: ${error.message}`);
+      await this.updateConversionError(item.id, error.message);
+      throw error;
+    }
+  },
+
+  /**
+   * Whether an item's conversion was submitted to a provider that can pick it up again
+   */
+  canResume(item) {
+    return !!item.mathpix_request_id && !!this.get(item.ocr_provider || 'mathpix')?.supportsResume;
+  },
+
+  /**
+   * Resume a conversion submitted before a restart
+   * @returns {Promise<string>} - LaTeX document
+   */
+  async resumeItem(item, { signal } = {}) {
+    const provider = this.get(item.ocr_provider || 'mathpix');
+
+    try {
+      logger.info(provider.logTag, `Resuming conversion of ${item.id} (request ${item.mathpix_request_id})`);
+      const result = await provider.resume(item.mathpix_request_id, { signal, usage: this.usageContext(item) });
+      await this.saveResult(item, result);
+      return result.latex;
+    } catch (error) {
+      logger.error(provider.logTag, `Resumed conversion error: ${error.message}`);
+      await this.updateConversionError(item.id, error.message);
+      throw error;
+    }
+  },
+
+  // What metered API calls of a conversion are recorded against
+  usageContext(item) {
+    return { scanned_item_id: item.id, book_id: item.book_id, chapter_id: item.chapter_id };
+  },
+
+  // Remote request id, so the conversion can be resumed after a restart
+  async recordRequest(scannedItemId, requestId) {
+    const { error } = await supabase
+      .from('scanned_items')
+      .update({ mathpix_request_id: requestId })
+      .eq('id', scannedItemId);
+
+    if (error) throw error;
+  },
+
+  /**
+   * Record a provider result on the item: the LaTeX document (with its images copied),
+   * the other outputs as returned (kept in the storage backend) and the page index
+   * built from the line data
+   * @param {object} item - Scanned item; outputs of an earlier conversion are released
+   * @param {{latex: string, outputs?: object}} result - Provider result
+   */
+  async saveResult(item, { latex, outputs = {} }) {
+    // Images on the provider's CDN expire; latex_doc points at our copies instead
+    const latexDoc = await imageRehostService.rehostConvertedLatex(item.id, latex);
+    let stored = null;
+    let pageIndex = null;
+
+    // The LaTeX is what extraction needs; losing the extras is not worth converting again
+    try {
+      stored = await this.storeOutputs(outputs);
+      pageIndex = buildPageIndex(outputs['lines.json']);
+    } catch (error) {
+      logger.warn('OCR', `Could not keep OCR outputs of ${item.id}: ${error.message}`);
+    }
+
+    await this.updateWithLatex(item.id, latexDoc, { ocr_outputs: stored, page_index: pageIndex });
+    await this.releaseOutputs(item.ocr_outputs);
+  },
+
+  /**
+   * Write provider outputs to the storage backend
+   * @returns {Promise<object|null>} - Storage entries keyed by format, null when there are none
+   */
+  async storeOutputs(outputs) {
+    const stored = {};
+    for (const [format, content] of Object.entries(outputs)) {
+      if (!OCR_OUTPUT_FORMATS[format] || !content) continue;
+      stored[format] = await storageService.putOutput(content, OCR_OUTPUT_FORMATS[format]);
+    }
+    return Object.keys(stored).length > 0 ? stored : null;
+  },
+
+  /**
+   * Delete stored outputs no scanned item refers to any more (after a new conversion or a delete)
+   * @param {object|null} ocrOutputs - An item's previous ocr_outputs
+   */
+  async releaseOutputs(ocrOutputs) {
+    for (const [format, entry] of Object.entries(ocrOutputs || {})) {
+      const { count, error } = await supabase
+        .from('scanned_items')
+        .select('id', { count: 'exact', head: true })
+        .contains('ocr_outputs', { [format]: { storage_key: entry.storage_key } });
+
+      if (error) {
+        logger.warn('OCR', `Could not check references to ${entry.storage_key}: ${error.message}`);
+        continue;
+      }
+      if (count === 0) {
+        await storageService.deleteOutput(entry).catch((err) => {
+          logger.warn('STORAGE', `Could not delete ${entry.storage_key}: ${err.message}`);
+        });
+      }
+    }
+  },
+
+  /**
+   * Read one stored output of a scanned item
+   * @param {object} item - Scanned item with ocr_outputs
+   * @param {string} format - One of OCR_OUTPUT_FORMATS
+   * @returns {Promise<{content: Buffer, contentType: string}|null>} - null if the item has no such output
+   */
+  async getOutput(item, format) {
+    const entry = item.ocr_outputs?.[format];
+    if (!entry) return null;
+
+    const content = await storageService.getOutput(entry);
+    if (!content) throw new Error(`${format} output of item ${item.id} is missing from storage (${entry.storage_key})`);
+    return { content, contentType: entry.content_type || OCR_OUTPUT_FORMATS[format].contentType };
+  },
+
+  /**
+   * Update scanned item (and any duplicates reusing its conversion) with converted LaTeX
+   * @param {object} fields - Extra fields, e.g. { ocr_outputs, page_index }
+   */
+  async updateWithLatex(scannedItemId, latexContent, fields = {}) {
+    const { error } = await supabase
+      .from('scanned_items')
+      .update({
+        latex_doc: latexContent,
+        latex_conversion_status: 'completed',
+        status: 'completed',
+        conversion_error: null,
+        ...fields,
+      })
+      .or(`id.eq.${scannedItemId},duplicate_of.eq.${scannedItemId}`);
+
+    if (error) throw error;
+  },
+
+  /**
+   * Update conversion status of an item and its duplicates
+   * @param {object} fields - Extra fields, e.g. { ocr_provider }
+   */
+  async updateConversionStatus(scannedItemId, status, fields = {}) {
+    const { error } = await supabase
+      .from('scanned_items')
+      .update({ latex_conversion_status: status, ...fields })
+      .or(`id.eq.${scannedItemId},duplicate_of.eq.${scannedItemId}`);
+
+    if (error) throw error;
+  },
+
+  /**
+   * Update an item and its duplicates with conversion error
+   */
+  async updateConversionError(scannedItemId, errorMessage) {
+    const { error } = await supabase
+      .from('scanned_items')
+      .update({
+        latex_conversion_status: 'failed',
+        status: 'failed',
+        conversion_error: errorMessage,
+      })
+      .or(`id.eq.${scannedItemId},duplicate_of.eq.${scannedItemId}`);
+
+    if (error) logger.error('OCR', `Failed to update error status: ${error.message}`);
+  },
+
+  getStatus() {
+    return {
+      provider: config.ocr.provider,
+      fallbackProvider: config.ocr.fallbackProvider,
+      // What an item without its own choice is converted with right now
+      effectiveProvider: this.resolve().name,
+      providers: PROVIDERS.map((provider) => provider.getStatus()),
+    };
+  },
+};
+
+export { BaseOcrProvider, OCR_OUTPUT_FORMATS } from './base.ocr-provider.js';
+export default ocrService;
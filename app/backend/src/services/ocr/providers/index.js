@@ -0,0 +1,2 @@
+export { mathpixOcrProvider } from './mathpix.ocr-provider.js';
+export { localOcrProvider } from './local.ocr-provider.js';
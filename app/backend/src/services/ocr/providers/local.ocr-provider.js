@@ -0,0 +1,139 @@
+import { config } from '../../../config/index.js';
+import { BaseOcrProvider } from '../base.ocr-provider.js';
+import { escapeLatex, wrapLatexDocument } from '../../../utils/latex.js';
+import logger from '../../../utils/logger.js';
+
+// pdfjs-dist is only loaded once a PDF is converted locally
+let pdfjs = null;
+async function loadPdfjs() {
+  if (!pdfjs) {
+    pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  }
+  return pdfjs;
+}
+
+/**
+ * Group a page's text items into lines
+ * @returns {Array<{y: number, height: number, text: string}>}
+ */
+function pageLines(items) {
+  const lines = [];
+  let current = null;
+
+  for (const item of items) {
+    if (!('str' in item)) continue;
+    const y = Math.round(item.transform[5]);
+    const height = Math.abs(item.transform[3]) || item.height || 10;
+
+    if (!current || Math.abs(current.y - y) > height / 2) {
+      current = { y, height, text: '' };
+      lines.push(current);
+    }
+    current.text += item.str;
+    if (item.hasEOL) current = null;
+  }
+
+  return lines;
+}
+
+/**
+ * Join lines into paragraphs where the vertical gap is larger than usual
+ * @returns {string} - LaTeX body of the page
+ */
+function pageToLatex(lines) {
+  const paragraphs = [];
+  let paragraph = [];
+  lines.forEach((line, i) => {
+    const text = line.text.replace(/\s+/g, ' ').trim();
+    const previous = lines[i - 1];
+    if (previous && previous.y - line.y > previous.height * 1.8 && paragraph.length > 0) {
+      paragraphs.push(paragraph.join('\n'));
+      paragraph = [];
+    }
+    if (text) paragraph.push(escapeLatex(text));
+  });
+  if (paragraph.length > 0) paragraphs.push(paragraph.join('\n'));
+
+  return paragraphs.join('\n\n');
+}
+
+/**
+ * Offline provider reading the text layer of digital (born-digital or already
+ * OCR'd) PDFs. No credentials needed, but equations come out as plain text and
+ * image-only scans have no text to read. Returns the lines of each page in the
+ * .lines.json shape MathPix uses, so the page index works the same.
+ */
+class LocalOcrProvider extends BaseOcrProvider {
+  constructor() {
+    super({
+      name: 'local',
+      label: 'Local text layer',
+      logTag: 'OCR',
+    });
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  getDetails() {
+    return { minCharsPerPage: config.ocr.local.minCharsPerPage };
+  }
+
+  async convertPdf(source, { signal } = {}) {
+    let buffer = source.buffer;
+    if (!buffer && source.url) {
+      const response = await fetch(source.url, { signal });
+      if (!response.ok) throw new Error(`Could not download PDF: ${response.status}`);
+      buffer = Buffer.from(await response.arrayBuffer());
+    }
+
+    const { getDocument } = await loadPdfjs();
+    const pdf = await getDocument({
+      data: new Uint8Array(buffer),
+      isEvalSupported: false,
+      disableFontFace: true,
+      useSystemFonts: false,
+      verbosity: 0,
+    }).promise;
+
+    try {
+      const pages = [];
+      const linePages = [];
+      let characters = 0;
+
+      for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+        if (signal?.aborted) {
+          throw new Error('Conversion was cancelled');
+        }
+
+        const page = await pdf.getPage(pageNumber);
+        const content = await page.getTextContent();
+        const lines = pageLines(content.items);
+        const body = pageToLatex(lines);
+        characters += body.length;
+        pages.push(`% ---------- Page ${pageNumber} ----------\n\n${body}`);
+        linePages.push({
+          page: pageNumber,
+          lines: lines.map((line) => ({ text: line.text.replace(/\s+/g, ' ').trim() })).filter((line) => line.text),
+        });
+        page.cleanup();
+      }
+
+      if (characters < pdf.numPages * config.ocr.local.minCharsPerPage) {
+        throw new Error('PDF has no usable text layer (image-only scan?); convert it with MathPix instead');
+      }
+
+      logger.info(this.logTag, `Read ${characters} characters from ${pdf.numPages} page(s) of text layer`);
+      const latex = wrapLatexDocument(pages);
+      return {
+        latex,
+        outputs: { tex: latex, 'lines.json': JSON.stringify({ pages: linePages }) },
+      };
+    } finally {
+      await pdf.destroy();
+    }
+  }
+}
+
+export const localOcrProvider = new LocalOcrProvider();
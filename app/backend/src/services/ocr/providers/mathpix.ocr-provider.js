@@ -0,0 +1,41 @@
+import { config } from '../../../config/index.js';
+import { BaseOcrProvider } from '../base.ocr-provider.js';
+import { mathpixService } from '../../mathpix.service.js';
+
+/**
+ * MathPix PDF and image OCR; handles handwriting, scans and equations.
+ * PDFs are converted asynchronously by MathPix, so the request id is recorded
+ * and polling resumes after a restart. PDF conversions also return the .mmd and
+ * .lines.json outputs.
+ */
+class MathpixOcrProvider extends BaseOcrProvider {
+  constructor() {
+    super({
+      name: 'mathpix',
+      label: 'MathPix',
+      logTag: 'MATHPIX',
+      supportsImages: true,
+      supportsResume: true,
+    });
+  }
+
+  isConfigured() {
+    return !!(config.mathpix.appId && config.mathpix.appKey);
+  }
+
+  async convertPdf(source, { signal, onSubmitted, usage } = {}) {
+    const pdfId = await mathpixService.submitPdf(source.url || source.buffer, { usage });
+    await onSubmitted?.(pdfId);
+    return mathpixService.pollForCompletion(pdfId, { signal, usage });
+  }
+
+  async convertImages(images, { signal, usage } = {}) {
+    return { latex: await mathpixService.convertImagesToLatex(images, { signal, usage }) };
+  }
+
+  async resume(requestId, { signal, usage } = {}) {
+    return mathpixService.pollForCompletion(requestId, { signal, usage });
+  }
+}
+
+export const mathpixOcrProvider = new MathpixOcrProvider();
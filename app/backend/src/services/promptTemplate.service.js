@@ -0,0 +1,171 @@
+import { supabase } from '../config/database.js';
+import { EXTRACTION_KINDS } from './extraction/index.js';
+import { BUILT_IN_INSTRUCTIONS } from './extraction/instructions.js';
+
+const MAX_SOURCE_TYPE_LENGTH = 50;
+
+// Errors caused by the request rather than the server
+function badRequest(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
+
+/**
+ * Versioned parsing instructions per extraction kind and source type (prompt_templates).
+ * Saving a template adds a version; extractions use the active version and record it on the set.
+ */
+export const promptTemplateService = {
+  // Promise of the one-time built-in seeding, per process
+  seeding: null,
+
+  /**
+   * Store the built-in instructions as version 1 of every template that has no versions yet
+   */
+  async seedBuiltIns() {
+    if (!this.seeding) {
+      const rows = Object.entries(BUILT_IN_INSTRUCTIONS).flatMap(([kind, bySourceType]) => (
+        Object.entries(bySourceType).map(([sourceType, instructions]) => ({
+          kind,
+          source_type: sourceType,
+          version: 1,
+          instructions,
+          notes: 'Built-in instructions',
+          is_active: true,
+        }))
+      ));
+
+      this.seeding = supabase
+        .from('prompt_templates')
+        .upsert(rows, { onConflict: 'kind,source_type,version', ignoreDuplicates: true })
+        .then(({ error }) => {
+          if (error) throw error;
+        })
+        .catch((error) => {
+          // Try again on the next call
+          this.seeding = null;
+          throw error;
+        });
+    }
+    return this.seeding;
+  },
+
+  /**
+   * Template versions, newest first within each kind and source type
+   * @param {object} filters - Optional { kind, sourceType, activeOnly }
+   */
+  async getAll(filters = {}) {
+    await this.seedBuiltIns();
+
+    let query = supabase
+      .from('prompt_templates')
+      .select('*')
+      .order('kind', { ascending: true })
+      .order('source_type', { ascending: true })
+      .order('version', { ascending: false });
+
+    if (filters.kind) query = query.eq('kind', filters.kind);
+    if (filters.sourceType) query = query.eq('source_type', filters.sourceType);
+    if (filters.activeOnly) query = query.eq('is_active', true);
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    return data;
+  },
+
+  async findById(id) {
+    const { data, error } = await supabase
+      .from('prompt_templates')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data;
+  },
+
+  /**
+   * Source types with an active template, i.e. what a set can be extracted as
+   * @param {string|null} kind - One of EXTRACTION_KINDS; null for either
+   * @returns {Promise<string[]>}
+   */
+  async getSourceTypes(kind = null) {
+    const templates = await this.getAll({ kind, activeOnly: true });
+    return [...new Set(templates.map((template) => template.source_type))].sort();
+  },
+
+  async getActive(kind, sourceType) {
+    await this.seedBuiltIns();
+
+    const { data, error } = await supabase
+      .from('prompt_templates')
+      .select('*')
+      .eq('kind', kind)
+      .eq('source_type', sourceType)
+      .eq('is_active', true)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Active template for an extraction
+   * @throws {Error} - statusCode 400 when the source type has no active template for the kind
+   */
+  async resolve(kind, sourceType) {
+    const template = await this.getActive(kind, sourceType);
+    if (!template) {
+      throw badRequest(`No active ${kind} prompt template for source type "${sourceType}"`);
+    }
+    return template;
+  },
+
+  /**
+   * Save instructions as the next version of a template; a new source type starts at version 1
+   * @param {object} templateData - { kind, source_type, instructions, notes, activate (default true) }
+   * @returns {Promise<object>} - Created version
+   */
+  async createVersion(templateData) {
+    const kind = templateData.kind;
+    const sourceType = templateData.source_type?.trim();
+
+    if (!Object.values(EXTRACTION_KINDS).includes(kind)) {
+      throw badRequest(`kind must be one of: ${Object.values(EXTRACTION_KINDS).join(', ')}`);
+    }
+    if (!sourceType || sourceType.length > MAX_SOURCE_TYPE_LENGTH) {
+      throw badRequest(`source_type is required and must be at most ${MAX_SOURCE_TYPE_LENGTH} characters`);
+    }
+    if (!templateData.instructions?.trim()) {
+      throw badRequest('instructions are required');
+    }
+
+    // Built-in versions come first, so edits of them are version 2 onwards
+    await this.seedBuiltIns();
+
+    const { data, error } = await supabase.rpc('create_prompt_template_version', {
+      p_kind: kind,
+      p_source_type: sourceType,
+      p_instructions: templateData.instructions,
+      p_notes: templateData.notes || null,
+      p_activate: templateData.activate ?? true,
+    });
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Make a version the active one of its template, e.g. to roll back to it
+   * @returns {Promise<object|null>} - Activated version, or null if not found
+   */
+  async activate(id) {
+    const { data, error } = await supabase.rpc('activate_prompt_template', { p_id: id });
+
+    if (error) throw error;
+    return data?.id ? data : null;
+  },
+};
+
+export default promptTemplateService;
@@ -1,150 +1,14 @@
 import { supabase } from '../config/database.js';
-import { config } from '../config/index.js';
+import { locateSourcePages } from '../utils/pageIndex.js';
+import { buildQuestionReport } from '../utils/qualityReport.js';
+import { sliceByLabels, mergeEntries } from '../utils/labelSlice.js';
+import { extractionProviderService, EXTRACTION_KINDS, fixInvalidEscapeSequences } from './extraction/index.js';
+import { promptTemplateService } from './promptTemplate.service.js';
 
-const LLAMAPARSE_API_URL = config.llamaParse.apiUrl;
-const LLAMAPARSE_API_KEY = config.llamaParse.apiKey;
-
-// Gemini API configuration
-const GEMINI_API_URL = config.gemini.apiUrl;
-const GEMINI_API_KEY = config.gemini.apiKey;
-const GEMINI_MODEL = config.gemini.model;
-
-// Extraction provider options
-export const EXTRACTION_PROVIDERS = {
-  LLAMAPARSE: 'llamaparse',
-  GEMINI: 'gemini',
-};
-
-// Parsing instructions by source type
-const PARSING_INSTRUCTIONS = {
-  'Question Bank': `
-CRITICAL: Extract EVERY SINGLE question from this document with ALL their choices. Do NOT skip any questions or choices.
-
-This document contains competitive exam questions (JEE, NEET, etc.). Extract ALL question types:
-- Single correct MCQs (one correct answer)
-- Multiple correct MCQs (one or more correct answers)
-- Numerical/Integer type questions (answer is a number, NO choices provided)
-- Paragraph/Comprehension based questions
-- Matrix match questions
-- Assertion-Reason questions
-
-CHOICE FORMATS - Look for these patterns on SEPARATE LINES after the question:
-- (a), (b), (c), (d) - lowercase with parentheses (MOST COMMON in JEE)
-- (A), (B), (C), (D) - uppercase with parentheses
-- A., B., C., D. or A), B), C), D)
-
-IMPORTANT - CHOICES CAN CONTAIN:
-- Simple numbers: (a) 2, (b) 12, (c) 4, (d) 6
-- Mathematical expressions: (a) $\\beta^{2}-2 \\sqrt{\\alpha}=\\frac{19}{4}$
-- Text with math: (a) Perimeter of $\\triangle ABC$ is $18\\sqrt{3}$
-- Fractions, square roots, matrices, determinants
-
-HOW TO IDENTIFY CHOICES:
-- Choices appear AFTER phrases like "is equal to", "then", "is", "are", "equals"
-- Each choice starts on a new line with (a), (b), (c), (d)
-- Choices end when the next question number appears OR document ends
-
-For EACH question, extract:
-1. question_label: The number EXACTLY as shown (e.g., "1", "10", "17")
-2. text: Complete question INCLUDING all math notation up to but NOT including the choices
-3. choices: Array of ALL 4 choices with their labels ["(a) ...", "(b) ...", "(c) ...", "(d) ..."]
-
-Return in JSON format:
-{
-  "questions": [
-    {
-      "question_label": "10",
-      "text": "Let S denote the set... is equal to",
-      "choices": ["(a) 2", "(b) 12", "(c) 4", "(d) 6"]
-    },
-    {
-      "question_label": "17",
-      "text": "Let $f(x)=...$. If $\\alpha$ and $\\beta$ respectively are the maximum and minimum values of $f$, then",
-      "choices": ["(a) $\\beta^{2}-2 \\sqrt{\\alpha}=\\frac{19}{4}$", "(b) $\\beta^{2}+2 \\sqrt{\\alpha}=\\frac{19}{4}$", "(c) $\\alpha^{2}-\\beta^{2}=4 \\sqrt{3}$", "(d) $\\alpha^{2}+\\beta^{2}=\\frac{9}{2}$"]
-    },
-    {
-      "question_label": "21",
-      "text": "Numerical question (no choices)",
-      "choices": []
-    }
-  ]
-}
-
-MANDATORY RULES:
-- Extract EVERY question from 1 to the last question number
-- For EACH MCQ (questions 1-20 typically), you MUST extract exactly 4 choices
-- Choices with mathematical expressions - preserve ALL LaTeX notation exactly
-- For questions ending with "is equal to", "then", etc. - the choices follow on next lines
-- Numerical/Integer type questions (usually 21-30) have NO choices - set choices to []
-- Preserve ALL LaTeX: $...$ and $$...$$ and special characters
-- Do NOT skip choices even if they contain complex math expressions
-- VERIFY: Every MCQ must have exactly 4 choices in the output
-`,
-  'Academic Book': `
-CRITICAL: Extract EVERY SINGLE question from this document with ALL their choices. Do NOT skip any questions or choices.
-
-This is an academic textbook. Extract ALL types of questions including:
-- Multiple choice questions (MCQs)
-- Fill in the blanks
-- True/False questions
-- Short answer questions
-- Long answer questions
-- Numerical problems
-- Exercise questions
-
-CHOICE FORMATS - Look for these patterns on SEPARATE LINES after the question:
-- (a), (b), (c), (d) - lowercase with parentheses
-- (A), (B), (C), (D) - uppercase with parentheses
-- A., B., C., D. or A), B), C), D)
-- (i), (ii), (iii), (iv)
-
-IMPORTANT - CHOICES CAN CONTAIN:
-- Simple numbers or text
-- Mathematical expressions with LaTeX
-- Fractions, square roots, matrices, determinants
-- Mixed text and math
-
-HOW TO IDENTIFY CHOICES:
-- Choices appear AFTER phrases like "is equal to", "then", "is", "are", "equals", "find"
-- Each choice starts on a new line with (a), (b), (c), (d) or similar
-- Choices end when the next question number appears OR document ends
-
-For EACH question, extract:
-1. question_label: The number EXACTLY as shown
-2. text: Complete question INCLUDING all math notation up to but NOT including the choices
-3. choices: Array of ALL choices with their labels, or empty [] if no choices
-
-Return in JSON format:
-{
-  "questions": [
-    {
-      "question_label": "1",
-      "text": "Complete question text with $math$ preserved",
-      "choices": ["(a) choice1", "(b) choice2", "(c) choice3", "(d) choice4"]
-    },
-    {
-      "question_label": "2",
-      "text": "Question without choices",
-      "choices": []
-    }
-  ]
-}
-
-MANDATORY RULES:
-- Extract EVERY question - do not stop early or skip any
-- For EACH MCQ, you MUST extract ALL choices (typically 4)
-- Choices with mathematical expressions - preserve ALL LaTeX notation exactly
-- Questions may have blank lines between number and text - still extract them
-- Preserve ALL LaTeX: $...$ and $$...$$ exactly
-- Do NOT skip choices even if they contain complex math expressions
-- VERIFY: Every MCQ must have its choices in the output
-`,
-};
-
-// Helper to get parsing instructions for a type
-const getParsingInstructions = (type) => {
-  return PARSING_INSTRUCTIONS[type] || PARSING_INSTRUCTIONS['Question Bank'];
-};
+// Re-extractions kept in a set's metadata, with the entries they replaced
+const MAX_REEXTRACTIONS = 20;
+// Times a re-extraction is merged again after another update of the set got in first
+const MAX_MERGE_ATTEMPTS = 5;
 
 export const questionExtractionService = {
   /**
@@ -204,11 +68,13 @@ export const questionExtractionService = {
   /**
    * Extract questions from a question set
    * @param {string} questionSetId - ID of the question set
-   * @param {string} provider - Extraction provider ('llamaparse' or 'gemini')
+   * @param {string|null} providerName - Extraction provider (see GET /extraction/providers); null uses the default
    * @returns {Promise<object>} - Updated question set with extracted questions
    */
-  async extractQuestions(questionSetId, provider = EXTRACTION_PROVIDERS.LLAMAPARSE) {
+  async extractQuestions(questionSetId, providerName = null) {
     try {
+      const provider = extractionProviderService.resolve(providerName);
+
       // Update status to processing
       await this.updateStatus(questionSetId, 'processing');
 
@@ -222,30 +88,32 @@ export const questionExtractionService = {
       const combinedContent = await this.combineLatexContent(questionSet.source_item_ids);
       console.log(`[EXTRACT] Combined LaTeX content size: ${Math.round(combinedContent.length / 1024)}KB`);
 
-      // Get source type for instructions
+      // What the provider's metered calls are recorded against
+      const usage = { book_id: questionSet.book_id, chapter_id: questionSet.chapter_id, question_set_id: questionSetId };
+
+      // Active prompt template of the source type, recorded on the set
       const sourceType = questionSet.source_type || 'Question Bank';
-      let rawResult;
-
-      if (provider === EXTRACTION_PROVIDERS.GEMINI) {
-        // Use Gemini for extraction
-        console.log(`[EXTRACT] Using Gemini AI for extraction`);
-        rawResult = await this.extractWithGemini(combinedContent, sourceType);
-        console.log(`[EXTRACT] Gemini raw result size: ${Math.round(rawResult.length / 1024)}KB`);
-      } else {
-        // Use LlamaParse for extraction (default)
-        console.log(`[EXTRACT] Using LlamaParse for extraction`);
-        const jobId = await this.submitToLlamaParse(combinedContent, sourceType);
-
-        // Store the job ID
-        await supabase
-          .from('question_sets')
-          .update({ llamaparse_job_id: jobId })
-          .eq('id', questionSetId);
-
-        // Poll for completion
-        rawResult = await this.pollForCompletion(jobId);
-        console.log(`[EXTRACT] LlamaParse raw result size: ${Math.round(rawResult.length / 1024)}KB`);
-      }
+      const template = await promptTemplateService.resolve(EXTRACTION_KINDS.QUESTIONS, sourceType);
+      await supabase
+        .from('question_sets')
+        .update({ prompt_template_id: template.id, prompt_template_version: template.version })
+        .eq('id', questionSetId);
+
+      console.log(`[EXTRACT] Using ${provider.label} for extraction with "${sourceType}" prompt v${template.version}`);
+      const rawResult = await provider.extract(combinedContent, {
+        kind: EXTRACTION_KINDS.QUESTIONS,
+        sourceType,
+        instructions: template.instructions,
+        usage,
+        // Remote job id (LlamaParse), kept on the set
+        onSubmitted: async (jobId) => {
+          await supabase
+            .from('question_sets')
+            .update({ llamaparse_job_id: jobId })
+            .eq('id', questionSetId);
+        },
+      });
+      console.log(`[EXTRACT] ${provider.label} raw result size: ${Math.round(rawResult.length / 1024)}KB`);
 
       console.log(`[EXTRACT] Raw result preview (first 500 chars): ${rawResult.substring(0, 500)}`);
 
@@ -255,6 +123,14 @@ export const questionExtractionService = {
       console.log(`[EXTRACT] Parsed questions count: ${questions.questions?.length || 0}`);
       console.log(`[EXTRACT] Questions JSON size: ${Math.round(questionsJson.length / 1024)}KB`);
 
+      // Trace each question back to its scanned item and page
+      const located = await this.addSourcePages(questions.questions, questionSet.source_item_ids);
+      console.log(`[EXTRACT] Source pages found for ${located}/${questions.questions?.length || 0} questions`);
+
+      // Check the result; the report is kept in the set's metadata
+      const report = buildQuestionReport(questions);
+      console.log(`[EXTRACT] Quality report: ${report.summary.errors} errors, ${report.summary.warnings} warnings`);
+
       // Update question set with results
       const { data, error } = await supabase
         .from('question_sets')
@@ -263,6 +139,7 @@ export const questionExtractionService = {
           total_questions: questions.questions?.length || 0,
           status: 'completed',
           error_message: null,
+          metadata: { ...questionSet.metadata, quality_report: report },
         })
         .eq('id', questionSetId)
         .select()
@@ -296,362 +173,141 @@ export const questionExtractionService = {
   },
 
   /**
-   * Combine latex documents from scanned items (preserving order)
-   * @param {string[]} itemIds - Array of scanned item IDs (in order)
-   * @returns {Promise<string>} - Combined LaTeX content
-   */
-  async combineLatexContent(itemIds) {
-    // Fetch items
-    const { data: items, error } = await supabase
-      .from('scanned_items')
-      .select('id, latex_doc, latex_conversion_status')
-      .in('id', itemIds);
-
-    if (error) throw error;
-
-    console.log(`[EXTRACT] Source items: ${items.length} items for ${itemIds.length} IDs`);
-
-    // Create a map for quick lookup
-    const itemMap = new Map(items.map((item) => [item.id, item.latex_doc]));
-
-    // Combine in the order of itemIds
-    const combinedParts = itemIds.map((id, index) => {
-      const latex = itemMap.get(id) || '';
-      console.log(`[EXTRACT] Item ${index + 1} (${id}): ${latex ? Math.round(latex.length / 1024) + 'KB' : 'EMPTY/NULL'}`);
-      return `% ========== Document ${index + 1} ==========\n\n${latex}`;
-    });
-
-    return combinedParts.join('\n\n');
-  },
-
-  /**
-   * Submit content to LlamaParse for question extraction
-   * @param {string} content - Combined LaTeX/text content
-   * @param {string} sourceType - Source type ('Question Bank' or 'Academic Book')
-   * @returns {Promise<string>} - Job ID from LlamaParse
+   * Re-extract selected questions of a set from just their part of the source LaTeX,
+   * leaving the others as they are. Replaced questions are kept in the set's
+   * metadata.reextractions (newest last) for comparison.
+   * @param {string} questionSetId - ID of the question set
+   * @param {string[]} labels - Normalized labels of the questions to re-extract
+   * @param {string|null} providerName - Extraction provider; null uses the default
+   * @returns {Promise<object>} - Updated question set
    */
-  async submitToLlamaParse(content, sourceType = 'Question Bank') {
-    // Create a text file blob from the combined content
-    const blob = new Blob([content], { type: 'text/plain' });
-
-    // Get parsing instructions based on source type
-    const parsingInstructions = getParsingInstructions(sourceType);
-    console.log(`[EXTRACT] Using parsing instructions for type: ${sourceType}`);
-
-    const formData = new FormData();
-    formData.append('file', blob, 'questions.txt');
-    formData.append('parsing_instruction', parsingInstructions);
-    formData.append('result_type', 'markdown');
-    formData.append('premium_mode', 'true');
-
-    const response = await fetch(`${LLAMAPARSE_API_URL}/upload`, {
-      method: 'POST',
-      headers: {
-        Authorization: `Bearer ${LLAMAPARSE_API_KEY}`,
-      },
-      body: formData,
-    });
+  async reextractQuestions(questionSetId, labels, providerName = null) {
+    const provider = extractionProviderService.resolve(providerName);
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`LlamaParse upload failed: ${response.status} - ${errorText}`);
+    const questionSet = await this.findById(questionSetId);
+    if (!questionSet) {
+      throw new Error('Question set not found');
     }
 
-    const result = await response.json();
-    return result.id;
-  },
+    // Only the lines of the selected questions go to the provider
+    const combinedContent = await this.combineLatexContent(questionSet.source_item_ids);
+    const slice = sliceByLabels(combinedContent, labels);
+    if (slice.found.length === 0) {
+      throw new Error(`Label(s) ${labels.join(', ')} not found in the source LaTeX`);
+    }
+    console.log(`[REEXTRACT] Labels ${slice.found.join(', ')}: ${Math.round(slice.content.length / 1024)}KB of source LaTeX`);
+
+    const usage = { book_id: questionSet.book_id, chapter_id: questionSet.chapter_id, question_set_id: questionSetId };
+    const sourceType = questionSet.source_type || 'Question Bank';
+    const template = await promptTemplateService.resolve(EXTRACTION_KINDS.QUESTIONS, sourceType);
+
+    console.log(`[REEXTRACT] Using ${provider.label} with "${sourceType}" prompt v${template.version}`);
+    const rawResult = await provider.extract(slice.content, {
+      kind: EXTRACTION_KINDS.QUESTIONS,
+      sourceType,
+      instructions: template.instructions,
+      usage,
+    });
 
-  /**
-   * Poll LlamaParse for job completion
-   * @param {string} jobId - LlamaParse job ID
-   * @returns {Promise<string>} - Extracted content
-   */
-  async pollForCompletion(jobId, maxAttempts = 120, intervalMs = 2000) {
-    for (let attempt = 0; attempt < maxAttempts; attempt++) {
-      const statusResponse = await fetch(`${LLAMAPARSE_API_URL}/job/${jobId}`, {
-        method: 'GET',
-        headers: {
-          Authorization: `Bearer ${LLAMAPARSE_API_KEY}`,
-        },
-      });
+    const parsed = this.parseQuestionsFromContent(rawResult);
+    await this.addSourcePages(parsed.questions, questionSet.source_item_ids);
 
-      if (!statusResponse.ok) {
-        throw new Error(`Failed to check job status: ${statusResponse.status}`);
+    // Merge into the questions as they are now, and write only if nothing else updated the
+    // set since it was read (re-extractions of other labels can finish at the same time)
+    for (let attempt = 1; ; attempt++) {
+      const current = await this.findById(questionSetId);
+      if (!current) {
+        throw new Error('Question set not found');
       }
+      const merge = mergeEntries(current.questions?.questions || [], parsed.questions || [], labels);
+
+      const questions = { ...current.questions, questions: merge.entries };
+      const report = buildQuestionReport(questions);
+      const reextraction = {
+        at: new Date().toISOString(),
+        labels,
+        provider: provider.name,
+        prompt_template_version: template.version,
+        replaced: merge.replaced,
+        added: merge.added,
+        missing: merge.missing,
+        previous: merge.previous,
+      };
 
-      const statusData = await statusResponse.json();
+      const { data, error } = await supabase
+        .from('question_sets')
+        .update({
+          questions,
+          total_questions: merge.entries.length,
+          metadata: {
+            ...current.metadata,
+            quality_report: report,
+            reextractions: [...(current.metadata?.reextractions || []), reextraction].slice(-MAX_REEXTRACTIONS),
+          },
+        })
+        .eq('id', questionSetId)
+        .eq('updated_at', current.updated_at)
+        .select()
+        .maybeSingle();
 
-      if (statusData.status === 'SUCCESS') {
-        // Get the result
-        return await this.getResult(jobId);
+      if (error) throw error;
+      if (data) {
+        console.log(`[REEXTRACT] Replaced ${merge.replaced.length}, added ${merge.added.length}, missing ${merge.missing.length}`);
+        return data;
       }
-
-      if (statusData.status === 'ERROR') {
-        throw new Error(statusData.error || 'LlamaParse processing failed');
+      if (attempt >= MAX_MERGE_ATTEMPTS) {
+        throw new Error('Question set kept changing while the re-extraction was saved; try again');
       }
-
-      // Wait before next poll
-      await new Promise((resolve) => setTimeout(resolve, intervalMs));
     }
-
-    throw new Error('LlamaParse extraction timed out');
   },
 
   /**
-   * Get result from LlamaParse
-   * @param {string} jobId - LlamaParse job ID
-   * @returns {Promise<string>} - Extracted content
+   * Record source_item_id and source_page on each question from the source items' page index
+   * @param {object[]} entries - Parsed questions, updated in place
+   * @param {string[]} itemIds - Source scanned item IDs (in order)
+   * @returns {Promise<number>} - Number of questions located
    */
-  async getResult(jobId) {
-    const response = await fetch(`${LLAMAPARSE_API_URL}/job/${jobId}/result/markdown`, {
-      method: 'GET',
-      headers: {
-        Authorization: `Bearer ${LLAMAPARSE_API_KEY}`,
-      },
-    });
+  async addSourcePages(entries, itemIds) {
+    if (!entries?.length) return 0;
 
-    if (!response.ok) {
-      throw new Error(`Failed to get result: ${response.status}`);
-    }
+    const { data: items, error } = await supabase
+      .from('scanned_items')
+      .select('id, page_index')
+      .in('id', itemIds);
 
-    const result = await response.json();
-    return result.markdown || result.text || JSON.stringify(result);
+    if (error) throw error;
+
+    const itemMap = new Map(items.map((item) => [item.id, item]));
+    return locateSourcePages(entries, itemIds.map((id) => itemMap.get(id)).filter(Boolean));
   },
 
   /**
-   * Extract questions using Gemini AI
-   * @param {string} content - Combined LaTeX/text content
-   * @param {string} sourceType - Source type ('Question Bank' or 'Academic Book')
-   * @returns {Promise<string>} - Extracted content with questions in JSON format
+   * Combine latex documents from scanned items (preserving order)
+   * @param {string[]} itemIds - Array of scanned item IDs (in order)
+   * @returns {Promise<string>} - Combined LaTeX content
    */
-  async extractWithGemini(content, sourceType = 'Question Bank') {
-    if (!GEMINI_API_KEY) {
-      throw new Error('Gemini API key not configured. Please set GOOGLE_API_KEY in environment variables.');
-    }
-
-    const parsingInstructions = getParsingInstructions(sourceType);
-
-    // Split content into chunks if too large (Gemini has context limits)
-    const MAX_CONTENT_LENGTH = 900000; // ~900KB to stay within limits
-    let chunks = [];
-
-    if (content.length > MAX_CONTENT_LENGTH) {
-      console.log(`[EXTRACT] Content too large (${Math.round(content.length / 1024)}KB), splitting into chunks`);
-
-      // Split by document markers or by size
-      const documentParts = content.split(/% ========== Document \d+ ==========/);
-      let currentChunk = '';
-
-      for (const part of documentParts) {
-        if ((currentChunk + part).length > MAX_CONTENT_LENGTH && currentChunk.length > 0) {
-          chunks.push(currentChunk);
-          currentChunk = part;
-        } else {
-          currentChunk += part;
-        }
-      }
-      if (currentChunk.length > 0) {
-        chunks.push(currentChunk);
-      }
-
-      console.log(`[EXTRACT] Split into ${chunks.length} chunks`);
-    } else {
-      chunks = [content];
-    }
-
-    // Process each chunk and merge results
-    const allQuestions = [];
-
-    for (let i = 0; i < chunks.length; i++) {
-      const chunk = chunks[i];
-      console.log(`[EXTRACT] Processing chunk ${i + 1}/${chunks.length} (${Math.round(chunk.length / 1024)}KB)`);
-
-      const chunkPrompt = `${parsingInstructions}
-
-DOCUMENT CONTENT (Part ${i + 1} of ${chunks.length}):
-${chunk}
-
-IMPORTANT: Return ONLY the JSON object with the "questions" array. Do not include any markdown code blocks or additional text. The response should start with { and end with }.`;
-
-      const requestBody = {
-        contents: [
-          {
-            parts: [
-              {
-                text: chunkPrompt,
-              },
-            ],
-          },
-        ],
-        generationConfig: {
-          temperature: 0.1,
-          maxOutputTokens: 65536,
-          responseMimeType: 'application/json',
-        },
-      };
-
-      const response = await fetch(
-        `${GEMINI_API_URL}/${GEMINI_MODEL}:generateContent?key=${GEMINI_API_KEY}`,
-        {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify(requestBody),
-        }
-      );
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error(`[EXTRACT] Gemini API error: ${response.status} - ${errorText}`);
-        throw new Error(`Gemini API request failed: ${response.status} - ${errorText}`);
-      }
-
-      const result = await response.json();
-
-      // Extract text from Gemini response
-      const generatedText = result.candidates?.[0]?.content?.parts?.[0]?.text;
-      if (!generatedText) {
-        console.error(`[EXTRACT] Gemini response structure:`, JSON.stringify(result, null, 2));
-        throw new Error('No text generated from Gemini');
-      }
-
-      console.log(`[EXTRACT] Gemini chunk ${i + 1} response length: ${generatedText.length}`);
-
-      // Try to parse questions from this chunk
-      try {
-        // Clean up the response - remove markdown code blocks if present
-        let cleanedText = generatedText.trim();
-        if (cleanedText.startsWith('```json')) {
-          cleanedText = cleanedText.slice(7);
-        } else if (cleanedText.startsWith('```')) {
-          cleanedText = cleanedText.slice(3);
-        }
-        if (cleanedText.endsWith('```')) {
-          cleanedText = cleanedText.slice(0, -3);
-        }
-        cleanedText = cleanedText.trim();
-
-        const parsed = JSON.parse(cleanedText);
-        if (parsed.questions && Array.isArray(parsed.questions)) {
-          allQuestions.push(...parsed.questions);
-          console.log(`[EXTRACT] Extracted ${parsed.questions.length} questions from chunk ${i + 1}`);
-        }
-      } catch (parseErr) {
-        console.error(`[EXTRACT] Failed to parse Gemini chunk ${i + 1} response: ${parseErr.message}`);
-        // Continue with raw text - the main parser will try to extract questions
-      }
-    }
-
-    // If we successfully extracted questions from chunks, return them as JSON
-    if (allQuestions.length > 0) {
-      console.log(`[EXTRACT] Total questions extracted via Gemini: ${allQuestions.length}`);
-      return JSON.stringify({ questions: allQuestions });
-    }
-
-    // If chunk parsing failed, return the last result for main parser to handle
-    // This handles single chunk case or fallback
-    const lastChunkPrompt = `${parsingInstructions}
-
-DOCUMENT CONTENT:
-${chunks[chunks.length - 1]}
-
-IMPORTANT: Return ONLY the JSON object with the "questions" array. Do not include any markdown code blocks or additional text.`;
-
-    const requestBody = {
-      contents: [
-        {
-          parts: [
-            {
-              text: lastChunkPrompt,
-            },
-          ],
-        },
-      ],
-      generationConfig: {
-        temperature: 0.1,
-        maxOutputTokens: 65536,
-      },
-    };
-
-    const response = await fetch(
-      `${GEMINI_API_URL}/${GEMINI_MODEL}:generateContent?key=${GEMINI_API_KEY}`,
-      {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(requestBody),
-      }
-    );
+  async combineLatexContent(itemIds) {
+    // Fetch items
+    const { data: items, error } = await supabase
+      .from('scanned_items')
+      .select('id, latex_doc, latex_conversion_status')
+      .in('id', itemIds);
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Gemini API request failed: ${response.status} - ${errorText}`);
-    }
+    if (error) throw error;
 
-    const result = await response.json();
-    return result.candidates?.[0]?.content?.parts?.[0]?.text || '';
-  },
+    console.log(`[EXTRACT] Source items: ${items.length} items for ${itemIds.length} IDs`);
 
-  /**
-   * Fix invalid escape sequences in JSON string (LlamaParse bug workaround)
-   * LlamaParse returns LaTeX with single backslashes in JSON strings (\wedge, \sim, etc.)
-   * These need to be escaped as \\ for valid JSON
-   * @param {string} jsonStr - JSON string potentially containing invalid escape sequences
-   * @returns {string} - Fixed JSON string
-   */
-  fixInvalidEscapeSequences(jsonStr) {
-    let fixCount = 0;
-    let result = '';
-    let i = 0;
-
-    while (i < jsonStr.length) {
-      // Look for the start of a string value
-      if (jsonStr[i] === '"') {
-        result += '"';
-        i++;
-
-        // Process the content of the string until we find the closing quote
-        while (i < jsonStr.length) {
-          const char = jsonStr[i];
-
-          if (char === '\\' && i + 1 < jsonStr.length) {
-            const nextChar = jsonStr[i + 1];
-
-            // Check if this is a valid JSON escape sequence
-            // Valid: \" \\ \/ \b \f \n \r \t \uXXXX
-            if ('"\\/bfnrtu'.includes(nextChar)) {
-              // Valid escape - keep as is
-              result += char + nextChar;
-              i += 2;
-            } else {
-              // Invalid escape - double the backslash
-              result += '\\\\' + nextChar;
-              fixCount++;
-              i += 2;
-            }
-          } else if (char === '"') {
-            // Found unescaped closing quote - end of string
-            result += '"';
-            i++;
-            break;
-          } else {
-            result += char;
-            i++;
-          }
-        }
-      } else {
-        result += jsonStr[i];
-        i++;
-      }
-    }
+    // Create a map for quick lookup
+    const itemMap = new Map(items.map((item) => [item.id, item.latex_doc]));
 
-    if (fixCount > 0) {
-      console.log(`[EXTRACT] Fixed ${fixCount} invalid escape sequences in JSON`);
-    }
+    // Combine in the order of itemIds
+    const combinedParts = itemIds.map((id, index) => {
+      const latex = itemMap.get(id) || '';
+      console.log(`[EXTRACT] Item ${index + 1} (${id}): ${latex ? Math.round(latex.length / 1024) + 'KB' : 'EMPTY/NULL'}`);
+      return `% ========== Document ${index + 1} ==========\n\n${latex}`;
+    });
 
-    return result;
+    return combinedParts.join('\n\n');
   },
 
   /**
@@ -748,7 +404,7 @@ IMPORTANT: Return ONLY the JSON object with the "questions" array. Do not includ
 
             try {
               // Fix invalid escape sequences (LlamaParse bug workaround)
-              const fixedJsonStr = this.fixInvalidEscapeSequences(jsonStr);
+              const fixedJsonStr = fixInvalidEscapeSequences(jsonStr, '[EXTRACT]');
               const parsed = JSON.parse(fixedJsonStr);
 
               if (parsed.questions && Array.isArray(parsed.questions)) {
@@ -893,6 +549,33 @@ IMPORTANT: Return ONLY the JSON object with the "questions" array. Do not includ
     return data;
   },
 
+  /**
+   * Quality report of a question set: the one stored at extraction, or built and
+   * stored now for sets without one (extracted before reports existed)
+   * @returns {Promise<object|null>} - Report, or null if the set is not found
+   * @throws {Error} - statusCode 409 while the set has not been extracted
+   */
+  async getReport(questionSetId) {
+    const questionSet = await this.findById(questionSetId);
+    if (!questionSet) return null;
+    if (questionSet.metadata?.quality_report) return questionSet.metadata.quality_report;
+
+    if (questionSet.status !== 'completed') {
+      const err = new Error(`Question set is ${questionSet.status}; its report is made when extraction completes`);
+      err.statusCode = 409;
+      throw err;
+    }
+
+    const report = buildQuestionReport(questionSet.questions);
+    const { error } = await supabase
+      .from('question_sets')
+      .update({ metadata: { ...questionSet.metadata, quality_report: report } })
+      .eq('id', questionSetId);
+
+    if (error) throw error;
+    return report;
+  },
+
   /**
    * Get all question sets with optional filters
    */
@@ -960,11 +643,11 @@ IMPORTANT: Return ONLY the JSON object with the "questions" array. Do not includ
       book_id: bookId || null,
       chapter_id: chapterId || null,
       source_item_ids: [],
-      source_type: 'Question Bank', // Must use valid type per DB constraint
+      source_type: 'Question Bank',
       status: 'completed',
       questions: questions,
       total_questions: questions.questions.length,
-      metadata: { source: 'manual_import' },
+      metadata: { source: 'manual_import', quality_report: buildQuestionReport(questions) },
     };
 
     console.log('[IMPORT SERVICE] Insert data prepared, book_id:', insertData.book_id, 'chapter_id:', insertData.chapter_id);
@@ -1,7 +1,53 @@
+import crypto from 'crypto';
 import { supabase } from '../config/database.js';
+import { config } from '../config/index.js';
 import { jobService } from './job.service.js';
-import { mathpixService } from './mathpix.service.js';
+import { ocrService } from './ocr/index.js';
 import { logger } from '../utils/logger.js';
+import { detectArchiveKind, expandArchive } from '../utils/archives.js';
+import { sha256 } from '../utils/checksum.js';
+import { decodeImageContent } from '../utils/images.js';
+import { decodeStoredPdf, isPdf, parsePageRanges, getPageCount, extractPages, mergePdfs } from '../utils/pdf.js';
+import { mergeLatexDocuments, splitLatexPages, wrapLatexDocument } from '../utils/latex.js';
+import { buildPageIndex } from '../utils/pageIndex.js';
+import { chapterService } from './chapter.service.js';
+import { storageService } from './storage/index.js';
+import { imageRehostService } from './imageRehost.service.js';
+import { taskService, TASK_TYPES } from './tasks/index.js';
+
+// Every scanned_items column except the legacy content BYTEA, which makes list queries slow
+const LIST_COLUMNS = [
+  'id', 'book_id', 'chapter_id', 'item_type', 'item_data', 'scan_type', 'status',
+  'latex_doc', 'latex_conversion_status', 'conversion_error', 'mathpix_request_id', 'ocr_provider', 'ocr_outputs', 'metadata',
+  'content_hash', 'duplicate_of', 'storage_backend', 'storage_key', 'content_size',
+  'created_at', 'updated_at',
+].join(', ');
+
+const ITEM_TYPES = ['question', 'solution'];
+
+// Errors caused by the request rather than the server
+function badRequest(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
+
+function conflict(message) {
+  const err = new Error(message);
+  err.statusCode = 409;
+  return err;
+}
+
+// "scan.pdf" -> "scan"
+function baseName(filename) {
+  return (filename || 'document.pdf').replace(/\.pdf$/i, '');
+}
+
+export const DUPLICATE_POLICIES = {
+  REJECT: 'reject',
+  LINK: 'link',
+  ALLOW: 'allow',
+};
 
 export const scannedItemService = {
   async getAll(filters = {}) {
@@ -10,7 +56,7 @@ export const scannedItemService = {
     let query = supabase
       .from('scanned_items')
       .select(`
-        *,
+        ${LIST_COLUMNS},
         book:books(id, name, display_name),
         chapter:chapters(id, name, display_name, chapter_number)
       `)
@@ -69,6 +115,7 @@ export const scannedItemService = {
         status: itemData.status || 'pending',
         latex_conversion_status: 'pending',
         metadata: itemData.metadata || {},
+        ocr_provider: activeJob.ocr_provider || null,
       })
       .select(`
         *,
@@ -79,64 +126,686 @@ export const scannedItemService = {
 
     if (error) throw error;
 
-    // Trigger MathPix conversion asynchronously (don't wait for it)
-    this.triggerMathPixConversion(data.id, data.item_data, data.scan_type);
+    // MathPix conversion runs on the task queue
+    await this.queueConversion(data.id);
 
     return data;
   },
 
-  // Trigger MathPix conversion in background
-  async triggerMathPixConversion(scannedItemId, itemData, scanType, contentBuffer = null) {
+  /**
+   * OCR provider to record on a new item: the one asked for, else the active job's
+   * (null = configured default). Recorded at creation, so a later job change does not
+   * affect items already scanned.
+   * @param {string|null} ocrProvider - Provider asked for
+   * @param {object|null} [activeJob] - The active job, when already loaded
+   * @returns {Promise<string|null>}
+   */
+  async resolveOcrProvider(ocrProvider = null, activeJob = undefined) {
+    if (ocrProvider) return ocrProvider;
+    const job = activeJob !== undefined ? activeJob : await jobService.getActiveJob();
+    return job?.ocr_provider || null;
+  },
+
+  /**
+   * Queue an OCR conversion of an item (one queued or running conversion per item)
+   * @param {string} scannedItemId
+   * @param {object} options - Optional { resume } to poll the item's stored provider request first
+   * @returns {Promise<object>} - The task
+   */
+  async queueConversion(scannedItemId, { resume = false } = {}) {
+    return taskService.enqueue(TASK_TYPES.OCR_CONVERSION, {
+      scanned_item_id: scannedItemId,
+      ...(resume && { resume: true }),
+    });
+  },
+
+  /**
+   * Whether an item has a source to convert (stored PDF, images, or a PDF/image URL)
+   */
+  canConvert(item) {
+    return item.scan_type === 'email_image'
+      || !!item.storage_key
+      || !!item.content
+      || ['pdf', 'image', 'url'].includes(item.scan_type);
+  },
+
+  /**
+   * Convert an item from its stored source; resolves when the conversion has finished
+   * and rejects when it failed (the error is also recorded on the item).
+   * The OCR provider is the one recorded on the item, else the configured default.
+   * Called by the ocr_conversion task handler.
+   * @param {object} options - Optional { signal } aborting the conversion
+   */
+  async runConversion(item, { signal } = {}) {
+    if (item.scan_type === 'email_image') {
+      const images = await this.getImagesWithContent(item.id);
+      await ocrService.convertItem(item, { images }, { signal });
+      return;
+    }
+
+    // Stored PDFs (email attachments, uploads, hot-folder files, split/merged PDFs) are sent from their bytes
+    const buffer = await this.getPdfContent(item);
+    if (buffer) {
+      await ocrService.convertItem(item, { buffer }, { signal });
+      return;
+    }
+
+    // Legacy pdf/image items hold a URL or base64 PDF in item_data; url items a PDF or image URL
+    const itemData = item.item_data;
+    const isUrl = /^https?:\/\//i.test(itemData);
+    if (item.scan_type === 'pdf' || item.scan_type === 'image' || itemData.toLowerCase().endsWith('.pdf')) {
+      const source = isUrl ? { url: itemData } : { buffer: Buffer.from(itemData, 'base64') };
+      await ocrService.convertItem(item, source, { signal });
+      return;
+    }
+
+    // Assume it's an image URL
+    await ocrService.convertItem(item, { images: [{ url: itemData, filename: itemData }] }, { signal });
+  },
+
+  // Mark an item (and duplicates reusing its conversion) as waiting for a new conversion.
+  // The old request id is cleared so the startup sweep never resumes a stale request.
+  // ocrProvider switches the provider used for the new conversion.
+  async resetConversion(id, { ocrProvider = null } = {}) {
+    const { error } = await supabase
+      .from('scanned_items')
+      .update({
+        latex_conversion_status: 'pending',
+        status: 'pending',
+        conversion_error: null,
+        mathpix_request_id: null,
+        ...(ocrProvider && { ocr_provider: ocrProvider }),
+        updated_at: new Date().toISOString(),
+      })
+      .or(`id.eq.${id},duplicate_of.eq.${id}`);
+
+    if (error) throw error;
+  },
+
+  /**
+   * Queue the conversion of one item again, optionally with another OCR provider.
+   * A duplicate retries its original, whose result reaches every copy.
+   * @param {object} options - Optional { ocrProvider }
+   * @returns {Promise<object>} - The item, now pending
+   */
+  async retryConversion(id, { ocrProvider = null } = {}) {
+    const item = await this.findById(id);
+    const target = item.duplicate_of ? await this.findById(item.duplicate_of) : item;
+
+    if (target.latex_conversion_status === 'processing') {
+      throw conflict('Conversion is already in progress');
+    }
+    if (!this.canConvert(target)) {
+      throw badRequest(`Scanned item "${target.item_data}" has nothing to convert`);
+    }
+
+    await this.resetConversion(target.id, { ocrProvider });
+    logger.info('OCR', `Retrying conversion of ${target.id}${ocrProvider ? ` with ${ocrProvider}` : ''}`);
+    await this.queueConversion(target.id);
+
+    return this.findById(id);
+  },
+
+  /**
+   * Queue every failed conversion in a chapter again
+   * @param {string} chapterId
+   * @param {object} filters - Optional { itemType, ocrProvider }
+   * @returns {Promise<{queued: string[]}>} - IDs of the items being converted again
+   */
+  async retryFailedConversions(chapterId, { itemType, ocrProvider = null } = {}) {
+    let query = supabase
+      .from('scanned_items')
+      .select('id, duplicate_of')
+      .eq('chapter_id', chapterId)
+      .eq('latex_conversion_status', 'failed')
+      .order('created_at', { ascending: true });
+
+    if (itemType) {
+      query = query.eq('item_type', itemType);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    // Duplicates are retried through their original
+    const ids = [...new Set(data.map((row) => row.duplicate_of || row.id))];
+    const queued = [];
+    for (const id of ids) {
+      const item = await this.findById(id);
+      if (item.latex_conversion_status === 'processing' || !this.canConvert(item)) continue;
+      await this.resetConversion(item.id, { ocrProvider });
+      await this.queueConversion(item.id);
+      queued.push(item.id);
+    }
+
+    if (queued.length > 0) {
+      logger.info('OCR', `Retrying ${queued.length} failed conversion(s) in chapter ${chapterId}`);
+    }
+
+    return { queued };
+  },
+
+  /**
+   * Startup recovery for conversions left in 'processing' without a task, e.g. started
+   * before the task queue existed. Items with a provider request id resume polling it;
+   * the rest are converted again. Items whose task is still queued or running keep it.
+   * @returns {Promise<{resumed: number, restarted: number}>}
+   */
+  async resumeInterruptedConversions() {
+    const { data, error } = await supabase
+      .from('scanned_items')
+      .select('id, mathpix_request_id')
+      .eq('latex_conversion_status', 'processing')
+      .is('duplicate_of', null);
+
+    if (error) throw error;
+
+    let resumed = 0;
+    let restarted = 0;
+    for (const row of data) {
+      // A still-queued or running conversion task is returned as is
+      const resume = !!row.mathpix_request_id;
+      await this.queueConversion(row.id, { resume });
+      if (resume) resumed++;
+      else restarted++;
+    }
+
+    if (resumed + restarted > 0) {
+      logger.info('OCR', `Recovering ${resumed + restarted} interrupted conversion(s): ${resumed} resumed, ${restarted} restarted`);
+    }
+
+    return { resumed, restarted };
+  },
+
+  // Create scanned item from uploaded file (uses active job unless a route is given)
+  // route: optional { book_id, chapter_id, item_type } overriding the active job
+  // ocrProvider: optional OCR provider for this item (else the active job's or the default)
+  async createWithFileUpload({ filename, buffer, mimetype, route = null, scanType = 'file_upload', metadata = {}, ocrProvider = null }) {
+    let target = route;
+    let activeJob;
+
+    if (!target?.book_id || !target?.chapter_id) {
+      // Get active job to get current book/chapter/item_type
+      activeJob = await jobService.getActiveJob();
+
+      if (!activeJob) {
+        throw new Error('No active job configured. Please set an active book and chapter first.');
+      }
+
+      target = {
+        book_id: activeJob.active_book_id,
+        chapter_id: activeJob.active_chapter_id,
+        item_type: route?.item_type || activeJob.active_item_type,
+      };
+    }
+
+    const provider = await this.resolveOcrProvider(ocrProvider, activeJob);
+    const { item, duplicate, linked } = await this.insertScan({
+      buffer,
+      filename,
+      target,
+      insert: (fields) => supabase
+        .from('scanned_items')
+        .insert({
+          book_id: target.book_id,
+          chapter_id: target.chapter_id,
+          item_type: target.item_type || 'question',
+          item_data: filename,
+          scan_type: scanType,
+          status: 'pending',
+          latex_conversion_status: 'pending',
+          metadata: { ...metadata, mimetype, size: buffer.length },
+          ocr_provider: provider,
+          ...fields,
+        })
+        .select(`
+          *,
+          book:books(id, name, display_name),
+          chapter:chapters(id, name, display_name, chapter_number)
+        `)
+        .single(),
+    });
+
+    if (linked) {
+      return { ...await this.findById(item.id), duplicate: { policy: duplicate.policy, original_id: duplicate.original.id } };
+    }
+    return item;
+  },
+
+  /**
+   * Store a new PDF and insert its row under the duplicate policy; a 'link' copy gets no
+   * row and the existing item is handed back. Two copies of a new PDF arriving together
+   * both find no original, so the later insert breaks the one-original-per-hash index
+   * (23505); the policy is then applied again, against the copy that got in first.
+   * @param {object} options - { buffer, filename, target, insert }, where insert(fields)
+   *   inserts the row with the given storage and duplicate fields, resolving to { data, error }
+   * @returns {Promise<{item: object, duplicate: object, linked: boolean}>}
+   * @throws {Error} - statusCode 409, code 'DUPLICATE_SCAN' when the policy is 'reject'
+   */
+  async insertScan({ buffer, filename, target, insert }) {
+    for (let attempt = 1; ; attempt++) {
+      const duplicate = await this.checkDuplicate(buffer, filename);
+
+      const linked = await this.findLinkedItem(duplicate, target);
+      if (linked) {
+        await this.convertUnlessDuplicate(null, duplicate.original);
+        return { item: linked, duplicate, linked: true };
+      }
+
+      // The PDF goes to the storage backend; the row keeps its key, size and checksum
+      const stored = await storageService.putScan(buffer, { contentHash: duplicate.contentHash });
+      const { data, error } = await insert({ ...stored, ...this.duplicateFields(duplicate) });
+
+      if (error?.code === '23505' && !duplicate.original && attempt === 1) {
+        logger.warn('SCAN', `"${filename}" was stored by another upload meanwhile - checking it again`);
+        continue;
+      }
+      if (error) throw error;
+
+      // MathPix conversion runs on the task queue (an earlier copy's conversion is reused)
+      await this.convertUnlessDuplicate(data.id, duplicate.original);
+      return { item: data, duplicate, linked: false };
+    }
+  },
+
+  /**
+   * Look up an earlier scan with the same PDF bytes and apply config.intake.duplicatePolicy
+   * (or the given policy)
+   * @returns {Promise<{contentHash: string, policy: string, original: object|null}>}
+   * @throws {Error} - statusCode 409, code 'DUPLICATE_SCAN' when the policy is 'reject'
+   */
+  async checkDuplicate(buffer, filename, { policy = config.intake.duplicatePolicy } = {}) {
+    const contentHash = sha256(buffer);
+
+    const { data: original, error } = await supabase
+      .from('scanned_items')
+      .select('id, book_id, chapter_id, item_type, item_data, status, latex_doc, latex_conversion_status, conversion_error, mathpix_request_id, ocr_provider, ocr_outputs, page_index')
+      .eq('content_hash', contentHash)
+      .is('duplicate_of', null)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!original) return { contentHash, policy, original: null };
+
+    logger.warn('SCAN', `"${filename}" is a duplicate of scanned item ${original.id} (policy: ${policy})`);
+
+    if (policy === DUPLICATE_POLICIES.REJECT) {
+      const err = new Error(`"${filename}" was already scanned as item ${original.id}`);
+      err.statusCode = 409;
+      err.code = 'DUPLICATE_SCAN';
+      err.originalId = original.id;
+      throw err;
+    }
+
+    return { contentHash, policy, original };
+  },
+
+  /**
+   * Existing item a 'link' duplicate is handed back as: the original when the copy was
+   * sent to the same book, chapter and item type, else an earlier copy filed there.
+   * A copy sent somewhere new gets its own item there (reusing the conversion), so null.
+   * @param {object} duplicate - Result of checkDuplicate
+   * @param {object} target - Where the copy was sent: { book_id, chapter_id, item_type }
+   * @returns {Promise<object|null>}
+   */
+  async findLinkedItem(duplicate, target) {
+    const { original } = duplicate;
+    if (!original || duplicate.policy !== DUPLICATE_POLICIES.LINK) return null;
+
+    const itemType = target.item_type || 'question';
+    if (original.book_id === target.book_id && original.chapter_id === target.chapter_id && original.item_type === itemType) {
+      return original;
+    }
+
+    const { data, error } = await supabase
+      .from('scanned_items')
+      .select('id, book_id, chapter_id, item_type, item_data')
+      .eq('duplicate_of', original.id)
+      .eq('book_id', target.book_id)
+      .eq('chapter_id', target.chapter_id)
+      .eq('item_type', itemType)
+      .order('created_at', { ascending: true })
+      .limit(1);
+
+    if (error) throw error;
+    return data[0] || null;
+  },
+
+  /**
+   * Insert fields for a new PDF item: its hash, and for a duplicate the original's conversion state
+   * @param {object} duplicate - Result of checkDuplicate
+   */
+  duplicateFields({ contentHash, original }) {
+    if (!original) return { content_hash: contentHash };
+
+    const fields = { content_hash: contentHash, duplicate_of: original.id };
+
+    if (original.latex_conversion_status === 'completed') {
+      return {
+        ...fields,
+        latex_doc: original.latex_doc,
+        latex_conversion_status: 'completed',
+        status: 'completed',
+        mathpix_request_id: original.mathpix_request_id,
+        ocr_provider: original.ocr_provider,
+        ocr_outputs: original.ocr_outputs,
+        page_index: original.page_index,
+      };
+    }
+
+    // Still converting (or retried below): ocrService copies the result when it lands
+    return { ...fields, latex_conversion_status: 'processing' };
+  },
+
+  /**
+   * Queue conversion for a new PDF item unless an earlier copy already has one.
+   * A re-sent copy of a failed scan retries the original, whose result reaches its duplicates.
+   * @param {string|null} scannedItemId - New item (null when linked to the original)
+   * @param {object|null} original - Original item from checkDuplicate
+   * @returns {Promise<object|null>} - The conversion task, null when the original's is reused
+   */
+  async convertUnlessDuplicate(scannedItemId, original) {
+    if (!original) return this.queueConversion(scannedItemId);
+
+    if (original.latex_conversion_status === 'failed') {
+      logger.info('SCAN', `Retrying failed conversion of original ${original.id}`);
+      return this.queueConversion(original.id);
+    }
+
+    logger.info('SCAN', `Reusing conversion of ${original.id} (${original.latex_conversion_status})`);
+    return null;
+  },
+
+  // Expand an uploaded ZIP/tar.gz and create one scanned item per contained PDF, in natural filename order
+  async createFromArchiveUpload({ filename, buffer, mimetype, route = null, scanType = 'file_upload', metadata = {}, ocrProvider = null }) {
+    let files;
     try {
-      // Handle email attachments and file uploads with BYTEA content
-      if ((scanType === 'email_attachment' || scanType === 'file_upload') && contentBuffer) {
-        const base64Content = contentBuffer.toString('base64');
-        await mathpixService.convertPdfToLatex(base64Content, scannedItemId);
-        return;
+      files = await expandArchive({ filename, contentType: mimetype, content: buffer });
+    } catch (err) {
+      // Corrupt, encrypted or over the size/entry limits: the upload is at fault
+      throw badRequest(err.message);
+    }
+
+    if (files.length === 0) {
+      throw badRequest(`No PDF files found in "${filename}"`);
+    }
+
+    // Every PDF of the archive gets the provider in effect when it arrived
+    const provider = await this.resolveOcrProvider(ocrProvider);
+
+    const items = [];
+    // Rejected duplicates are reported instead of aborting the rest of the archive
+    const rejected = [];
+    for (const file of files) {
+      try {
+        items.push(await this.createWithFileUpload({
+          filename: file.filename,
+          buffer: file.content,
+          mimetype: 'application/pdf',
+          route,
+          scanType,
+          // The archive name keeps the batch grouped
+          metadata: { ...metadata, archive: { name: filename, path: file.path, position: file.position, count: files.length } },
+          ocrProvider: provider,
+        }));
+      } catch (err) {
+        if (err.code !== 'DUPLICATE_SCAN') throw err;
+        rejected.push({ filename: file.filename, path: file.path, original_id: err.originalId, reason: err.message });
       }
+    }
+
+    return { items, rejected };
+  },
+
+  /**
+   * Create scanned items from several uploaded files as one ordered batch.
+   * Files are stored one after another in the order given, so created_at keeps that order,
+   * and every item records its batch position. One failing file does not stop the rest.
+   * @param {Array<{filename: string, buffer: Buffer, mimetype: string}>} files - In batch order
+   * @param {object} options - Optional { route, scanType, ocrProvider }
+   * @returns {Promise<{batch_id: string, results: object[]}>} - One result per file:
+   *   { position, filename, status: 'created'|'linked'|'rejected'|'failed', items, rejected?, error? }
+   */
+  async createBatchUpload(files, { route = null, scanType = 'file_upload', ocrProvider = null } = {}) {
+    const batchId = crypto.randomUUID();
+    const results = [];
+    // Resolved once, so a job change part-way through does not split the batch across providers
+    const provider = await this.resolveOcrProvider(ocrProvider);
+
+    for (const [position, file] of files.entries()) {
+      const metadata = { batch: { id: batchId, position, count: files.length } };
+      const result = { position, filename: file.filename, items: [] };
 
-      // Only convert PDF or image types
-      if (scanType === 'pdf' || scanType === 'image') {
-        await mathpixService.convertPdfToLatex(itemData, scannedItemId);
-      } else if (scanType === 'url') {
-        // Check if URL points to a PDF
-        if (itemData.toLowerCase().endsWith('.pdf')) {
-          await mathpixService.convertPdfToLatex(itemData, scannedItemId);
+      try {
+        if (detectArchiveKind(file.filename, file.mimetype)) {
+          const { items, rejected } = await this.createFromArchiveUpload({ ...file, route, scanType, metadata, ocrProvider: provider });
+          Object.assign(result, { status: 'created', items, rejected });
         } else {
-          // Assume it's an image URL
-          const latex = await mathpixService.convertImageToLatex(itemData);
-          await mathpixService.updateWithLatex(scannedItemId, latex);
+          const item = await this.createWithFileUpload({ ...file, route, scanType, metadata, ocrProvider: provider });
+          Object.assign(result, { status: item.duplicate ? 'linked' : 'created', items: [item] });
         }
+      } catch (err) {
+        result.status = err.code === 'DUPLICATE_SCAN' ? 'rejected' : 'failed';
+        result.error = err.message;
+        logger.error('SCAN', `Batch ${batchId} file ${position + 1} "${file.filename}": ${err.message}`);
       }
-    } catch (error) {
-      logger.error('MATHPIX', `Conversion failed: ${error.message}`);
+
+      results.push(result);
     }
+
+    return { batch_id: batchId, results };
   },
 
-  // Create scanned item from uploaded file (uses active job)
-  async createWithFileUpload({ filename, buffer, mimetype }) {
-    // Get active job to get current book/chapter/item_type
-    const activeJob = await jobService.getActiveJob();
+  /**
+   * Split a scanned item's PDF into new items by page range.
+   * When the source's conversion can be cut by page, each part takes its pages' LaTeX
+   * instead of being converted again.
+   * @param {string} id - Source scanned item
+   * @param {Array<{pages: string, item_type?: string, chapter_id?: string, book_id?: string}>} parts
+   *   Page ranges like "1-3,5"; the target defaults to the source's book/chapter/item_type
+   * @param {object} options - { archiveSource } marks the source archived
+   * @returns {Promise<object[]>} - New items, in part order
+   */
+  async split(id, parts, { archiveSource = false } = {}) {
+    if (!Array.isArray(parts) || parts.length === 0) {
+      throw badRequest('parts must be a non-empty array of { pages, item_type, chapter_id }');
+    }
 
-    if (!activeJob) {
-      throw new Error('No active job configured. Please set an active book and chapter first.');
+    const source = await this.findById(id);
+    const buffer = await this.getSourcePdf(source);
+    const pageCount = await getPageCount(buffer);
+
+    // Validate every part before creating anything
+    const resolved = [];
+    for (const part of parts) {
+      let pages;
+      try {
+        pages = parsePageRanges(part.pages, pageCount);
+      } catch (err) {
+        throw badRequest(err.message);
+      }
+      resolved.push({ part, pages, target: await this.resolveTarget(part, source) });
+    }
+
+    const sourcePages = await this.getPageLatex(source, pageCount);
+
+    const items = [];
+    for (const [index, { part, pages, target }] of resolved.entries()) {
+      const partBuffer = await extractPages(buffer, pages);
+      const latexDoc = sourcePages
+        ? await imageRehostService.rehostConvertedLatex(source.id, wrapLatexDocument(pages.map((page) => sourcePages.latex[page - 1])))
+        : null;
+      const pageIndex = sourcePages?.lines
+        ? buildPageIndex({ pages: pages.map((page, i) => ({ page: i + 1, lines: sourcePages.lines[page - 1] })) })
+        : null;
+
+      items.push(await this.createDerived({
+        buffer: partBuffer,
+        filename: `${baseName(source.item_data)} p${String(part.pages).replace(/\s+/g, '')}.pdf`,
+        target,
+        scanType: 'split',
+        latexDoc,
+        pageIndex,
+        metadata: {
+          page_count: pages.length,
+          lineage: {
+            operation: 'split',
+            source_ids: [source.id],
+            source_page_count: pageCount,
+            pages,
+            part: index + 1,
+            part_count: resolved.length,
+            conversion: sourcePages ? 'sliced' : 'rerun',
+          },
+        },
+      }));
+    }
+
+    await this.recordDerived([source], 'split', items, archiveSource);
+    return items;
+  },
+
+  /**
+   * Merge scanned items into one PDF, pages in the order the items are given.
+   * When every source is converted, their LaTeX is joined instead of converting again.
+   * @param {string[]} ids - Source scanned items, in order
+   * @param {object} options - { target: { item_type, chapter_id, book_id }, filename, archiveSources }
+   *   The target defaults to the first source's book/chapter/item_type
+   * @returns {Promise<object>} - New item
+   */
+  async merge(ids, { target = {}, filename, archiveSources = false } = {}) {
+    if (!Array.isArray(ids) || new Set(ids).size < 2 || new Set(ids).size !== ids.length) {
+      throw badRequest('item_ids must list at least two different scanned items');
+    }
+
+    const sources = [];
+    for (const id of ids) {
+      sources.push(await this.findById(id));
+    }
+
+    const buffers = [];
+    const lineageSources = [];
+    let firstPage = 1;
+    for (const source of sources) {
+      const buffer = await this.getSourcePdf(source);
+      const pageCount = await getPageCount(buffer);
+      buffers.push(buffer);
+      lineageSources.push({ id: source.id, item_data: source.item_data, first_page: firstPage, page_count: pageCount });
+      firstPage += pageCount;
+    }
+
+    const reuseLatex = sources.every((source) => source.latex_conversion_status === 'completed' && source.latex_doc);
+
+    const item = await this.createDerived({
+      buffer: await mergePdfs(buffers),
+      filename: filename || `${baseName(sources[0].item_data)} (merged ${sources.length}).pdf`,
+      target: await this.resolveTarget(target, sources[0]),
+      scanType: 'merge',
+      latexDoc: reuseLatex ? mergeLatexDocuments(sources.map((source) => source.latex_doc)) : null,
+      metadata: {
+        page_count: firstPage - 1,
+        lineage: {
+          operation: 'merge',
+          source_ids: sources.map((source) => source.id),
+          sources: lineageSources,
+          conversion: reuseLatex ? 'merged' : 'rerun',
+        },
+      },
+    });
+
+    await this.recordDerived(sources, 'merge', [item], archiveSources);
+    return item;
+  },
+
+  /**
+   * LaTeX of each page of a converted item: from the line data its page index was built
+   * from, else from the page breaks of its LaTeX. Null when neither has one entry per
+   * PDF page (e.g. MathPix LaTeX without line data), so the pages must be converted again.
+   * @param {object} item - Scanned item
+   * @param {number} pageCount - Pages of its PDF
+   * @returns {Promise<{latex: string[], lines: object[][]|null}|null>} - Per page, in page order
+   */
+  async getPageLatex(item, pageCount) {
+    if (item.latex_conversion_status !== 'completed' || !item.latex_doc) return null;
+
+    const linesEntry = item.ocr_outputs?.['lines.json'];
+    if (item.page_index && linesEntry) {
+      try {
+        const { pages = [] } = JSON.parse((await storageService.getOutput(linesEntry)).toString('utf8'));
+        if (pages.length === pageCount) {
+          const lines = pages.map((page) => page.lines || []);
+          return { latex: lines.map((pageLines) => pageLines.map((line) => line.text).join('\n')), lines };
+        }
+      } catch (err) {
+        logger.warn('SCAN', `Could not read the line data of ${item.id}: ${err.message}`);
+      }
+    }
+
+    const latex = splitLatexPages(item.latex_doc);
+    return latex.length === pageCount ? { latex, lines: null } : null;
+  },
+
+  // Stored PDF bytes of a split/merge source
+  async getSourcePdf(item) {
+    const buffer = await this.getPdfContent(item);
+    if (!buffer || !isPdf(buffer)) {
+      throw badRequest(`Scanned item "${item.item_data}" has no stored PDF`);
+    }
+    return buffer;
+  },
+
+  /**
+   * Resolve book/chapter/item_type for a derived item, defaulting to the source's
+   */
+  async resolveTarget(fields, source) {
+    const itemType = fields.item_type || source.item_type;
+    if (!ITEM_TYPES.includes(itemType)) {
+      throw badRequest(`item_type must be one of: ${ITEM_TYPES.join(', ')}`);
+    }
+
+    if (!fields.chapter_id) {
+      if (fields.book_id && fields.book_id !== source.book_id) {
+        throw badRequest('chapter_id is required when moving to another book');
+      }
+      return { book_id: source.book_id, chapter_id: source.chapter_id, item_type: itemType };
     }
 
-    // Store the PDF content as base64 for the BYTEA field
-    const base64Content = buffer.toString('base64');
+    let chapter;
+    try {
+      chapter = await chapterService.findById(fields.chapter_id);
+    } catch {
+      throw badRequest(`Chapter ${fields.chapter_id} not found`);
+    }
+    if (fields.book_id && fields.book_id !== chapter.book_id) {
+      throw badRequest('chapter_id does not belong to book_id');
+    }
+
+    return { book_id: chapter.book_id, chapter_id: chapter.id, item_type: itemType };
+  },
+
+  /**
+   * Store a PDF produced by split/merge as a new scanned item.
+   * Lineage, not the duplicate policy, governs these, so a repeated PDF is always allowed.
+   * @param {string|null} latexDoc - Reused conversion; the PDF is converted when null
+   * @param {object|null} pageIndex - Page index of the reused conversion
+   */
+  async createDerived({ buffer, filename, target, scanType, metadata, latexDoc = null, pageIndex = null }) {
+    const duplicate = await this.checkDuplicate(buffer, filename, { policy: DUPLICATE_POLICIES.ALLOW });
+    const stored = await storageService.putScan(buffer, { contentHash: duplicate.contentHash });
 
     const { data, error } = await supabase
       .from('scanned_items')
       .insert({
-        book_id: activeJob.active_book_id,
-        chapter_id: activeJob.active_chapter_id,
-        item_type: activeJob.active_item_type || 'question',
+        ...target,
         item_data: filename,
-        content: base64Content,
-        scan_type: 'file_upload',
+        ...stored,
+        scan_type: scanType,
         status: 'pending',
         latex_conversion_status: 'pending',
-        metadata: { mimetype, size: buffer.length },
+        metadata: { ...metadata, mimetype: 'application/pdf', size: buffer.length },
+        ocr_provider: await this.resolveOcrProvider(),
+        ...this.duplicateFields(duplicate),
+        ...(latexDoc && { latex_doc: latexDoc, latex_conversion_status: 'completed', status: 'completed', page_index: pageIndex }),
       })
       .select(`
         *,
@@ -147,12 +816,37 @@ export const scannedItemService = {
 
     if (error) throw error;
 
-    // Trigger MathPix conversion asynchronously with the buffer
-    this.triggerMathPixConversion(data.id, data.item_data, 'file_upload', buffer);
+    if (!latexDoc) {
+      await this.convertUnlessDuplicate(data.id, duplicate.original);
+    }
 
     return data;
   },
 
+  /**
+   * Note derived items on their sources, optionally archiving the sources
+   */
+  async recordDerived(sources, operation, items, archive) {
+    for (const source of sources) {
+      const derived = [...(source.metadata?.derived_items || []), {
+        operation,
+        item_ids: items.map((item) => item.id),
+        created_at: new Date().toISOString(),
+      }];
+
+      const { error } = await supabase
+        .from('scanned_items')
+        .update({
+          metadata: { ...source.metadata, derived_items: derived },
+          ...(archive && { status: 'archived' }),
+          updated_at: new Date().toISOString(),
+        })
+        .eq('id', source.id);
+
+      if (error) throw error;
+    }
+  },
+
   // Create with explicit book/chapter/item_type (override active job)
   async createWithBookChapter(itemData, bookId, chapterId, itemType = 'question') {
     const { data, error } = await supabase
@@ -166,6 +860,7 @@ export const scannedItemService = {
         status: itemData.status || 'pending',
         latex_conversion_status: 'pending',
         metadata: itemData.metadata || {},
+        ocr_provider: await this.resolveOcrProvider(),
       })
       .select(`
         *,
@@ -176,8 +871,8 @@ export const scannedItemService = {
 
     if (error) throw error;
 
-    // Trigger MathPix conversion asynchronously
-    this.triggerMathPixConversion(data.id, data.item_data, data.scan_type);
+    // MathPix conversion runs on the task queue
+    await this.queueConversion(data.id);
 
     return data;
   },
@@ -205,15 +900,166 @@ export const scannedItemService = {
   },
 
   async delete(id) {
+    // Re-point duplicates at the oldest one; ON DELETE SET NULL then promotes it to original
+    const { data: duplicates, error: duplicatesError } = await supabase
+      .from('scanned_items')
+      .select('id')
+      .eq('duplicate_of', id)
+      .order('created_at', { ascending: true });
+
+    if (duplicatesError) throw duplicatesError;
+
+    if (duplicates.length > 1) {
+      const [promoted, ...rest] = duplicates;
+      const { error: repointError } = await supabase
+        .from('scanned_items')
+        .update({ duplicate_of: promoted.id })
+        .in('id', rest.map((d) => d.id));
+
+      if (repointError) throw repointError;
+    }
+
+    const { data: item, error: itemError } = await supabase
+      .from('scanned_items')
+      .select('id, storage_backend, storage_key, ocr_outputs')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (itemError) throw itemError;
+
     const { error } = await supabase
       .from('scanned_items')
       .delete()
       .eq('id', id);
 
     if (error) throw error;
+
+    // Objects are shared by content, so only remove one nothing else points to
+    if (item?.storage_key) {
+      const { count, error: countError } = await supabase
+        .from('scanned_items')
+        .select('id', { count: 'exact', head: true })
+        .eq('storage_key', item.storage_key);
+
+      if (countError) throw countError;
+      if (count === 0) {
+        await storageService.deleteScan(item).catch((err) => {
+          logger.warn('STORAGE', `Could not delete ${item.storage_key}: ${err.message}`);
+        });
+      }
+    }
+    await ocrService.releaseOutputs(item?.ocr_outputs);
+
     return true;
   },
 
+  /**
+   * Read an item's PDF bytes from the storage backend, falling back to the legacy content column
+   * @param {object} item - Scanned item row (with content for rows not yet migrated)
+   * @returns {Promise<Buffer|null>}
+   */
+  async getPdfContent(item) {
+    if (item.storage_key) {
+      const buffer = await storageService.getScan(item);
+      if (!buffer) throw new Error(`PDF for item ${item.id} is missing from storage (${item.storage_key})`);
+      return buffer;
+    }
+    if (item.content) {
+      return decodeStoredPdf(item.content);
+    }
+    return null;
+  },
+
+  /**
+   * Move PDFs out of the legacy content BYTEA column into the storage backend.
+   * Each PDF must start with %PDF and read back with the same checksum before its
+   * content is cleared; rows failing either check are left as they are.
+   * @param {object} options - { batchSize, dryRun, keepContent, onProgress }
+   * @returns {Promise<object>} - Stats
+   */
+  async moveContentToStorage({ batchSize = 20, dryRun = false, keepContent = false, onProgress } = {}) {
+    const stats = { total: 0, moved: 0, invalid: 0, failed: 0, bytes: 0, errors: [] };
+    let lastId = null;
+
+    while (true) {
+      // Page by id so rows that stay behind (invalid, failed, dry run) are not fetched again
+      let query = supabase
+        .from('scanned_items')
+        .select('id, item_data, content, content_hash, duplicate_of')
+        .not('content', 'is', null)
+        .is('storage_key', null)
+        .order('id', { ascending: true })
+        .limit(batchSize);
+
+      if (lastId) {
+        query = query.gt('id', lastId);
+      }
+
+      const { data: rows, error } = await query;
+      if (error) throw error;
+      if (rows.length === 0) break;
+
+      for (const row of rows) {
+        stats.total++;
+        try {
+          const buffer = decodeStoredPdf(row.content);
+          if (!isPdf(buffer)) {
+            stats.invalid++;
+            stats.errors.push({ id: row.id, error: `Not a PDF (header: ${JSON.stringify(buffer.subarray(0, 4).toString('latin1'))})` });
+            continue;
+          }
+
+          const contentHash = sha256(buffer);
+          if (dryRun) {
+            stats.moved++;
+            stats.bytes += buffer.length;
+            continue;
+          }
+
+          const stored = await storageService.putScan(buffer, { contentHash });
+          const readBack = await storageService.getScan(stored);
+          if (!readBack || sha256(readBack) !== contentHash) {
+            throw new Error(`Checksum mismatch after writing ${stored.storage_key}`);
+          }
+
+          const fields = { ...stored, ...(!keepContent && { content: null }) };
+
+          // Rows from before duplicate detection may repeat a PDF that already has an original
+          if (!row.duplicate_of && row.content_hash !== contentHash) {
+            const { data: original, error: originalError } = await supabase
+              .from('scanned_items')
+              .select('id')
+              .eq('content_hash', contentHash)
+              .is('duplicate_of', null)
+              .neq('id', row.id)
+              .maybeSingle();
+
+            if (originalError) throw originalError;
+            if (original) fields.duplicate_of = original.id;
+          }
+
+          const { error: updateError } = await supabase
+            .from('scanned_items')
+            .update(fields)
+            .eq('id', row.id);
+
+          if (updateError) throw updateError;
+
+          stats.moved++;
+          stats.bytes += buffer.length;
+        } catch (err) {
+          stats.failed++;
+          stats.errors.push({ id: row.id, error: err.message });
+        }
+      }
+
+      lastId = rows[rows.length - 1].id;
+      onProgress?.(stats);
+    }
+
+    return stats;
+  },
+
   async getByActiveJob() {
     const activeJob = await jobService.getActiveJob();
     if (!activeJob) return [];
@@ -223,6 +1069,54 @@ export const scannedItemService = {
       chapterId: activeJob.active_chapter_id,
     });
   },
+
+  /**
+   * List the images behind an image-backed scanned item (without content)
+   */
+  async getImages(scannedItemId) {
+    const { data, error } = await supabase
+      .from('scanned_item_images')
+      .select('id, scanned_item_id, position, filename, content_type, size, created_at')
+      .eq('scanned_item_id', scannedItemId)
+      .order('position', { ascending: true });
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Get all images of an item with decoded content, in page order, for conversion
+   * @returns {Promise<Array<{filename: string, contentType: string, content: Buffer}>>}
+   */
+  async getImagesWithContent(scannedItemId) {
+    const { data, error } = await supabase
+      .from('scanned_item_images')
+      .select('filename, content_type, content')
+      .eq('scanned_item_id', scannedItemId)
+      .order('position', { ascending: true });
+
+    if (error) throw error;
+    return data.map((image) => ({
+      filename: image.filename,
+      contentType: image.content_type,
+      content: decodeImageContent(image.content),
+    }));
+  },
+
+  /**
+   * Get a single image (with content) by its position in the item
+   */
+  async getImage(scannedItemId, position) {
+    const { data, error } = await supabase
+      .from('scanned_item_images')
+      .select('*')
+      .eq('scanned_item_id', scannedItemId)
+      .eq('position', position)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data;
+  },
 };
 
 export default scannedItemService;
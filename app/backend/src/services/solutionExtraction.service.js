@@ -1,306 +1,14 @@
 import { supabase } from '../config/database.js';
-import { config } from '../config/index.js';
+import { locateSourcePages } from '../utils/pageIndex.js';
+import { buildSolutionReport } from '../utils/qualityReport.js';
+import { sliceByLabels, mergeEntries } from '../utils/labelSlice.js';
+import { extractionProviderService, EXTRACTION_KINDS, fixInvalidEscapeSequences } from './extraction/index.js';
+import { promptTemplateService } from './promptTemplate.service.js';
 
-const LLAMAPARSE_API_URL = config.llamaParse.apiUrl;
-const LLAMAPARSE_API_KEY = config.llamaParse.apiKey;
-
-// Gemini API configuration
-const GEMINI_API_URL = config.gemini.apiUrl;
-const GEMINI_API_KEY = config.gemini.apiKey;
-const GEMINI_MODEL = config.gemini.model;
-
-// Extraction provider options
-export const SOLUTION_EXTRACTION_PROVIDERS = {
-  LLAMAPARSE: 'llamaparse',
-  GEMINI: 'gemini',
-};
-
-// Parsing instructions by source type
-const SOLUTION_PARSING_INSTRUCTIONS = {
-  'Question Bank': `
-CRITICAL: Extract EVERY SINGLE solution as a SEPARATE JSON object. Each solution must be its own entry in the solutions array.
-
-This document contains solutions for competitive exam questions (JEE, NEET, etc.).
-
-CRITICAL - SOLUTION SEPARATION:
-- Each question number (1, 2, 3, ..., 30) is a SEPARATE solution
-- NEVER combine multiple solutions into one JSON object
-- When you see "8. (D)" or "\\section*{8. (D)}", that is the START of solution 8 and the END of solution 7
-- Each worked_solution field contains ONLY the content for THAT specific question
-- If you see content like "7. (D) ... content ... 8. (D) ... more content", these are TWO separate solutions, not one
-
-IMPORTANT - HANDLING IMAGES:
-- Solutions may contain image references like: ![](https://cdn.mathpix.com/cropped/...)
-- EXTRACT the image URL into the "visual_path" field (just the URL, not the markdown)
-- CONTINUE extracting all text and math AFTER the image into worked_solution
-- Do NOT stop at images - the worked solution continues after them
-
-CRITICAL - PRESERVING LATEX BLOCK ENVIRONMENTS:
-Solutions often contain multi-line LaTeX blocks. You MUST preserve them correctly:
-
-CORRECT format for aligned equations:
-"$\\begin{aligned} & \\frac{x-x_1}{a_1} = \\frac{y-y_1}{a_2} \\\\ & \\frac{x-x_2}{b_1} = \\frac{y-y_2}{b_2} \\end{aligned}$"
-
-CORRECT format for gathered equations:
-"$\\begin{gathered} \\frac{|\\begin{array}{ccc} 8 & 7 & 3 \\\\ 1 & 2 & -3 \\end{array}|}{\\sqrt{12}} \\end{gathered}$"
-
-Rules for LaTeX blocks:
-- Keep $\\begin{aligned}...\\end{aligned}$ as ONE complete string - no breaks
-- Keep $\\begin{gathered}...\\end{gathered}$ as ONE complete string - no breaks
-- Keep $\\begin{array}...\\end{array}$ intact for matrices/determinants
-- Do NOT add spaces between $ and \\begin (write "$\\begin" not "$ \\begin")
-- Replace internal newlines within math blocks with spaces or \\\\
-- Text BETWEEN math blocks (like "is given as") goes on separate line
-
-SOLUTION FORMAT IN DOCUMENT:
-- Question number followed by answer: "22. (11.00)" or "12. (B)" or "6. (C)"
-- May have an image reference on next line: ![](url)
-- Then the FULL worked solution with all math and steps
-- Solution continues until the next question number appears
-
-EXAMPLE WITH IMAGE:
-"""
-22. (11.00)
-![](https://cdn.mathpix.com/cropped/xxx.jpg)
-$A(2,6,2) B(-4,0,\\lambda), C(2,3,-1) D(4,5,0)$
-Area $= \\frac{1}{2}|\\overrightarrow{BD} \\times \\overrightarrow{AC}| = 18$
-$\\overrightarrow{AC} \\times \\overrightarrow{BD} = (3\\lambda + 15)\\hat{i} + 24j - 24k$
-$\\lambda = -1, -9$
-$|\\lambda| \\leq 5 \\Rightarrow \\lambda = -1$
-$5 - 6\\lambda = 5 - 6(-1) = 11$
-"""
-
-You must extract:
-{
-  "question_label": "22",
-  "answer_key": "11.00",
-  "visual_path": "https://cdn.mathpix.com/cropped/xxx.jpg",
-  "worked_solution": "$A(2,6,2) B(-4,0,\\lambda), C(2,3,-1) D(4,5,0)$\\nArea $= \\frac{1}{2}|\\overrightarrow{BD} \\times \\overrightarrow{AC}| = 18$\\n$\\overrightarrow{AC} \\times \\overrightarrow{BD} = (3\\lambda + 15)\\hat{i} + 24j - 24k$\\n$\\lambda = -1, -9$\\n$|\\lambda| \\leq 5 \\Rightarrow \\lambda = -1$\\n$5 - 6\\lambda = 5 - 6(-1) = 11$",
-  "explanation": ""
-}
-
-EXAMPLE WITHOUT IMAGE:
-"""
-12. (B)
-$\\cos^{-1}(2x) = \\pi + 2\\cos^{-1}(\\sqrt{1-x^2})$
-LHS $= [0, \\pi]$
-$x = \\frac{-1}{2}$ and $x = 0$ which is not possible
-$\\therefore x \\in \\emptyset$, Sum = 0
-"""
-
-You must extract:
-{
-  "question_label": "12",
-  "answer_key": "B",
-  "worked_solution": "$\\cos^{-1}(2x) = \\pi + 2\\cos^{-1}(\\sqrt{1-x^2})$\\nLHS $= [0, \\pi]$\\n$x = \\frac{-1}{2}$ and $x = 0$ which is not possible\\n$\\therefore x \\in \\emptyset$, Sum = 0",
-  "explanation": ""
-}
-
-For EACH solution, extract:
-1. question_label: The question number (e.g., "22", "12", "6")
-2. answer_key: The answer - letter (B, C, D) OR number (11.00, 42) - just the value without parentheses
-3. visual_path: If there's an image ![](url), extract JUST the URL (e.g., "https://cdn.mathpix.com/cropped/xxx.jpg"). Empty string if no image.
-4. worked_solution: ALL content after answer key, including ALL math and text (skip the image markdown itself)
-5. explanation: Any additional explanation (can be empty)
-
-Return in JSON format:
-{
-  "solutions": [...]
-}
-
-EXAMPLE WITH LATEX BLOCK ENVIRONMENTS (Question 9):
-"""
-9. (C)
-Shortest distance between two lines
-$\\begin{aligned} & \\frac{x-x_1}{a_1} = \\frac{y-y_1}{a_2} = \\frac{z-z_1}{a_3} \\\\ & \\frac{x-x_2}{b_1} = \\frac{y-y_2}{b_2} = \\frac{z-z_2}{b_3} \\end{aligned}$
-is given as
-$\\begin{gathered} \\frac{|\\begin{array}{ccc} x_1-x_2 & y_1-y_2 & z_1-z_2 \\\\ a_1 & a_2 & a_3 \\\\ b_1 & b_2 & b_3 \\end{array}|}{\\sqrt{(a_2b_3-a_3b_2)^2+(a_1b_3-a_3b_1)^2+(a_1b_2-a_2b_1)^2}} \\\\ = \\frac{16+14+6}{\\sqrt{12}} = \\frac{36}{2\\sqrt{3}} = 6\\sqrt{3} \\end{gathered}$
-"""
-
-You must extract with LaTeX blocks preserved as single strings AND include ALL calculations to the final answer:
-{
-  "question_label": "9",
-  "answer_key": "C",
-  "worked_solution": "Shortest distance between two lines\\n$\\begin{aligned} & \\frac{x-x_1}{a_1} = \\frac{y-y_1}{a_2} = \\frac{z-z_1}{a_3} \\\\ & \\frac{x-x_2}{b_1} = \\frac{y-y_2}{b_2} = \\frac{z-z_2}{b_3} \\end{aligned}$\\nis given as\\n$\\begin{gathered} \\frac{|\\begin{array}{ccc} x_1-x_2 & y_1-y_2 & z_1-z_2 \\\\ a_1 & a_2 & a_3 \\\\ b_1 & b_2 & b_3 \\end{array}|}{\\sqrt{(a_2b_3-a_3b_2)^2+(a_1b_3-a_3b_1)^2+(a_1b_2-a_2b_1)^2}} \\\\ = \\frac{16+14+6}{\\sqrt{12}} = \\frac{36}{2\\sqrt{3}} = 6\\sqrt{3} \\end{gathered}$",
-  "explanation": ""
-}
-
-EXAMPLE WITH MULTIPLE CONSECUTIVE EQUATIONS (Question 8):
-"""
-8. (D)
-Equation of the pair of angle bisector for $ax^2 + 2hxy + by^2 = 0$ is $\\frac{x^2-y^2}{a-b} = \\frac{xy}{h}$
-Here $a = 2, h = \\frac{1}{2}$ & $b = -3$
-Equation will become
-$\\frac{x^2-y^2}{2-(-3)} = \\frac{xy}{1/2}$
-$x^2 - y^2 = 10xy$
-$x^2 - y^2 - 10xy = 0$
-"""
-
-Extract the COMPLETE solution including ALL equations after "Equation will become":
-{
-  "question_label": "8",
-  "answer_key": "D",
-  "worked_solution": "Equation of the pair of angle bisector for $ax^2 + 2hxy + by^2 = 0$ is $\\frac{x^2-y^2}{a-b} = \\frac{xy}{h}$\\nHere $a = 2, h = \\frac{1}{2}$ & $b = -3$\\nEquation will become\\n$\\frac{x^2-y^2}{2-(-3)} = \\frac{xy}{1/2}$\\n$x^2 - y^2 = 10xy$\\n$x^2 - y^2 - 10xy = 0$",
-  "explanation": ""
-}
-
-EXAMPLE WITH IMAGE AND MULTIPLE MATH BLOCKS (Question 22):
-"""
-22. (11.00)
-![](https://cdn.mathpix.com/cropped/xxx.jpg)
-$A(2,6,2) B(-4,0,\\lambda), C(2,3,-1) D(4,5,0)$
-$\\begin{gathered} \\text{Area} = \\frac{1}{2}|\\overrightarrow{BD} \\times \\overrightarrow{AC}| = 18 \\\\ \\overrightarrow{AC} \\times \\overrightarrow{BD} = |\\begin{array}{ccc} \\hat{i} & \\hat{j} & \\hat{k} \\\\ 0 & -3 & -3 \\\\ 8 & 5 & -\\lambda \\end{array}| \\end{gathered}$
-$\\begin{gathered} \\overrightarrow{AC} \\times \\overrightarrow{BD} = (3\\lambda+15)\\hat{i} + 24\\hat{j} - 24\\hat{k} \\\\ \\sqrt{(3\\lambda+15)^2 + 576 + 576} = 36 \\\\ \\lambda^2 + 10\\lambda + 9 = 0 \\\\ \\lambda = -1, -9 \\\\ |\\lambda| \\leq 5 \\Rightarrow \\lambda = -1 \\\\ 5 - 6\\lambda = 5 - 6(-1) = 11 \\end{gathered}$
-23. (next question)
-"""
-
-You MUST extract ALL content from "22. (11.00)" until "23." - include EVERY equation and calculation:
-{
-  "question_label": "22",
-  "answer_key": "11.00",
-  "visual_path": "https://cdn.mathpix.com/cropped/xxx.jpg",
-  "worked_solution": "$A(2,6,2) B(-4,0,\\lambda), C(2,3,-1) D(4,5,0)$\\n$\\begin{gathered} \\text{Area} = \\frac{1}{2}|\\overrightarrow{BD} \\times \\overrightarrow{AC}| = 18 \\\\ \\overrightarrow{AC} \\times \\overrightarrow{BD} = |\\begin{array}{ccc} \\hat{i} & \\hat{j} & \\hat{k} \\\\ 0 & -3 & -3 \\\\ 8 & 5 & -\\lambda \\end{array}| \\end{gathered}$\\n$\\begin{gathered} \\overrightarrow{AC} \\times \\overrightarrow{BD} = (3\\lambda+15)\\hat{i} + 24\\hat{j} - 24\\hat{k} \\\\ \\sqrt{(3\\lambda+15)^2 + 576 + 576} = 36 \\\\ \\lambda^2 + 10\\lambda + 9 = 0 \\\\ \\lambda = -1, -9 \\\\ |\\lambda| \\leq 5 \\Rightarrow \\lambda = -1 \\\\ 5 - 6\\lambda = 5 - 6(-1) = 11 \\end{gathered}$",
-  "explanation": ""
-}
-
-MANDATORY RULE 1 - SOLUTION SEPARATION (MOST IMPORTANT):
-- Create ONE JSON object per solution - NEVER combine multiple solutions into one object
-- Solution N ENDS when you see "N+1. (X)" pattern (where X is an answer like A, B, C, D, or a number)
-- Example: Solution 7's worked_solution ENDS when you see "8. (D)" - do NOT include "8. (D)" or anything after
-- Example: Solution 22's worked_solution ENDS when you see "23. (514.00)"
-- If your worked_solution for question 7 contains "\\section*{8." or "8. (D)", you made an ERROR
-- Each worked_solution must contain ONLY that question's content, NOTHING from subsequent questions
-- The document has 30 solutions - you must create exactly 30 separate JSON objects
-
-MANDATORY RULE 2 - COMPLETE CONTENT WITHIN BOUNDARIES:
-- EXTRACT image URL from ![](url) into visual_path field, then extract ALL content after it
-- Within a solution's boundaries, include EVERYTHING until the next question number
-- Do NOT stop at:
-  - Image references ![](...)
-  - Multiple $\\begin{gathered}...\\end{gathered}$ blocks - include ALL of them
-  - Multiple $\\begin{aligned}...\\end{aligned}$ blocks - include ALL of them
-  - Blank lines
-  - Any math-only lines
-  - Transitional phrases like "Equation will become", "Therefore", "Hence"
-  - Lines with only inline math like $x^2 - y^2 = 10xy$
-- When you see phrases like "Equation will become" or "Therefore", ALL equations that follow MUST be included
-- Keep extracting until you see the NEXT question number pattern "^\\d+\\." at line start
-- Include determinants, matrices, vectors - preserve ALL LaTeX exactly
-- For numerical answers like (11.00), extract "11.00" as the answer_key
-- Join multiple lines/blocks with \\n in the worked_solution
-- NEVER truncate - include EVERY line until the next question number
-
-CRITICAL - NO PLACEHOLDERS OR ABBREVIATIONS:
-- NEVER use "..." or ellipsis as a placeholder for actual content
-- NEVER abbreviate formulas - include the COMPLETE expression
-- NEVER write \\sqrt{...} - write the ACTUAL content like \\sqrt{(a_2b_3-a_3b_2)^2+...}
-- If the document has actual content, you MUST extract it exactly - do not summarize or abbreviate
-- Every mathematical expression must be COMPLETE with all terms, not shortened
-
-CRITICAL - SOLUTIONS WITH IMAGES:
-- When a solution has an image ![](url), there is ALWAYS content AFTER the image
-- The image is usually a diagram - the actual mathematical working is in the TEXT after it
-- You MUST extract ALL text and math that appears AFTER the image line
-- Example: If you see "6. (D)\\n![](url)\\n$m = -1/2$\\nWhen two lines..." you must include "$m = -1/2$\\nWhen two lines..." in worked_solution
-- An EMPTY worked_solution for a solution with an image is WRONG - there is always content to extract
-`,
-  'Academic Book': `
-CRITICAL: Extract EVERY SINGLE solution as a SEPARATE JSON object. Each solution must be its own entry.
-
-This is an academic textbook solutions section.
-
-CRITICAL - SOLUTION SEPARATION:
-- Each question number (1, 2, 3, ...) is a SEPARATE solution
-- NEVER combine multiple solutions into one JSON object
-- When you see "8. (D)" that is the START of solution 8 and the END of solution 7
-- Each worked_solution field contains ONLY the content for THAT specific question
-
-IMPORTANT - HANDLING IMAGES:
-- Solutions may contain image references like: ![](https://cdn.mathpix.com/cropped/...)
-- EXTRACT the image URL into the "visual_path" field (just the URL, not the markdown)
-- CONTINUE extracting all text and math AFTER the image into worked_solution
-- Do NOT stop at images - the worked solution continues after them
-
-CRITICAL - PRESERVING LATEX BLOCK ENVIRONMENTS:
-- Keep $\\begin{aligned}...\\end{aligned}$ as ONE complete string
-- Keep $\\begin{gathered}...\\end{gathered}$ as ONE complete string
-- Keep $\\begin{array}...\\end{array}$ intact for matrices/determinants
-- Do NOT add spaces between $ and \\begin
-- Replace internal newlines within math blocks with spaces or \\\\
-
-SOLUTION FORMAT IN DOCUMENT:
-- Question number followed by answer: "12. (B)" or "22. (11.00)"
-- May have an image reference: ![](url)
-- Then the FULL worked solution with all math and steps
-- Solution continues until the next question number appears
-
-EXAMPLE WITH IMAGE:
-"""
-22. (11.00)
-![](https://cdn.mathpix.com/cropped/xxx.jpg)
-$A(2,6,2) B(-4,0,\\lambda)$
-Area $= \\frac{1}{2}|\\overrightarrow{BD} \\times \\overrightarrow{AC}| = 18$
-$\\lambda = -1$
-$5 - 6\\lambda = 11$
-"""
-
-You must extract:
-{
-  "question_label": "22",
-  "answer_key": "11.00",
-  "visual_path": "https://cdn.mathpix.com/cropped/xxx.jpg",
-  "worked_solution": "$A(2,6,2) B(-4,0,\\lambda)$\\nArea $= \\frac{1}{2}|\\overrightarrow{BD} \\times \\overrightarrow{AC}| = 18$\\n$\\lambda = -1$\\n$5 - 6\\lambda = 11$",
-  "explanation": ""
-}
-
-For EACH solution, extract:
-1. question_label: The question number
-2. answer_key: The answer - letter (B, C, D) OR number (11.00) - just the value
-3. visual_path: If there's an image ![](url), extract JUST the URL. Empty string if no image.
-4. worked_solution: ALL content after answer key, including ALL math and text (skip image markdown)
-5. explanation: Any additional explanation (can be empty)
-
-Return in JSON format:
-{
-  "solutions": [...]
-}
-
-MANDATORY RULES:
-- EXTRACT image URL from ![](url) into visual_path field, then CONTINUE extracting ALL content after it
-- A solution includes EVERYTHING from the answer key until the NEXT question number appears
-- The NEXT question number looks like: "6.", "7.", "23.", etc. at the START of a line
-- Do NOT stop at:
-  - Image references ![](...)
-  - Multiple $\\begin{gathered}...\\end{gathered}$ blocks - include ALL of them
-  - Multiple $\\begin{aligned}...\\end{aligned}$ blocks - include ALL of them
-  - Blank lines or math-only lines
-  - Transitional phrases like "Equation will become", "Therefore", "Hence", "So", "Thus", "We get"
-  - Lines with only inline math like $x^2 - y^2 = 10xy$
-- When you see phrases like "Equation will become" or "Therefore", ALL equations that follow MUST be included
-- Multiple math blocks in one solution are COMMON - extract ALL of them
-- Keep extracting until you see the pattern "^\\d+\\." (next question number at line start)
-- Include determinants, matrices, vectors - preserve ALL LaTeX exactly
-- Join multiple lines/blocks with \\n in the worked_solution
-- NEVER truncate a solution - include EVERY line until the next question number
-
-CRITICAL - NO PLACEHOLDERS OR ABBREVIATIONS:
-- NEVER use "..." or ellipsis as a placeholder for actual content
-- NEVER abbreviate formulas - include the COMPLETE expression
-- If the document has actual content, you MUST extract it exactly - do not summarize or abbreviate
-- Every mathematical expression must be COMPLETE with all terms
-
-CRITICAL - SOLUTIONS WITH IMAGES:
-- When a solution has an image ![](url), there is ALWAYS content AFTER the image
-- The image is usually a diagram - the actual mathematical working is in the TEXT after it
-- You MUST extract ALL text and math that appears AFTER the image line
-- An EMPTY worked_solution for a solution with an image is WRONG - there is always content to extract
-`,
-};
-
-// Helper to get parsing instructions for a type
-const getParsingInstructions = (type) => {
-  return SOLUTION_PARSING_INSTRUCTIONS[type] || SOLUTION_PARSING_INSTRUCTIONS['Question Bank'];
-};
+// Re-extractions kept in a set's metadata, with the entries they replaced
+const MAX_REEXTRACTIONS = 20;
+// Times a re-extraction is merged again after another update of the set got in first
+const MAX_MERGE_ATTEMPTS = 5;
 
 export const solutionExtractionService = {
   /**
@@ -361,11 +69,13 @@ export const solutionExtractionService = {
   /**
    * Extract solutions from a solution set
    * @param {string} solutionSetId - ID of the solution set
-   * @param {string} provider - Extraction provider ('llamaparse' or 'gemini')
+   * @param {string|null} providerName - Extraction provider (see GET /extraction/providers); null uses the default
    * @returns {Promise<object>} - Updated solution set with extracted solutions
    */
-  async extractSolutions(solutionSetId, provider = SOLUTION_EXTRACTION_PROVIDERS.LLAMAPARSE) {
+  async extractSolutions(solutionSetId, providerName = null) {
     try {
+      const provider = extractionProviderService.resolve(providerName);
+
       // Update status to processing
       await this.updateStatus(solutionSetId, 'processing');
 
@@ -379,30 +89,32 @@ export const solutionExtractionService = {
       const combinedContent = await this.combineLatexContent(solutionSet.source_item_ids);
       console.log(`[SOLUTION_EXTRACT] Combined LaTeX content size: ${Math.round(combinedContent.length / 1024)}KB`);
 
-      // Get source type for instructions
+      // What the provider's metered calls are recorded against
+      const usage = { book_id: solutionSet.book_id, chapter_id: solutionSet.chapter_id, solution_set_id: solutionSetId };
+
+      // Active prompt template of the source type, recorded on the set
       const sourceType = solutionSet.source_type || 'Question Bank';
-      let rawResult;
-
-      if (provider === SOLUTION_EXTRACTION_PROVIDERS.GEMINI) {
-        // Use Gemini for extraction
-        console.log(`[SOLUTION_EXTRACT] Using Gemini AI for extraction`);
-        rawResult = await this.extractWithGemini(combinedContent, sourceType);
-        console.log(`[SOLUTION_EXTRACT] Gemini raw result size: ${Math.round(rawResult.length / 1024)}KB`);
-      } else {
-        // Use LlamaParse for extraction (default)
-        console.log(`[SOLUTION_EXTRACT] Using LlamaParse for extraction`);
-        const jobId = await this.submitToLlamaParse(combinedContent, sourceType);
-
-        // Store the job ID
-        await supabase
-          .from('solution_sets')
-          .update({ llamaparse_job_id: jobId })
-          .eq('id', solutionSetId);
-
-        // Poll for completion
-        rawResult = await this.pollForCompletion(jobId);
-        console.log(`[SOLUTION_EXTRACT] LlamaParse raw result size: ${Math.round(rawResult.length / 1024)}KB`);
-      }
+      const template = await promptTemplateService.resolve(EXTRACTION_KINDS.SOLUTIONS, sourceType);
+      await supabase
+        .from('solution_sets')
+        .update({ prompt_template_id: template.id, prompt_template_version: template.version })
+        .eq('id', solutionSetId);
+
+      console.log(`[SOLUTION_EXTRACT] Using ${provider.label} for extraction with "${sourceType}" prompt v${template.version}`);
+      const rawResult = await provider.extract(combinedContent, {
+        kind: EXTRACTION_KINDS.SOLUTIONS,
+        sourceType,
+        instructions: template.instructions,
+        usage,
+        // Remote job id (LlamaParse), kept on the set
+        onSubmitted: async (jobId) => {
+          await supabase
+            .from('solution_sets')
+            .update({ llamaparse_job_id: jobId })
+            .eq('id', solutionSetId);
+        },
+      });
+      console.log(`[SOLUTION_EXTRACT] ${provider.label} raw result size: ${Math.round(rawResult.length / 1024)}KB`);
 
       console.log(`[SOLUTION_EXTRACT] Raw result preview (first 500 chars): ${rawResult.substring(0, 500)}`);
 
@@ -420,6 +132,14 @@ export const solutionExtractionService = {
       console.log(`[SOLUTION_EXTRACT] After LaTeX formatting, solutions count: ${solutions.solutions?.length || 0}`);
       console.log(`[SOLUTION_EXTRACT] Solutions JSON size: ${Math.round(solutionsJson.length / 1024)}KB`);
 
+      // Trace each solution back to its scanned item and page
+      const located = await this.addSourcePages(solutions.solutions, solutionSet.source_item_ids);
+      console.log(`[SOLUTION_EXTRACT] Source pages found for ${located}/${solutions.solutions?.length || 0} solutions`);
+
+      // Check the result; the report is kept in the set's metadata
+      const report = buildSolutionReport(solutions);
+      console.log(`[SOLUTION_EXTRACT] Quality report: ${report.summary.errors} errors, ${report.summary.warnings} warnings`);
+
       // Update solution set with results
       const { data, error } = await supabase
         .from('solution_sets')
@@ -428,6 +148,7 @@ export const solutionExtractionService = {
           total_solutions: solutions.solutions?.length || 0,
           status: 'completed',
           error_message: null,
+          metadata: { ...solutionSet.metadata, quality_report: report },
         })
         .eq('id', solutionSetId)
         .select()
@@ -461,361 +182,143 @@ export const solutionExtractionService = {
   },
 
   /**
-   * Combine latex documents from scanned items (preserving order)
-   * @param {string[]} itemIds - Array of scanned item IDs (in order)
-   * @returns {Promise<string>} - Combined LaTeX content
-   */
-  async combineLatexContent(itemIds) {
-    // Fetch items
-    const { data: items, error } = await supabase
-      .from('scanned_items')
-      .select('id, latex_doc, latex_conversion_status')
-      .in('id', itemIds);
-
-    if (error) throw error;
-
-    console.log(`[SOLUTION_EXTRACT] Source items: ${items.length} items for ${itemIds.length} IDs`);
-
-    // Create a map for quick lookup
-    const itemMap = new Map(items.map((item) => [item.id, item.latex_doc]));
-
-    // Combine in the order of itemIds
-    const combinedParts = itemIds.map((id, index) => {
-      const latex = itemMap.get(id) || '';
-      console.log(`[SOLUTION_EXTRACT] Item ${index + 1} (${id}): ${latex ? Math.round(latex.length / 1024) + 'KB' : 'EMPTY/NULL'}`);
-      return `% ========== Document ${index + 1} ==========\n\n${latex}`;
-    });
-
-    return combinedParts.join('\n\n');
-  },
-
-  /**
-   * Submit content to LlamaParse for solution extraction
-   * @param {string} content - Combined LaTeX/text content
-   * @param {string} sourceType - Source type ('Question Bank' or 'Academic Book')
-   * @returns {Promise<string>} - Job ID from LlamaParse
+   * Re-extract selected solutions of a set from just their part of the source LaTeX,
+   * leaving the others as they are. Replaced solutions are kept in the set's
+   * metadata.reextractions (newest last) for comparison.
+   * @param {string} solutionSetId - ID of the solution set
+   * @param {string[]} labels - Normalized labels of the solutions to re-extract
+   * @param {string|null} providerName - Extraction provider; null uses the default
+   * @returns {Promise<object>} - Updated solution set
    */
-  async submitToLlamaParse(content, sourceType = 'Question Bank') {
-    // Create a text file blob from the combined content
-    const blob = new Blob([content], { type: 'text/plain' });
-
-    // Get parsing instructions based on source type
-    const parsingInstructions = getParsingInstructions(sourceType);
-    console.log(`[SOLUTION_EXTRACT] Using parsing instructions for type: ${sourceType}`);
-
-    const formData = new FormData();
-    formData.append('file', blob, 'solutions.txt');
-    formData.append('parsing_instruction', parsingInstructions);
-    formData.append('result_type', 'markdown');
-    formData.append('premium_mode', 'true');
-
-    const response = await fetch(`${LLAMAPARSE_API_URL}/upload`, {
-      method: 'POST',
-      headers: {
-        Authorization: `Bearer ${LLAMAPARSE_API_KEY}`,
-      },
-      body: formData,
-    });
+  async reextractSolutions(solutionSetId, labels, providerName = null) {
+    const provider = extractionProviderService.resolve(providerName);
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`LlamaParse upload failed: ${response.status} - ${errorText}`);
+    const solutionSet = await this.findById(solutionSetId);
+    if (!solutionSet) {
+      throw new Error('Solution set not found');
     }
 
-    const result = await response.json();
-    return result.id;
-  },
+    // Only the lines of the selected solutions go to the provider
+    const combinedContent = await this.combineLatexContent(solutionSet.source_item_ids);
+    const slice = sliceByLabels(combinedContent, labels);
+    if (slice.found.length === 0) {
+      throw new Error(`Label(s) ${labels.join(', ')} not found in the source LaTeX`);
+    }
+    console.log(`[SOLUTION_REEXTRACT] Labels ${slice.found.join(', ')}: ${Math.round(slice.content.length / 1024)}KB of source LaTeX`);
+
+    const usage = { book_id: solutionSet.book_id, chapter_id: solutionSet.chapter_id, solution_set_id: solutionSetId };
+    const sourceType = solutionSet.source_type || 'Question Bank';
+    const template = await promptTemplateService.resolve(EXTRACTION_KINDS.SOLUTIONS, sourceType);
+
+    console.log(`[SOLUTION_REEXTRACT] Using ${provider.label} with "${sourceType}" prompt v${template.version}`);
+    const rawResult = await provider.extract(slice.content, {
+      kind: EXTRACTION_KINDS.SOLUTIONS,
+      sourceType,
+      instructions: template.instructions,
+      usage,
+    });
 
-  /**
-   * Poll LlamaParse for job completion
-   * @param {string} jobId - LlamaParse job ID
-   * @returns {Promise<string>} - Extracted content
-   */
-  async pollForCompletion(jobId, maxAttempts = 120, intervalMs = 2000) {
-    for (let attempt = 0; attempt < maxAttempts; attempt++) {
-      const statusResponse = await fetch(`${LLAMAPARSE_API_URL}/job/${jobId}`, {
-        method: 'GET',
-        headers: {
-          Authorization: `Bearer ${LLAMAPARSE_API_KEY}`,
-        },
-      });
+    const parsed = this.formatAllSolutionsLatex(
+      this.extractVisualPaths(this.parseSolutionsFromContent(rawResult), slice.content),
+    );
+    await this.addSourcePages(parsed.solutions, solutionSet.source_item_ids);
 
-      if (!statusResponse.ok) {
-        throw new Error(`Failed to check job status: ${statusResponse.status}`);
+    // Merge into the solutions as they are now, and write only if nothing else updated the
+    // set since it was read (re-extractions of other labels can finish at the same time)
+    for (let attempt = 1; ; attempt++) {
+      const current = await this.findById(solutionSetId);
+      if (!current) {
+        throw new Error('Solution set not found');
       }
+      const merge = mergeEntries(current.solutions?.solutions || [], parsed.solutions || [], labels);
+
+      const solutions = { ...current.solutions, solutions: merge.entries };
+      const report = buildSolutionReport(solutions);
+      const reextraction = {
+        at: new Date().toISOString(),
+        labels,
+        provider: provider.name,
+        prompt_template_version: template.version,
+        replaced: merge.replaced,
+        added: merge.added,
+        missing: merge.missing,
+        previous: merge.previous,
+      };
 
-      const statusData = await statusResponse.json();
+      const { data, error } = await supabase
+        .from('solution_sets')
+        .update({
+          solutions,
+          total_solutions: merge.entries.length,
+          metadata: {
+            ...current.metadata,
+            quality_report: report,
+            reextractions: [...(current.metadata?.reextractions || []), reextraction].slice(-MAX_REEXTRACTIONS),
+          },
+        })
+        .eq('id', solutionSetId)
+        .eq('updated_at', current.updated_at)
+        .select()
+        .maybeSingle();
 
-      if (statusData.status === 'SUCCESS') {
-        // Get the result
-        return await this.getResult(jobId);
+      if (error) throw error;
+      if (data) {
+        console.log(`[SOLUTION_REEXTRACT] Replaced ${merge.replaced.length}, added ${merge.added.length}, missing ${merge.missing.length}`);
+        return data;
       }
-
-      if (statusData.status === 'ERROR') {
-        throw new Error(statusData.error || 'LlamaParse processing failed');
+      if (attempt >= MAX_MERGE_ATTEMPTS) {
+        throw new Error('Solution set kept changing while the re-extraction was saved; try again');
       }
-
-      // Wait before next poll
-      await new Promise((resolve) => setTimeout(resolve, intervalMs));
     }
-
-    throw new Error('LlamaParse extraction timed out');
   },
 
   /**
-   * Get result from LlamaParse
-   * @param {string} jobId - LlamaParse job ID
-   * @returns {Promise<string>} - Extracted content
+   * Record source_item_id and source_page on each solution from the source items' page index
+   * @param {object[]} entries - Parsed solutions, updated in place
+   * @param {string[]} itemIds - Source scanned item IDs (in order)
+   * @returns {Promise<number>} - Number of solutions located
    */
-  async getResult(jobId) {
-    const response = await fetch(`${LLAMAPARSE_API_URL}/job/${jobId}/result/markdown`, {
-      method: 'GET',
-      headers: {
-        Authorization: `Bearer ${LLAMAPARSE_API_KEY}`,
-      },
-    });
+  async addSourcePages(entries, itemIds) {
+    if (!entries?.length) return 0;
 
-    if (!response.ok) {
-      throw new Error(`Failed to get result: ${response.status}`);
-    }
+    const { data: items, error } = await supabase
+      .from('scanned_items')
+      .select('id, page_index')
+      .in('id', itemIds);
 
-    const result = await response.json();
-    return result.markdown || result.text || JSON.stringify(result);
+    if (error) throw error;
+
+    const itemMap = new Map(items.map((item) => [item.id, item]));
+    return locateSourcePages(entries, itemIds.map((id) => itemMap.get(id)).filter(Boolean));
   },
 
   /**
-   * Extract solutions using Gemini AI
-   * @param {string} content - Combined LaTeX/text content
-   * @param {string} sourceType - Source type ('Question Bank' or 'Academic Book')
-   * @returns {Promise<string>} - Extracted content with solutions in JSON format
+   * Combine latex documents from scanned items (preserving order)
+   * @param {string[]} itemIds - Array of scanned item IDs (in order)
+   * @returns {Promise<string>} - Combined LaTeX content
    */
-  async extractWithGemini(content, sourceType = 'Question Bank') {
-    if (!GEMINI_API_KEY) {
-      throw new Error('Gemini API key not configured. Please set GOOGLE_API_KEY in environment variables.');
-    }
-
-    const parsingInstructions = getParsingInstructions(sourceType);
-
-    // Split content into chunks if too large (Gemini has context limits)
-    const MAX_CONTENT_LENGTH = 900000; // ~900KB to stay within limits
-    let chunks = [];
-
-    if (content.length > MAX_CONTENT_LENGTH) {
-      console.log(`[SOLUTION_EXTRACT] Content too large (${Math.round(content.length / 1024)}KB), splitting into chunks`);
-
-      // Split by document markers or by size
-      const documentParts = content.split(/% ========== Document \d+ ==========/);
-      let currentChunk = '';
-
-      for (const part of documentParts) {
-        if ((currentChunk + part).length > MAX_CONTENT_LENGTH && currentChunk.length > 0) {
-          chunks.push(currentChunk);
-          currentChunk = part;
-        } else {
-          currentChunk += part;
-        }
-      }
-      if (currentChunk.length > 0) {
-        chunks.push(currentChunk);
-      }
-
-      console.log(`[SOLUTION_EXTRACT] Split into ${chunks.length} chunks`);
-    } else {
-      chunks = [content];
-    }
-
-    // Process each chunk and merge results
-    const allSolutions = [];
-
-    for (let i = 0; i < chunks.length; i++) {
-      const chunk = chunks[i];
-      console.log(`[SOLUTION_EXTRACT] Processing chunk ${i + 1}/${chunks.length} (${Math.round(chunk.length / 1024)}KB)`);
-
-      const chunkPrompt = `${parsingInstructions}
-
-DOCUMENT CONTENT (Part ${i + 1} of ${chunks.length}):
-${chunk}
-
-IMPORTANT: Return ONLY the JSON object with the "solutions" array. Do not include any markdown code blocks or additional text. The response should start with { and end with }.`;
-
-      const requestBody = {
-        contents: [
-          {
-            parts: [
-              {
-                text: chunkPrompt,
-              },
-            ],
-          },
-        ],
-        generationConfig: {
-          temperature: 0.1,
-          maxOutputTokens: 65536,
-          responseMimeType: 'application/json',
-        },
-      };
-
-      const response = await fetch(
-        `${GEMINI_API_URL}/${GEMINI_MODEL}:generateContent?key=${GEMINI_API_KEY}`,
-        {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify(requestBody),
-        }
-      );
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error(`[SOLUTION_EXTRACT] Gemini API error: ${response.status} - ${errorText}`);
-        throw new Error(`Gemini API request failed: ${response.status} - ${errorText}`);
-      }
-
-      const result = await response.json();
-
-      // Extract text from Gemini response
-      const generatedText = result.candidates?.[0]?.content?.parts?.[0]?.text;
-      if (!generatedText) {
-        console.error(`[SOLUTION_EXTRACT] Gemini response structure:`, JSON.stringify(result, null, 2));
-        throw new Error('No text generated from Gemini');
-      }
-
-      console.log(`[SOLUTION_EXTRACT] Gemini chunk ${i + 1} response length: ${generatedText.length}`);
-
-      // Try to parse solutions from this chunk
-      try {
-        // Clean up the response - remove markdown code blocks if present
-        let cleanedText = generatedText.trim();
-        if (cleanedText.startsWith('```json')) {
-          cleanedText = cleanedText.slice(7);
-        } else if (cleanedText.startsWith('```')) {
-          cleanedText = cleanedText.slice(3);
-        }
-        if (cleanedText.endsWith('```')) {
-          cleanedText = cleanedText.slice(0, -3);
-        }
-        cleanedText = cleanedText.trim();
-
-        const parsed = JSON.parse(cleanedText);
-        if (parsed.solutions && Array.isArray(parsed.solutions)) {
-          allSolutions.push(...parsed.solutions);
-          console.log(`[SOLUTION_EXTRACT] Extracted ${parsed.solutions.length} solutions from chunk ${i + 1}`);
-        }
-      } catch (parseErr) {
-        console.error(`[SOLUTION_EXTRACT] Failed to parse Gemini chunk ${i + 1} response: ${parseErr.message}`);
-        // Continue with raw text - the main parser will try to extract solutions
-      }
-    }
-
-    // If we successfully extracted solutions from chunks, return them as JSON
-    if (allSolutions.length > 0) {
-      console.log(`[SOLUTION_EXTRACT] Total solutions extracted via Gemini: ${allSolutions.length}`);
-      return JSON.stringify({ solutions: allSolutions });
-    }
-
-    // If chunk parsing failed, return the last result for main parser to handle
-    const lastChunkPrompt = `${parsingInstructions}
-
-DOCUMENT CONTENT:
-${chunks[chunks.length - 1]}
-
-IMPORTANT: Return ONLY the JSON object with the "solutions" array. Do not include any markdown code blocks or additional text.`;
-
-    const requestBody = {
-      contents: [
-        {
-          parts: [
-            {
-              text: lastChunkPrompt,
-            },
-          ],
-        },
-      ],
-      generationConfig: {
-        temperature: 0.1,
-        maxOutputTokens: 65536,
-      },
-    };
-
-    const response = await fetch(
-      `${GEMINI_API_URL}/${GEMINI_MODEL}:generateContent?key=${GEMINI_API_KEY}`,
-      {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(requestBody),
-      }
-    );
+  async combineLatexContent(itemIds) {
+    // Fetch items
+    const { data: items, error } = await supabase
+      .from('scanned_items')
+      .select('id, latex_doc, latex_conversion_status')
+      .in('id', itemIds);
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Gemini API request failed: ${response.status} - ${errorText}`);
-    }
+    if (error) throw error;
 
-    const result = await response.json();
-    return result.candidates?.[0]?.content?.parts?.[0]?.text || '';
-  },
+    console.log(`[SOLUTION_EXTRACT] Source items: ${items.length} items for ${itemIds.length} IDs`);
 
-  /**
-   * Fix invalid escape sequences in JSON string (LlamaParse bug workaround)
-   * LlamaParse returns LaTeX with single backslashes in JSON strings (\wedge, \sim, etc.)
-   * These need to be escaped as \\ for valid JSON
-   * @param {string} jsonStr - JSON string potentially containing invalid escape sequences
-   * @returns {string} - Fixed JSON string
-   */
-  fixInvalidEscapeSequences(jsonStr) {
-    let fixCount = 0;
-    let result = '';
-    let i = 0;
-
-    while (i < jsonStr.length) {
-      // Look for the start of a string value
-      if (jsonStr[i] === '"') {
-        result += '"';
-        i++;
-
-        // Process the content of the string until we find the closing quote
-        while (i < jsonStr.length) {
-          const char = jsonStr[i];
-
-          if (char === '\\' && i + 1 < jsonStr.length) {
-            const nextChar = jsonStr[i + 1];
-
-            // Check if this is a valid JSON escape sequence
-            // Valid: \" \\ \/ \b \f \n \r \t \uXXXX
-            if ('"\\/bfnrtu'.includes(nextChar)) {
-              // Valid escape - keep as is
-              result += char + nextChar;
-              i += 2;
-            } else {
-              // Invalid escape - double the backslash
-              result += '\\\\' + nextChar;
-              fixCount++;
-              i += 2;
-            }
-          } else if (char === '"') {
-            // Found unescaped closing quote - end of string
-            result += '"';
-            i++;
-            break;
-          } else {
-            result += char;
-            i++;
-          }
-        }
-      } else {
-        result += jsonStr[i];
-        i++;
-      }
-    }
+    // Create a map for quick lookup
+    const itemMap = new Map(items.map((item) => [item.id, item.latex_doc]));
 
-    if (fixCount > 0) {
-      console.log(`[SOLUTION_EXTRACT] Fixed ${fixCount} invalid escape sequences in JSON`);
-    }
+    // Combine in the order of itemIds
+    const combinedParts = itemIds.map((id, index) => {
+      const latex = itemMap.get(id) || '';
+      console.log(`[SOLUTION_EXTRACT] Item ${index + 1} (${id}): ${latex ? Math.round(latex.length / 1024) + 'KB' : 'EMPTY/NULL'}`);
+      return `% ========== Document ${index + 1} ==========\n\n${latex}`;
+    });
 
-    return result;
+    return combinedParts.join('\n\n');
   },
 
   /**
@@ -912,7 +415,7 @@ IMPORTANT: Return ONLY the JSON object with the "solutions" array. Do not includ
 
             try {
               // Fix invalid escape sequences (LlamaParse bug workaround)
-              const fixedJsonStr = this.fixInvalidEscapeSequences(jsonStr);
+              const fixedJsonStr = fixInvalidEscapeSequences(jsonStr, '[SOLUTION_EXTRACT]');
               const parsed = JSON.parse(fixedJsonStr);
 
               if (parsed.solutions && Array.isArray(parsed.solutions)) {
@@ -1433,6 +936,33 @@ IMPORTANT: Return ONLY the JSON object with the "solutions" array. Do not includ
     return data;
   },
 
+  /**
+   * Quality report of a solution set: the one stored at extraction, or built and
+   * stored now for sets without one (extracted before reports existed)
+   * @returns {Promise<object|null>} - Report, or null if the set is not found
+   * @throws {Error} - statusCode 409 while the set has not been extracted
+   */
+  async getReport(solutionSetId) {
+    const solutionSet = await this.findById(solutionSetId);
+    if (!solutionSet) return null;
+    if (solutionSet.metadata?.quality_report) return solutionSet.metadata.quality_report;
+
+    if (solutionSet.status !== 'completed') {
+      const err = new Error(`Solution set is ${solutionSet.status}; its report is made when extraction completes`);
+      err.statusCode = 409;
+      throw err;
+    }
+
+    const report = buildSolutionReport(solutionSet.solutions);
+    const { error } = await supabase
+      .from('solution_sets')
+      .update({ metadata: { ...solutionSet.metadata, quality_report: report } })
+      .eq('id', solutionSetId);
+
+    if (error) throw error;
+    return report;
+  },
+
   /**
    * Get all solution sets with optional filters
    */
@@ -1501,11 +1031,11 @@ IMPORTANT: Return ONLY the JSON object with the "solutions" array. Do not includ
         chapter_id: chapterId || null,
         question_set_id: questionSetId || null,
         source_item_ids: [],
-        source_type: 'Question Bank', // Must use valid type per DB constraint
+        source_type: 'Question Bank',
         status: 'completed',
         solutions: solutions,
         total_solutions: solutions.solutions.length,
-        metadata: { source: 'manual_import' },
+        metadata: { source: 'manual_import', quality_report: buildSolutionReport(solutions) },
       })
       .select(`
         *,
@@ -0,0 +1,2 @@
+export { localStorage } from './local.storage.js';
+export { s3Storage } from './s3.storage.js';
@@ -0,0 +1,64 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from '../../../config/index.js';
+import { BaseStorage } from '../base.storage.js';
+
+/**
+ * Stores objects as files below a root directory, one file per key
+ */
+class LocalStorage extends BaseStorage {
+  constructor() {
+    super({ name: 'local' });
+  }
+
+  root() {
+    return path.resolve(config.storage.local.path);
+  }
+
+  // Keys are generated by the service, but never let one escape the root
+  resolve(key) {
+    const filePath = path.resolve(this.root(), key);
+    if (!filePath.startsWith(this.root() + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return filePath;
+  }
+
+  async put(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+    // Write to a temp file first so readers never see a partial object
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, buffer);
+    await fs.rename(tempPath, filePath);
+  }
+
+  async get(key) {
+    try {
+      return await fs.readFile(this.resolve(key));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  async exists(key) {
+    try {
+      await fs.access(this.resolve(key));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async delete(key) {
+    await fs.rm(this.resolve(key), { force: true });
+  }
+
+  getDetails() {
+    return { path: this.root() };
+  }
+}
+
+export const localStorage = new LocalStorage();
@@ -0,0 +1,90 @@
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+} from '@aws-sdk/client-s3';
+import { config } from '../../../config/index.js';
+import { BaseStorage } from '../base.storage.js';
+
+/**
+ * Stores objects in an S3-compatible bucket (AWS S3, MinIO, R2, ...)
+ * Set STORAGE_S3_ENDPOINT to use a non-AWS server; path-style addressing is then used.
+ */
+class S3Storage extends BaseStorage {
+  constructor() {
+    super({ name: 's3' });
+    this.client = null;
+  }
+
+  // Created on first use so the local backend works without S3 settings
+  getClient() {
+    if (!this.client) {
+      const { endpoint, region, accessKeyId, secretAccessKey, forcePathStyle, bucket } = config.storage.s3;
+      if (!bucket) throw new Error('STORAGE_S3_BUCKET is required for the s3 storage driver');
+
+      this.client = new S3Client({
+        region,
+        ...(endpoint && { endpoint }),
+        forcePathStyle,
+        ...(accessKeyId && { credentials: { accessKeyId, secretAccessKey } }),
+      });
+    }
+    return this.client;
+  }
+
+  objectKey(key) {
+    const { prefix } = config.storage.s3;
+    return prefix ? `${prefix.replace(/\/+$/, '')}/${key}` : key;
+  }
+
+  async put(key, buffer, options = {}) {
+    await this.getClient().send(new PutObjectCommand({
+      Bucket: config.storage.s3.bucket,
+      Key: this.objectKey(key),
+      Body: buffer,
+      ContentType: options.contentType || 'application/octet-stream',
+    }));
+  }
+
+  async get(key) {
+    try {
+      const response = await this.getClient().send(new GetObjectCommand({
+        Bucket: config.storage.s3.bucket,
+        Key: this.objectKey(key),
+      }));
+      return Buffer.from(await response.Body.transformToByteArray());
+    } catch (err) {
+      if (err.name === 'NoSuchKey' || err.$metadata?.httpStatusCode === 404) return null;
+      throw err;
+    }
+  }
+
+  async exists(key) {
+    try {
+      await this.getClient().send(new HeadObjectCommand({
+        Bucket: config.storage.s3.bucket,
+        Key: this.objectKey(key),
+      }));
+      return true;
+    } catch (err) {
+      if (err.name === 'NotFound' || err.$metadata?.httpStatusCode === 404) return false;
+      throw err;
+    }
+  }
+
+  async delete(key) {
+    await this.getClient().send(new DeleteObjectCommand({
+      Bucket: config.storage.s3.bucket,
+      Key: this.objectKey(key),
+    }));
+  }
+
+  getDetails() {
+    const { endpoint, region, bucket, prefix } = config.storage.s3;
+    return { endpoint: endpoint || null, region, bucket, prefix: prefix || null };
+  }
+}
+
+export const s3Storage = new S3Storage();
@@ -0,0 +1,52 @@
+/**
+ * Base class for binary storage backends (local filesystem, S3-compatible, ...)
+ * Objects are addressed by a key such as "scans/ab/ab12....pdf".
+ */
+export class BaseStorage {
+  constructor(options) {
+    this.name = options.name;
+  }
+
+  /**
+   * Write an object, replacing any existing object with the same key
+   * Must be implemented by subclass
+   */
+  async put(key, buffer, options = {}) {
+    throw new Error('put must be implemented by subclass');
+  }
+
+  /**
+   * Read an object into a Buffer
+   * Must be implemented by subclass
+   * @returns {Promise<Buffer|null>} - null if the object does not exist
+   */
+  async get(key) {
+    throw new Error('get must be implemented by subclass');
+  }
+
+  /**
+   * Whether an object exists
+   * Must be implemented by subclass
+   */
+  async exists(key) {
+    throw new Error('exists must be implemented by subclass');
+  }
+
+  /**
+   * Remove an object; removing a missing object is not an error
+   * Must be implemented by subclass
+   */
+  async delete(key) {
+    throw new Error('delete must be implemented by subclass');
+  }
+
+  /**
+   * Backend-specific details for status output
+   * Can be overridden by subclass
+   */
+  getDetails() {
+    return {};
+  }
+}
+
+export default BaseStorage;
@@ -0,0 +1,149 @@
+import { config } from '../../config/index.js';
+import { sha256 } from '../../utils/checksum.js';
+import { localStorage, s3Storage } from './backends/index.js';
+
+// Registered storage backends, selected by STORAGE_DRIVER
+const BACKENDS = [localStorage, s3Storage];
+
+export const storageService = {
+  get(name = config.storage.driver) {
+    const backend = BACKENDS.find((b) => b.name === name);
+    if (!backend) throw new Error(`Unknown storage backend "${name}"`);
+    return backend;
+  },
+
+  /**
+   * Keys are content-addressed, so the same PDF is only ever written once
+   */
+  scanKey(contentHash) {
+    return `scans/${contentHash.slice(0, 2)}/${contentHash}.pdf`;
+  },
+
+  /**
+   * Store a scanned PDF in the configured backend
+   * @param {Buffer} buffer - PDF bytes
+   * @param {object} options - Optional precomputed { contentHash }
+   * @returns {Promise<{storage_backend: string, storage_key: string, content_size: number, content_hash: string}>}
+   *   Columns to set on the scanned item
+   */
+  async putScan(buffer, options = {}) {
+    const contentHash = options.contentHash || sha256(buffer);
+    const backend = this.get();
+    const key = this.scanKey(contentHash);
+
+    if (!await backend.exists(key)) {
+      await backend.put(key, buffer, { contentType: 'application/pdf' });
+    }
+
+    return {
+      storage_backend: backend.name,
+      storage_key: key,
+      content_size: buffer.length,
+      content_hash: contentHash,
+    };
+  },
+
+  /**
+   * Read a scanned item's PDF from the backend it was written to
+   * @returns {Promise<Buffer|null>}
+   */
+  async getScan(item) {
+    if (!item.storage_key) return null;
+    return this.get(item.storage_backend || config.storage.driver).get(item.storage_key);
+  },
+
+  async deleteScan(item) {
+    if (!item.storage_key) return;
+    await this.get(item.storage_backend || config.storage.driver).delete(item.storage_key);
+  },
+
+  /**
+   * Store one OCR output (LaTeX, Markdown, line data, ...) of a scanned item.
+   * Content-addressed like scans, so a duplicate's identical output is shared.
+   * @param {string|Buffer} content - Output body
+   * @param {{extension: string, contentType: string}} format - e.g. { extension: 'lines.json', contentType: 'application/json' }
+   * @returns {Promise<{storage_backend: string, storage_key: string, content_type: string, content_size: number}>}
+   *   Entry to keep in the item's ocr_outputs
+   */
+  async putOutput(content, { extension, contentType }) {
+    const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+    const contentHash = sha256(buffer);
+    const backend = this.get();
+    const key = `ocr/${contentHash.slice(0, 2)}/${contentHash}.${extension}`;
+
+    if (!await backend.exists(key)) {
+      await backend.put(key, buffer, { contentType });
+    }
+
+    return {
+      storage_backend: backend.name,
+      storage_key: key,
+      content_type: contentType,
+      content_size: buffer.length,
+    };
+  },
+
+  /**
+   * Read an OCR output entry written by putOutput
+   * @returns {Promise<Buffer|null>}
+   */
+  async getOutput(entry) {
+    return this.get(entry.storage_backend || config.storage.driver).get(entry.storage_key);
+  },
+
+  async deleteOutput(entry) {
+    await this.get(entry.storage_backend || config.storage.driver).delete(entry.storage_key);
+  },
+
+  /**
+   * Store an image copied from OCR output; content-addressed, so each image is written once
+   * @param {Buffer} buffer - Image bytes
+   * @param {string} extension - e.g. 'jpg'
+   * @returns {Promise<string>} - Image name ("<sha256>.<extension>") for imageKey and the /api/images URL
+   */
+  async putImage(buffer, extension, { contentType } = {}) {
+    const name = `${sha256(buffer)}.${extension}`;
+    const backend = this.get();
+    const key = this.imageKey(name);
+
+    if (!await backend.exists(key)) {
+      await backend.put(key, buffer, { contentType });
+    }
+    return name;
+  },
+
+  imageKey(name) {
+    return `images/${name.slice(0, 2)}/${name}`;
+  },
+
+  /**
+   * Read an image written by putImage. Image URLs do not record a backend, so an image
+   * missing from the configured one is looked up in the others (written before a
+   * STORAGE_DRIVER switch).
+   * @returns {Promise<Buffer|null>}
+   */
+  async getImage(name) {
+    const key = this.imageKey(name);
+    const content = await this.get().get(key);
+    if (content) return content;
+
+    for (const backend of BACKENDS) {
+      if (backend.name === config.storage.driver) continue;
+      try {
+        const found = await backend.get(key);
+        if (found) return found;
+      } catch {
+        // A backend that was never set up (no S3 bucket) holds no images
+      }
+    }
+    return null;
+  },
+
+  getStatus() {
+    const backend = this.get();
+    return { driver: backend.name, ...backend.getDetails() };
+  },
+};
+
+export { BaseStorage } from './base.storage.js';
+export default storageService;
@@ -0,0 +1,66 @@
+import { config } from '../../config/index.js';
+
+export const TASK_TYPES = {
+  OCR_CONVERSION: 'ocr_conversion',
+  QUESTION_EXTRACTION: 'question_extraction',
+  SOLUTION_EXTRACTION: 'solution_extraction',
+  REVERSE_SYNC: 'reverse_sync',
+};
+
+/**
+ * Base class for background task handlers (MathPix conversion, extraction, reverse sync, ...)
+ * A handler runs one task type; the worker claims queued tasks of that type and
+ * calls run() with each task's payload.
+ */
+export class BaseTaskHandler {
+  constructor(options) {
+    this.type = options.type;
+    this.logTag = options.logTag || 'TASKS';
+    this.maxAttempts = options.maxAttempts || null;
+  }
+
+  /**
+   * Tasks of this type one worker runs at once
+   * Can be overridden by subclass
+   */
+  getConcurrency() {
+    return Math.max(1, config.tasks.concurrency[this.type] || 1);
+  }
+
+  /**
+   * Attempts before a failing task is given up
+   */
+  getMaxAttempts() {
+    return this.maxAttempts || config.tasks.maxAttempts;
+  }
+
+  /**
+   * Check a payload before it is queued; return an error message or null
+   * Can be overridden by subclass
+   */
+  validate(payload) {
+    return null;
+  }
+
+  /**
+   * Key allowing one queued or running task per subject (e.g. per scanned item)
+   * Can be overridden by subclass
+   * @returns {string|null}
+   */
+  getDedupeKey(payload) {
+    return null;
+  }
+
+  /**
+   * Do the work. Throwing fails the attempt, which is retried with a backoff.
+   * Must be implemented by subclass
+   * @param {object} payload - Task payload
+   * @param {{task: object, signal: AbortSignal}} context - signal aborts when the task is cancelled
+   * @returns {Promise<object|null>} - Stored as the task result
+   */
+  async run(payload, context) {
+    throw new Error('run must be implemented by subclass');
+  }
+}
+
+export default BaseTaskHandler;
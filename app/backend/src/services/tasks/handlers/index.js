@@ -0,0 +1,4 @@
+export { ocrConversionTask } from './ocrConversion.task.js';
+export { questionExtractionTask } from './questionExtraction.task.js';
+export { solutionExtractionTask } from './solutionExtraction.task.js';
+export { reverseSyncTask } from './reverseSync.task.js';
@@ -0,0 +1,82 @@
+import { BaseTaskHandler, TASK_TYPES } from '../base.task-handler.js';
+import { scannedItemService } from '../../scannedItem.service.js';
+import { ocrService } from '../../ocr/index.js';
+import { emailOutboundService } from '../../emailOutbound.service.js';
+import logger from '../../../utils/logger.js';
+
+/**
+ * Converts a scanned item to LaTeX with its OCR provider.
+ * payload: { scanned_item_id, resume? } - resume polls the item's stored provider request
+ * (on the first attempt only) instead of submitting the PDF again.
+ */
+class OcrConversionTaskHandler extends BaseTaskHandler {
+  constructor() {
+    super({
+      type: TASK_TYPES.OCR_CONVERSION,
+      logTag: 'OCR',
+    });
+  }
+
+  validate(payload) {
+    return payload?.scanned_item_id ? null : 'payload.scanned_item_id is required';
+  }
+
+  getDedupeKey(payload) {
+    return `${this.type}:${payload.scanned_item_id}`;
+  }
+
+  async run(payload, { task, signal }) {
+    try {
+      const result = await this.convert(payload, { task, signal });
+      await this.conversionFinished(payload.scanned_item_id);
+      return result;
+    } catch (err) {
+      // After the last attempt the item stays failed; earlier failures are retried
+      if (!err.deferUntil && !signal.aborted && task.attempts >= task.max_attempts) {
+        await this.conversionFinished(payload.scanned_item_id);
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Email follow-ups waiting on the item; a failure to send never fails the conversion
+   */
+  async conversionFinished(scannedItemId) {
+    try {
+      await emailOutboundService.sendConversionFollowUps(scannedItemId);
+    } catch (err) {
+      logger.error('SMTP', `Conversion follow-up for ${scannedItemId} failed: ${err.message}`);
+    }
+  }
+
+  async convert(payload, { task, signal }) {
+    let item;
+    try {
+      item = await scannedItemService.findById(payload.scanned_item_id);
+    } catch (err) {
+      if (err.code === 'PGRST116') return { skipped: 'Scanned item was deleted' };
+      throw err;
+    }
+
+    if (item.latex_conversion_status === 'completed' && !payload.force) {
+      return { skipped: 'Already converted' };
+    }
+
+    if (payload.resume && task.attempts === 1 && ocrService.canResume(item)) {
+      await ocrService.resumeItem(item, { signal });
+      return { scanned_item_id: item.id, resumed: true };
+    }
+
+    if (!scannedItemService.canConvert(item)) {
+      await ocrService.updateConversionError(item.id, 'Scanned item has nothing to convert');
+      return { skipped: 'Nothing to convert' };
+    }
+
+    logger.info(this.logTag, `Converting ${item.id} (attempt ${task.attempts})`);
+    await scannedItemService.runConversion(item, { signal });
+    return { scanned_item_id: item.id, ocr_provider: ocrService.resolve(item.ocr_provider).name };
+  }
+}
+
+export const ocrConversionTask = new OcrConversionTaskHandler();
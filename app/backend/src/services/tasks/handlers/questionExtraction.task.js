@@ -0,0 +1,60 @@
+import { BaseTaskHandler, TASK_TYPES } from '../base.task-handler.js';
+import { questionExtractionService } from '../../questionExtraction.service.js';
+import { extractionProviderService, EXTRACTION_KINDS } from '../../extraction/index.js';
+import { usageService } from '../../usage.service.js';
+
+/**
+ * Extracts questions from a question set's source items, or with labels, re-extracts
+ * just those questions (see questionExtractionService.reextractQuestions).
+ * payload: { question_set_id, provider, labels }
+ */
+class QuestionExtractionTaskHandler extends BaseTaskHandler {
+  constructor() {
+    super({
+      type: TASK_TYPES.QUESTION_EXTRACTION,
+      logTag: 'TASKS',
+    });
+  }
+
+  validate(payload) {
+    if (!payload?.question_set_id) return 'payload.question_set_id is required';
+    if (payload.provider && !extractionProviderService.get(payload.provider)?.supports(EXTRACTION_KINDS.QUESTIONS)) {
+      return `payload.provider must be one of: ${extractionProviderService.getNames(EXTRACTION_KINDS.QUESTIONS).join(', ')}`;
+    }
+    if (payload.labels !== undefined && (!Array.isArray(payload.labels) || payload.labels.length === 0
+      || payload.labels.some((label) => typeof label !== 'string' || !label))) {
+      return 'payload.labels must be a non-empty array of labels';
+    }
+    return null;
+  }
+
+  getDedupeKey(payload) {
+    // Re-extractions of different labels of a set can queue side by side; each merges
+    // into the set with a conditional write, so none overwrites another
+    if (payload.labels) return `${this.type}:${payload.question_set_id}:${payload.labels.join(',')}`;
+    return `${this.type}:${payload.question_set_id}`;
+  }
+
+  async run(payload) {
+    const questionSet = await questionExtractionService.findById(payload.question_set_id);
+    if (!questionSet) return { skipped: 'Question set was deleted' };
+
+    // Waits in the queue while the provider's monthly budget is used up
+    const provider = extractionProviderService.resolve(payload.provider).name;
+    await usageService.assertWithinBudget(provider);
+
+    if (payload.labels) {
+      const data = await questionExtractionService.reextractQuestions(payload.question_set_id, payload.labels, provider);
+      const last = data.metadata.reextractions.at(-1);
+      return { question_set_id: data.id, replaced: last.replaced, added: last.added, missing: last.missing };
+    }
+
+    const data = await questionExtractionService.extractQuestions(
+      payload.question_set_id,
+      provider,
+    );
+    return { question_set_id: data.id, total_questions: data.total_questions };
+  }
+}
+
+export const questionExtractionTask = new QuestionExtractionTaskHandler();
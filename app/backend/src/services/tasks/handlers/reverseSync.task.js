@@ -0,0 +1,40 @@
+import { BaseTaskHandler, TASK_TYPES } from '../base.task-handler.js';
+import { reverseSyncService } from '../../reverse-sync/index.js';
+
+const TARGETS = ['all', 'lessons', 'lesson_items'];
+
+/**
+ * Copies lessons and lesson items to MongoDB.
+ * payload: { target? } - 'all' (default), 'lessons' or 'lesson_items'
+ */
+class ReverseSyncTaskHandler extends BaseTaskHandler {
+  constructor() {
+    super({
+      type: TASK_TYPES.REVERSE_SYNC,
+      logTag: 'REVERSE_SYNC',
+      // Each run re-copies everything, so a failure is left for the next run
+      maxAttempts: 1,
+    });
+  }
+
+  validate(payload) {
+    if (payload?.target && !TARGETS.includes(payload.target)) {
+      return `payload.target must be one of: ${TARGETS.join(', ')}`;
+    }
+    return null;
+  }
+
+  // One sync at a time across all workers
+  getDedupeKey() {
+    return this.type;
+  }
+
+  async run(payload) {
+    const target = payload?.target || 'all';
+    if (target === 'lessons') return { lessons: await reverseSyncService.syncLessons() };
+    if (target === 'lesson_items') return { lessonItems: await reverseSyncService.syncLessonItems() };
+    return reverseSyncService.syncAll();
+  }
+}
+
+export const reverseSyncTask = new ReverseSyncTaskHandler();
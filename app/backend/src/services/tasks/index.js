@@ -0,0 +1,287 @@
+import { supabase } from '../../config/database.js';
+import { config } from '../../config/index.js';
+import logger from '../../utils/logger.js';
+import { TASK_TYPES } from './base.task-handler.js';
+import { TaskWorker } from './worker.js';
+import {
+  ocrConversionTask,
+  questionExtractionTask,
+  solutionExtractionTask,
+  reverseSyncTask,
+} from './handlers/index.js';
+
+// Registered task handlers, polled in this order. Built on use because the handlers
+// import services (scannedItemService, ...) that themselves queue tasks through this module.
+function registeredHandlers() {
+  return [ocrConversionTask, questionExtractionTask, solutionExtractionTask, reverseSyncTask];
+}
+
+export const TASK_STATUSES = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+};
+
+// Errors caused by the request rather than the server
+function badRequest(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
+
+function conflict(message) {
+  const err = new Error(message);
+  err.statusCode = 409;
+  return err;
+}
+
+export const taskService = {
+  // Worker running in this process, if any
+  worker: null,
+
+  getHandlers() {
+    return registeredHandlers();
+  },
+
+  getHandler(type) {
+    return registeredHandlers().find((handler) => handler.type === type) || null;
+  },
+
+  /**
+   * Add a task to the queue.
+   * A task whose dedupe key is already queued or running is not added twice: the
+   * existing task is returned, brought forward if it was waiting for a retry.
+   * @param {string} type - One of TASK_TYPES
+   * @param {object} payload - Handler-specific payload
+   * @param {object} options - Optional { priority, maxAttempts, runAt }
+   * @returns {Promise<object>} - The task row
+   */
+  async enqueue(type, payload = {}, { priority = 0, maxAttempts = null, runAt = null } = {}) {
+    const handler = this.getHandler(type);
+    if (!handler) {
+      throw badRequest(`type must be one of: ${this.getHandlers().map((h) => h.type).join(', ')}`);
+    }
+
+    const invalid = handler.validate(payload);
+    if (invalid) throw badRequest(invalid);
+
+    const dedupeKey = handler.getDedupeKey(payload);
+
+    // Retried once: the existing task can finish between the insert and the lookup
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const { data, error } = await supabase
+        .from('tasks')
+        .insert({
+          type,
+          payload,
+          priority,
+          max_attempts: maxAttempts || handler.getMaxAttempts(),
+          run_at: runAt || new Date().toISOString(),
+          dedupe_key: dedupeKey,
+        })
+        .select()
+        .single();
+
+      if (!error) {
+        logger.info('TASKS', `Queued ${type} ${data.id}`);
+        this.worker?.wake();
+        return data;
+      }
+
+      if (error.code !== '23505' || !dedupeKey) throw error;
+
+      const existing = await this.findActive(dedupeKey);
+      if (existing) return this.bringForward(existing);
+    }
+
+    throw conflict(`Could not queue ${type}: a matching task keeps changing state`);
+  },
+
+  async findActive(dedupeKey) {
+    const { data, error } = await supabase
+      .from('tasks')
+      .select('*')
+      .eq('dedupe_key', dedupeKey)
+      .in('status', [TASK_STATUSES.QUEUED, TASK_STATUSES.RUNNING])
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // A queued task waiting out a retry backoff runs now
+  async bringForward(task) {
+    if (task.status !== TASK_STATUSES.QUEUED || new Date(task.run_at) <= new Date()) return task;
+
+    const { data, error } = await supabase
+      .from('tasks')
+      .update({ run_at: new Date().toISOString() })
+      .eq('id', task.id)
+      .eq('status', TASK_STATUSES.QUEUED)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    this.worker?.wake();
+    return data || task;
+  },
+
+  async getAll(filters = {}) {
+    let query = supabase
+      .from('tasks')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(filters.limit || 100);
+
+    if (filters.status) {
+      query = query.eq('status', filters.status);
+    }
+    if (filters.type) {
+      query = query.eq('type', filters.type);
+    }
+    // e.g. every conversion task of one scanned item
+    if (filters.payload) {
+      query = query.contains('payload', filters.payload);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    return data;
+  },
+
+  async findById(id) {
+    const { data, error } = await supabase
+      .from('tasks')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data;
+  },
+
+  /**
+   * Cancel a task. A queued task is cancelled at once; a running task is flagged
+   * and its worker aborts it at the next heartbeat.
+   * @returns {Promise<object|null>} - Updated task, null if not found
+   */
+  async cancel(id) {
+    const task = await this.findById(id);
+    if (!task) return null;
+
+    if (task.status === TASK_STATUSES.QUEUED) {
+      const { data, error } = await supabase
+        .from('tasks')
+        .update({ status: TASK_STATUSES.CANCELLED, cancel_requested: true, finished_at: new Date().toISOString() })
+        .eq('id', id)
+        .eq('status', TASK_STATUSES.QUEUED)
+        .select()
+        .maybeSingle();
+
+      if (error) throw error;
+      if (data) {
+        logger.info('TASKS', `Cancelled queued ${task.type} ${id}`);
+        return data;
+      }
+      // Claimed in the meantime: flag it for the worker below
+    } else if (task.status !== TASK_STATUSES.RUNNING) {
+      throw conflict(`Task is already ${task.status}`);
+    }
+
+    const { data, error } = await supabase
+      .from('tasks')
+      .update({ cancel_requested: true })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    logger.info('TASKS', `Cancel requested for running ${task.type} ${id}`);
+    return data;
+  },
+
+  /**
+   * Queue a failed or cancelled task again with a fresh set of attempts
+   * @returns {Promise<object|null>} - Updated task, null if not found
+   */
+  async retry(id) {
+    const task = await this.findById(id);
+    if (!task) return null;
+
+    if (![TASK_STATUSES.FAILED, TASK_STATUSES.CANCELLED].includes(task.status)) {
+      throw conflict(`Only failed or cancelled tasks can be retried (task is ${task.status})`);
+    }
+
+    const { data, error } = await supabase
+      .from('tasks')
+      .update({
+        status: TASK_STATUSES.QUEUED,
+        attempts: 0,
+        run_at: new Date().toISOString(),
+        cancel_requested: false,
+        finished_at: null,
+      })
+      .eq('id', id)
+      .eq('status', task.status)
+      .select()
+      .maybeSingle();
+
+    if (error?.code === '23505') {
+      throw conflict('An equivalent task is already queued or running');
+    }
+    if (error) throw error;
+    if (!data) throw conflict('Task changed state; try again');
+
+    logger.info('TASKS', `Requeued ${task.type} ${id}`);
+    this.worker?.wake();
+    return data;
+  },
+
+  /**
+   * Start consuming the queue in this process
+   * @param {string[]} types - Optional subset of task types to run
+   */
+  startWorker(types = null) {
+    if (this.worker) return this.worker;
+
+    const handlers = this.getHandlers().filter((handler) => !types || types.includes(handler.type));
+    this.worker = new TaskWorker(handlers);
+    this.worker.start();
+    return this.worker;
+  },
+
+  async stopWorker() {
+    if (!this.worker) return;
+    await this.worker.stop();
+    this.worker = null;
+  },
+
+  /**
+   * Task counts by status plus this process's worker, if it runs one
+   */
+  async getStatus() {
+    const counts = {};
+    for (const status of [TASK_STATUSES.QUEUED, TASK_STATUSES.RUNNING, TASK_STATUSES.FAILED]) {
+      const { count, error } = await supabase
+        .from('tasks')
+        .select('id', { count: 'exact', head: true })
+        .eq('status', status);
+
+      if (error) throw error;
+      counts[status] = count;
+    }
+
+    return {
+      workerEnabled: config.tasks.workerEnabled,
+      worker: this.worker?.getStatus() || null,
+      counts,
+    };
+  },
+};
+
+export { TASK_TYPES, BaseTaskHandler } from './base.task-handler.js';
+export { TaskWorker } from './worker.js';
+export default taskService;
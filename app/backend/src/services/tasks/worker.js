@@ -0,0 +1,291 @@
+import os from 'os';
+import { supabase } from '../../config/database.js';
+import { config } from '../../config/index.js';
+import logger from '../../utils/logger.js';
+
+// Fields clearing a task's lock when it leaves 'running'
+const UNLOCKED = { locked_by: null, locked_at: null, heartbeat_at: null };
+
+/**
+ * Delay before the next attempt: backoffMs doubled per failed attempt, capped at backoffMaxMs
+ */
+export function retryDelayMs(attempts) {
+  const { backoffMs, backoffMaxMs } = config.tasks;
+  return Math.min(backoffMs * 2 ** Math.max(0, attempts - 1), backoffMaxMs);
+}
+
+/**
+ * Consumes the tasks table: claims due tasks for each handler up to its concurrency,
+ * heartbeats while they run, and records the outcome. Every write after claiming is
+ * conditioned on this worker still holding the lock, so a task that was requeued as
+ * stale is never overwritten by a late result.
+ */
+export class TaskWorker {
+  /**
+   * @param {BaseTaskHandler[]} handlers - Task types this worker runs
+   * @param {object} options - Optional { id }
+   */
+  constructor(handlers, { id = `${os.hostname()}:${process.pid}` } = {}) {
+    this.id = id;
+    this.handlers = handlers;
+    this.running = false;
+    this.polling = false;
+    this.pollTimer = null;
+    this.staleTimer = null;
+    // task id -> { task, handler, controller, heartbeat, released }
+    this.active = new Map();
+    this.stats = { completed: 0, failed: 0, retried: 0, cancelled: 0, deferred: 0 };
+    this.lastError = null;
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+
+    const { pollIntervalMs, staleAfterMs } = config.tasks;
+    this.pollTimer = setInterval(() => this.poll(), pollIntervalMs);
+    this.staleTimer = setInterval(() => {
+      this.requeueStale().catch((err) => logger.error('TASKS', `Stale task check failed: ${err.message}`));
+    }, Math.max(staleAfterMs / 2, pollIntervalMs));
+
+    logger.success('TASKS', `Worker ${this.id} started (${this.handlers.map((h) => `${h.type}×${h.getConcurrency()}`).join(', ')})`);
+    this.requeueStale()
+      .catch((err) => logger.error('TASKS', `Stale task check failed: ${err.message}`))
+      .finally(() => this.poll());
+  }
+
+  /**
+   * Stop claiming and hand running tasks back to the queue for another worker (or the next start)
+   */
+  async stop() {
+    if (!this.running) return;
+    this.running = false;
+    clearInterval(this.pollTimer);
+    clearInterval(this.staleTimer);
+
+    for (const entry of this.active.values()) {
+      clearInterval(entry.heartbeat);
+      entry.released = true;
+      // The attempt was interrupted rather than failed
+      await this.finish(entry.task, {
+        status: 'queued',
+        attempts: Math.max(0, entry.task.attempts - 1),
+        run_at: new Date().toISOString(),
+      }).catch((err) => logger.error('TASKS', `Could not release task ${entry.task.id}: ${err.message}`));
+      entry.controller.abort();
+    }
+    this.active.clear();
+
+    logger.info('TASKS', `Worker ${this.id} stopped`);
+  }
+
+  // Poll now instead of waiting for the next interval (e.g. right after a task was queued)
+  wake() {
+    if (this.running) setImmediate(() => this.poll());
+  }
+
+  async poll() {
+    if (!this.running || this.polling) return;
+    this.polling = true;
+
+    try {
+      for (const handler of this.handlers) {
+        const busy = [...this.active.values()].filter((entry) => entry.handler === handler).length;
+        const free = handler.getConcurrency() - busy;
+        if (free <= 0) continue;
+
+        const { data: tasks, error } = await supabase.rpc('claim_tasks', {
+          p_type: handler.type,
+          p_worker: this.id,
+          p_limit: free,
+        });
+        if (error) throw error;
+
+        for (const task of tasks || []) {
+          this.execute(handler, task);
+        }
+      }
+      this.lastError = null;
+    } catch (err) {
+      this.lastError = err.message;
+      logger.error('TASKS', `Polling failed: ${err.message}`);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  async execute(handler, task) {
+    const controller = new AbortController();
+    const entry = { task, handler, controller, heartbeat: null, released: false };
+    entry.heartbeat = setInterval(() => this.beat(entry), config.tasks.heartbeatMs);
+    this.active.set(task.id, entry);
+
+    logger.info('TASKS', `▶ ${task.type} ${task.id} (attempt ${task.attempts}/${task.max_attempts})`);
+
+    // Handlers that ignore the signal are abandoned, not awaited, once the task is cancelled
+    const aborted = new Promise((resolve) => {
+      controller.signal.addEventListener('abort', resolve, { once: true });
+    });
+
+    try {
+      const result = await Promise.race([
+        handler.run(task.payload || {}, { task, signal: controller.signal }),
+        aborted,
+      ]);
+
+      if (entry.released) return;
+      if (controller.signal.aborted) {
+        await this.cancelled(task);
+      } else {
+        await this.finish(task, { status: 'completed', result: result ?? null, last_error: null, finished_at: new Date().toISOString() });
+        this.stats.completed++;
+        logger.success('TASKS', `✓ ${task.type} ${task.id}`);
+      }
+    } catch (err) {
+      if (entry.released) return;
+      if (controller.signal.aborted) {
+        await this.cancelled(task).catch((e) => logger.error('TASKS', e.message));
+      } else {
+        await this.failed(task, err).catch((e) => logger.error('TASKS', `Could not record failure of ${task.id}: ${e.message}`));
+      }
+    } finally {
+      clearInterval(entry.heartbeat);
+      this.active.delete(task.id);
+      this.wake();
+    }
+  }
+
+  /**
+   * Refresh the heartbeat; abort the task when a cancel was requested or the lock was lost
+   */
+  async beat(entry) {
+    if (!this.running) return;
+
+    const { data, error } = await supabase
+      .from('tasks')
+      .update({ heartbeat_at: new Date().toISOString() })
+      .eq('id', entry.task.id)
+      .eq('locked_by', this.id)
+      .eq('status', 'running')
+      .select('cancel_requested')
+      .maybeSingle();
+
+    if (error) {
+      logger.error('TASKS', `Heartbeat of ${entry.task.id} failed: ${error.message}`);
+      return;
+    }
+
+    if (!data) {
+      logger.warn('TASKS', `Lost the lock on ${entry.task.id}; abandoning it`);
+      entry.released = true;
+      entry.controller.abort();
+    } else if (data.cancel_requested) {
+      logger.info('TASKS', `Cancelling ${entry.task.id}`);
+      entry.controller.abort();
+    }
+  }
+
+  async failed(task, err) {
+    const retry = task.attempts < task.max_attempts;
+
+    if (err.deferUntil) {
+      // Not a failure (e.g. a usage budget is used up): run again later without using an attempt
+      await this.finish(task, {
+        status: 'queued',
+        attempts: Math.max(0, task.attempts - 1),
+        last_error: err.message,
+        run_at: new Date(err.deferUntil).toISOString(),
+      });
+      this.stats.deferred++;
+      logger.warn('TASKS', `… ${task.type} ${task.id}: ${err.message} - deferred until ${new Date(err.deferUntil).toISOString()}`);
+    } else if (retry) {
+      const delay = retryDelayMs(task.attempts);
+      await this.finish(task, {
+        status: 'queued',
+        last_error: err.message,
+        run_at: new Date(Date.now() + delay).toISOString(),
+      });
+      this.stats.retried++;
+      logger.warn('TASKS', `✗ ${task.type} ${task.id}: ${err.message} - retrying in ${Math.round(delay / 1000)}s`);
+    } else {
+      await this.finish(task, { status: 'failed', last_error: err.message, finished_at: new Date().toISOString() });
+      this.stats.failed++;
+      logger.error('TASKS', `✗ ${task.type} ${task.id}: ${err.message} - giving up after ${task.attempts} attempt(s)`);
+    }
+  }
+
+  async cancelled(task) {
+    await this.finish(task, { status: 'cancelled', finished_at: new Date().toISOString() });
+    this.stats.cancelled++;
+    logger.info('TASKS', `■ ${task.type} ${task.id} cancelled`);
+  }
+
+  // Leave 'running', if this worker still holds the task
+  async finish(task, fields) {
+    const { error } = await supabase
+      .from('tasks')
+      .update({ ...fields, ...UNLOCKED })
+      .eq('id', task.id)
+      .eq('locked_by', this.id)
+      .eq('status', 'running');
+
+    if (error) throw error;
+  }
+
+  /**
+   * Requeue running tasks whose worker stopped heartbeating (crash, restart).
+   * Tasks out of attempts are failed and cancel requests are honoured instead.
+   * @returns {Promise<number>} - Tasks recovered
+   */
+  async requeueStale() {
+    const cutoff = new Date(Date.now() - config.tasks.staleAfterMs).toISOString();
+
+    const { data, error } = await supabase
+      .from('tasks')
+      .select('id, type, attempts, max_attempts, cancel_requested, locked_by')
+      .eq('status', 'running')
+      .lt('heartbeat_at', cutoff);
+
+    if (error) throw error;
+
+    for (const task of data) {
+      let fields;
+      if (task.cancel_requested) {
+        fields = { status: 'cancelled', finished_at: new Date().toISOString() };
+      } else if (task.attempts >= task.max_attempts) {
+        fields = { status: 'failed', last_error: `Worker ${task.locked_by} stopped responding`, finished_at: new Date().toISOString() };
+      } else {
+        fields = { status: 'queued', run_at: new Date().toISOString() };
+      }
+
+      const { error: updateError } = await supabase
+        .from('tasks')
+        .update({ ...fields, ...UNLOCKED })
+        .eq('id', task.id)
+        .eq('status', 'running')
+        .lt('heartbeat_at', cutoff);
+
+      if (updateError) throw updateError;
+      logger.warn('TASKS', `Recovered stale ${task.type} ${task.id} from ${task.locked_by} → ${fields.status}`);
+    }
+
+    return data.length;
+  }
+
+  getStatus() {
+    return {
+      id: this.id,
+      running: this.running,
+      types: this.handlers.map((handler) => ({
+        type: handler.type,
+        concurrency: handler.getConcurrency(),
+        active: [...this.active.values()].filter((entry) => entry.handler === handler).length,
+      })),
+      activeTaskIds: [...this.active.keys()],
+      lastError: this.lastError,
+      ...this.stats,
+    };
+  }
+}
+
+export default TaskWorker;
@@ -0,0 +1,342 @@
+import { supabase } from '../config/database.js';
+import { config } from '../config/index.js';
+import logger from '../utils/logger.js';
+
+export const USAGE_PROVIDERS = {
+  MATHPIX: 'mathpix',
+  LLAMAPARSE: 'llamaparse',
+  GEMINI: 'gemini',
+  OPENAI: 'openai',
+};
+
+export const USAGE_GROUPS = ['month', 'provider', 'book', 'chapter'];
+
+// Links from a usage row to what the call was made for
+const CONTEXT_COLUMNS = ['book_id', 'chapter_id', 'scanned_item_id', 'question_set_id', 'solution_set_id'];
+
+// Month-to-date spend is read at most this often for budget checks
+const TOTALS_TTL_MS = 60000;
+
+function monthStart(date = new Date()) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+}
+
+function nextMonthStart(date = new Date()) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+}
+
+function round(value, digits = 6) {
+  return Number(Number(value || 0).toFixed(digits));
+}
+
+/**
+ * Counts one metered operation (requests, pages, tokens) and writes it to api_usage when it ends
+ */
+class UsageMeter {
+  constructor(provider, operation, context = {}) {
+    this.provider = provider;
+    this.operation = operation;
+    this.context = context || {};
+    this.startedAt = Date.now();
+    this.requests = 0;
+    this.pages = 0;
+    this.inputTokens = 0;
+    this.outputTokens = 0;
+    this.metadata = {};
+    this.ended = false;
+  }
+
+  request(count = 1) {
+    this.requests += count;
+  }
+
+  add({ pages = 0, inputTokens = 0, outputTokens = 0, metadata = null } = {}) {
+    this.pages += pages || 0;
+    this.inputTokens += inputTokens || 0;
+    this.outputTokens += outputTokens || 0;
+    if (metadata) Object.assign(this.metadata, metadata);
+  }
+
+  async end(error = null) {
+    if (this.ended) return;
+    this.ended = true;
+
+    await usageService.record({
+      provider: this.provider,
+      operation: this.operation,
+      status: error ? 'error' : 'success',
+      error: error?.message || null,
+      requests: this.requests,
+      pages: this.pages,
+      inputTokens: this.inputTokens,
+      outputTokens: this.outputTokens,
+      durationMs: Date.now() - this.startedAt,
+      metadata: this.metadata,
+      context: this.context,
+    });
+  }
+}
+
+export const usageService = {
+  // { from, expiresAt, byProvider: { mathpix: 1.23, ... }, total }
+  monthTotals: null,
+
+  /**
+   * Start metering an operation; call end() (or end(error)) on the result when it is over
+   * @param {string} provider - One of USAGE_PROVIDERS
+   * @param {string} operation - e.g. 'pdf', 'image', 'parse', 'generate'
+   * @param {object} context - Optional { book_id, chapter_id, scanned_item_id, question_set_id, solution_set_id }
+   * @returns {UsageMeter}
+   */
+  meter(provider, operation, context = {}) {
+    return new UsageMeter(provider, operation, context);
+  },
+
+  /**
+   * Run fn(meter) and record its usage, also when it throws
+   */
+  async track(provider, operation, context, fn) {
+    const meter = this.meter(provider, operation, context);
+    try {
+      const result = await fn(meter);
+      await meter.end();
+      return result;
+    } catch (error) {
+      await meter.end(error);
+      throw error;
+    }
+  },
+
+  /**
+   * Estimated cost in USD from the configured rates
+   */
+  estimateCost({ provider, operation, requests = 0, pages = 0, inputTokens = 0, outputTokens = 0 }) {
+    const { rates } = config.usage;
+
+    switch (provider) {
+      case USAGE_PROVIDERS.MATHPIX:
+        return operation === 'image' ? requests * rates.mathpix.image : pages * rates.mathpix.pdfPage;
+      case USAGE_PROVIDERS.LLAMAPARSE:
+        return pages * rates.llamaparse.page;
+      case USAGE_PROVIDERS.GEMINI:
+        return (inputTokens * rates.gemini.inputPerMillion + outputTokens * rates.gemini.outputPerMillion) / 1e6;
+      case USAGE_PROVIDERS.OPENAI:
+        return (inputTokens * rates.openai.inputPerMillion + outputTokens * rates.openai.outputPerMillion) / 1e6;
+      default:
+        return 0;
+    }
+  },
+
+  /**
+   * Write one usage row. Metering never fails the call it measures, so errors are only logged.
+   */
+  async record(entry) {
+    const cost = round(this.estimateCost(entry));
+    const context = Object.fromEntries(
+      CONTEXT_COLUMNS.filter((column) => entry.context?.[column]).map((column) => [column, entry.context[column]])
+    );
+
+    const { error } = await supabase
+      .from('api_usage')
+      .insert({
+        provider: entry.provider,
+        operation: entry.operation,
+        status: entry.status || 'success',
+        error: entry.error || null,
+        requests: entry.requests || 0,
+        pages: entry.pages || 0,
+        input_tokens: entry.inputTokens || 0,
+        output_tokens: entry.outputTokens || 0,
+        duration_ms: Math.round(entry.durationMs || 0),
+        cost_usd: cost,
+        metadata: entry.metadata || {},
+        ...context,
+      });
+
+    if (error) {
+      logger.warn('USAGE', `Could not record ${entry.provider} ${entry.operation} usage: ${error.message}`);
+      return;
+    }
+
+    // Keep the cached month-to-date spend current between refreshes
+    if (this.monthTotals && cost > 0) {
+      this.monthTotals.byProvider[entry.provider] = (this.monthTotals.byProvider[entry.provider] || 0) + cost;
+      this.monthTotals.total += cost;
+    }
+  },
+
+  /**
+   * Summed usage rows from the usage_summary function (per month, provider, book and chapter)
+   */
+  async getSummaryRows({ from = null, to = null } = {}) {
+    const { data, error } = await supabase.rpc('usage_summary', {
+      p_from: from ? new Date(from).toISOString() : null,
+      p_to: to ? new Date(to).toISOString() : null,
+    });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  /**
+   * Usage report grouped by any of month, provider, book and chapter
+   * @param {object} options - { groupBy: string[], from, to, provider, bookId, chapterId }
+   * @returns {Promise<{groupBy: string[], from, to, rows: object[], totals: object}>}
+   */
+  async getReport({ groupBy = ['month', 'provider'], from = null, to = null, provider = null, bookId = null, chapterId = null } = {}) {
+    const rows = (await this.getSummaryRows({ from, to })).filter((row) => (!provider || row.provider === provider)
+      && (!bookId || row.book_id === bookId)
+      && (!chapterId || row.chapter_id === chapterId));
+
+    const groups = new Map();
+    const totals = this.emptyTotals();
+
+    for (const row of rows) {
+      const keys = {
+        ...(groupBy.includes('month') && { month: String(row.month).slice(0, 7) }),
+        ...(groupBy.includes('provider') && { provider: row.provider }),
+        ...(groupBy.includes('book') && { book_id: row.book_id }),
+        ...(groupBy.includes('chapter') && { chapter_id: row.chapter_id }),
+      };
+      const key = JSON.stringify(keys);
+      if (!groups.has(key)) groups.set(key, { ...keys, ...this.emptyTotals() });
+
+      this.addTotals(groups.get(key), row);
+      this.addTotals(totals, row);
+    }
+
+    const result = [...groups.values()].map((group) => ({ ...group, cost_usd: round(group.cost_usd) }));
+    await this.attachNames(result);
+
+    result.sort((a, b) => (b.month || '').localeCompare(a.month || '') || b.cost_usd - a.cost_usd);
+    return { groupBy, from, to, rows: result, totals: { ...totals, cost_usd: round(totals.cost_usd) } };
+  },
+
+  emptyTotals() {
+    return { operations: 0, errors: 0, requests: 0, pages: 0, input_tokens: 0, output_tokens: 0, duration_ms: 0, cost_usd: 0 };
+  },
+
+  addTotals(target, row) {
+    for (const field of Object.keys(this.emptyTotals())) {
+      target[field] += Number(row[field] || 0);
+    }
+  },
+
+  // Book and chapter names for report rows grouped by them
+  async attachNames(rows) {
+    const bookIds = [...new Set(rows.map((row) => row.book_id).filter(Boolean))];
+    const chapterIds = [...new Set(rows.map((row) => row.chapter_id).filter(Boolean))];
+
+    if (bookIds.length > 0) {
+      const { data, error } = await supabase.from('books').select('id, name, display_name').in('id', bookIds);
+      if (error) throw error;
+      const names = new Map(data.map((book) => [book.id, book.display_name || book.name]));
+      rows.forEach((row) => { if (row.book_id) row.book_name = names.get(row.book_id) || null; });
+    }
+
+    if (chapterIds.length > 0) {
+      const { data, error } = await supabase.from('chapters').select('id, name, display_name').in('id', chapterIds);
+      if (error) throw error;
+      const names = new Map(data.map((chapter) => [chapter.id, chapter.display_name || chapter.name]));
+      rows.forEach((row) => { if (row.chapter_id) row.chapter_name = names.get(row.chapter_id) || null; });
+    }
+  },
+
+  /**
+   * Individual usage rows, newest first
+   * @param {object} filters - Optional { provider, bookId, chapterId, scannedItemId, questionSetId, solutionSetId, status, limit }
+   */
+  async getRecords(filters = {}) {
+    let query = supabase
+      .from('api_usage')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(filters.limit || 100);
+
+    if (filters.provider) query = query.eq('provider', filters.provider);
+    if (filters.status) query = query.eq('status', filters.status);
+    if (filters.bookId) query = query.eq('book_id', filters.bookId);
+    if (filters.chapterId) query = query.eq('chapter_id', filters.chapterId);
+    if (filters.scannedItemId) query = query.eq('scanned_item_id', filters.scannedItemId);
+    if (filters.questionSetId) query = query.eq('question_set_id', filters.questionSetId);
+    if (filters.solutionSetId) query = query.eq('solution_set_id', filters.solutionSetId);
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Spend this month (UTC) in total and per provider, cached for a minute
+   */
+  async getMonthTotals() {
+    const from = monthStart();
+    if (this.monthTotals && this.monthTotals.from.getTime() === from.getTime() && this.monthTotals.expiresAt > Date.now()) {
+      return this.monthTotals;
+    }
+
+    const rows = await this.getSummaryRows({ from });
+    const byProvider = {};
+    let total = 0;
+    for (const row of rows) {
+      byProvider[row.provider] = (byProvider[row.provider] || 0) + Number(row.cost_usd || 0);
+      total += Number(row.cost_usd || 0);
+    }
+
+    this.monthTotals = { from, expiresAt: Date.now() + TOTALS_TTL_MS, byProvider, total };
+    return this.monthTotals;
+  },
+
+  /**
+   * Monthly budget caps and what has been spent against them
+   */
+  async getBudgetStatus() {
+    const { budgets } = config.usage;
+    const totals = await this.getMonthTotals();
+
+    const entry = (limit, spent) => ({
+      limit,
+      spent: round(spent, 4),
+      remaining: limit === null ? null : round(Math.max(0, limit - spent), 4),
+      exceeded: limit !== null && spent >= limit,
+    });
+
+    return {
+      month: totals.from.toISOString().slice(0, 7),
+      resetsAt: nextMonthStart().toISOString(),
+      total: entry(budgets.total, totals.total),
+      providers: Object.fromEntries(Object.values(USAGE_PROVIDERS).map((provider) => [
+        provider,
+        entry(budgets[provider] ?? null, totals.byProvider[provider] || 0),
+      ])),
+    };
+  },
+
+  /**
+   * Throw before starting paid work when its provider's cap, or the total cap, is used up.
+   * The error carries deferUntil, so the task worker keeps the task queued until then
+   * instead of failing it.
+   * @param {string} provider - Provider about to be called; providers that are not metered pass
+   */
+  async assertWithinBudget(provider) {
+    if (!Object.values(USAGE_PROVIDERS).includes(provider)) return;
+
+    const { budgets } = config.usage;
+    if (budgets.total === null && (budgets[provider] ?? null) === null) return;
+
+    const status = await this.getBudgetStatus();
+    const exceeded = status.providers[provider].exceeded
+      ? `${provider} budget of $${budgets[provider]}`
+      : status.total.exceeded ? `monthly budget of $${budgets.total}` : null;
+    if (!exceeded) return;
+
+    const err = new Error(`The ${exceeded} for ${status.month} is used up; paid work is paused`);
+    err.statusCode = 429;
+    err.code = 'BUDGET_EXCEEDED';
+    err.deferUntil = new Date(Math.min(nextMonthStart().getTime(), Date.now() + config.usage.budgetRecheckMs));
+    throw err;
+  },
+};
+
+export default usageService;
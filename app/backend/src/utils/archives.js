@@ -0,0 +1,174 @@
+import path from 'path';
+import zlib from 'zlib';
+import { Readable } from 'stream';
+import AdmZip from 'adm-zip';
+import tar from 'tar-stream';
+
+/**
+ * Archive helpers for scan intake
+ * Scans are often sent as one ZIP (or tar.gz) of many PDFs; each contained PDF
+ * becomes its own scanned item, in natural filename order.
+ */
+
+const ZIP_CONTENT_TYPES = ['application/zip', 'application/x-zip-compressed', 'application/x-zip', 'multipart/x-zip'];
+const TAR_GZ_CONTENT_TYPES = ['application/gzip', 'application/x-gzip', 'application/x-gtar', 'application/x-compressed-tar'];
+
+// Guard against zip bombs (defaults of expandArchive's limits)
+const MAX_ENTRIES = 500;
+const MAX_TOTAL_BYTES = 500 * 1024 * 1024;
+
+// "page2.pdf" sorts before "page10.pdf"
+const naturalCollator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+/**
+ * Detect a supported archive by filename or content type
+ * @returns {string|null} - 'zip', 'tar.gz' or null
+ */
+export function detectArchiveKind(filename = '', contentType = '') {
+  const name = filename.toLowerCase();
+  const type = contentType.toLowerCase();
+
+  if (name.endsWith('.zip') || ZIP_CONTENT_TYPES.some((t) => type.includes(t))) return 'zip';
+  if (name.endsWith('.tar.gz') || name.endsWith('.tgz') || TAR_GZ_CONTENT_TYPES.some((t) => type.includes(t))) return 'tar.gz';
+  return null;
+}
+
+// Skip directories, macOS resource forks and hidden files; keep only PDFs
+function isPdfEntry(entryPath) {
+  const parts = entryPath.split('/');
+  if (parts.includes('__MACOSX') || parts.some((part) => part.startsWith('.'))) return false;
+  return entryPath.toLowerCase().endsWith('.pdf');
+}
+
+const tooLarge = (limits) => new Error(`Archive expands to more than ${Math.round(limits.maxTotalBytes / (1024 * 1024))}MB`);
+
+function checkLimits(count, totalBytes, limits) {
+  if (count > limits.maxEntries) {
+    throw new Error(`Archive has more than ${limits.maxEntries} entries`);
+  }
+  if (totalBytes > limits.maxTotalBytes) {
+    throw tooLarge(limits);
+  }
+}
+
+/**
+ * Inflate a zip entry, never past the bytes left of the archive's budget.
+ * The sizes in the zip headers are the sender's word, so they are not relied on.
+ */
+function inflateZipEntry(entry, remainingBytes, limits) {
+  if (entry.header.encrypted) {
+    throw new Error(`"${entry.entryName}" is encrypted`);
+  }
+
+  const compressed = entry.getCompressedData();
+
+  if (entry.header.method === 0) {
+    if (compressed.length > remainingBytes) throw tooLarge(limits);
+    return compressed;
+  }
+
+  if (entry.header.method === 8) {
+    try {
+      return zlib.inflateRawSync(compressed, { maxOutputLength: Math.max(1, remainingBytes) });
+    } catch (err) {
+      if (err.code === 'ERR_BUFFER_TOO_LARGE') throw tooLarge(limits);
+      throw err;
+    }
+  }
+
+  throw new Error(`"${entry.entryName}" uses an unsupported compression method`);
+}
+
+function expandZip(buffer, limits) {
+  const zip = new AdmZip(buffer);
+  const entries = zip.getEntries().filter((entry) => !entry.isDirectory);
+  const files = [];
+  let totalBytes = 0;
+
+  checkLimits(entries.length, 0, limits);
+
+  for (const entry of entries) {
+    if (!isPdfEntry(entry.entryName)) continue;
+
+    const content = inflateZipEntry(entry, limits.maxTotalBytes - totalBytes, limits);
+    totalBytes += content.length;
+    checkLimits(files.length + 1, totalBytes, limits);
+
+    files.push({ path: entry.entryName, content });
+  }
+
+  return files;
+}
+
+function expandTarGz(buffer, limits) {
+  return new Promise((resolve, reject) => {
+    const extract = tar.extract();
+    const files = [];
+    let count = 0;
+    let totalBytes = 0;
+
+    extract.on('entry', (header, stream, next) => {
+      count++;
+      const chunks = [];
+      const keep = header.type === 'file' && isPdfEntry(header.name);
+      // Destroying the extractor errors the entry being read too
+      stream.on('error', reject);
+
+      // Every entry counts towards maxEntries, kept or not
+      try {
+        checkLimits(count, totalBytes + (keep ? header.size || 0 : 0), limits);
+      } catch (err) {
+        extract.destroy(err);
+        return;
+      }
+
+      // Counted as the data arrives, not from the header
+      stream.on('data', (chunk) => {
+        if (!keep) return;
+        totalBytes += chunk.length;
+        if (totalBytes > limits.maxTotalBytes) {
+          extract.destroy(tooLarge(limits));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      stream.on('end', () => {
+        if (keep) files.push({ path: header.name, content: Buffer.concat(chunks) });
+        next();
+      });
+      stream.resume();
+    });
+
+    extract.on('finish', () => resolve(files));
+    extract.on('error', reject);
+
+    const gunzip = zlib.createGunzip();
+    gunzip.on('error', reject);
+    Readable.from([buffer]).pipe(gunzip).pipe(extract);
+  });
+}
+
+/**
+ * Expand an archive into its PDFs, sorted in natural filename order
+ * @param {{filename: string, contentType?: string, content: Buffer}} archive
+ * @param {object} limits - Optional { maxEntries, maxTotalBytes }
+ * @returns {Promise<Array<{filename: string, path: string, content: Buffer, position: number}>>}
+ */
+export async function expandArchive(archive, { maxEntries = MAX_ENTRIES, maxTotalBytes = MAX_TOTAL_BYTES } = {}) {
+  const kind = detectArchiveKind(archive.filename, archive.contentType);
+  if (!kind) throw new Error(`"${archive.filename}" is not a supported archive`);
+
+  const limits = { maxEntries, maxTotalBytes };
+  const files = kind === 'zip' ? expandZip(archive.content, limits) : await expandTarGz(archive.content, limits);
+
+  return files
+    .sort((a, b) => naturalCollator.compare(a.path, b.path))
+    .map((file, position) => ({
+      filename: path.posix.basename(file.path),
+      path: file.path,
+      content: file.content,
+      position,
+    }));
+}
+
+export default { detectArchiveKind, expandArchive };
@@ -0,0 +1,10 @@
+import crypto from 'crypto';
+
+/**
+ * SHA-256 of a buffer as lowercase hex, used to recognise re-sent scans
+ */
+export function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+export default { sha256 };
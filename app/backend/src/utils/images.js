@@ -0,0 +1,85 @@
+import heicConvert from 'heic-convert';
+
+/**
+ * Image helpers for scan intake
+ * Phone photos arrive as JPEG, PNG or HEIC; HEIC is converted to JPEG on intake
+ * because neither browsers nor MathPix handle it reliably.
+ */
+
+const IMAGE_TYPES = {
+  jpeg: { contentTypes: ['image/jpeg', 'image/jpg', 'image/pjpeg'], extensions: ['.jpg', '.jpeg'] },
+  png: { contentTypes: ['image/png', 'image/x-png'], extensions: ['.png'] },
+  heic: { contentTypes: ['image/heic', 'image/heif', 'image/heic-sequence', 'image/heif-sequence'], extensions: ['.heic', '.heif'] },
+};
+
+/**
+ * Detect a supported image attachment by content type or filename
+ * @returns {string|null} - 'jpeg', 'png', 'heic' or null
+ */
+export function detectImageKind(filename = '', contentType = '') {
+  const name = filename.toLowerCase();
+  const type = contentType.toLowerCase();
+
+  for (const [kind, { contentTypes, extensions }] of Object.entries(IMAGE_TYPES)) {
+    if (contentTypes.some((t) => type.includes(t))) return kind;
+    if (extensions.some((ext) => name.endsWith(ext))) return kind;
+  }
+
+  return null;
+}
+
+/**
+ * Normalize an image for storage and OCR (HEIC -> JPEG, others unchanged)
+ * @param {{filename: string, contentType: string, content: Buffer}} image
+ * @returns {Promise<{filename: string, contentType: string, content: Buffer, originalContentType: string}>}
+ */
+export async function normalizeImage(image) {
+  const kind = detectImageKind(image.filename, image.contentType);
+
+  if (kind === 'heic') {
+    const jpegBuffer = Buffer.from(await heicConvert({
+      buffer: image.content,
+      format: 'JPEG',
+      quality: 0.9,
+    }));
+
+    return {
+      filename: image.filename.replace(/\.(heic|heif)$/i, '') + '.jpg',
+      contentType: 'image/jpeg',
+      content: jpegBuffer,
+      originalContentType: image.contentType,
+    };
+  }
+
+  return {
+    filename: image.filename,
+    contentType: kind === 'png' ? 'image/png' : 'image/jpeg',
+    content: image.content,
+    originalContentType: image.contentType,
+  };
+}
+
+/**
+ * Decode image bytes read back from a BYTEA column.
+ * Content is inserted as base64, so Supabase usually returns hex ("\\x...") of the base64 text.
+ * @param {string} content - BYTEA value as returned by Supabase
+ * @returns {Buffer}
+ */
+export function decodeImageContent(content) {
+  if (typeof content !== 'string') {
+    return Buffer.from(content);
+  }
+
+  if (content.startsWith('\\x')) {
+    const decoded = Buffer.from(content.slice(2), 'hex');
+    // Raw JPEG (FF D8) or PNG (89 50) bytes were stored directly
+    if (decoded[0] === 0xff || decoded[0] === 0x89) {
+      return decoded;
+    }
+    return Buffer.from(decoded.toString('utf8'), 'base64');
+  }
+
+  return Buffer.from(content, 'base64');
+}
+
+export default { detectImageKind, normalizeImage, decodeImageContent };
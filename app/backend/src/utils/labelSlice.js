@@ -0,0 +1,169 @@
+/**
+ * Re-extraction of selected questions or solutions: the slice of a set's combined
+ * LaTeX holding the selected labels, and the merge of the re-extracted entries back
+ * into the set's entries.
+ */
+import { lineLabel, normalizeLabel } from './pageIndex.js';
+
+// Labels a range may cover
+export const MAX_RANGE_LABELS = 100;
+
+// Separator combineLatexContent puts between documents
+const DOCUMENT_SEPARATOR = /^% =+ Document \d+ =+$/;
+
+/**
+ * Number of a normalized label without its part letter, e.g. "3a" -> "3", "2.4b" -> "2.4"
+ */
+function questionNumber(label) {
+  return label.replace(/[a-z]$/, '');
+}
+
+/**
+ * Order of two normalized labels by their numbers, part by part ("2.10" after "2.9"),
+ * then by letter
+ */
+function compareLabels(a, b) {
+  const left = questionNumber(a).split('.').map(Number);
+  const right = questionNumber(b).split('.').map(Number);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] ?? -1) - (right[i] ?? -1);
+    if (diff !== 0) return diff;
+  }
+  return a.localeCompare(b);
+}
+
+/**
+ * Selected label a label belongs to: itself, or its question number for a part
+ * ("3a" belongs to a selected "3", "2.4b" to "2.4", but "2.4" not to "2")
+ * @param {string|null} label - Normalized label
+ * @param {Set<string>} selected - Normalized selected labels
+ * @returns {string|null}
+ */
+function selectedLabel(label, selected) {
+  if (!label) return null;
+  if (selected.has(label)) return label;
+  const number = questionNumber(label);
+  return selected.has(number) ? number : null;
+}
+
+/**
+ * Normalize a list of labels, dropping duplicates
+ * @returns {string[]|null} - null when a label has no number
+ */
+export function normalizeLabels(labels) {
+  const normalized = labels.map((label) => normalizeLabel(label));
+  if (normalized.some((label) => !label)) return null;
+  return [...new Set(normalized)];
+}
+
+/**
+ * Labels from..to, e.g. (3, 6) -> ["3", "4", "5", "6"], (2.3, 2.5) -> ["2.3", "2.4", "2.5"]
+ * @returns {string[]|null} - null unless both ends are numbers that differ only in their
+ *   last part, in order, at most MAX_RANGE_LABELS apart
+ */
+export function expandLabelRange(from, to) {
+  const parse = (label) => {
+    const normalized = normalizeLabel(label);
+    const match = normalized && questionNumber(normalized).match(/^((?:\d+\.)*)(\d+)$/);
+    return match ? { prefix: match[1], number: parseInt(match[2], 10) } : null;
+  };
+  const start = parse(from);
+  const end = parse(to);
+  if (!start || !end || start.prefix !== end.prefix) return null;
+  if (start.number > end.number || end.number - start.number >= MAX_RANGE_LABELS) return null;
+  return Array.from({ length: end.number - start.number + 1 }, (_, i) => `${start.prefix}${start.number + i}`);
+}
+
+/**
+ * Lines of the content belonging to the selected labels: from a line starting with a
+ * selected label up to the next line starting with any other label. A label found in
+ * several places (exercises numbered from 1 each) contributes every occurrence.
+ * @param {string} content - Combined LaTeX of the set's source items
+ * @param {string[]} labels - Normalized selected labels
+ * @returns {{content: string, found: string[]}} - The slice, and the labels it holds
+ */
+export function sliceByLabels(content, labels) {
+  const selected = new Set(labels);
+  const found = new Set();
+  const lines = [];
+  let inside = false;
+
+  for (const line of String(content || '').split('\n')) {
+    // A question can carry on into the next document (page), so the separator does not end it
+    if (DOCUMENT_SEPARATOR.test(line.trim())) continue;
+
+    const label = lineLabel(line);
+    if (label) {
+      const match = selectedLabel(label, selected);
+      inside = match !== null;
+      if (inside) found.add(match);
+    }
+    if (inside) lines.push(line);
+  }
+
+  return {
+    content: lines.join('\n'),
+    found: labels.filter((label) => found.has(label)),
+  };
+}
+
+/**
+ * Merge re-extracted entries into a set's entries. An entry replaces the first
+ * not yet replaced entry with the same label; one whose label is not in the set is
+ * inserted before the first entry with a higher label. Re-extracted entries
+ * outside the selection (neighbours caught in the slice) are dropped, so questions
+ * that were not asked for never change.
+ * @param {object[]} entries - Current entries (question_label, ...)
+ * @param {object[]} reextracted - Entries extracted from the slice
+ * @param {string[]} labels - Normalized selected labels
+ * @returns {{entries: object[], previous: object[], replaced: string[], added: string[], missing: string[]}}
+ *   - previous holds the replaced entries as they were
+ */
+export function mergeEntries(entries, reextracted, labels) {
+  const selected = new Set(labels);
+  const merged = [...entries];
+  const replacedIndexes = new Set();
+  const previous = [];
+  const replaced = [];
+  const added = [];
+  const covered = new Set();
+
+  for (const entry of reextracted) {
+    const label = normalizeLabel(entry.question_label);
+    const match = selectedLabel(label, selected);
+    if (!match) continue;
+    covered.add(match);
+
+    const index = merged.findIndex((existing, i) => (
+      !replacedIndexes.has(i) && normalizeLabel(existing.question_label) === label
+    ));
+
+    if (index !== -1) {
+      previous.push(merged[index]);
+      merged[index] = entry;
+      replacedIndexes.add(index);
+      replaced.push(label);
+    } else {
+      const before = merged.findIndex((existing) => {
+        const existingLabel = normalizeLabel(existing.question_label);
+        return existingLabel !== null && compareLabels(existingLabel, label) > 0;
+      });
+      const at = before === -1 ? merged.length : before;
+      merged.splice(at, 0, entry);
+      // Indexes at and after the insertion moved up by one
+      const shifted = [...replacedIndexes].map((i) => (i >= at ? i + 1 : i));
+      replacedIndexes.clear();
+      shifted.forEach((i) => replacedIndexes.add(i));
+      replacedIndexes.add(at);
+      added.push(label);
+    }
+  }
+
+  return {
+    entries: merged,
+    previous,
+    replaced,
+    added,
+    missing: labels.filter((label) => !covered.has(label)),
+  };
+}
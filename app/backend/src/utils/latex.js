@@ -0,0 +1,85 @@
+/**
+ * LaTeX helpers for OCR output
+ */
+
+const BEGIN_DOCUMENT = '\\begin{document}';
+const END_DOCUMENT = '\\end{document}';
+
+/**
+ * Join converted documents in order, keeping the first document's preamble.
+ * MathPix returns a full document per PDF (preamble, \begin{document} ... \end{document});
+ * Markdown output without a document environment is joined as-is.
+ * @param {string[]} documents
+ * @returns {string}
+ */
+export function mergeLatexDocuments(documents) {
+  const bodies = documents.map((doc) => {
+    const begin = doc.indexOf(BEGIN_DOCUMENT);
+    const end = doc.lastIndexOf(END_DOCUMENT);
+    if (begin === -1 || end === -1) return doc.trim();
+    return doc.slice(begin + BEGIN_DOCUMENT.length, end).trim();
+  });
+
+  const first = documents[0] || '';
+  const begin = first.indexOf(BEGIN_DOCUMENT);
+  if (begin === -1 || first.lastIndexOf(END_DOCUMENT) === -1) {
+    return bodies.join('\n\n');
+  }
+
+  const preamble = first.slice(0, begin + BEGIN_DOCUMENT.length);
+  return `${preamble}\n${bodies.join('\n\n\\newpage\n\n')}\n${END_DOCUMENT}\n`;
+}
+
+/**
+ * Page bodies of a document whose pages are separated by \newpage (local OCR output,
+ * merged documents); a document without page breaks is one page
+ * @param {string} doc
+ * @returns {string[]}
+ */
+export function splitLatexPages(doc) {
+  const begin = doc.indexOf(BEGIN_DOCUMENT);
+  const end = doc.lastIndexOf(END_DOCUMENT);
+  const body = begin === -1 || end === -1 ? doc : doc.slice(begin + BEGIN_DOCUMENT.length, end);
+  return body.split(/\n\s*\\newpage\s*\n/).map((page) => page.trim());
+}
+
+const LATEX_SPECIALS = {
+  '\\': '\\textbackslash{}',
+  '{': '\\{',
+  '}': '\\}',
+  '$': '\\$',
+  '&': '\\&',
+  '%': '\\%',
+  '#': '\\#',
+  '_': '\\_',
+  '^': '\\textasciicircum{}',
+  '~': '\\textasciitilde{}',
+};
+
+/**
+ * Escape plain text (e.g. a PDF text layer) for use in a LaTeX body
+ */
+export function escapeLatex(text) {
+  return (text || '').replace(/[\\{}$&%#_^~]/g, (char) => LATEX_SPECIALS[char]);
+}
+
+/**
+ * Wrap page bodies in a minimal document shaped like MathPix .tex output,
+ * so mergeLatexDocuments and extraction treat both alike
+ * @param {string[]} pages - LaTeX body of each page
+ */
+export function wrapLatexDocument(pages) {
+  return [
+    '\\documentclass[10pt]{article}',
+    '\\usepackage[utf8]{inputenc}',
+    '\\usepackage{amsmath}',
+    '\\usepackage{amssymb}',
+    '',
+    BEGIN_DOCUMENT,
+    pages.join('\n\n\\newpage\n\n'),
+    END_DOCUMENT,
+    '',
+  ].join('\n');
+}
+
+export default { mergeLatexDocuments, splitLatexPages, escapeLatex, wrapLatexDocument };
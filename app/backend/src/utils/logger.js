@@ -33,12 +33,23 @@ const levelColors = {
 const tagColors = {
   SERVER: colors.green,
   EMAIL: colors.magenta,
+  SMTP: colors.yellow,
   DB: colors.blue,
   API: colors.cyan,
   AUTH: colors.yellow,
   JOB: colors.blue,
   MATHPIX: colors.magenta,
+  LLAMAPARSE: colors.blue,
+  GEMINI: colors.cyan,
+  OPENAI: colors.green,
+  OCR: colors.magenta,
   SCAN: colors.cyan,
+  HOT_FOLDER: colors.yellow,
+  STORAGE: colors.blue,
+  IMAGES: colors.cyan,
+  USAGE: colors.yellow,
+  MOCK: colors.gray,
+  TASKS: colors.green,
   MONGO: colors.green,
   SYNC: colors.blue,
   REVERSE_SYNC: colors.magenta,
@@ -0,0 +1,96 @@
+/**
+ * Page index of OCR output: the question labels that start a line on each page,
+ * built from per-page line data (MathPix .lines.json) so extracted questions
+ * and solutions can be traced back to the page they came from.
+ */
+
+// "12. ...", "12) ...", "3a. ...", "2.4. ..."
+const NUMBERED_LINE = /^(\d{1,3}(?:\.\d{1,3})*[a-z]?)\s*[.)](?:\s|$)/i;
+// "2.4 ...", "2.4a ...": a dotted label needs no closing point
+const DOTTED_LINE = /^(\d{1,3}(?:\.\d{1,3})+[a-z]?)(?:\s|$)/i;
+// "Q12 ...", "Q. 12 ...", "Question 12", "Example 3", "Exercise 4.", "Exercise 2.4", "Problem 7"
+const PREFIXED_LINE = /^(?:Q(?:uestion)?|Ex(?:ample|ercise)?|Problem)\.?\s*(\d{1,3}(?:\.\d{1,3})*[a-z]?)\b/i;
+// Markup MathPix may put in front of a label, e.g. "\section*{Question 12}"
+const LEADING_MARKUP = /^(?:\\(?:sub)*section\*?\{|[\s#*_{}]|\\\(|\$)+/;
+
+/**
+ * Reduce a question label to its number (and letter), e.g. "Q.12" -> "12", "3(a)" -> "3a".
+ * Dotted numbers are kept whole: "Exercise 2.4" -> "2.4".
+ * @returns {string|null}
+ */
+export function normalizeLabel(label) {
+  const match = String(label ?? '').match(/(\d{1,3}(?:\.\d{1,3})*)(?:\(([a-z])\)|([a-z])(?![a-z]))?/i);
+  if (!match) return null;
+  return `${match[1]}${match[2] || match[3] || ''}`.toLowerCase();
+}
+
+/**
+ * Label a line starts with, if any
+ * @returns {string|null}
+ */
+export function lineLabel(text) {
+  const line = String(text ?? '').replace(LEADING_MARKUP, '');
+  const match = line.match(PREFIXED_LINE) || line.match(NUMBERED_LINE) || line.match(DOTTED_LINE);
+  return match ? normalizeLabel(match[1]) : null;
+}
+
+/**
+ * Build the page index of a document from its line data
+ * @param {string|object} linesData - MathPix .lines.json ({ pages: [{ page, lines: [{ text }] }] })
+ * @returns {{pages: Array<{page: number, lines: number, labels: string[]}>}|null} - null without page data
+ */
+export function buildPageIndex(linesData) {
+  if (!linesData) return null;
+
+  const data = typeof linesData === 'string' ? JSON.parse(linesData) : linesData;
+  if (!Array.isArray(data?.pages) || data.pages.length === 0) return null;
+
+  return {
+    pages: data.pages.map((page, i) => {
+      const lines = page.lines || [];
+      const labels = [];
+      for (const line of lines) {
+        const label = lineLabel(line.text);
+        if (label && !labels.includes(label)) labels.push(label);
+      }
+      return { page: page.page || i + 1, lines: lines.length, labels };
+    }),
+  };
+}
+
+/**
+ * Record the scanned item and page each entry (question or solution) starts on.
+ * Entries are expected in document order, so a label is looked for from the page
+ * of the previous match onwards before searching the whole document.
+ * @param {Array<{question_label: string}>} entries - Extracted entries, updated in place
+ *   with source_item_id and source_page where found
+ * @param {Array<{id: string, page_index: object|null}>} sources - Source items in set order
+ * @returns {number} - Number of entries located
+ */
+export function locateSourcePages(entries, sources) {
+  const pages = sources.flatMap((source) => (source.page_index?.pages || []).map((page) => ({
+    itemId: source.id,
+    page: page.page,
+    labels: new Set(page.labels),
+  })));
+  if (!entries?.length || pages.length === 0) return 0;
+
+  let cursor = 0;
+  let located = 0;
+
+  for (const entry of entries) {
+    const label = normalizeLabel(entry.question_label);
+    if (!label) continue;
+
+    let index = pages.findIndex((page, i) => i >= cursor && page.labels.has(label));
+    if (index === -1) index = pages.findIndex((page) => page.labels.has(label));
+    if (index === -1) continue;
+
+    entry.source_item_id = pages[index].itemId;
+    entry.source_page = pages[index].page;
+    cursor = index;
+    located++;
+  }
+
+  return located;
+}
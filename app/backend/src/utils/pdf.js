@@ -0,0 +1,99 @@
+import { PDFDocument } from 'pdf-lib';
+
+/**
+ * PDF helpers: legacy BYTEA decoding and page-level split/merge
+ */
+
+export function isPdf(buffer) {
+  return !!buffer && buffer.length >= 4 && buffer.subarray(0, 4).toString('latin1') === '%PDF';
+}
+
+/**
+ * Decode PDF bytes read back from a BYTEA column.
+ * Content was inserted as base64, so Supabase usually returns hex ("\\x...") of the
+ * base64 text ("JVBER" is "%PDF" in base64); raw hex and plain base64 also occur.
+ * @param {string|Buffer|Uint8Array|object} content - BYTEA value as returned by Supabase
+ * @returns {Buffer}
+ */
+export function decodeStoredPdf(content) {
+  if (Buffer.isBuffer(content)) return content;
+  if (content instanceof Uint8Array) return Buffer.from(content);
+
+  // JSON-serialized Buffer: { type: "Buffer", data: [...] }
+  if (content && typeof content === 'object' && content.type === 'Buffer' && Array.isArray(content.data)) {
+    return Buffer.from(content.data);
+  }
+
+  if (typeof content !== 'string') {
+    throw new Error(`Unknown content format: ${typeof content}`);
+  }
+
+  if (content.startsWith('\\x')) {
+    const decoded = Buffer.from(content.slice(2), 'hex');
+    const text = decoded.toString('latin1');
+    return text.startsWith('JVBER') ? Buffer.from(text, 'base64') : decoded;
+  }
+
+  return Buffer.from(content, 'base64');
+}
+
+/**
+ * Parse a 1-based page range such as "1-3, 5, 8-" into page numbers
+ * @param {string} spec - Comma-separated pages and ranges; "8-" runs to the last page
+ * @param {number} pageCount - Pages in the document
+ * @returns {number[]} - Page numbers in the order given
+ */
+export function parsePageRanges(spec, pageCount) {
+  const pages = [];
+
+  for (const part of String(spec).split(',').map((p) => p.trim()).filter(Boolean)) {
+    const match = part.match(/^(\d+)(?:\s*-\s*(\d*))?$/);
+    if (!match) throw new Error(`Invalid page range "${part}"`);
+
+    const start = parseInt(match[1], 10);
+    const end = match[2] === undefined ? start : (match[2] === '' ? pageCount : parseInt(match[2], 10));
+
+    if (start < 1 || end > pageCount || start > end) {
+      throw new Error(`Page range "${part}" is outside 1-${pageCount}`);
+    }
+    for (let page = start; page <= end; page++) {
+      pages.push(page);
+    }
+  }
+
+  if (pages.length === 0) throw new Error('Page range is empty');
+  return pages;
+}
+
+export async function getPageCount(buffer) {
+  const doc = await PDFDocument.load(buffer, { ignoreEncryption: true });
+  return doc.getPageCount();
+}
+
+/**
+ * Copy the given 1-based pages into a new PDF
+ * @returns {Promise<Buffer>}
+ */
+export async function extractPages(buffer, pages) {
+  const source = await PDFDocument.load(buffer, { ignoreEncryption: true });
+  const target = await PDFDocument.create();
+  const copied = await target.copyPages(source, pages.map((page) => page - 1));
+  copied.forEach((page) => target.addPage(page));
+  return Buffer.from(await target.save());
+}
+
+/**
+ * Concatenate PDFs in order into one document
+ * @returns {Promise<Buffer>}
+ */
+export async function mergePdfs(buffers) {
+  const target = await PDFDocument.create();
+  for (const buffer of buffers) {
+    const source = await PDFDocument.load(buffer, { ignoreEncryption: true });
+    const copied = await target.copyPages(source, source.getPageIndices());
+    copied.forEach((page) => target.addPage(page));
+  }
+  return Buffer.from(await target.save());
+}
+
+export default { isPdf, decodeStoredPdf, parsePageRanges, getPageCount, extractPages, mergePdfs };
@@ -0,0 +1,251 @@
+/**
+ * Quality report of an extraction: checks of the parsed questions or solutions that
+ * catch what is otherwise found by eye - gaps in the label sequence, duplicated labels,
+ * odd choice counts, empty or suspiciously short/long text, unbalanced $ delimiters,
+ * missing answer keys and truncated worked solutions.
+ */
+import { normalizeLabel } from './pageIndex.js';
+
+export const REPORT_SEVERITIES = {
+  ERROR: 'error',
+  WARNING: 'warning',
+};
+
+// Question text shorter/longer than this is flagged (long text often holds two merged questions)
+const MIN_TEXT_LENGTH = 15;
+const MAX_TEXT_LENGTH = 4000;
+const MIN_WORKED_SOLUTION_LENGTH = 10;
+// Gaps listed in one message at most
+const MAX_LISTED_GAPS = 10;
+
+// Endings of a worked solution that was cut off (see solutionExtractionService.fixTruncatedSolutions)
+const TRUNCATED_ENDINGS = [
+  /(?:equation will become|therefore|hence|so we get|we get|becomes|gives us|which gives)[:.]?$/i,
+  /[=+\-,(]$/,
+  /\\\\$/,
+];
+
+const issue = (type, severity, message, extra = {}) => ({ type, severity, message, ...extra });
+
+const count = (text, pattern) => (String(text || '').match(pattern) || []).length;
+
+/**
+ * Number of $ delimiters in text, not counting escaped \$
+ */
+function countDollars(text) {
+  return count(text, /(?<!\\)\$/g);
+}
+
+/**
+ * Question number of a label, e.g. "12" -> 12, "3a" -> 3; null for labels without a
+ * number and for dotted labels ("1.2"), which number sections rather than run in sequence
+ */
+function labelNumber(label) {
+  const normalized = normalizeLabel(label);
+  return normalized && !normalized.includes('.') ? parseInt(normalized, 10) : null;
+}
+
+/**
+ * Check the label sequence of the entries, in extraction order. A label lower than the
+ * one before starts a new run (a new exercise numbered from 1), so only gaps and
+ * repeats within a run are reported. Dotted labels are checked for repeats only.
+ * @returns {{setIssues: object[], entryIssues: Map<number, object[]>}}
+ */
+function checkLabels(entries) {
+  const setIssues = [];
+  const entryIssues = new Map();
+  const addEntryIssue = (index, entryIssue) => {
+    if (!entryIssues.has(index)) entryIssues.set(index, []);
+    entryIssues.get(index).push(entryIssue);
+  };
+
+  const gaps = [];
+  let runStart = 0;
+  let previous = null;
+  let seen = new Map();
+
+  entries.forEach((entry, index) => {
+    const label = String(entry.question_label ?? '').trim();
+    if (!label) {
+      addEntryIssue(index, issue('missing_label', REPORT_SEVERITIES.ERROR, 'No question label'));
+      return;
+    }
+
+    const number = labelNumber(label);
+    if (number !== null && previous !== null && number < previous) {
+      runStart = index;
+      seen = new Map();
+    }
+
+    const key = normalizeLabel(label) || label.toLowerCase();
+    if (seen.has(key)) {
+      addEntryIssue(index, issue('duplicate_label', REPORT_SEVERITIES.WARNING, `Label ${label} also used by entry ${seen.get(key) + 1}`));
+    } else {
+      seen.set(key, index);
+    }
+
+    if (number !== null) {
+      if (previous !== null && index > runStart && number > previous + 1) {
+        gaps.push({ after: previous, before: number });
+      }
+      previous = number;
+    }
+  });
+
+  if (gaps.length > 0) {
+    // "3" or "3-4", after the label before the gap
+    const range = ({ after, before }) => (before - after === 2 ? `${after + 1}` : `${after + 1}-${before - 1}`);
+    const listed = gaps.slice(0, MAX_LISTED_GAPS).map((gap) => `${range(gap)} (after ${gap.after})`).join(', ');
+    const more = gaps.length > MAX_LISTED_GAPS ? ` and ${gaps.length - MAX_LISTED_GAPS} more gaps` : '';
+    const labels = gaps.flatMap(({ after, before }) => Array.from({ length: before - after - 1 }, (_, i) => String(after + 1 + i)));
+    setIssues.push(issue('label_gap', REPORT_SEVERITIES.WARNING, `Missing labels: ${listed}${more}`, { labels }));
+  }
+
+  return { setIssues, entryIssues };
+}
+
+/**
+ * Checks of one question
+ * @param {object} question - { question_label, text, choices }
+ * @param {number|null} usualChoices - Most common choice count of the set's MCQs
+ */
+function checkQuestion(question, usualChoices) {
+  const issues = [];
+  const text = String(question.text || '').trim();
+  const choices = Array.isArray(question.choices) ? question.choices : [];
+
+  if (!text) {
+    issues.push(issue('empty_text', REPORT_SEVERITIES.ERROR, 'Question text is empty'));
+  } else if (text.length < MIN_TEXT_LENGTH) {
+    issues.push(issue('short_text', REPORT_SEVERITIES.WARNING, `Question text is only ${text.length} characters`));
+  } else if (text.length > MAX_TEXT_LENGTH) {
+    issues.push(issue('long_text', REPORT_SEVERITIES.WARNING, `Question text is ${text.length} characters; it may hold more than one question`));
+  }
+
+  if (choices.length > 0 && usualChoices !== null && choices.length !== usualChoices) {
+    issues.push(issue('choice_count', REPORT_SEVERITIES.WARNING, `${choices.length} choice(s), where most questions have ${usualChoices}`));
+  }
+
+  const emptyChoices = choices.filter((choice) => !String(choice ?? '').replace(/^\s*\(?[a-z0-9]{1,2}[.)]\s*/i, '').trim());
+  if (emptyChoices.length > 0) {
+    issues.push(issue('empty_choice', REPORT_SEVERITIES.WARNING, `${emptyChoices.length} choice(s) without text`));
+  }
+
+  const unbalanced = [text, ...choices].filter((part) => countDollars(part) % 2 !== 0);
+  if (unbalanced.length > 0) {
+    issues.push(issue('unbalanced_math', REPORT_SEVERITIES.WARNING, 'Unbalanced $ math delimiters'));
+  }
+
+  return issues;
+}
+
+/**
+ * Checks of one solution
+ * @param {object} solution - { question_label, answer_key, worked_solution }
+ */
+function checkSolution(solution) {
+  const issues = [];
+  const answerKey = String(solution.answer_key ?? '').trim();
+  const worked = String(solution.worked_solution || '').trim();
+
+  if (!answerKey) {
+    issues.push(issue('missing_answer_key', REPORT_SEVERITIES.WARNING, 'No answer key'));
+  }
+
+  if (!worked) {
+    issues.push(issue('empty_worked_solution', REPORT_SEVERITIES.ERROR, 'Worked solution is empty'));
+  } else if (worked.length < MIN_WORKED_SOLUTION_LENGTH) {
+    issues.push(issue('short_worked_solution', REPORT_SEVERITIES.WARNING, `Worked solution is only ${worked.length} characters`));
+  } else if (TRUNCATED_ENDINGS.some((ending) => ending.test(worked)) || count(worked, /\\begin\{/g) > count(worked, /\\end\{/g)) {
+    issues.push(issue('truncated_worked_solution', REPORT_SEVERITIES.WARNING, 'Worked solution appears cut off'));
+  }
+
+  if (countDollars(worked) % 2 !== 0) {
+    issues.push(issue('unbalanced_math', REPORT_SEVERITIES.WARNING, 'Unbalanced $ math delimiters'));
+  }
+
+  return issues;
+}
+
+/**
+ * Most common choice count among entries that have choices
+ * @returns {number|null}
+ */
+function usualChoiceCount(questions) {
+  const counts = new Map();
+  for (const question of questions) {
+    const choiceCount = Array.isArray(question.choices) ? question.choices.length : 0;
+    if (choiceCount > 0) counts.set(choiceCount, (counts.get(choiceCount) || 0) + 1);
+  }
+  if (counts.size === 0) return null;
+  return [...counts.entries()].sort((a, b) => b[1] - a[1] || b[0] - a[0])[0][0];
+}
+
+/**
+ * Assemble the report from set-level and per-entry issues
+ */
+function buildReport(kind, entries, setIssues, entryIssues) {
+  const flagged = [...entryIssues.entries()]
+    .filter(([, issues]) => issues.length > 0)
+    .sort(([a], [b]) => a - b)
+    .map(([index, issues]) => ({ index, question_label: entries[index].question_label ?? null, issues }));
+
+  const all = [...setIssues, ...flagged.flatMap((entry) => entry.issues)];
+  const byType = {};
+  for (const { type } of all) byType[type] = (byType[type] || 0) + 1;
+
+  return {
+    kind,
+    generated_at: new Date().toISOString(),
+    total: entries.length,
+    summary: {
+      errors: all.filter((i) => i.severity === REPORT_SEVERITIES.ERROR).length,
+      warnings: all.filter((i) => i.severity === REPORT_SEVERITIES.WARNING).length,
+      flagged_entries: flagged.length,
+      by_type: byType,
+    },
+    set_issues: setIssues,
+    entries: flagged,
+  };
+}
+
+/**
+ * Quality report of a question set's questions
+ * @param {object} questions - { questions: [...] } as stored on the set
+ * @returns {object} - { kind, generated_at, total, summary, set_issues, entries: [{ index, question_label, issues }] }
+ */
+export function buildQuestionReport(questions) {
+  const entries = Array.isArray(questions?.questions) ? questions.questions : [];
+  const { setIssues, entryIssues } = checkLabels(entries);
+
+  if (entries.length === 0) {
+    setIssues.push(issue('no_entries', REPORT_SEVERITIES.ERROR, 'No questions were extracted'));
+  }
+
+  const usualChoices = usualChoiceCount(entries);
+  entries.forEach((question, index) => {
+    entryIssues.set(index, [...(entryIssues.get(index) || []), ...checkQuestion(question, usualChoices)]);
+  });
+
+  return buildReport('questions', entries, setIssues, entryIssues);
+}
+
+/**
+ * Quality report of a solution set's solutions
+ * @param {object} solutions - { solutions: [...] } as stored on the set
+ * @returns {object} - Same shape as buildQuestionReport
+ */
+export function buildSolutionReport(solutions) {
+  const entries = Array.isArray(solutions?.solutions) ? solutions.solutions : [];
+  const { setIssues, entryIssues } = checkLabels(entries);
+
+  if (entries.length === 0) {
+    setIssues.push(issue('no_entries', REPORT_SEVERITIES.ERROR, 'No solutions were extracted'));
+  }
+
+  entries.forEach((solution, index) => {
+    entryIssues.set(index, [...(entryIssues.get(index) || []), ...checkSolution(solution)]);
+  });
+
+  return buildReport('solutions', entries, setIssues, entryIssues);
+}
@@ -0,0 +1,38 @@
+import dns from 'dns';
+dns.setDefaultResultOrder('ipv4first');
+
+import { taskService, TASK_TYPES } from './services/tasks/index.js';
+import { logger } from './utils/logger.js';
+
+/**
+ * Standalone task queue worker: `npm run worker [-- --types=ocr_conversion,reverse_sync]`
+ * Run it next to the API with TASK_WORKER_ENABLED=false there, or as extra capacity;
+ * workers share the tasks table and never claim the same task twice.
+ */
+function parseTypes(argv) {
+  const arg = argv.find((a) => a.startsWith('--types='));
+  if (!arg) return null;
+
+  const types = arg.slice('--types='.length).split(',').map((t) => t.trim()).filter(Boolean);
+  const unknown = types.filter((t) => !Object.values(TASK_TYPES).includes(t));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown task type(s): ${unknown.join(', ')}. Known: ${Object.values(TASK_TYPES).join(', ')}`);
+  }
+  return types;
+}
+
+async function shutdown(signal) {
+  logger.warn('TASKS', `Worker shutting down (${signal})...`);
+  await taskService.stopWorker().catch((error) => logger.error('TASKS', error.message));
+  process.exit(0);
+}
+
+try {
+  taskService.startWorker(parseTypes(process.argv.slice(2)));
+} catch (error) {
+  logger.error('TASKS', error.message);
+  process.exit(1);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
@@ -0,0 +1,33 @@
+-- Migration: Add intake_rules table for rule-based email routing
+-- Created at: 2026-10-19
+
+-- Each rule maps an incoming attachment to a book/chapter/item_type.
+-- Rules are evaluated in ascending priority order; the first match wins.
+-- When no rule matches, intake falls back to the active job.
+CREATE TABLE IF NOT EXISTS intake_rules (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(255) NOT NULL,
+    match_type VARCHAR(50) NOT NULL CHECK (match_type IN ('sender', 'subject_token', 'plus_address', 'filename')),
+    pattern VARCHAR(255) NOT NULL,
+    book_id UUID NOT NULL REFERENCES books(id) ON DELETE CASCADE,
+    chapter_id UUID NOT NULL REFERENCES chapters(id) ON DELETE CASCADE,
+    item_type VARCHAR(50) CHECK (item_type IN ('question', 'solution')),
+    priority INTEGER NOT NULL DEFAULT 100,
+    is_enabled BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+COMMENT ON COLUMN intake_rules.pattern IS 'sender: address or @domain; subject_token: BOOK/CHAPTER as in [BOOK/CHAPTER/type]; plus_address: tag in user+tag@; filename: glob such as *_sol.pdf';
+COMMENT ON COLUMN intake_rules.item_type IS 'NULL means take the type from the subject token, then the active job';
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_intake_rules_priority ON intake_rules(priority) WHERE is_enabled = true;
+CREATE INDEX IF NOT EXISTS idx_intake_rules_book_chapter ON intake_rules(book_id, chapter_id);
+
+-- Trigger for updated_at
+DROP TRIGGER IF EXISTS update_intake_rules_updated_at ON intake_rules;
+CREATE TRIGGER update_intake_rules_updated_at
+    BEFORE UPDATE ON intake_rules
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
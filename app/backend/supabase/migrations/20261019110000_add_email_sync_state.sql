@@ -0,0 +1,23 @@
+-- Migration: Add email_sync_state table for IMAP catch-up after reconnects
+-- Created at: 2026-10-19
+
+-- Stores the last processed UID per mailbox/folder. UIDs are only meaningful
+-- for a given UIDVALIDITY, so both are stored together; a changed UIDVALIDITY
+-- resets the watermark.
+CREATE TABLE IF NOT EXISTS email_sync_state (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    mailbox VARCHAR(255) NOT NULL,
+    folder VARCHAR(255) NOT NULL,
+    uid_validity BIGINT NOT NULL,
+    last_uid BIGINT NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (mailbox, folder)
+);
+
+-- Trigger for updated_at
+DROP TRIGGER IF EXISTS update_email_sync_state_updated_at ON email_sync_state;
+CREATE TRIGGER update_email_sync_state_updated_at
+    BEFORE UPDATE ON email_sync_state
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,19 @@
+-- Migration: Add scanned_item_images table for image-backed scanned items
+-- Created at: 2026-10-19
+
+-- Images emailed from phones are stored here, one row per image, ordered by
+-- position. A bundled scanned item (scan_type 'email_image') has several rows;
+-- an unbundled one has exactly one.
+CREATE TABLE IF NOT EXISTS scanned_item_images (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    scanned_item_id UUID NOT NULL REFERENCES scanned_items(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL DEFAULT 0,
+    filename VARCHAR(255),
+    content_type VARCHAR(100) NOT NULL DEFAULT 'image/jpeg',
+    size INTEGER,
+    content BYTEA NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (scanned_item_id, position)
+);
+
+CREATE INDEX IF NOT EXISTS idx_scanned_item_images_item ON scanned_item_images(scanned_item_id, position);
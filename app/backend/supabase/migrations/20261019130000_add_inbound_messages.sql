@@ -0,0 +1,41 @@
+-- Migration: Add inbound_messages table logging every email seen by intake
+-- Created at: 2026-10-19
+
+-- One row per email (mailbox/folder/UID). Records what was in it, where each
+-- attachment was routed, which scanned items it produced and the outcome, so
+-- skipped or failed mail can be inspected and reprocessed from the API.
+CREATE TABLE IF NOT EXISTS inbound_messages (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    mailbox VARCHAR(255) NOT NULL,
+    folder VARCHAR(255) NOT NULL,
+    uid BIGINT NOT NULL,
+    uid_validity BIGINT,
+    message_id VARCHAR(998),
+    sender VARCHAR(255),
+    subject TEXT,
+    email_date TIMESTAMPTZ,
+    attachments JSONB NOT NULL DEFAULT '[]',
+    job_id UUID REFERENCES jobs(id) ON DELETE SET NULL,
+    scanned_item_ids UUID[] NOT NULL DEFAULT '{}',
+    outcome VARCHAR(50) NOT NULL CHECK (outcome IN ('processed', 'skipped', 'failed')),
+    reason TEXT,
+    process_count INTEGER NOT NULL DEFAULT 1,
+    last_processed_at TIMESTAMPTZ DEFAULT NOW(),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (mailbox, folder, uid_validity, uid)
+);
+
+COMMENT ON COLUMN inbound_messages.attachments IS 'Per attachment: filename, content_type, size, kind (pdf/image/unsupported), status (saved/skipped/failed/ignored), reason, scanned_item_id, routing';
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_inbound_messages_outcome ON inbound_messages(outcome);
+CREATE INDEX IF NOT EXISTS idx_inbound_messages_message_id ON inbound_messages(message_id);
+CREATE INDEX IF NOT EXISTS idx_inbound_messages_created_at ON inbound_messages(created_at DESC);
+
+-- Trigger for updated_at
+DROP TRIGGER IF EXISTS update_inbound_messages_updated_at ON inbound_messages;
+CREATE TRIGGER update_inbound_messages_updated_at
+    BEFORE UPDATE ON inbound_messages
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
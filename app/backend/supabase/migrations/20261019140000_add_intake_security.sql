@@ -0,0 +1,34 @@
+-- Migration: Add sender allow/deny lists and quarantine support for email intake
+-- Created at: 2026-10-19
+
+-- Sender policy entries. Any matching 'deny' entry rejects a message; when at
+-- least one 'allow' entry is enabled, only matching senders are accepted.
+CREATE TABLE IF NOT EXISTS intake_sender_policies (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    list_type VARCHAR(20) NOT NULL CHECK (list_type IN ('allow', 'deny')),
+    pattern VARCHAR(255) NOT NULL,
+    note TEXT,
+    is_enabled BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (list_type, pattern)
+);
+
+COMMENT ON COLUMN intake_sender_policies.pattern IS 'Full address (alice@example.com) or domain (@example.com / example.com)';
+
+-- Trigger for updated_at
+DROP TRIGGER IF EXISTS update_intake_sender_policies_updated_at ON intake_sender_policies;
+CREATE TRIGGER update_intake_sender_policies_updated_at
+    BEFORE UPDATE ON intake_sender_policies
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Rejected messages are kept in the intake log as 'quarantined'
+ALTER TABLE inbound_messages DROP CONSTRAINT IF EXISTS inbound_messages_outcome_check;
+ALTER TABLE inbound_messages
+ADD CONSTRAINT inbound_messages_outcome_check
+CHECK (outcome IN ('processed', 'skipped', 'failed', 'quarantined'));
+
+-- Policy verdict: { violations: [...], authentication: { dkim, spf, dmarc } }
+ALTER TABLE inbound_messages
+ADD COLUMN IF NOT EXISTS policy JSONB;
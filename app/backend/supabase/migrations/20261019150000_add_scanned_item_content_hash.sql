@@ -0,0 +1,19 @@
+-- Migration: Add content hashes for duplicate scan detection
+-- Created at: 2026-10-19
+
+-- SHA-256 (hex) of the stored PDF bytes. Rows created before this migration
+-- have no hash and are never matched as duplicates.
+ALTER TABLE scanned_items ADD COLUMN IF NOT EXISTS content_hash VARCHAR(64);
+
+-- Set when a copy gets its own item: under the 'allow' duplicate policy, or under
+-- 'link' when it was sent to another book, chapter or item type than the original.
+-- It reuses the conversion of the original item instead of being converted again.
+-- Deleting the original promotes its duplicate (see scannedItemService.delete).
+ALTER TABLE scanned_items ADD COLUMN IF NOT EXISTS duplicate_of UUID REFERENCES scanned_items(id) ON DELETE SET NULL;
+
+-- One original per hash; duplicates point at it
+CREATE UNIQUE INDEX IF NOT EXISTS idx_scanned_items_content_hash
+    ON scanned_items(content_hash)
+    WHERE content_hash IS NOT NULL AND duplicate_of IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_scanned_items_duplicate_of ON scanned_items(duplicate_of);
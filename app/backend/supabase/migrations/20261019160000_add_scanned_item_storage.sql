@@ -0,0 +1,12 @@
+-- Migration: Move scanned PDFs out of the content BYTEA column into a storage backend
+-- Created at: 2026-10-19
+
+-- The PDF lives in a storage backend (local filesystem or S3-compatible bucket) under
+-- storage_key; content_hash (SHA-256) doubles as its checksum. Keys are content-addressed,
+-- so duplicates of one PDF share an object.
+-- Existing rows keep using content until `npm run migrate-storage` moves them out.
+ALTER TABLE scanned_items ADD COLUMN IF NOT EXISTS storage_backend VARCHAR(20);
+ALTER TABLE scanned_items ADD COLUMN IF NOT EXISTS storage_key TEXT;
+ALTER TABLE scanned_items ADD COLUMN IF NOT EXISTS content_size BIGINT;
+
+CREATE INDEX IF NOT EXISTS idx_scanned_items_storage_key ON scanned_items(storage_key);
@@ -0,0 +1,74 @@
+-- Migration: Add tasks table backing the durable background job queue
+-- Created at: 2026-10-19
+
+-- One row per background job (MathPix conversion, question/solution extraction,
+-- reverse sync). Workers claim queued rows with claim_tasks() below, heartbeat while
+-- running, and put failed attempts back in the queue with a backoff until
+-- max_attempts is reached. Rows survive restarts; a task whose worker stopped
+-- heartbeating is queued again.
+CREATE TABLE IF NOT EXISTS tasks (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    type VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL DEFAULT '{}',
+    status VARCHAR(20) NOT NULL DEFAULT 'queued'
+        CHECK (status IN ('queued', 'running', 'completed', 'failed', 'cancelled')),
+    priority INTEGER NOT NULL DEFAULT 0,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 3,
+    run_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    dedupe_key TEXT,
+    cancel_requested BOOLEAN NOT NULL DEFAULT FALSE,
+    locked_by TEXT,
+    locked_at TIMESTAMPTZ,
+    heartbeat_at TIMESTAMPTZ,
+    result JSONB,
+    last_error TEXT,
+    started_at TIMESTAMPTZ,
+    finished_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+COMMENT ON COLUMN tasks.dedupe_key IS 'At most one queued or running task per key, e.g. mathpix_conversion:<scanned item id>';
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_tasks_claim ON tasks(type, priority DESC, run_at) WHERE status = 'queued';
+CREATE INDEX IF NOT EXISTS idx_tasks_status ON tasks(status);
+CREATE INDEX IF NOT EXISTS idx_tasks_heartbeat ON tasks(heartbeat_at) WHERE status = 'running';
+CREATE INDEX IF NOT EXISTS idx_tasks_created_at ON tasks(created_at DESC);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tasks_dedupe_key
+    ON tasks(dedupe_key)
+    WHERE dedupe_key IS NOT NULL AND status IN ('queued', 'running');
+
+-- Trigger for updated_at
+DROP TRIGGER IF EXISTS update_tasks_updated_at ON tasks;
+CREATE TRIGGER update_tasks_updated_at
+    BEFORE UPDATE ON tasks
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Atomically claim up to p_limit due tasks of one type for a worker.
+-- SKIP LOCKED lets several workers poll the same table without claiming a task twice.
+CREATE OR REPLACE FUNCTION claim_tasks(p_type TEXT, p_worker TEXT, p_limit INTEGER)
+RETURNS SETOF tasks
+LANGUAGE sql
+AS $$
+    UPDATE tasks
+    SET status = 'running',
+        attempts = attempts + 1,
+        locked_by = p_worker,
+        locked_at = NOW(),
+        heartbeat_at = NOW(),
+        started_at = COALESCE(started_at, NOW())
+    WHERE id IN (
+        SELECT id
+        FROM tasks
+        WHERE type = p_type
+          AND status = 'queued'
+          AND run_at <= NOW()
+        ORDER BY priority DESC, run_at, created_at
+        LIMIT p_limit
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *;
+$$;
@@ -0,0 +1,20 @@
+-- Migration: Record the OCR provider of scanned items and allow choosing one per job
+-- Created at: 2026-10-19
+
+-- scanned_items.ocr_provider is the provider chosen for (or used by) the item's
+-- conversion; jobs.ocr_provider applies to items scanned into the active job.
+-- NULL means the configured default (OCR_PROVIDER).
+ALTER TABLE scanned_items ADD COLUMN IF NOT EXISTS ocr_provider VARCHAR(50);
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS ocr_provider VARCHAR(50);
+
+-- Items converted before providers existed went through MathPix
+UPDATE scanned_items
+SET ocr_provider = 'mathpix'
+WHERE ocr_provider IS NULL
+  AND latex_conversion_status = 'completed';
+
+-- Conversion tasks were renamed from mathpix_conversion
+UPDATE tasks
+SET type = 'ocr_conversion',
+    dedupe_key = replace(dedupe_key, 'mathpix_conversion:', 'ocr_conversion:')
+WHERE type = 'mathpix_conversion';
@@ -0,0 +1,16 @@
+-- Migration: Keep every OCR output of a scanned item and a page index built from its line data
+-- Created at: 2026-10-19
+
+-- Outputs next to latex_doc (MathPix .tex, .mmd and .lines.json), stored in the
+-- storage backend and referenced by format:
+--   { "lines.json": { "storage_backend": "local", "storage_key": "ocr/ab/ab12....lines.json",
+--                     "content_type": "application/json; charset=utf-8", "content_size": 1234 }, ... }
+ALTER TABLE scanned_items ADD COLUMN IF NOT EXISTS ocr_outputs JSONB;
+
+-- Question labels starting a line on each page, used to record the source page
+-- of extracted questions and solutions:
+--   { "pages": [{ "page": 1, "lines": 42, "labels": ["1", "2", "3"] }, ...] }
+ALTER TABLE scanned_items ADD COLUMN IF NOT EXISTS page_index JSONB;
+
+-- Reference checks before deleting an output object
+CREATE INDEX IF NOT EXISTS idx_scanned_items_ocr_outputs ON scanned_items USING GIN (ocr_outputs jsonb_path_ops);
@@ -0,0 +1,71 @@
+-- Migration: Add api_usage table metering external API calls (MathPix, LlamaParse, Gemini)
+-- Created at: 2026-10-19
+
+-- One row per metered operation, e.g. a MathPix PDF conversion (its status polls and
+-- downloads counted in requests) or one Gemini extraction (tokens summed over its chunks).
+-- cost_usd is estimated from the USAGE_COST_* rates in effect when the row was written.
+CREATE TABLE IF NOT EXISTS api_usage (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    provider VARCHAR(50) NOT NULL,
+    operation VARCHAR(50) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'success'
+        CHECK (status IN ('success', 'error')),
+    requests INTEGER NOT NULL DEFAULT 0,
+    pages INTEGER NOT NULL DEFAULT 0,
+    input_tokens INTEGER NOT NULL DEFAULT 0,
+    output_tokens INTEGER NOT NULL DEFAULT 0,
+    duration_ms INTEGER NOT NULL DEFAULT 0,
+    cost_usd NUMERIC(12, 6) NOT NULL DEFAULT 0,
+    error TEXT,
+    book_id UUID REFERENCES books(id) ON DELETE SET NULL,
+    chapter_id UUID REFERENCES chapters(id) ON DELETE SET NULL,
+    scanned_item_id UUID REFERENCES scanned_items(id) ON DELETE SET NULL,
+    question_set_id UUID REFERENCES question_sets(id) ON DELETE SET NULL,
+    solution_set_id UUID REFERENCES solution_sets(id) ON DELETE SET NULL,
+    metadata JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_api_usage_created_at ON api_usage(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_api_usage_provider ON api_usage(provider, created_at);
+CREATE INDEX IF NOT EXISTS idx_api_usage_book_chapter ON api_usage(book_id, chapter_id);
+
+-- Usage summed per month (UTC), provider, book and chapter; the API regroups these rows
+-- by whichever of those dimensions a report asks for.
+CREATE OR REPLACE FUNCTION usage_summary(p_from TIMESTAMPTZ DEFAULT NULL, p_to TIMESTAMPTZ DEFAULT NULL)
+RETURNS TABLE (
+    month DATE,
+    provider VARCHAR,
+    book_id UUID,
+    chapter_id UUID,
+    operations BIGINT,
+    errors BIGINT,
+    requests BIGINT,
+    pages BIGINT,
+    input_tokens BIGINT,
+    output_tokens BIGINT,
+    duration_ms BIGINT,
+    cost_usd NUMERIC
+)
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT
+        date_trunc('month', created_at AT TIME ZONE 'UTC')::date AS month,
+        provider,
+        book_id,
+        chapter_id,
+        COUNT(*) AS operations,
+        COUNT(*) FILTER (WHERE status = 'error') AS errors,
+        SUM(requests) AS requests,
+        SUM(pages) AS pages,
+        SUM(input_tokens) AS input_tokens,
+        SUM(output_tokens) AS output_tokens,
+        SUM(duration_ms) AS duration_ms,
+        SUM(cost_usd) AS cost_usd
+    FROM api_usage
+    WHERE (p_from IS NULL OR created_at >= p_from)
+      AND (p_to IS NULL OR created_at < p_to)
+    GROUP BY 1, 2, 3, 4;
+$$;
@@ -0,0 +1,99 @@
+-- Migration: Add versioned prompt templates for question/solution extraction
+-- Created at: 2026-10-19
+
+-- Parsing instructions per extraction kind and source type. Versions are never edited:
+-- saving a template adds the next version, and one version per kind and source type is
+-- active. The built-in instructions are stored as version 1 the first time they are used.
+CREATE TABLE IF NOT EXISTS prompt_templates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    kind VARCHAR(20) NOT NULL CHECK (kind IN ('questions', 'solutions')),
+    source_type VARCHAR(50) NOT NULL,
+    version INTEGER NOT NULL,
+    instructions TEXT NOT NULL,
+    notes TEXT,
+    is_active BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (kind, source_type, version)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_prompt_templates_active
+    ON prompt_templates(kind, source_type)
+    WHERE is_active;
+
+-- Source types are whatever has a template, so the fixed list goes
+ALTER TABLE question_sets DROP CONSTRAINT IF EXISTS question_sets_source_type_check;
+ALTER TABLE solution_sets DROP CONSTRAINT IF EXISTS solution_sets_source_type_check;
+
+-- Template version each set was extracted with
+ALTER TABLE question_sets
+ADD COLUMN IF NOT EXISTS prompt_template_id UUID REFERENCES prompt_templates(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS prompt_template_version INTEGER;
+
+ALTER TABLE solution_sets
+ADD COLUMN IF NOT EXISTS prompt_template_id UUID REFERENCES prompt_templates(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS prompt_template_version INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_question_sets_prompt_template ON question_sets(prompt_template_id);
+CREATE INDEX IF NOT EXISTS idx_solution_sets_prompt_template ON solution_sets(prompt_template_id);
+
+-- Add the next version of a template, optionally making it the active one.
+-- The advisory lock serializes saves of the same template, so versions stay gapless.
+CREATE OR REPLACE FUNCTION create_prompt_template_version(
+    p_kind TEXT,
+    p_source_type TEXT,
+    p_instructions TEXT,
+    p_notes TEXT DEFAULT NULL,
+    p_activate BOOLEAN DEFAULT TRUE
+)
+RETURNS prompt_templates
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_version INTEGER;
+    v_row prompt_templates;
+BEGIN
+    PERFORM pg_advisory_xact_lock(hashtext('prompt_templates:' || p_kind || ':' || p_source_type));
+
+    SELECT COALESCE(MAX(version), 0) + 1 INTO v_version
+    FROM prompt_templates
+    WHERE kind = p_kind AND source_type = p_source_type;
+
+    -- The first version of a template is always active
+    IF p_activate OR v_version = 1 THEN
+        UPDATE prompt_templates SET is_active = FALSE
+        WHERE kind = p_kind AND source_type = p_source_type AND is_active;
+    END IF;
+
+    INSERT INTO prompt_templates (kind, source_type, version, instructions, notes, is_active)
+    VALUES (p_kind, p_source_type, v_version, p_instructions, p_notes, p_activate OR v_version = 1)
+    RETURNING * INTO v_row;
+
+    RETURN v_row;
+END;
+$$;
+
+-- Make one version the active one of its template, e.g. to roll back
+CREATE OR REPLACE FUNCTION activate_prompt_template(p_id UUID)
+RETURNS prompt_templates
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_row prompt_templates;
+BEGIN
+    SELECT * INTO v_row FROM prompt_templates WHERE id = p_id;
+    IF NOT FOUND THEN
+        RETURN NULL;
+    END IF;
+
+    PERFORM pg_advisory_xact_lock(hashtext('prompt_templates:' || v_row.kind || ':' || v_row.source_type));
+
+    UPDATE prompt_templates SET is_active = FALSE
+    WHERE kind = v_row.kind AND source_type = v_row.source_type AND is_active AND id <> p_id;
+
+    UPDATE prompt_templates SET is_active = TRUE
+    WHERE id = p_id
+    RETURNING * INTO v_row;
+
+    RETURN v_row;
+END;
+$$;
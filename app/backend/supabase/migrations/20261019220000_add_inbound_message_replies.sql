@@ -0,0 +1,16 @@
+-- Migration: Record the replies sent for inbound messages
+-- Created at: 2026-10-19
+
+-- replies lists what was sent to the sender (intake acknowledgement, conversion
+-- follow-up), so reprocessing a message or restarting never sends one twice.
+-- follow_up_item_ids holds the scanned items whose conversion the follow-up still
+-- waits for; it is cleared when the follow-up goes out.
+ALTER TABLE inbound_messages ADD COLUMN IF NOT EXISTS sender_name VARCHAR(255);
+ALTER TABLE inbound_messages ADD COLUMN IF NOT EXISTS replies JSONB NOT NULL DEFAULT '[]';
+ALTER TABLE inbound_messages ADD COLUMN IF NOT EXISTS follow_up_item_ids UUID[];
+
+COMMENT ON COLUMN inbound_messages.replies IS 'Per reply sent: template, message_id (SMTP), sent_at';
+
+CREATE INDEX IF NOT EXISTS idx_inbound_messages_follow_up_item_ids
+    ON inbound_messages USING GIN (follow_up_item_ids)
+    WHERE follow_up_item_ids IS NOT NULL;
@@ -0,0 +1,82 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import AdmZip from 'adm-zip';
+import tar from 'tar-stream';
+import { expandArchive } from '../src/utils/archives.js';
+import { scannedItemService } from '../src/services/scannedItem.service.js';
+
+const MB = 1024 * 1024;
+const limits = { maxEntries: 5, maxTotalBytes: MB };
+
+function zipOf(files) {
+  const zip = new AdmZip();
+  for (const [name, content] of Object.entries(files)) zip.addFile(name, content);
+  return zip.toBuffer();
+}
+
+/**
+ * Overwrite the uncompressed sizes a zip declares (local and central headers) with 0
+ */
+function forgeZeroSizes(buffer) {
+  const forged = Buffer.from(buffer);
+  for (let i = 0; i < forged.length - 4; i++) {
+    const signature = forged.readUInt32LE(i);
+    if (signature === 0x04034b50) forged.writeUInt32LE(0, i + 22);
+    if (signature === 0x02014b50) forged.writeUInt32LE(0, i + 24);
+  }
+  return forged;
+}
+
+async function tarGzOf(count) {
+  const pack = tar.pack();
+  for (let i = 1; i <= count; i++) {
+    pack.entry({ name: `scan${i}.pdf` }, `%PDF-${i}`);
+  }
+  pack.finalize();
+
+  const chunks = [];
+  for await (const chunk of pack) chunks.push(chunk);
+  return zlib.gzipSync(Buffer.concat(chunks));
+}
+
+test('a zip is expanded into its PDFs in natural order', async () => {
+  const files = await expandArchive({
+    filename: 'scans.zip',
+    content: zipOf({ 'page10.pdf': Buffer.from('%PDF-10'), 'page2.pdf': Buffer.from('%PDF-2'), 'notes.txt': Buffer.from('x') }),
+  }, limits);
+
+  assert.deepEqual(files.map((file) => [file.filename, file.position]), [['page2.pdf', 0], ['page10.pdf', 1]]);
+});
+
+test('a zip expanding past the size budget is rejected', async () => {
+  const content = zipOf({ 'a.pdf': Buffer.alloc(2 * MB) });
+
+  await assert.rejects(expandArchive({ filename: 'bomb.zip', content }, limits), /expands to more than 1MB/);
+});
+
+test('a zip declaring false sizes is held to the budget as it inflates', async () => {
+  const content = forgeZeroSizes(zipOf({ 'a.pdf': Buffer.alloc(2 * MB) }));
+
+  await assert.rejects(expandArchive({ filename: 'bomb.zip', content }, limits), /expands to more than 1MB/);
+});
+
+test('a tar.gz with too many entries is rejected', async () => {
+  assert.equal((await expandArchive({ filename: 'scans.tar.gz', content: await tarGzOf(5) }, limits)).length, 5);
+
+  await assert.rejects(
+    expandArchive({ filename: 'scans.tar.gz', content: await tarGzOf(6) }, limits),
+    /more than 5 entries/,
+  );
+});
+
+test('an unreadable upload is a client error', async () => {
+  const upload = (filename, buffer) => scannedItemService.createFromArchiveUpload({ filename, buffer, mimetype: 'application/zip' });
+
+  await assert.rejects(upload('corrupt.zip', Buffer.from('not a zip')), { statusCode: 400 });
+  await assert.rejects(upload('notes.zip', zipOf({ 'notes.txt': Buffer.from('x') })), {
+    statusCode: 400,
+    message: 'No PDF files found in "notes.zip"',
+  });
+});
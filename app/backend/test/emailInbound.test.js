@@ -0,0 +1,107 @@
+import './helpers/env.js';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'timers/promises';
+import { config } from '../src/config/index.js';
+import { emailInboundService, MAIL_OUTCOMES } from '../src/services/emailInbound.service.js';
+import { inboundMessageService } from '../src/services/inboundMessage.service.js';
+import { FakeImapServer } from './helpers/fakeImap.js';
+
+let server;
+let processed;
+let watermarks;
+
+/**
+ * Wait until a condition holds, failing the test after a while
+ */
+async function waitFor(condition, message) {
+  for (let i = 0; i < 200; i++) {
+    if (condition()) return;
+    await sleep(10);
+  }
+  assert.fail(`Timed out waiting for ${message}`);
+}
+
+beforeEach(() => {
+  server = new FakeImapServer({ uidValidity: 1 });
+  processed = [];
+  watermarks = new Map();
+
+  Object.assign(config.imap, {
+    user: 'scans@example.com',
+    password: 'secret',
+    reconnect: { baseDelayMs: 10, maxDelayMs: 40 },
+    disposition: { ...config.imap.disposition, mode: 'none' },
+  });
+
+  // The IMAP side is the stand-in; the database and intake behind it are stubbed
+  Object.assign(emailInboundService, {
+    createClient: () => server.createClient(),
+    getWatermark: async (folder) => watermarks.get(folder) || null,
+    saveWatermark: async (folder, uidValidity, lastUid) => {
+      watermarks.set(folder, { uid_validity: uidValidity, last_uid: lastUid });
+    },
+    processEmail: async (email) => {
+      processed.push(email.subject);
+      return { outcome: MAIL_OUTCOMES.PROCESSED, attachments: [], scannedItemIds: [] };
+    },
+    acknowledge: () => {},
+    monitoredFolders: [],
+    reconnectAttempts: 0,
+  });
+  inboundMessageService.record = async () => ({});
+});
+
+afterEach(() => {
+  emailInboundService.stopMonitoring();
+  emailInboundService.disconnect();
+});
+
+test('reconnect delay doubles up to the maximum', () => {
+  assert.deepEqual([0, 1, 2, 3, 4].map((attempt) => emailInboundService.reconnectDelay(attempt)), [10, 20, 40, 40, 40]);
+});
+
+test('mail that arrives while disconnected is processed once after reconnecting', async () => {
+  await emailInboundService.connect();
+  await emailInboundService.startMonitoring(['INBOX']);
+
+  server.deliver('before');
+  await waitFor(() => processed.length === 1, 'the first message');
+
+  server.goDown();
+  server.deliver('while-down-1');
+  server.deliver('while-down-2');
+  // Let a few reconnect attempts fail
+  await waitFor(() => server.connectAttempts >= 3, 'failed reconnect attempts');
+  assert.equal(emailInboundService.isConnected(), false);
+
+  server.restore();
+  await waitFor(() => processed.length === 3, 'the catch-up pass');
+  await sleep(50);
+
+  assert.deepEqual(processed, ['before', 'while-down-1', 'while-down-2']);
+  assert.equal(emailInboundService.isConnected(), true);
+  assert.equal(emailInboundService.reconnectAttempts, 0);
+  assert.deepEqual(watermarks.get('INBOX'), { uid_validity: 1, last_uid: 3 });
+
+  // Still unseen on the server, but below the watermark
+  await emailInboundService.fetchNewEmails();
+  assert.equal(processed.length, 3);
+});
+
+test('a UIDVALIDITY change resets the watermark', async () => {
+  server.deliver('old-1');
+  server.deliver('old-2');
+  server.deliver('old-3');
+  server.recreateMailbox(2);
+  server.messages = server.messages.slice(0, 2);
+  server.nextUid = 3;
+  watermarks.set('INBOX', { uid_validity: 1, last_uid: 3 });
+
+  await emailInboundService.connect();
+  await emailInboundService.startMonitoring(['INBOX']);
+
+  // UIDs 1 and 2 are below the old watermark but belong to the new mailbox
+  assert.deepEqual(processed, ['old-1', 'old-2']);
+  assert.deepEqual(watermarks.get('INBOX'), { uid_validity: 2, last_uid: 2 });
+});
@@ -0,0 +1,3 @@
+// Imported first by tests whose modules create the Supabase client; no request reaches it
+process.env.SUPABASE_URL ||= 'http://localhost:1';
+process.env.SUPABASE_PUBLISHABLE_KEY ||= 'test';
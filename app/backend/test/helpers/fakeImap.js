@@ -0,0 +1,136 @@
+import { EventEmitter } from 'events';
+import { Readable } from 'stream';
+
+/**
+ * In-process stand-in for an IMAP server and the node-imap clients connecting to it.
+ * Covers what emailInboundService uses: connect/end, openBox, UID search of unseen
+ * mail, fetch of one message and the 'mail' push of IDLE.
+ * Messages stay unseen when fetched, so only the UID watermark keeps them from being
+ * processed twice.
+ */
+export class FakeImapServer {
+  constructor({ uidValidity = 1 } = {}) {
+    this.uidValidity = uidValidity;
+    this.messages = [];
+    this.nextUid = 1;
+    this.down = false;
+    this.clients = [];
+    this.connectAttempts = 0;
+  }
+
+  /**
+   * Client factory for emailInboundService.createClient
+   */
+  createClient() {
+    return new FakeImapClient(this);
+  }
+
+  /**
+   * Deliver a message; connected clients get the IDLE 'mail' notification
+   * @returns {number} - Its UID
+   */
+  deliver(subject) {
+    const uid = this.nextUid++;
+    this.messages.push({ uid, subject, seen: false });
+    for (const client of this.clients) client.emit('mail', 1);
+    return uid;
+  }
+
+  /**
+   * Drop every connection and refuse new ones until restore()
+   */
+  goDown() {
+    this.down = true;
+    for (const client of [...this.clients]) client.close();
+  }
+
+  restore() {
+    this.down = false;
+  }
+
+  /**
+   * Recreate the mailbox: new UIDVALIDITY, and its messages numbered from 1 again
+   */
+  recreateMailbox(uidValidity) {
+    this.uidValidity = uidValidity;
+    this.nextUid = 1;
+    this.messages = this.messages.map((message) => ({ ...message, uid: this.nextUid++ }));
+  }
+}
+
+class FakeImapClient extends EventEmitter {
+  constructor(server) {
+    super();
+    this.server = server;
+  }
+
+  connect() {
+    this.server.connectAttempts++;
+    setImmediate(() => {
+      if (this.server.down) {
+        this.emit('error', new Error('connect ECONNREFUSED'));
+        this.emit('close', true);
+        return;
+      }
+      this.server.clients.push(this);
+      this.emit('ready');
+    });
+  }
+
+  end() {
+    setImmediate(() => {
+      this.emit('end');
+      this.close();
+    });
+  }
+
+  close() {
+    const index = this.server.clients.indexOf(this);
+    if (index === -1) return;
+    this.server.clients.splice(index, 1);
+    this.emit('close', false);
+  }
+
+  openBox(folder, readOnly, callback) {
+    setImmediate(() => callback(null, { name: folder, uidvalidity: this.server.uidValidity }));
+  }
+
+  // Supports ['UNSEEN'] and ['UNSEEN', ['UID', 'n:*']]; like a real server, "n:*"
+  // also matches the highest UID when it is below n
+  search(criteria, callback) {
+    const range = criteria.find((criterion) => Array.isArray(criterion) && criterion[0] === 'UID');
+    const from = range ? parseInt(range[1], 10) : 1;
+    const highest = Math.max(0, ...this.server.messages.map((message) => message.uid));
+    const uids = this.server.messages
+      .filter((message) => !message.seen && (message.uid >= from || message.uid === highest))
+      .map((message) => message.uid);
+    setImmediate(() => callback(null, uids));
+  }
+
+  fetch([uid]) {
+    const fetch = new EventEmitter();
+    const message = this.server.messages.find((m) => m.uid === uid);
+
+    setImmediate(() => {
+      if (message) {
+        const msg = new EventEmitter();
+        fetch.emit('message', msg, 1);
+        const raw = [
+          'From: Scanner <scanner@example.com>',
+          'To: scans@example.com',
+          `Subject: ${message.subject}`,
+          `Message-ID: <${message.subject}@example.com>`,
+          '',
+          'No attachments',
+          '',
+        ].join('\r\n');
+        msg.emit('body', Readable.from([Buffer.from(raw)]), {});
+        msg.emit('attributes', { uid, flags: [] });
+        msg.emit('end');
+      }
+      setImmediate(() => fetch.emit('end'));
+    });
+
+    return fetch;
+  }
+}
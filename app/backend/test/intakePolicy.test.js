@@ -0,0 +1,82 @@
+import './helpers/env.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../src/config/index.js';
+import { intakePolicyService } from '../src/services/intakePolicy.service.js';
+
+const policies = [{ list_type: 'allow', pattern: 'teacher@school.org' }];
+
+const email = (from, authenticationResults) => ({
+  from: { address: from },
+  attachments: [],
+  authenticationResults,
+});
+
+beforeEach(() => {
+  Object.assign(config.intake.security, {
+    requireAllowlist: false,
+    requireDkim: true,
+    requireSpf: false,
+    requireDmarc: false,
+    authServId: undefined,
+  });
+});
+
+test('DKIM signed by the From domain passes', async () => {
+  const result = await intakePolicyService.evaluate(email('teacher@school.org', [
+    'mx.example.net; dkim=pass header.d=school.org header.s=s1; spf=pass smtp.mailfrom=school.org',
+  ]), { policies });
+
+  assert.deepEqual(result.violations, []);
+  assert.deepEqual(result.authentication.dkim_domains, ['school.org']);
+});
+
+test('DKIM by a parent of the From domain passes', async () => {
+  const result = await intakePolicyService.evaluate(email('teacher@mail.school.org', [
+    'mx.example.net; dkim=pass header.d=school.org',
+  ]), { policies: [] });
+
+  assert.equal(result.allowed, true);
+});
+
+test('an allowlisted From signed by another domain is quarantined', async () => {
+  const result = await intakePolicyService.evaluate(email('teacher@school.org', [
+    'mx.example.net; dkim=pass header.d=attacker.example header.s=s1; spf=pass smtp.mailfrom=attacker.example; dmarc=fail header.from=school.org',
+  ]), { policies });
+
+  assert.equal(result.allowed, false);
+  assert.deepEqual(result.violations, [
+    "DKIM signature is not by the sender's domain school.org (signed by attacker.example)",
+  ]);
+});
+
+test('a look-alike domain does not align', async () => {
+  const result = await intakePolicyService.evaluate(email('teacher@school.org', [
+    'mx.example.net; dkim=pass header.d=evilschool.org',
+  ]), { policies });
+
+  assert.equal(result.allowed, false);
+});
+
+test('EMAIL_REQUIRE_DMARC needs dmarc=pass', async () => {
+  Object.assign(config.intake.security, { requireDkim: false, requireDmarc: true });
+
+  const spoofed = await intakePolicyService.evaluate(email('teacher@school.org', [
+    'mx.example.net; dkim=pass header.d=attacker.example; dmarc=fail header.from=school.org',
+  ]), { policies });
+  assert.deepEqual(spoofed.violations, ['DMARC check did not pass (dmarc=fail)']);
+
+  const genuine = await intakePolicyService.evaluate(email('teacher@school.org', [
+    'mx.example.net; dkim=pass header.d=school.org; dmarc=pass header.from=school.org',
+  ]), { policies });
+  assert.equal(genuine.allowed, true);
+});
+
+test('only the topmost Authentication-Results header is trusted', async () => {
+  const result = await intakePolicyService.evaluate(email('teacher@school.org', [
+    'mx.example.net; dkim=none',
+    'forged.example; dkim=pass header.d=school.org',
+  ]), { policies });
+
+  assert.deepEqual(result.violations, ['DKIM check did not pass (dkim=none)']);
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeLabels, expandLabelRange, sliceByLabels, mergeEntries } from '../src/utils/labelSlice.js';
+
+const CONTENT = [
+  '1.1 First of section one',
+  'more of 1.1',
+  '1.2 Second of section one',
+  '(a) part of 1.2',
+  '% ========== Document 2 ==========',
+  '1.3 Third of section one',
+  '2. A plain question',
+  '2.1 First of section two',
+].join('\n');
+
+const entry = (label, text) => ({ question_label: label, text });
+
+test('normalizeLabels keeps dotted labels whole', () => {
+  assert.deepEqual(normalizeLabels(['1.2', 'Q 1.2', 'Exercise 2.4', '3(a)']), ['1.2', '2.4', '3a']);
+  assert.equal(normalizeLabels(['1.2', 'none']), null);
+});
+
+test('expandLabelRange expands the last part of dotted labels', () => {
+  assert.deepEqual(expandLabelRange('3', '6'), ['3', '4', '5', '6']);
+  assert.deepEqual(expandLabelRange('2.3', '2.5'), ['2.3', '2.4', '2.5']);
+  assert.equal(expandLabelRange('1.2', '2.1'), null);
+  assert.equal(expandLabelRange('2.5', '2.3'), null);
+  assert.equal(expandLabelRange('1', '1.2'), null);
+});
+
+test('sliceByLabels takes only the selected dotted label', () => {
+  const { content, found } = sliceByLabels(CONTENT, ['1.2']);
+  assert.equal(content, '1.2 Second of section one\n(a) part of 1.2');
+  assert.deepEqual(found, ['1.2']);
+});
+
+test('sliceByLabels does not take dotted labels for their section number', () => {
+  const { content, found } = sliceByLabels(CONTENT, ['2']);
+  assert.equal(content, '2. A plain question');
+  assert.deepEqual(found, ['2']);
+});
+
+test('sliceByLabels keeps a question running over a document separator', () => {
+  const { content, found } = sliceByLabels(CONTENT, ['1.1', '1.3']);
+  assert.equal(content, '1.1 First of section one\nmore of 1.1\n1.3 Third of section one');
+  assert.deepEqual(found, ['1.1', '1.3']);
+});
+
+test('mergeEntries replaces only the entry with the same dotted label', () => {
+  const entries = [entry('1.1', 'old 1.1'), entry('1.2', 'old 1.2'), entry('2.1', 'old 2.1')];
+  const result = mergeEntries(entries, [entry('1.2', 'new 1.2'), entry('1.1', 'neighbour')], ['1.2']);
+
+  assert.deepEqual(result.entries.map((e) => e.text), ['old 1.1', 'new 1.2', 'old 2.1']);
+  assert.deepEqual(result.previous, [entry('1.2', 'old 1.2')]);
+  assert.deepEqual(result.replaced, ['1.2']);
+  assert.deepEqual(result.missing, []);
+});
+
+test('mergeEntries inserts a new dotted label in label order', () => {
+  const entries = [entry('1.2', 'a'), entry('1.10', 'b'), entry('2.1', 'c')];
+  const result = mergeEntries(entries, [entry('1.9', 'new')], ['1.9', '1.11']);
+
+  assert.deepEqual(result.entries.map((e) => e.question_label), ['1.2', '1.9', '1.10', '2.1']);
+  assert.deepEqual(result.added, ['1.9']);
+  assert.deepEqual(result.missing, ['1.11']);
+});
@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildPageIndex, lineLabel, locateSourcePages, normalizeLabel } from '../src/utils/pageIndex.js';
+
+const linesOf = (...pages) => ({
+  pages: pages.map((texts, i) => ({ page: i + 1, lines: texts.map((text) => ({ text })) })),
+});
+
+// Source item whose pages carry these labels
+const sourceWith = (id, ...pageLabels) => ({
+  id,
+  page_index: { pages: pageLabels.map((labels, i) => ({ page: i + 1, lines: labels.length, labels })) },
+});
+
+test('labels are reduced to their number and letter', () => {
+  assert.equal(normalizeLabel('Q.12'), '12');
+  assert.equal(normalizeLabel('3(a)'), '3a');
+  assert.equal(normalizeLabel('Exercise 2.4'), '2.4');
+  assert.equal(normalizeLabel('Answer'), null);
+});
+
+test('the label a line starts with is read in its usual forms', () => {
+  const cases = {
+    '12. Find x': '12',
+    '12) Find x': '12',
+    '3a. Find x': '3a',
+    'Q12 Find x': '12',
+    'Q. 12 Find x': '12',
+    'Question 7': '7',
+    'Example 3': '3',
+    'Exercise 2.4': '2.4',
+    '2.4 Find x': '2.4',
+    '2.4. Find x': '2.4',
+    '\\section*{Question 12}': '12',
+    '## 4. Find x': '4',
+  };
+  for (const [text, label] of Object.entries(cases)) {
+    assert.equal(lineLabel(text), label, text);
+  }
+});
+
+test('lines that do not start with a label have none', () => {
+  for (const text of ['Find x if 2x = 4', '2 apples cost 10', '1990 was a year', 'Questions 1 to 5', '', null]) {
+    assert.equal(lineLabel(text), null, String(text));
+  }
+});
+
+test('the page index lists the labels starting a line on each page, once', () => {
+  const index = buildPageIndex(linesOf(
+    ['Exercise 1', '1. Find x', 'where x > 0', '2. Find y'],
+    ['2. (continued)', '3. Find z'],
+    ['Answers follow'],
+  ));
+
+  assert.deepEqual(index, {
+    pages: [
+      { page: 1, lines: 4, labels: ['1', '2'] },
+      { page: 2, lines: 2, labels: ['2', '3'] },
+      { page: 3, lines: 1, labels: [] },
+    ],
+  });
+});
+
+test('the page index is built from the stored JSON text, and is null without pages', () => {
+  assert.deepEqual(buildPageIndex(JSON.stringify(linesOf(['1. Find x']))).pages[0].labels, ['1']);
+  assert.equal(buildPageIndex(null), null);
+  assert.equal(buildPageIndex({ pages: [] }), null);
+  assert.equal(buildPageIndex({}), null);
+});
+
+test('entries are located on the page and item their label starts on', () => {
+  const entries = [{ question_label: '1' }, { question_label: 'Q2' }, { question_label: '3(a)' }, { question_label: '9' }];
+  const sources = [sourceWith('a', ['1'], ['2']), sourceWith('b', ['3a'])];
+
+  assert.equal(locateSourcePages(entries, sources), 3);
+  assert.deepEqual(entries, [
+    { question_label: '1', source_item_id: 'a', source_page: 1 },
+    { question_label: 'Q2', source_item_id: 'a', source_page: 2 },
+    { question_label: '3(a)', source_item_id: 'b', source_page: 1 },
+    { question_label: '9' },
+  ]);
+});
+
+test('a label used again by a later exercise is located after the previous entry', () => {
+  // Two exercises both numbered from 1
+  const sources = [sourceWith('a', ['1', '2'], ['3', '1'], ['2'])];
+  const entries = ['1', '2', '3', '1', '2'].map((label) => ({ question_label: label }));
+
+  locateSourcePages(entries, sources);
+
+  assert.deepEqual(entries.map((entry) => entry.source_page), [1, 1, 2, 2, 3]);
+});
+
+test('an entry out of document order is still found by searching from the start', () => {
+  const sources = [sourceWith('a', ['1'], ['2'])];
+  const entries = [{ question_label: '2' }, { question_label: '1' }];
+
+  assert.equal(locateSourcePages(entries, sources), 2);
+  assert.deepEqual(entries.map((entry) => entry.source_page), [2, 1]);
+});
+
+test('nothing is located without a page index', () => {
+  const entries = [{ question_label: '1' }];
+
+  assert.equal(locateSourcePages(entries, [{ id: 'a', page_index: null }]), 0);
+  assert.deepEqual(entries, [{ question_label: '1' }]);
+});
@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildQuestionReport, buildSolutionReport } from '../src/utils/qualityReport.js';
+
+const question = (label, extra = {}) => ({
+  question_label: label,
+  text: `Find the value of x in question ${label}.`,
+  choices: ['(a) 1', '(b) 2', '(c) 3', '(d) 4'],
+  ...extra,
+});
+
+const solution = (label, extra = {}) => ({
+  question_label: label,
+  answer_key: 'a',
+  worked_solution: 'Adding both sides gives $x = 2$.',
+  ...extra,
+});
+
+const questionsLabelled = (labels) => buildQuestionReport({ questions: labels.map((label) => question(label)) });
+
+// Issue types of each flagged entry, by label
+const flaggedTypes = (report) => Object.fromEntries(
+  report.entries.map((entry) => [entry.question_label, entry.issues.map((i) => i.type)]),
+);
+
+test('a clean set has no issues', () => {
+  const report = questionsLabelled(['1', '2', '3']);
+
+  assert.deepEqual(report.set_issues, []);
+  assert.deepEqual(report.entries, []);
+  assert.deepEqual(report.summary, { errors: 0, warnings: 0, flagged_entries: 0, by_type: {} });
+});
+
+test('a gap in the labels is listed', () => {
+  const report = questionsLabelled(['1', '2', '5', '6', '8']);
+
+  assert.equal(report.set_issues.length, 1);
+  assert.equal(report.set_issues[0].type, 'label_gap');
+  assert.equal(report.set_issues[0].message, 'Missing labels: 3-4 (after 2), 7 (after 6)');
+  assert.deepEqual(report.set_issues[0].labels, ['3', '4', '7']);
+});
+
+test('numbering that restarts at 1 is a new run, not a gap or a repeat', () => {
+  const report = questionsLabelled(['1', '2', '3', '1', '2', '4']);
+
+  assert.deepEqual(report.set_issues.map((i) => i.message), ['Missing labels: 3 (after 2)']);
+  assert.deepEqual(report.entries, []);
+});
+
+test('dotted labels are not read as a sequence', () => {
+  const report = questionsLabelled(['2.1', '2.4', '4.1', '4.1']);
+
+  assert.deepEqual(report.set_issues, []);
+  assert.deepEqual(flaggedTypes(report), { '4.1': ['duplicate_label'] });
+  assert.equal(report.entries[0].index, 3);
+});
+
+test('a repeated label is flagged on the repeat', () => {
+  const report = questionsLabelled(['1', '2', 'Q2', '3']);
+
+  assert.deepEqual(report.set_issues, []);
+  assert.equal(report.entries.length, 1);
+  assert.equal(report.entries[0].question_label, 'Q2');
+  assert.equal(report.entries[0].issues[0].message, 'Label Q2 also used by entry 2');
+});
+
+test('a choice count unlike the rest of the set is flagged', () => {
+  const report = buildQuestionReport({
+    questions: [
+      question('1'),
+      question('2', { choices: ['(a) 1', '(b) 2', '(c) 3'] }),
+      question('3'),
+      question('4', { choices: [] }),
+    ],
+  });
+
+  assert.deepEqual(flaggedTypes(report), { 2: ['choice_count'] });
+  assert.equal(report.entries[0].issues[0].message, '3 choice(s), where most questions have 4');
+});
+
+test('unbalanced $ delimiters are flagged, escaped dollars are not', () => {
+  const report = buildQuestionReport({
+    questions: [
+      question('1', { text: 'Solve $x^2 = 4 for x.' }),
+      question('2', { text: 'A pen costs \\$5; find $5x$ for x pens.' }),
+      question('3', { choices: ['(a) $1', '(b) $2$', '(c) 3', '(d) 4'] }),
+    ],
+  });
+
+  assert.deepEqual(flaggedTypes(report), { 1: ['unbalanced_math'], 3: ['unbalanced_math'] });
+  assert.equal(report.summary.by_type.unbalanced_math, 2);
+});
+
+test('a worked solution that was cut off is flagged', () => {
+  const report = buildSolutionReport({
+    solutions: [
+      solution('1'),
+      solution('2', { worked_solution: 'Squaring both sides, the equation will become' }),
+      solution('3', { worked_solution: 'Substituting the values, x = 2y +' }),
+      solution('4', { worked_solution: '\\begin{aligned} x &= 2 \\\\ y &= 3 \\\\' }),
+      solution('5', { worked_solution: '\\begin{aligned} x &= 2 \\end{aligned} so x is even.' }),
+    ],
+  });
+
+  assert.deepEqual(flaggedTypes(report), {
+    2: ['truncated_worked_solution'],
+    3: ['truncated_worked_solution'],
+    4: ['truncated_worked_solution'],
+  });
+});
+
+test('an empty set is an error', () => {
+  const report = buildSolutionReport({ solutions: [] });
+
+  assert.deepEqual(report.set_issues.map((i) => i.type), ['no_entries']);
+  assert.equal(report.summary.errors, 1);
+});
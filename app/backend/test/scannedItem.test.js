@@ -0,0 +1,139 @@
+import './helpers/env.js';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { PDFDocument } from 'pdf-lib';
+import { scannedItemService } from '../src/services/scannedItem.service.js';
+import { storageService } from '../src/services/storage/index.js';
+
+const target = { book_id: 'b1', chapter_id: 'c1', item_type: 'question' };
+const stubbed = {};
+let duplicates;
+let inserts;
+
+function stub(object, methods) {
+  for (const [name, method] of Object.entries(methods)) {
+    stubbed[name] = [object, object[name]];
+    object[name] = method;
+  }
+}
+
+beforeEach(() => {
+  inserts = [];
+  stub(scannedItemService, {
+    // One result per call, as the database answers at that moment
+    checkDuplicate: async () => {
+      const result = duplicates.shift();
+      if (result instanceof Error) throw result;
+      return { contentHash: 'h1', ...result };
+    },
+    convertUnlessDuplicate: async () => null,
+  });
+  stub(storageService, {
+    putScan: async () => ({ storage_backend: 'local', storage_key: 'scans/h1.pdf', content_size: 4, content_hash: 'h1' }),
+  });
+});
+
+afterEach(() => {
+  for (const [name, [object, method]] of Object.entries(stubbed)) object[name] = method;
+});
+
+// Inserting fails the first time, as when a second copy of a new PDF lost the race
+const racingInsert = async (fields) => {
+  inserts.push(fields);
+  if (inserts.length === 1) return { data: null, error: { code: '23505', message: 'duplicate key value' } };
+  return { data: { id: 'copy', ...fields }, error: null };
+};
+
+const insertScan = () => scannedItemService.insertScan({ buffer: Buffer.from('%PDF'), filename: 'scan.pdf', target, insert: racingInsert });
+
+test('a copy losing the race to store a new PDF is linked to the one that won', async () => {
+  const original = { id: 'o1', ...target, latex_conversion_status: 'processing' };
+  duplicates = [{ policy: 'link', original: null }, { policy: 'link', original }];
+
+  const { item, linked } = await insertScan();
+
+  assert.equal(linked, true);
+  assert.equal(item.id, 'o1');
+  assert.equal(inserts.length, 1);
+});
+
+test('a copy losing the race under the allow policy becomes a duplicate of the winner', async () => {
+  const original = { id: 'o1', ...target, latex_conversion_status: 'processing' };
+  duplicates = [{ policy: 'allow', original: null }, { policy: 'allow', original }];
+
+  const { item, linked } = await insertScan();
+
+  assert.equal(linked, false);
+  assert.equal(item.duplicate_of, 'o1');
+  assert.equal(inserts.length, 2);
+});
+
+test('a copy losing the race under the reject policy is rejected', async () => {
+  const rejected = Object.assign(new Error('"scan.pdf" was already scanned as item o1'), { statusCode: 409, code: 'DUPLICATE_SCAN' });
+  duplicates = [{ policy: 'reject', original: null }, rejected];
+
+  await assert.rejects(insertScan(), { code: 'DUPLICATE_SCAN', statusCode: 409 });
+});
+
+async function pdfOfPages(count) {
+  const doc = await PDFDocument.create();
+  for (let i = 0; i < count; i++) doc.addPage();
+  return Buffer.from(await doc.save());
+}
+
+/**
+ * Split a 3-page source into pages 2-3, returning what the part was created with
+ */
+async function splitPart(source) {
+  const derived = [];
+  stub(scannedItemService, {
+    findById: async () => ({ id: 's1', item_data: 'scan.pdf', ...target, metadata: {}, ...source }),
+    getSourcePdf: async () => pdfOfPages(3),
+    createDerived: async (fields) => {
+      derived.push(fields);
+      return { id: 'part' };
+    },
+    recordDerived: async () => {},
+  });
+
+  await scannedItemService.split('s1', [{ pages: '2-3' }]);
+  return derived[0];
+}
+
+test('a split part takes its pages from the line data behind the page index', async () => {
+  const lines = {
+    pages: [1, 2, 3].map((page) => ({ page, lines: [{ text: `${page}. Question on page ${page}` }] })),
+  };
+  stub(storageService, { getOutput: async () => Buffer.from(JSON.stringify(lines)) });
+
+  const part = await splitPart({
+    latex_conversion_status: 'completed',
+    latex_doc: 'converted',
+    ocr_outputs: { 'lines.json': { storage_key: 'ocr/lines.json' } },
+    page_index: { pages: [] },
+  });
+
+  assert.match(part.latexDoc, /2\. Question on page 2\n*\\newpage\n*3\. Question on page 3/);
+  assert.doesNotMatch(part.latexDoc, /page 1/);
+  assert.deepEqual(part.pageIndex.pages.map((page) => page.labels), [['2'], ['3']]);
+  assert.equal(part.metadata.lineage.conversion, 'sliced');
+});
+
+test('a split part takes its pages from LaTeX with one page break per page', async () => {
+  const part = await splitPart({
+    latex_conversion_status: 'completed',
+    latex_doc: '\\begin{document}\nPage one\n\n\\newpage\n\nPage two\n\n\\newpage\n\nPage three\n\\end{document}\n',
+  });
+
+  assert.match(part.latexDoc, /Page two\n\n\\newpage\n\nPage three/);
+  assert.doesNotMatch(part.latexDoc, /Page one/);
+  assert.equal(part.pageIndex, null);
+  assert.equal(part.metadata.lineage.conversion, 'sliced');
+});
+
+test('a split part is converted again when the LaTeX cannot be cut by page', async () => {
+  const part = await splitPart({ latex_conversion_status: 'completed', latex_doc: 'Three pages without page breaks' });
+
+  assert.equal(part.latexDoc, null);
+  assert.equal(part.metadata.lineage.conversion, 'rerun');
+});
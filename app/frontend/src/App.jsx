@@ -9,6 +9,7 @@ import ExtractedQuestionsPage from './pages/ExtractedQuestionsPage';
 import ExtractedSolutionsPage from './pages/ExtractedSolutionsPage';
 import LessonFoldersPage from './pages/LessonFoldersPage';
 import LessonsPage from './pages/LessonsPage';
+import PromptTemplatesPage from './pages/PromptTemplatesPage';
 
 function ProtectedRoute({ children }) {
   const { user, isInitialized } = useAuthStore();
@@ -46,6 +47,7 @@ function App() {
                     <Route path="/extracted-solutions" element={<ExtractedSolutionsPage />} />
                     <Route path="/lesson-folders" element={<LessonFoldersPage />} />
                     <Route path="/lessons" element={<LessonsPage />} />
+                    <Route path="/prompt-templates" element={<PromptTemplatesPage />} />
                   </Routes>
                 </AppShell>
               </ProtectedRoute>
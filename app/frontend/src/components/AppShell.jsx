@@ -1,6 +1,6 @@
 import { Link, useLocation } from 'react-router-dom';
 import { useAuthStore } from '../stores/authStore';
-import { Home, LogOut, ScanLine, FileQuestion, CheckCircle, BookOpen } from 'lucide-react';
+import { Home, LogOut, ScanLine, FileQuestion, CheckCircle, BookOpen, FileText } from 'lucide-react';
 
 const navItems = [
   { path: '/', label: 'Home', icon: Home },
@@ -8,6 +8,7 @@ const navItems = [
   { path: '/extracted-questions', label: 'Extracted Questions', icon: FileQuestion },
   { path: '/extracted-solutions', label: 'Extracted Solutions', icon: CheckCircle },
   { path: '/lessons', label: 'Lessons', icon: BookOpen },
+  { path: '/prompt-templates', label: 'Prompt Templates', icon: FileText },
 ];
 
 export default function AppShell({ children }) {
@@ -0,0 +1,150 @@
+import { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { api } from '../lib/api';
+import { X, ChevronLeft, ChevronRight, ZoomIn, ZoomOut, Loader, Download } from 'lucide-react';
+
+export default function ImageViewerModal({ isOpen, onClose, scannedItemId, title }) {
+  const [index, setIndex] = useState(0);
+  const [scale, setScale] = useState(1.0);
+
+  const { data: imagesResponse, isLoading, error } = useQuery({
+    queryKey: ['scanned-item-images', scannedItemId],
+    queryFn: () => api.get(`/scanned-items/${scannedItemId}/images`),
+    enabled: isOpen && !!scannedItemId,
+  });
+
+  if (!isOpen) return null;
+
+  const images = imagesResponse?.data || [];
+  const current = images[index];
+  const imageUrl = current ? `/api/scanned-items/${scannedItemId}/images/${current.position}` : null;
+
+  const goToPrevImage = () => {
+    setIndex((prev) => Math.max(prev - 1, 0));
+  };
+
+  const goToNextImage = () => {
+    setIndex((prev) => Math.min(prev + 1, images.length - 1));
+  };
+
+  const zoomIn = () => {
+    setScale((prev) => Math.min(prev + 0.25, 3.0));
+  };
+
+  const zoomOut = () => {
+    setScale((prev) => Math.max(prev - 0.25, 0.5));
+  };
+
+  const handleClose = () => {
+    setIndex(0);
+    setScale(1.0);
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-4xl max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b">
+          <div className="min-w-0">
+            <h2 className="text-lg font-semibold text-gray-800 truncate max-w-md" title={title}>
+              {title || 'Image Viewer'}
+            </h2>
+            {current?.filename && (
+              <p className="text-sm text-gray-500 truncate max-w-md">{current.filename}</p>
+            )}
+          </div>
+          <div className="flex items-center gap-4">
+            {/* Zoom controls */}
+            <div className="flex items-center gap-2">
+              <button
+                onClick={zoomOut}
+                className="p-1.5 hover:bg-gray-100 rounded"
+                title="Zoom out"
+              >
+                <ZoomOut className="w-5 h-5 text-gray-600" />
+              </button>
+              <span className="text-sm text-gray-600 min-w-[60px] text-center">
+                {Math.round(scale * 100)}%
+              </span>
+              <button
+                onClick={zoomIn}
+                className="p-1.5 hover:bg-gray-100 rounded"
+                title="Zoom in"
+              >
+                <ZoomIn className="w-5 h-5 text-gray-600" />
+              </button>
+            </div>
+            {imageUrl && (
+              <a
+                href={imageUrl}
+                download={current.filename || `image-${index + 1}.jpg`}
+                className="p-1.5 hover:bg-gray-100 rounded"
+                title="Download image"
+              >
+                <Download className="w-5 h-5 text-gray-600" />
+              </a>
+            )}
+            {/* Close button */}
+            <button
+              onClick={handleClose}
+              className="p-1.5 hover:bg-gray-100 rounded"
+              title="Close"
+            >
+              <X className="w-5 h-5 text-gray-600" />
+            </button>
+          </div>
+        </div>
+
+        {/* Image Content */}
+        <div className="flex-1 overflow-auto bg-gray-100 p-4">
+          {isLoading ? (
+            <div className="flex items-center justify-center p-8">
+              <Loader className="w-8 h-8 text-blue-600 animate-spin" />
+              <span className="ml-2 text-gray-600">Loading images...</span>
+            </div>
+          ) : error || images.length === 0 ? (
+            <div className="flex items-center justify-center h-full">
+              <div className="text-center">
+                <p className="text-red-600 mb-2">Error loading images</p>
+                <p className="text-gray-500 text-sm">{error?.message || 'No images stored for this item'}</p>
+              </div>
+            </div>
+          ) : (
+            <div className="flex justify-center">
+              <img
+                src={imageUrl}
+                alt={current.filename || `Image ${index + 1}`}
+                style={{ width: `${scale * 100}%` }}
+                className="max-w-none shadow"
+              />
+            </div>
+          )}
+        </div>
+
+        {/* Footer with pagination */}
+        {images.length > 1 && (
+          <div className="flex items-center justify-center gap-4 p-4 border-t">
+            <button
+              onClick={goToPrevImage}
+              disabled={index <= 0}
+              className="p-2 hover:bg-gray-100 rounded disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <ChevronLeft className="w-5 h-5" />
+            </button>
+            <span className="text-gray-600">
+              Image {index + 1} of {images.length}
+            </span>
+            <button
+              onClick={goToNextImage}
+              disabled={index >= images.length - 1}
+              className="p-2 hover:bg-gray-100 rounded disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <ChevronRight className="w-5 h-5" />
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
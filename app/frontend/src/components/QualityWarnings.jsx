@@ -0,0 +1,29 @@
+import { AlertTriangle, AlertCircle } from 'lucide-react';
+
+/**
+ * Issues from an extraction quality report (metadata.quality_report of a set)
+ */
+export default function QualityWarnings({ issues, className = '' }) {
+  if (!issues?.length) return null;
+
+  return (
+    <div className={`flex flex-wrap gap-1.5 ${className}`}>
+      {issues.map((issue, index) => {
+        const isError = issue.severity === 'error';
+        const Icon = isError ? AlertCircle : AlertTriangle;
+        return (
+          <span
+            key={index}
+            className={`inline-flex items-center gap-1 px-2 py-0.5 text-xs rounded-full ${
+              isError ? 'bg-red-100 text-red-800' : 'bg-amber-100 text-amber-800'
+            }`}
+            title={issue.type}
+          >
+            <Icon className="w-3 h-3" />
+            {issue.message}
+          </span>
+        );
+      })}
+    </div>
+  );
+}
@@ -1,14 +1,63 @@
 import { useState } from 'react';
-import { X, FileQuestion, Code, Eye } from 'lucide-react';
+import { X, FileQuestion, Code, Eye, RotateCcw } from 'lucide-react';
 import QuestionText from './QuestionText';
+import QualityWarnings from './QualityWarnings';
+import ReextractLabels from './ReextractLabels';
 
-export default function QuestionSetModal({ isOpen, onClose, questionSet }) {
+/**
+ * A question as it was before its latest re-extraction
+ */
+function PreviousQuestion({ question }) {
+  if (!question) return null;
+
+  return (
+    <details className="mt-3 text-sm">
+      <summary className="cursor-pointer text-xs text-gray-400">
+        Before re-extraction ({new Date(question.reextracted_at).toLocaleString()})
+      </summary>
+      <div className="mt-2 p-2 bg-gray-50 rounded border text-gray-600">
+        <QuestionText text={question.text} className="whitespace-pre-wrap" />
+        {question.choices?.map((choice, choiceIndex) => (
+          <QuestionText key={choiceIndex} text={choice} className="text-sm py-1" />
+        ))}
+      </div>
+    </details>
+  );
+}
+
+export default function QuestionSetModal({ isOpen, onClose, questionSet, onReextract }) {
   const [viewMode, setViewMode] = useState('preview'); // 'preview' or 'json'
+  const [reextractLabels, setReextractLabels] = useState('');
+  const [isReextracting, setIsReextracting] = useState(false);
 
   if (!isOpen || !questionSet) return null;
 
   const questions = questionSet.questions?.questions || [];
 
+  // Extraction quality report: set-level issues and issues per question (by index)
+  const report = questionSet.metadata?.quality_report;
+  const issuesByIndex = new Map((report?.entries || []).map((entry) => [entry.index, entry.issues]));
+
+  // Questions as they were before their latest re-extraction, by label
+  const previousByLabel = new Map();
+  for (const reextraction of questionSet.metadata?.reextractions || []) {
+    for (const previous of reextraction.previous || []) {
+      previousByLabel.set(String(previous.question_label), { ...previous, reextracted_at: reextraction.at });
+    }
+  }
+
+  const canReextract = onReextract && questionSet.status === 'completed';
+
+  const handleReextract = async (selection) => {
+    setIsReextracting(true);
+    try {
+      await onReextract(questionSet, selection);
+      setReextractLabels('');
+    } finally {
+      setIsReextracting(false);
+    }
+  };
+
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
       <div className="bg-white rounded-lg shadow-xl w-full max-w-4xl max-h-[90vh] flex flex-col">
@@ -83,6 +132,16 @@ export default function QuestionSetModal({ isOpen, onClose, questionSet }) {
             </div>
           )}
 
+          {report && report.summary.errors + report.summary.warnings > 0 && (
+            <div className="bg-amber-50 border border-amber-200 rounded-lg p-3 mb-4">
+              <p className="text-amber-800 text-sm font-medium">
+                Quality check: {report.summary.errors} error(s), {report.summary.warnings} warning(s)
+                {report.summary.flagged_entries > 0 && ` in ${report.summary.flagged_entries} questions`}
+              </p>
+              <QualityWarnings issues={report.set_issues} className="mt-2" />
+            </div>
+          )}
+
           {viewMode === 'json' ? (
             /* JSON View */
             <div className="bg-gray-900 rounded-lg p-4 overflow-auto">
@@ -93,12 +152,31 @@ export default function QuestionSetModal({ isOpen, onClose, questionSet }) {
           ) : questions.length > 0 ? (
             <div className="space-y-4">
               {questions.map((question, index) => (
-                <div key={index} className="bg-white rounded-lg border shadow-sm p-4">
+                <div
+                  key={index}
+                  className={`bg-white rounded-lg border shadow-sm p-4 ${issuesByIndex.has(index) ? 'border-amber-300' : ''}`}
+                >
                   <div className="flex items-start gap-3">
                     <span className="flex-shrink-0 w-10 h-10 bg-blue-100 text-blue-600 rounded-full flex items-center justify-center text-sm font-bold">
                       {question.question_label || index + 1}
                     </span>
                     <div className="flex-1 min-w-0">
+                      <div className="flex items-center justify-between">
+                        {question.source_page ? (
+                          <p className="text-xs text-gray-400 mb-1">Page {question.source_page}</p>
+                        ) : <span />}
+                        {canReextract && question.question_label && (
+                          <button
+                            onClick={() => setReextractLabels(String(question.question_label))}
+                            className="flex items-center text-xs text-gray-400 hover:text-blue-600"
+                            title="Select this question for re-extraction"
+                          >
+                            <RotateCcw className="w-3 h-3 mr-1" />
+                            Re-extract
+                          </button>
+                        )}
+                      </div>
+                      <QualityWarnings issues={issuesByIndex.get(index)} className="mb-2" />
                       <QuestionText text={question.text} className="whitespace-pre-wrap" />
                       {question.choices?.length > 0 && (
                         <div className="mt-4 space-y-2 pl-2 border-l-2 border-blue-200">
@@ -111,6 +189,7 @@ export default function QuestionSetModal({ isOpen, onClose, questionSet }) {
                           ))}
                         </div>
                       )}
+                      <PreviousQuestion question={previousByLabel.get(String(question.question_label))} />
                     </div>
                   </div>
                 </div>
@@ -129,6 +208,15 @@ export default function QuestionSetModal({ isOpen, onClose, questionSet }) {
           <span className="text-sm text-gray-500">
             Created: {new Date(questionSet.created_at).toLocaleString()}
           </span>
+          {canReextract && (
+            <ReextractLabels
+              value={reextractLabels}
+              onChange={setReextractLabels}
+              onSubmit={handleReextract}
+              isPending={isReextracting}
+              entryName="questions"
+            />
+          )}
           <button
             onClick={onClose}
             className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors"
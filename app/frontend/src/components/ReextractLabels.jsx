@@ -0,0 +1,36 @@
+import { RotateCcw } from 'lucide-react';
+
+/**
+ * Labels typed for re-extraction: "3-6" is a range, otherwise a comma separated list
+ */
+function parseLabelSelection(input) {
+  const range = input.match(/^\s*([\w.]+)\s*-\s*([\w.]+)\s*$/);
+  if (range) return { from: range[1], to: range[2] };
+  return { labels: input.split(',').map((label) => label.trim()).filter(Boolean) };
+}
+
+/**
+ * Label input of a set modal's re-extraction; onSubmit gets { labels } or { from, to }
+ */
+export default function ReextractLabels({ value, onChange, onSubmit, isPending, entryName }) {
+  return (
+    <div className="flex items-center gap-2">
+      <input
+        type="text"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        placeholder="Labels, e.g. 3, 7 or 4-6"
+        className="w-48 px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+      />
+      <button
+        onClick={() => onSubmit(parseLabelSelection(value))}
+        disabled={!value.trim() || isPending}
+        className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed"
+        title={`Extract just these ${entryName} again, keeping the others`}
+      >
+        <RotateCcw className="w-4 h-4 mr-2" />
+        {isPending ? 'Queueing...' : 'Re-extract'}
+      </button>
+    </div>
+  );
+}
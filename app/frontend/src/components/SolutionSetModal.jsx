@@ -1,14 +1,61 @@
 import { useState } from 'react';
-import { X, CheckCircle, Code, Eye } from 'lucide-react';
+import { X, CheckCircle, Code, Eye, RotateCcw } from 'lucide-react';
 import QuestionText from './QuestionText';
+import QualityWarnings from './QualityWarnings';
+import ReextractLabels from './ReextractLabels';
 
-export default function SolutionSetModal({ isOpen, onClose, solutionSet }) {
+/**
+ * A solution as it was before its latest re-extraction
+ */
+function PreviousSolution({ solution }) {
+  if (!solution) return null;
+
+  return (
+    <details className="mt-3 text-sm">
+      <summary className="cursor-pointer text-xs text-gray-400">
+        Before re-extraction ({new Date(solution.reextracted_at).toLocaleString()})
+      </summary>
+      <div className="mt-2 p-2 bg-gray-50 rounded border text-gray-600">
+        {solution.answer_key && <p className="mb-1 font-medium">Answer: {solution.answer_key}</p>}
+        <QuestionText text={solution.worked_solution} className="whitespace-pre-wrap text-sm" />
+      </div>
+    </details>
+  );
+}
+
+export default function SolutionSetModal({ isOpen, onClose, solutionSet, onReextract }) {
   const [viewMode, setViewMode] = useState('preview'); // 'preview' or 'json'
+  const [reextractLabels, setReextractLabels] = useState('');
+  const [isReextracting, setIsReextracting] = useState(false);
 
   if (!isOpen || !solutionSet) return null;
 
   const solutions = solutionSet.solutions?.solutions || [];
 
+  // Extraction quality report: set-level issues and issues per solution (by index)
+  const report = solutionSet.metadata?.quality_report;
+  const issuesByIndex = new Map((report?.entries || []).map((entry) => [entry.index, entry.issues]));
+
+  // Solutions as they were before their latest re-extraction, by label
+  const previousByLabel = new Map();
+  for (const reextraction of solutionSet.metadata?.reextractions || []) {
+    for (const previous of reextraction.previous || []) {
+      previousByLabel.set(String(previous.question_label), { ...previous, reextracted_at: reextraction.at });
+    }
+  }
+
+  const canReextract = onReextract && solutionSet.status === 'completed';
+
+  const handleReextract = async (selection) => {
+    setIsReextracting(true);
+    try {
+      await onReextract(solutionSet, selection);
+      setReextractLabels('');
+    } finally {
+      setIsReextracting(false);
+    }
+  };
+
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
       <div className="bg-white rounded-lg shadow-xl w-full max-w-4xl max-h-[90vh] flex flex-col">
@@ -83,6 +130,16 @@ export default function SolutionSetModal({ isOpen, onClose, solutionSet }) {
             </div>
           )}
 
+          {report && report.summary.errors + report.summary.warnings > 0 && (
+            <div className="bg-amber-50 border border-amber-200 rounded-lg p-3 mb-4">
+              <p className="text-amber-800 text-sm font-medium">
+                Quality check: {report.summary.errors} error(s), {report.summary.warnings} warning(s)
+                {report.summary.flagged_entries > 0 && ` in ${report.summary.flagged_entries} solutions`}
+              </p>
+              <QualityWarnings issues={report.set_issues} className="mt-2" />
+            </div>
+          )}
+
           {solutionSet.question_set && (
             <div className="bg-blue-50 border border-blue-200 rounded-lg p-3 mb-4">
               <p className="text-blue-800 text-sm">
@@ -102,12 +159,31 @@ export default function SolutionSetModal({ isOpen, onClose, solutionSet }) {
           ) : solutions.length > 0 ? (
             <div className="space-y-4">
               {solutions.map((solution, index) => (
-                <div key={index} className="bg-white rounded-lg border shadow-sm p-4">
+                <div
+                  key={index}
+                  className={`bg-white rounded-lg border shadow-sm p-4 ${issuesByIndex.has(index) ? 'border-amber-300' : ''}`}
+                >
                   <div className="flex items-start gap-3">
                     <span className="flex-shrink-0 w-10 h-10 bg-purple-100 text-purple-600 rounded-full flex items-center justify-center text-sm font-bold">
                       {solution.question_label || index + 1}
                     </span>
                     <div className="flex-1 min-w-0">
+                      <div className="flex items-center justify-between">
+                        {solution.source_page ? (
+                          <p className="text-xs text-gray-400 mb-1">Page {solution.source_page}</p>
+                        ) : <span />}
+                        {canReextract && solution.question_label && (
+                          <button
+                            onClick={() => setReextractLabels(String(solution.question_label))}
+                            className="flex items-center text-xs text-gray-400 hover:text-blue-600"
+                            title="Select this solution for re-extraction"
+                          >
+                            <RotateCcw className="w-3 h-3 mr-1" />
+                            Re-extract
+                          </button>
+                        )}
+                      </div>
+                      <QualityWarnings issues={issuesByIndex.get(index)} className="mb-2" />
                       {solution.answer_key && (
                         <div className="mb-3 flex items-center gap-2">
                           <span className="text-sm font-medium text-gray-500">Answer:</span>
@@ -132,6 +208,7 @@ export default function SolutionSetModal({ isOpen, onClose, solutionSet }) {
                           </div>
                         </div>
                       )}
+                      <PreviousSolution solution={previousByLabel.get(String(solution.question_label))} />
                     </div>
                   </div>
                 </div>
@@ -150,6 +227,15 @@ export default function SolutionSetModal({ isOpen, onClose, solutionSet }) {
           <span className="text-sm text-gray-500">
             Created: {new Date(solutionSet.created_at).toLocaleString()}
           </span>
+          {canReextract && (
+            <ReextractLabels
+              value={reextractLabels}
+              onChange={setReextractLabels}
+              onSubmit={handleReextract}
+              isPending={isReextracting}
+              entryName="solutions"
+            />
+          )}
           <button
             onClick={onClose}
             className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors"
@@ -1,7 +1,7 @@
 import { useState, useEffect } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { api } from '../lib/api';
-import { FileQuestion, Trash2, Eye, Filter, Upload } from 'lucide-react';
+import { FileQuestion, Trash2, Eye, Filter, Upload, AlertTriangle } from 'lucide-react';
 import QuestionSetModal from '../components/QuestionSetModal';
 import ImportQuestionsModal from '../components/ImportQuestionsModal';
 
@@ -69,10 +69,27 @@ export default function ExtractedQuestionsPage() {
     },
   });
 
+  // Re-extract some questions of a set mutation
+  const reextractMutation = useMutation({
+    mutationFn: ({ id, ...selection }) => api.post(`/question-sets/${id}/reextract`, selection),
+    onSuccess: (result) => {
+      alert(`Re-extraction of ${result.data.labels.join(', ')} queued. Reopen the set once it has finished.`);
+      queryClient.invalidateQueries({ queryKey: ['questionSets'] });
+    },
+    onError: (error) => {
+      alert(`Failed to re-extract: ${error.message}`);
+    },
+  });
+
   const handleImport = async (data) => {
     await importMutation.mutateAsync(data);
   };
 
+  const handleReextract = async (questionSet, selection) => {
+    // Failures are reported by the mutation
+    await reextractMutation.mutateAsync({ id: questionSet.id, ...selection }).catch(() => {});
+  };
+
   const handleDelete = (e, id, name) => {
     e.stopPropagation();
     if (window.confirm(`Are you sure you want to delete "${name}"?`)) {
@@ -98,6 +115,23 @@ export default function ExtractedQuestionsPage() {
     ? [...questionSets.data].sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
     : [];
 
+  // Issue count from the extraction quality report
+  const getQualityBadge = (report) => {
+    const issues = report ? report.summary.errors + report.summary.warnings : 0;
+    if (issues === 0) return null;
+    return (
+      <span
+        className={`ml-2 inline-flex items-center gap-1 px-2 py-1 text-xs font-medium rounded-full ${
+          report.summary.errors > 0 ? 'bg-red-100 text-red-800' : 'bg-amber-100 text-amber-800'
+        }`}
+        title={`${report.summary.errors} error(s), ${report.summary.warnings} warning(s)`}
+      >
+        <AlertTriangle className="w-3 h-3" />
+        {issues}
+      </span>
+    );
+  };
+
   return (
     <div>
       <div className="flex items-center justify-between mb-6">
@@ -198,6 +232,11 @@ export default function ExtractedQuestionsPage() {
                         {set.name}
                       </span>
                     </div>
+                    {set.prompt_template_version && (
+                      <div className="text-xs text-gray-400 mt-1 ml-7">
+                        {set.source_type} prompt v{set.prompt_template_version}
+                      </div>
+                    )}
                   </td>
                   <td className="px-4 py-4">
                     <div className="text-sm text-gray-500 truncate max-w-[180px]" title={`${set.book?.display_name || '-'}${set.chapter?.display_name ? ` / ${set.chapter.display_name}` : ''}`}>
@@ -210,6 +249,7 @@ export default function ExtractedQuestionsPage() {
                   </td>
                   <td className="px-4 py-4 whitespace-nowrap">
                     {getStatusBadge(set.status)}
+                    {getQualityBadge(set.metadata?.quality_report)}
                   </td>
                   <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-500">
                     {new Date(set.created_at).toLocaleDateString()}
@@ -245,6 +285,7 @@ export default function ExtractedQuestionsPage() {
         isOpen={!!selectedSet}
         onClose={() => setSelectedSet(null)}
         questionSet={selectedSet}
+        onReextract={handleReextract}
       />
 
       {/* Import Questions Modal */}
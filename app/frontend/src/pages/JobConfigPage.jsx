@@ -1,13 +1,14 @@
 import { useState, useEffect } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { api } from '../lib/api';
-import { Book, FileText, Save, CheckCircle, HelpCircle, FileQuestion } from 'lucide-react';
+import { Book, FileText, Save, CheckCircle, HelpCircle, FileQuestion, ScanText } from 'lucide-react';
 
 export default function JobConfigPage() {
   const queryClient = useQueryClient();
   const [selectedBookId, setSelectedBookId] = useState('');
   const [selectedChapterId, setSelectedChapterId] = useState('');
   const [selectedItemType, setSelectedItemType] = useState('question');
+  const [selectedOcrProvider, setSelectedOcrProvider] = useState('');
   const [saveSuccess, setSaveSuccess] = useState(false);
 
   // Fetch books
@@ -29,6 +30,12 @@ export default function JobConfigPage() {
     queryFn: () => api.get('/jobs/active'),
   });
 
+  // Fetch OCR providers
+  const { data: ocrProviders } = useQuery({
+    queryKey: ['ocrProviders'],
+    queryFn: () => api.get('/ocr/providers'),
+  });
+
   // Set active job mutation
   const setActiveJobMutation = useMutation({
     mutationFn: (data) => api.post('/jobs/active', data),
@@ -51,6 +58,7 @@ export default function JobConfigPage() {
       if (activeJob.data.active_item_type) {
         setSelectedItemType(activeJob.data.active_item_type);
       }
+      setSelectedOcrProvider(activeJob.data.ocr_provider || '');
     }
   }, [activeJob]);
 
@@ -67,6 +75,7 @@ export default function JobConfigPage() {
         book_id: selectedBookId,
         chapter_id: selectedChapterId,
         item_type: selectedItemType,
+        ocr_provider: selectedOcrProvider || null,
       });
     }
   };
@@ -114,6 +123,12 @@ export default function JobConfigPage() {
                   {activeJob.data.active_item_type === 'question' ? 'Questions' : 'Solutions'}
                 </span>
               </p>
+              <p className="text-green-800">
+                <span className="font-medium">OCR Provider:</span>{' '}
+                {activeJob.data.ocr_provider
+                  ? ocrProviders?.data?.providers?.find((p) => p.name === activeJob.data.ocr_provider)?.label || activeJob.data.ocr_provider
+                  : 'Default'}
+              </p>
             </div>
           )}
 
@@ -228,6 +243,32 @@ export default function JobConfigPage() {
             </div>
           </div>
 
+          {/* OCR Provider Selection */}
+          <div className="bg-white rounded-lg shadow p-6">
+            <div className="flex items-center mb-4">
+              <ScanText className="w-5 h-5 text-orange-600 mr-2" />
+              <h2 className="text-lg font-semibold text-gray-800">OCR Provider</h2>
+            </div>
+
+            <select
+              value={selectedOcrProvider}
+              onChange={(e) => setSelectedOcrProvider(e.target.value)}
+              className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              <option value="">
+                Default{ocrProviders?.data?.effectiveProvider ? ` (${ocrProviders.data.effectiveProvider})` : ''}
+              </option>
+              {ocrProviders?.data?.providers?.map((provider) => (
+                <option key={provider.name} value={provider.name} disabled={!provider.configured}>
+                  {provider.label}{provider.configured ? '' : ' (not configured)'}
+                </option>
+              ))}
+            </select>
+            <p className="text-sm text-gray-500 mt-2">
+              Used to convert items scanned into this job. The local provider reads the text layer of digital PDFs only.
+            </p>
+          </div>
+
           {/* Save Button */}
           <div className="flex items-center justify-between">
             <button
@@ -0,0 +1,319 @@
+import { useState, useEffect } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { api } from '../lib/api';
+import { FileText, FileQuestion, CheckCircle, Plus, Save, RotateCcw, X } from 'lucide-react';
+
+const KINDS = [
+  { value: 'questions', label: 'Question Extraction', icon: FileQuestion },
+  { value: 'solutions', label: 'Solution Extraction', icon: CheckCircle },
+];
+
+export default function PromptTemplatesPage() {
+  const queryClient = useQueryClient();
+  const [kind, setKind] = useState('questions');
+  const [selectedSourceType, setSelectedSourceType] = useState('');
+  const [selectedVersionId, setSelectedVersionId] = useState('');
+
+  // Editor state
+  const [instructions, setInstructions] = useState('');
+  const [notes, setNotes] = useState('');
+  const [activate, setActivate] = useState(true);
+
+  // New source type modal state
+  const [showNewModal, setShowNewModal] = useState(false);
+  const [newSourceType, setNewSourceType] = useState('');
+
+  // Fetch all versions of the kind's templates
+  const { data: templates, isLoading } = useQuery({
+    queryKey: ['promptTemplates', kind],
+    queryFn: () => api.get(`/prompt-templates?kind=${kind}`),
+  });
+
+  const versions = templates?.data || [];
+  const sourceTypes = [...new Set(versions.map((template) => template.source_type))];
+  const sourceTypeVersions = versions.filter((template) => template.source_type === selectedSourceType);
+  const activeVersion = sourceTypeVersions.find((template) => template.is_active);
+  const selectedVersion = sourceTypeVersions.find((template) => template.id === selectedVersionId);
+
+  // Select the first source type once loaded, and after switching kind
+  useEffect(() => {
+    if (sourceTypes.length > 0 && !sourceTypes.includes(selectedSourceType)) {
+      setSelectedSourceType(sourceTypes[0]);
+    }
+  }, [templates]);
+
+  // Show the active version when the source type changes
+  useEffect(() => {
+    if (!sourceTypeVersions.some((template) => template.id === selectedVersionId)) {
+      setSelectedVersionId(activeVersion?.id || sourceTypeVersions[0]?.id || '');
+    }
+  }, [selectedSourceType, kind, templates]);
+
+  // Load the selected version into the editor
+  useEffect(() => {
+    setInstructions(selectedVersion?.instructions || '');
+    setNotes('');
+    setActivate(true);
+  }, [selectedVersionId]);
+
+  const invalidate = () => Promise.all([
+    queryClient.invalidateQueries({ queryKey: ['promptTemplates'] }),
+    queryClient.invalidateQueries({ queryKey: ['sourceTypes'] }),
+  ]);
+
+  // Save a new version mutation
+  const saveMutation = useMutation({
+    mutationFn: (data) => api.post('/prompt-templates', data),
+    onSuccess: async (result) => {
+      // Select the new version once the list includes it
+      await invalidate();
+      setSelectedSourceType(result.data.source_type);
+      setSelectedVersionId(result.data.id);
+    },
+    onError: (error) => {
+      alert(`Failed to save template: ${error.message}`);
+    },
+  });
+
+  // Activate version mutation
+  const activateMutation = useMutation({
+    mutationFn: (id) => api.post(`/prompt-templates/${id}/activate`),
+    onSuccess: invalidate,
+    onError: (error) => {
+      alert(`Failed to activate version: ${error.message}`);
+    },
+  });
+
+  const handleSave = () => {
+    saveMutation.mutate({
+      kind,
+      source_type: selectedSourceType,
+      instructions,
+      notes: notes || null,
+      activate,
+    });
+  };
+
+  const handleCreateSourceType = () => {
+    const sourceType = newSourceType.trim();
+    if (!sourceType) return;
+
+    // Start from the selected instructions, so a new type can be a variation of an existing one
+    saveMutation.mutate({
+      kind,
+      source_type: sourceType,
+      instructions: instructions || activeVersion?.instructions || '',
+      notes: selectedSourceType ? `Copied from ${selectedSourceType} v${selectedVersion?.version}` : null,
+    });
+    setShowNewModal(false);
+    setNewSourceType('');
+  };
+
+  const isUnchanged = instructions === (selectedVersion?.instructions || '');
+
+  return (
+    <div>
+      {/* Header */}
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-800">Prompt Templates</h1>
+          <p className="text-gray-500 mt-1">
+            Parsing instructions per source type. Saving adds a version; extractions use the active one.
+          </p>
+        </div>
+        <button
+          onClick={() => setShowNewModal(true)}
+          className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+        >
+          <Plus className="w-4 h-4 mr-2" />
+          New Source Type
+        </button>
+      </div>
+
+      {/* Kind Tabs */}
+      <div className="flex gap-2 mb-6">
+        {KINDS.map((option) => {
+          const Icon = option.icon;
+          return (
+            <button
+              key={option.value}
+              onClick={() => setKind(option.value)}
+              className={`flex items-center px-4 py-2 rounded-lg border ${
+                kind === option.value
+                  ? 'bg-blue-50 border-blue-500 text-blue-700'
+                  : 'bg-white border-gray-200 text-gray-600 hover:bg-gray-50'
+              }`}
+            >
+              <Icon className="w-4 h-4 mr-2" />
+              {option.label}
+            </button>
+          );
+        })}
+      </div>
+
+      {isLoading ? (
+        <div className="text-center py-12 text-gray-500">Loading templates...</div>
+      ) : sourceTypes.length === 0 ? (
+        <div className="bg-white rounded-lg shadow-sm border p-12 text-center">
+          <FileText className="w-12 h-12 text-gray-300 mx-auto mb-4" />
+          <p className="text-gray-500">No templates found</p>
+        </div>
+      ) : (
+        <div className="grid grid-cols-4 gap-6">
+          {/* Source Types and Versions */}
+          <div className="col-span-1 space-y-4">
+            <div className="bg-white rounded-lg shadow-sm border">
+              <div className="px-4 py-3 border-b text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Source Types
+              </div>
+              {sourceTypes.map((sourceType) => {
+                const active = versions.find((template) => template.source_type === sourceType && template.is_active);
+                return (
+                  <button
+                    key={sourceType}
+                    onClick={() => setSelectedSourceType(sourceType)}
+                    className={`w-full flex items-center justify-between px-4 py-3 text-left text-sm ${
+                      selectedSourceType === sourceType ? 'bg-blue-50 text-blue-700' : 'text-gray-700 hover:bg-gray-50'
+                    }`}
+                  >
+                    <span className="truncate">{sourceType}</span>
+                    <span className="text-xs text-gray-400">{active ? `v${active.version}` : 'inactive'}</span>
+                  </button>
+                );
+              })}
+            </div>
+
+            <div className="bg-white rounded-lg shadow-sm border">
+              <div className="px-4 py-3 border-b text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Versions
+              </div>
+              {sourceTypeVersions.map((template) => (
+                <div
+                  key={template.id}
+                  onClick={() => setSelectedVersionId(template.id)}
+                  className={`px-4 py-3 border-b last:border-b-0 cursor-pointer ${
+                    selectedVersionId === template.id ? 'bg-blue-50' : 'hover:bg-gray-50'
+                  }`}
+                >
+                  <div className="flex items-center justify-between">
+                    <span className="text-sm font-medium text-gray-900">v{template.version}</span>
+                    {template.is_active ? (
+                      <span className="px-2 py-0.5 text-xs font-medium rounded-full bg-green-100 text-green-800">active</span>
+                    ) : (
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          activateMutation.mutate(template.id);
+                        }}
+                        disabled={activateMutation.isPending}
+                        className="flex items-center text-xs text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                        title="Make this the version extractions use"
+                      >
+                        <RotateCcw className="w-3 h-3 mr-1" />
+                        Activate
+                      </button>
+                    )}
+                  </div>
+                  <div className="text-xs text-gray-400 mt-1">{new Date(template.created_at).toLocaleString()}</div>
+                  {template.notes && (
+                    <div className="text-xs text-gray-500 mt-1 truncate" title={template.notes}>{template.notes}</div>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {/* Editor */}
+          <div className="col-span-3 bg-white rounded-lg shadow-sm border p-6">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-lg font-semibold text-gray-800">
+                {selectedSourceType}
+                {selectedVersion && <span className="text-gray-400 font-normal"> / v{selectedVersion.version}</span>}
+              </h2>
+            </div>
+
+            <textarea
+              value={instructions}
+              onChange={(e) => setInstructions(e.target.value)}
+              rows={24}
+              className="w-full px-4 py-3 border border-gray-300 rounded-lg font-mono text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+
+            <div className="mt-4 flex items-center gap-4">
+              <input
+                type="text"
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+                placeholder="What changed in this version..."
+                className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+              <label className="flex items-center text-sm text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={activate}
+                  onChange={(e) => setActivate(e.target.checked)}
+                  className="mr-2"
+                />
+                Make active
+              </label>
+              <button
+                onClick={handleSave}
+                disabled={isUnchanged || !instructions.trim() || saveMutation.isPending}
+                className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed"
+              >
+                <Save className="w-4 h-4 mr-2" />
+                {saveMutation.isPending ? 'Saving...' : 'Save as New Version'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* New Source Type Modal */}
+      {showNewModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg shadow-xl w-full max-w-md">
+            <div className="flex items-center justify-between p-4 border-b">
+              <h2 className="text-lg font-semibold text-gray-800">New Source Type</h2>
+              <button
+                onClick={() => setShowNewModal(false)}
+                className="p-1 text-gray-400 hover:text-gray-600 rounded"
+              >
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+            <div className="p-4 space-y-3">
+              <input
+                type="text"
+                value={newSourceType}
+                onChange={(e) => setNewSourceType(e.target.value)}
+                maxLength={50}
+                placeholder="e.g. Previous Year Papers"
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+              <p className="text-xs text-gray-500">
+                Creates version 1 of a {kind === 'questions' ? 'question' : 'solution'} extraction template
+                {selectedSourceType ? `, starting from the ${selectedSourceType} instructions in the editor` : ''}.
+              </p>
+            </div>
+            <div className="flex justify-end gap-2 p-4 border-t">
+              <button
+                onClick={() => setShowNewModal(false)}
+                className="px-4 py-2 text-gray-600 hover:bg-gray-100 rounded-lg"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleCreateSourceType}
+                disabled={!newSourceType.trim() || sourceTypes.includes(newSourceType.trim())}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed"
+              >
+                Create
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,8 +1,9 @@
 import { useState, useEffect } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { api } from '../lib/api';
-import { ScanLine, Plus, Trash2, X, CheckSquare, FileQuestion, Filter, HelpCircle, CheckCircle, Eye, FileText, Pencil, Upload, Link, Download } from 'lucide-react';
+import { ScanLine, Plus, Trash2, X, CheckSquare, FileQuestion, Filter, HelpCircle, CheckCircle, Eye, FileText, Pencil, Upload, Link, Download, Image, Scissors, Combine, ChevronUp, ChevronDown, GripVertical, RotateCcw } from 'lucide-react';
 import PDFViewerModal from '../components/PDFViewerModal';
+import ImageViewerModal from '../components/ImageViewerModal';
 
 export default function ScannedItemsPage() {
   const queryClient = useQueryClient();
@@ -12,8 +13,9 @@ export default function ScannedItemsPage() {
   const [newItemData, setNewItemData] = useState('');
   const [newScanType, setNewScanType] = useState('pdf');
   const [uploadMode, setUploadMode] = useState('url'); // 'url' or 'file'
-  const [selectedFile, setSelectedFile] = useState(null);
+  const [selectedFiles, setSelectedFiles] = useState([]); // Uploaded in this order
   const [isDragging, setIsDragging] = useState(false);
+  const [draggedFileIndex, setDraggedFileIndex] = useState(null);
 
   // Tab state for item type
   const [activeTab, setActiveTab] = useState('question');
@@ -30,6 +32,10 @@ export default function ScannedItemsPage() {
   const [pdfViewerOpen, setPdfViewerOpen] = useState(false);
   const [selectedPdfItem, setSelectedPdfItem] = useState(null);
 
+  // Image viewer modal state (for emailed photos)
+  const [imageViewerOpen, setImageViewerOpen] = useState(false);
+  const [selectedImageItem, setSelectedImageItem] = useState(null);
+
   // LaTeX viewer modal state
   const [latexViewerOpen, setLatexViewerOpen] = useState(false);
   const [selectedLatexItem, setSelectedLatexItem] = useState(null);
@@ -44,11 +50,16 @@ export default function ScannedItemsPage() {
   });
 
   // Extract questions modal state
+  // Split modal state
+  const [splitItem, setSplitItem] = useState(null);
+  const [splitParts, setSplitParts] = useState([]);
+  const [archiveSplitSource, setArchiveSplitSource] = useState(false);
+
   const [showExtractModal, setShowExtractModal] = useState(false);
   const [extractFormData, setExtractFormData] = useState({
     name: '',
     type: 'Question Bank',
-    provider: 'llamaparse',
+    provider: '',
   });
 
   // Extract solutions modal state
@@ -56,7 +67,7 @@ export default function ScannedItemsPage() {
   const [extractSolutionsFormData, setExtractSolutionsFormData] = useState({
     name: '',
     type: 'Question Bank',
-    provider: 'llamaparse',
+    provider: '',
   });
 
   // Fetch books for dropdown
@@ -65,6 +76,23 @@ export default function ScannedItemsPage() {
     queryFn: () => api.get('/books'),
   });
 
+  // Fetch source types (those with an active prompt template) for the extract modals
+  const { data: questionSourceTypes } = useQuery({
+    queryKey: ['sourceTypes', 'questions'],
+    queryFn: () => api.get('/prompt-templates/source-types?kind=questions'),
+  });
+
+  const { data: solutionSourceTypes } = useQuery({
+    queryKey: ['sourceTypes', 'solutions'],
+    queryFn: () => api.get('/prompt-templates/source-types?kind=solutions'),
+  });
+
+  // Fetch extraction providers for the extract modals
+  const { data: extractionProviders } = useQuery({
+    queryKey: ['extractionProviders'],
+    queryFn: () => api.get('/extraction/providers'),
+  });
+
   // Fetch chapters for selected book
   const { data: chapters } = useQuery({
     queryKey: ['chapters', selectedBookId],
@@ -79,6 +107,13 @@ export default function ScannedItemsPage() {
     enabled: !!editFormData.book_id,
   });
 
+  // Fetch chapters of the item being split
+  const { data: splitChapters } = useQuery({
+    queryKey: ['chapters', splitItem?.book_id],
+    queryFn: () => api.get(`/chapters/book/${splitItem.book_id}`),
+    enabled: !!splitItem?.book_id,
+  });
+
   // Fetch scanned items with filters
   const { data: scannedItems, isLoading } = useQuery({
     queryKey: ['scannedItems', selectedBookId, selectedChapterId, activeTab],
@@ -120,20 +155,45 @@ export default function ScannedItemsPage() {
       setNewItemData('');
       setNewScanType('pdf');
       setUploadMode('url');
-      setSelectedFile(null);
+      setSelectedFiles([]);
+    },
+  });
+
+  // Batch upload mutation (several files, kept in list order)
+  const uploadBatchMutation = useMutation({
+    mutationFn: (formData) => api.upload('/scanned-items/upload/batch', formData),
+    onSuccess: (result) => {
+      queryClient.invalidateQueries({ queryKey: ['scannedItems'] });
+      const { results } = result.data;
+      const created = results.reduce((sum, r) => sum + (r.status === 'failed' || r.status === 'rejected' ? 0 : r.items.length), 0);
+      const problems = results
+        .filter((r) => r.status === 'failed' || r.status === 'rejected' || r.status === 'linked')
+        .map((r) => `${r.position + 1}. ${r.filename}: ${r.status}${r.error ? ` (${r.error})` : ''}`);
+      alert(`Uploaded ${results.length} file(s), ${created} scanned item(s) created or linked${problems.length ? `\n\n${problems.join('\n')}` : ''}`);
+      setShowAddModal(false);
+      setUploadMode('url');
+      setSelectedFiles([]);
     },
   });
 
   // Upload file mutation
   const uploadFileMutation = useMutation({
     mutationFn: (formData) => api.upload('/scanned-items/upload', formData),
-    onSuccess: () => {
+    onSuccess: (result) => {
       queryClient.invalidateQueries({ queryKey: ['scannedItems'] });
+      if (result.archive) {
+        const rejected = result.rejected?.length
+          ? `\nSkipped ${result.rejected.length} already-scanned file(s): ${result.rejected.map((r) => r.filename).join(', ')}`
+          : '';
+        alert(`Created ${result.data.length} scanned item(s) from ${result.archive}${rejected}`);
+      } else if (result.data?.duplicate) {
+        alert(`This PDF was already scanned - linked to the existing item "${result.data.item_data}"`);
+      }
       setShowAddModal(false);
       setNewItemData('');
       setNewScanType('pdf');
       setUploadMode('url');
-      setSelectedFile(null);
+      setSelectedFiles([]);
     },
   });
 
@@ -171,6 +231,52 @@ export default function ScannedItemsPage() {
     },
   });
 
+  // Retry MathPix conversion of one item
+  const retryConversionMutation = useMutation({
+    mutationFn: (id) => api.post(`/scanned-items/${id}/convert`),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['scannedItems'] });
+    },
+    onError: (error) => {
+      alert(`Failed to retry conversion: ${error.message}`);
+    },
+  });
+
+  // Retry every failed conversion in the selected chapter
+  const retryFailedMutation = useMutation({
+    mutationFn: (data) => api.post('/scanned-items/retry-failed', data),
+    onSuccess: (result) => {
+      queryClient.invalidateQueries({ queryKey: ['scannedItems'] });
+      alert(`Retrying ${result.data.queued.length} conversion(s)`);
+    },
+    onError: (error) => {
+      alert(`Failed to retry conversions: ${error.message}`);
+    },
+  });
+
+  // Split scanned item mutation
+  const splitItemMutation = useMutation({
+    mutationFn: ({ id, data }) => api.post(`/scanned-items/${id}/split`, data),
+    onSuccess: (result) => {
+      queryClient.invalidateQueries({ queryKey: ['scannedItems'] });
+      setSplitItem(null);
+      alert(`Created ${result.data.length} scanned item(s)`);
+    },
+  });
+
+  // Merge selected scanned items mutation
+  const mergeItemsMutation = useMutation({
+    mutationFn: (data) => api.post('/scanned-items/merge', data),
+    onSuccess: (result) => {
+      clearSelections();
+      queryClient.invalidateQueries({ queryKey: ['scannedItems'] });
+      alert(`Merged into "${result.data.item_data}"`);
+    },
+    onError: (error) => {
+      alert(`Failed to merge items: ${error.message}`);
+    },
+  });
+
   // Extract questions mutation
   const extractQuestionsMutation = useMutation({
     mutationFn: (data) => api.post('/question-sets/extract', data),
@@ -192,10 +298,14 @@ export default function ScannedItemsPage() {
   });
 
   const handleAddItem = () => {
-    if (uploadMode === 'file' && selectedFile) {
+    if (uploadMode === 'file' && selectedFiles.length === 1) {
       const formData = new FormData();
-      formData.append('file', selectedFile);
+      formData.append('file', selectedFiles[0]);
       uploadFileMutation.mutate(formData);
+    } else if (uploadMode === 'file' && selectedFiles.length > 1) {
+      const formData = new FormData();
+      selectedFiles.forEach((file) => formData.append('files', file));
+      uploadBatchMutation.mutate(formData);
     } else if (uploadMode === 'url' && newItemData.trim()) {
       addItemMutation.mutate({
         item_data: newItemData,
@@ -204,12 +314,31 @@ export default function ScannedItemsPage() {
     }
   };
 
-  const handleFileSelect = (file) => {
-    if (file && file.type === 'application/pdf') {
-      setSelectedFile(file);
-    } else if (file) {
-      alert('Please select a PDF file');
+  // ZIP/tar.gz archives are expanded by the backend into one item per PDF
+  const isArchiveFile = (file) => /\.(zip|tar\.gz|tgz)$/i.test(file?.name || '');
+
+  // Add files to the upload list, keeping the order they were picked in
+  const handleFilesSelect = (fileList) => {
+    const files = Array.from(fileList || []);
+    const accepted = files.filter((file) => file.type === 'application/pdf' || isArchiveFile(file));
+    if (accepted.length < files.length) {
+      alert('Only PDF files and ZIP/tar.gz archives of PDFs can be uploaded');
     }
+    setSelectedFiles((prev) => [...prev, ...accepted]);
+  };
+
+  const moveSelectedFile = (from, to) => {
+    if (to < 0 || to >= selectedFiles.length || from === to) return;
+    setSelectedFiles((prev) => {
+      const next = [...prev];
+      const [file] = next.splice(from, 1);
+      next.splice(to, 0, file);
+      return next;
+    });
+  };
+
+  const removeSelectedFile = (index) => {
+    setSelectedFiles((prev) => prev.filter((_, i) => i !== index));
   };
 
   const handleDragOver = (e) => {
@@ -225,8 +354,7 @@ export default function ScannedItemsPage() {
   const handleDrop = (e) => {
     e.preventDefault();
     setIsDragging(false);
-    const file = e.dataTransfer.files[0];
-    handleFileSelect(file);
+    handleFilesSelect(e.dataTransfer.files);
   };
 
   const handleEditItem = (item) => {
@@ -284,12 +412,47 @@ export default function ScannedItemsPage() {
       .map((item) => item.id);
   };
 
+  const handleSplitItem = (item) => {
+    setSplitItem(item);
+    setSplitParts([{ pages: '', item_type: item.item_type, chapter_id: item.chapter_id }]);
+    setArchiveSplitSource(false);
+    splitItemMutation.reset();
+  };
+
+  const updateSplitPart = (index, fields) => {
+    setSplitParts((prev) => prev.map((part, i) => (i === index ? { ...part, ...fields } : part)));
+  };
+
+  const handleSubmitSplit = () => {
+    splitItemMutation.mutate({
+      id: splitItem.id,
+      data: {
+        parts: splitParts.map((part) => ({ ...part, pages: part.pages.trim() })),
+        archive_source: archiveSplitSource,
+      },
+    });
+  };
+
+  const handleMergeItems = () => {
+    if (window.confirm(`Merge ${selectedItems.length} items into one PDF, in the selected order?`)) {
+      mergeItemsMutation.mutate({ item_ids: getOrderedItemIds() });
+    }
+  };
+
+  const getExtractionProviders = (kind) =>
+    extractionProviders?.data?.providers?.filter((provider) => provider.kinds.includes(kind)) || [];
+
+  const getExtractionProviderDescription = (name) => {
+    const providerName = name || extractionProviders?.data?.provider;
+    return extractionProviders?.data?.providers?.find((provider) => provider.name === providerName)?.description || '';
+  };
+
   const handleExtractQuestions = () => {
     // Open the extraction modal with default values
     setExtractFormData({
       name: `Extraction ${new Date().toLocaleString()}`,
       type: 'Question Bank',
-      provider: 'llamaparse',
+      provider: '',
     });
     setShowExtractModal(true);
   };
@@ -310,7 +473,7 @@ export default function ScannedItemsPage() {
     setExtractSolutionsFormData({
       name: `Solution Extraction ${new Date().toLocaleString()}`,
       type: 'Question Bank',
-      provider: 'llamaparse',
+      provider: '',
     });
     setShowExtractSolutionsModal(true);
   };
@@ -330,15 +493,22 @@ export default function ScannedItemsPage() {
     return item.latex_conversion_status === 'completed' && item.latex_doc;
   };
 
+  // Check if item is backed by stored images rather than a PDF
+  const isImageItem = (item) => item.scan_type === 'email_image';
+
   // Check if item can be viewed as PDF
   const canViewPdf = (item) => {
+    if (isImageItem(item)) return false;
     const scanType = item.scan_type?.toLowerCase();
     const itemData = item.item_data?.toLowerCase() || '';
-    // Allow viewing if scan_type is pdf/email_attachment/file_upload, or if filename ends with .pdf
-    return scanType === 'pdf' || scanType === 'email_attachment' || scanType === 'file_upload' ||
-           itemData.endsWith('.pdf') || item.content;
+    // Allow viewing if scan_type is pdf/email_attachment/file_upload/hot_folder, or if filename ends with .pdf
+    return scanType === 'pdf' || scanType === 'email_attachment' || scanType === 'file_upload' || scanType === 'hot_folder' ||
+           itemData.endsWith('.pdf') || item.content || item.storage_key;
   };
 
+  // Only PDFs stored by the backend (not URLs) can be split or merged
+  const canSplit = (item) => canViewPdf(item) && !item.item_data?.startsWith('http');
+
   // Get the PDF URL for viewing
   const getPdfUrl = (item) => {
     // For items with binary content or base64, use the backend endpoint
@@ -354,6 +524,11 @@ export default function ScannedItemsPage() {
     setPdfViewerOpen(true);
   };
 
+  const handleViewImages = (item) => {
+    setSelectedImageItem(item);
+    setImageViewerOpen(true);
+  };
+
   const handleDownloadPdf = async (item) => {
     const fileName = item.item_data?.split('/').pop() || `scanned-item-${item.id}.pdf`;
     const downloadName = fileName.endsWith('.pdf') ? fileName : `${fileName}.pdf`;
@@ -404,6 +579,8 @@ export default function ScannedItemsPage() {
     ? [...scannedItems.data].sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
     : [];
 
+  const failedCount = sortedItems.filter((item) => item.latex_conversion_status === 'failed').length;
+
   return (
     <div>
       <div className="flex items-center justify-between mb-6">
@@ -518,6 +695,18 @@ export default function ScannedItemsPage() {
               ))}
             </select>
           </div>
+
+          {/* Bulk retry of failed conversions in the chapter */}
+          {selectedChapterId && failedCount > 0 && (
+            <button
+              onClick={() => retryFailedMutation.mutate({ chapter_id: selectedChapterId, item_type: activeTab })}
+              disabled={retryFailedMutation.isPending}
+              className="self-end flex items-center px-4 py-2 border border-red-300 text-red-700 rounded-lg hover:bg-red-50 disabled:opacity-50"
+            >
+              <RotateCcw className="w-4 h-4 mr-2" />
+              {retryFailedMutation.isPending ? 'Retrying...' : `Retry ${failedCount} failed`}
+            </button>
+          )}
         </div>
       </div>
 
@@ -540,6 +729,17 @@ export default function ScannedItemsPage() {
             >
               Clear Selection
             </button>
+            {selectedItems.length > 1 && (
+              <button
+                onClick={handleMergeItems}
+                disabled={mergeItemsMutation.isPending || !selectedItems.every((s) => canSplit(sortedItems.find((item) => item.id === s.id) || {}))}
+                className="flex items-center px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+                title="Merge the selected PDFs into one item, in the selected order"
+              >
+                <Combine className="w-5 h-5 mr-2" />
+                {mergeItemsMutation.isPending ? 'Merging...' : 'Merge PDFs'}
+              </button>
+            )}
             {activeTab === 'question' ? (
               <button
                 onClick={handleExtractQuestions}
@@ -663,7 +863,16 @@ export default function ScannedItemsPage() {
                       </div>
                     </td>
                     <td className="px-4 py-4">
-                      {canViewPdf(item) ? (
+                      {isImageItem(item) ? (
+                        <button
+                          onClick={() => handleViewImages(item)}
+                          className="flex items-center gap-2 text-blue-600 hover:text-blue-800 hover:underline max-w-xs text-left group"
+                          title={`Click to view: ${item.item_data}`}
+                        >
+                          <Image className="w-4 h-4 flex-shrink-0 group-hover:scale-110 transition-transform" />
+                          <span className="truncate">{item.item_data}</span>
+                        </button>
+                      ) : canViewPdf(item) ? (
                         <button
                           onClick={() => handleViewPdf(item)}
                           className="flex items-center gap-2 text-blue-600 hover:text-blue-800 hover:underline max-w-xs text-left group"
@@ -693,6 +902,7 @@ export default function ScannedItemsPage() {
                     </td>
                     <td className="px-4 py-4">
                       <span
+                        title={item.conversion_error || ''}
                         className={`px-2 py-1 text-xs rounded-full ${
                           item.latex_conversion_status === 'completed'
                             ? 'bg-green-100 text-green-600'
@@ -705,6 +915,36 @@ export default function ScannedItemsPage() {
                       >
                         {item.latex_conversion_status || 'pending'}
                       </span>
+                      {item.ocr_provider && (
+                        <span className="block mt-1 text-xs text-gray-400" title="OCR provider">
+                          {item.ocr_provider}
+                        </span>
+                      )}
+                      {item.ocr_outputs && (
+                        <span className="block mt-1 text-xs space-x-2">
+                          {Object.keys(item.ocr_outputs).map((format) => (
+                            <a
+                              key={format}
+                              href={`/api/scanned-items/${item.id}/outputs/${format}`}
+                              target="_blank"
+                              rel="noopener noreferrer"
+                              className="text-blue-500 hover:underline"
+                            >
+                              .{format}
+                            </a>
+                          ))}
+                        </span>
+                      )}
+                      {item.latex_conversion_status === 'failed' && (
+                        <button
+                          onClick={() => retryConversionMutation.mutate(item.id)}
+                          disabled={retryConversionMutation.isPending}
+                          className="ml-2 text-gray-500 hover:text-gray-700 disabled:opacity-50 align-middle"
+                          title="Retry conversion"
+                        >
+                          <RotateCcw className="w-4 h-4" />
+                        </button>
+                      )}
                     </td>
                     <td className="px-4 py-4 text-sm text-gray-500">
                       {new Date(item.created_at).toLocaleString()}
@@ -728,6 +968,15 @@ export default function ScannedItemsPage() {
                         >
                           <Eye className="w-5 h-5" />
                         </button>
+                        {canSplit(item) && (
+                          <button
+                            onClick={() => handleSplitItem(item)}
+                            className="text-gray-600 hover:text-gray-800"
+                            title="Split by page range"
+                          >
+                            <Scissors className="w-5 h-5" />
+                          </button>
+                        )}
                         <button
                           onClick={() => handleEditItem(item)}
                           className="text-gray-600 hover:text-gray-800"
@@ -765,7 +1014,7 @@ export default function ScannedItemsPage() {
                 onClick={() => {
                   setShowAddModal(false);
                   setUploadMode('url');
-                  setSelectedFile(null);
+                  setSelectedFiles([]);
                 }}
                 className="text-gray-500 hover:text-gray-700"
               >
@@ -836,7 +1085,7 @@ export default function ScannedItemsPage() {
               ) : (
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-2">
-                    Upload PDF File
+                    Upload PDF Files or Archives
                   </label>
                   <div
                     onDragOver={handleDragOver}
@@ -845,47 +1094,86 @@ export default function ScannedItemsPage() {
                     className={`border-2 border-dashed rounded-lg p-6 text-center transition-colors ${
                       isDragging
                         ? 'border-blue-500 bg-blue-50'
-                        : selectedFile
+                        : selectedFiles.length > 0
                         ? 'border-green-500 bg-green-50'
                         : 'border-gray-300 hover:border-gray-400'
                     }`}
                   >
-                    {selectedFile ? (
-                      <div className="space-y-2">
-                        <FileText className="w-10 h-10 mx-auto text-green-600" />
-                        <p className="text-sm font-medium text-gray-800">{selectedFile.name}</p>
-                        <p className="text-xs text-gray-500">
-                          {(selectedFile.size / 1024 / 1024).toFixed(2)} MB
-                        </p>
-                        <button
-                          onClick={() => setSelectedFile(null)}
-                          className="text-sm text-red-600 hover:text-red-800"
-                        >
-                          Remove file
-                        </button>
-                      </div>
-                    ) : (
-                      <div className="space-y-2">
-                        <Upload className="w-10 h-10 mx-auto text-gray-400" />
-                        <p className="text-sm text-gray-600">
-                          Drag and drop a PDF file here, or{' '}
-                          <label className="text-blue-600 hover:text-blue-800 cursor-pointer">
-                            browse
-                            <input
-                              type="file"
-                              accept="application/pdf"
-                              onChange={(e) => handleFileSelect(e.target.files[0])}
-                              className="hidden"
-                            />
-                          </label>
-                        </p>
-                        <p className="text-xs text-gray-500">PDF files only, up to 50MB</p>
-                      </div>
-                    )}
+                    <div className="space-y-2">
+                      <Upload className="w-10 h-10 mx-auto text-gray-400" />
+                      <p className="text-sm text-gray-600">
+                        Drag and drop PDF or ZIP files here, or{' '}
+                        <label className="text-blue-600 hover:text-blue-800 cursor-pointer">
+                          browse
+                          <input
+                            type="file"
+                            multiple
+                            accept="application/pdf,.zip,.tar.gz,.tgz"
+                            onChange={(e) => {
+                              handleFilesSelect(e.target.files);
+                              e.target.value = '';
+                            }}
+                            className="hidden"
+                          />
+                        </label>
+                      </p>
+                      <p className="text-xs text-gray-500">PDF, ZIP or tar.gz of PDFs, up to 50MB each</p>
+                    </div>
                   </div>
                 </div>
               )}
 
+              {/* Files are uploaded in this order; drag or use the arrows to reorder */}
+              {uploadMode === 'file' && selectedFiles.length > 0 && (
+                <ul className="border border-gray-200 rounded-lg divide-y divide-gray-200 max-h-64 overflow-y-auto">
+                  {selectedFiles.map((file, index) => (
+                    <li
+                      key={`${file.name}-${file.size}-${file.lastModified}`}
+                      draggable
+                      onDragStart={() => setDraggedFileIndex(index)}
+                      onDragOver={(e) => e.preventDefault()}
+                      onDrop={(e) => {
+                        e.preventDefault();
+                        e.stopPropagation();
+                        if (draggedFileIndex !== null) moveSelectedFile(draggedFileIndex, index);
+                        setDraggedFileIndex(null);
+                      }}
+                      onDragEnd={() => setDraggedFileIndex(null)}
+                      className={`flex items-center gap-2 px-3 py-2 text-sm ${draggedFileIndex === index ? 'opacity-50' : ''}`}
+                    >
+                      <GripVertical className="w-4 h-4 text-gray-400 cursor-move flex-shrink-0" />
+                      <span className="w-6 text-gray-500">{index + 1}.</span>
+                      <FileText className="w-4 h-4 text-green-600 flex-shrink-0" />
+                      <span className="flex-1 truncate text-gray-800" title={file.name}>{file.name}</span>
+                      <span className="text-xs text-gray-500">{(file.size / 1024 / 1024).toFixed(2)} MB</span>
+                      <button
+                        onClick={() => moveSelectedFile(index, index - 1)}
+                        disabled={index === 0}
+                        className="text-gray-500 hover:text-gray-700 disabled:opacity-30"
+                        title="Move up"
+                      >
+                        <ChevronUp className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => moveSelectedFile(index, index + 1)}
+                        disabled={index === selectedFiles.length - 1}
+                        className="text-gray-500 hover:text-gray-700 disabled:opacity-30"
+                        title="Move down"
+                      >
+                        <ChevronDown className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => removeSelectedFile(index)}
+                        className="text-red-600 hover:text-red-800"
+                        title="Remove file"
+                      >
+                        <X className="w-4 h-4" />
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+
               <div className="bg-gray-50 p-3 rounded-lg">
                 <p className="text-sm text-gray-600">
                   <span className="font-medium">Active Book:</span>{' '}
@@ -913,7 +1201,7 @@ export default function ScannedItemsPage() {
                 onClick={() => {
                   setShowAddModal(false);
                   setUploadMode('url');
-                  setSelectedFile(null);
+                  setSelectedFiles([]);
                 }}
                 className="px-4 py-2 text-gray-600 hover:text-gray-800"
               >
@@ -923,16 +1211,17 @@ export default function ScannedItemsPage() {
                 onClick={handleAddItem}
                 disabled={
                   (uploadMode === 'url' && !newItemData.trim()) ||
-                  (uploadMode === 'file' && !selectedFile) ||
+                  (uploadMode === 'file' && selectedFiles.length === 0) ||
                   addItemMutation.isPending ||
-                  uploadFileMutation.isPending
+                  uploadFileMutation.isPending ||
+                  uploadBatchMutation.isPending
                 }
                 className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
               >
-                {addItemMutation.isPending || uploadFileMutation.isPending
+                {addItemMutation.isPending || uploadFileMutation.isPending || uploadBatchMutation.isPending
                   ? 'Adding...'
                   : uploadMode === 'file'
-                  ? 'Upload File'
+                  ? (selectedFiles.length > 1 ? `Upload ${selectedFiles.length} Files` : 'Upload File')
                   : 'Add Item'}
               </button>
             </div>
@@ -1060,6 +1349,109 @@ export default function ScannedItemsPage() {
         </div>
       )}
 
+      {/* Split Item Modal */}
+      {splitItem && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg shadow-lg w-full max-w-2xl">
+            <div className="flex items-center justify-between p-4 border-b">
+              <h2 className="text-lg font-semibold text-gray-800">
+                Split "{splitItem.item_data}"
+              </h2>
+              <button
+                onClick={() => setSplitItem(null)}
+                className="text-gray-500 hover:text-gray-700"
+              >
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+
+            <div className="p-4 space-y-3">
+              <p className="text-sm text-gray-500">
+                Each part becomes a new scanned item. Pages are numbered from 1, e.g. "1-3, 5" or "6-" for the rest.
+              </p>
+
+              {splitParts.map((part, index) => (
+                <div key={index} className="flex items-center gap-2">
+                  <input
+                    type="text"
+                    value={part.pages}
+                    onChange={(e) => updateSplitPart(index, { pages: e.target.value })}
+                    className="w-32 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    placeholder="Pages"
+                  />
+                  <select
+                    value={part.item_type}
+                    onChange={(e) => updateSplitPart(index, { item_type: e.target.value })}
+                    className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  >
+                    <option value="question">Question</option>
+                    <option value="solution">Solution</option>
+                  </select>
+                  <select
+                    value={part.chapter_id}
+                    onChange={(e) => updateSplitPart(index, { chapter_id: e.target.value })}
+                    className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  >
+                    {splitChapters?.data?.map((chapter) => (
+                      <option key={chapter.id} value={chapter.id}>
+                        {chapter.chapter_number ? `Ch ${chapter.chapter_number}: ` : ''}
+                        {chapter.display_name || chapter.name}
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={() => setSplitParts((prev) => prev.filter((_, i) => i !== index))}
+                    disabled={splitParts.length === 1}
+                    className="text-red-600 hover:text-red-800 disabled:opacity-30"
+                    title="Remove part"
+                  >
+                    <Trash2 className="w-5 h-5" />
+                  </button>
+                </div>
+              ))}
+
+              <button
+                onClick={() => setSplitParts((prev) => [...prev, { pages: '', item_type: splitItem.item_type, chapter_id: splitItem.chapter_id }])}
+                className="flex items-center text-sm text-blue-600 hover:underline"
+              >
+                <Plus className="w-4 h-4 mr-1" />
+                Add part
+              </button>
+
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={archiveSplitSource}
+                  onChange={(e) => setArchiveSplitSource(e.target.checked)}
+                  className="w-4 h-4 rounded"
+                />
+                Archive the original item afterwards
+              </label>
+
+              {splitItemMutation.isError && (
+                <p className="text-sm text-red-600">{splitItemMutation.error.message}</p>
+              )}
+            </div>
+
+            <div className="flex justify-end gap-3 p-4 border-t">
+              <button
+                onClick={() => setSplitItem(null)}
+                className="px-4 py-2 text-gray-600 hover:text-gray-800"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleSubmitSplit}
+                disabled={splitParts.some((part) => !part.pages.trim()) || splitItemMutation.isPending}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {splitItemMutation.isPending ? 'Splitting...' : 'Split'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Extract Questions Modal */}
       {showExtractModal && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
@@ -1099,8 +1491,9 @@ export default function ScannedItemsPage() {
                   onChange={(e) => setExtractFormData({ ...extractFormData, type: e.target.value })}
                   className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                 >
-                  <option value="Question Bank">Question Bank</option>
-                  <option value="Academic Book">Academic Book</option>
+                  {(questionSourceTypes?.data || ['Question Bank']).map((sourceType) => (
+                    <option key={sourceType} value={sourceType}>{sourceType}</option>
+                  ))}
                 </select>
               </div>
 
@@ -1113,13 +1506,17 @@ export default function ScannedItemsPage() {
                   onChange={(e) => setExtractFormData({ ...extractFormData, provider: e.target.value })}
                   className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                 >
-                  <option value="llamaparse">LlamaParse</option>
-                  <option value="gemini">Gemini AI</option>
+                  <option value="">
+                    Default{extractionProviders?.data?.provider ? ` (${extractionProviders.data.provider})` : ''}
+                  </option>
+                  {getExtractionProviders('questions').map((provider) => (
+                    <option key={provider.name} value={provider.name} disabled={!provider.configured}>
+                      {provider.label}{provider.configured ? '' : ' (not configured)'}
+                    </option>
+                  ))}
                 </select>
                 <p className="text-xs text-gray-500 mt-1">
-                  {extractFormData.provider === 'gemini'
-                    ? 'Uses Google Gemini AI for extraction (alternative when LlamaParse limit is reached)'
-                    : 'Default extraction provider using LlamaParse API'}
+                  {getExtractionProviderDescription(extractFormData.provider)}
                 </p>
               </div>
 
@@ -1189,8 +1586,9 @@ export default function ScannedItemsPage() {
                   onChange={(e) => setExtractSolutionsFormData({ ...extractSolutionsFormData, type: e.target.value })}
                   className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
                 >
-                  <option value="Question Bank">Question Bank</option>
-                  <option value="Academic Book">Academic Book</option>
+                  {(solutionSourceTypes?.data || ['Question Bank']).map((sourceType) => (
+                    <option key={sourceType} value={sourceType}>{sourceType}</option>
+                  ))}
                 </select>
               </div>
 
@@ -1203,13 +1601,17 @@ export default function ScannedItemsPage() {
                   onChange={(e) => setExtractSolutionsFormData({ ...extractSolutionsFormData, provider: e.target.value })}
                   className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
                 >
-                  <option value="llamaparse">LlamaParse</option>
-                  <option value="gemini">Gemini AI</option>
+                  <option value="">
+                    Default{extractionProviders?.data?.provider ? ` (${extractionProviders.data.provider})` : ''}
+                  </option>
+                  {getExtractionProviders('solutions').map((provider) => (
+                    <option key={provider.name} value={provider.name} disabled={!provider.configured}>
+                      {provider.label}{provider.configured ? '' : ' (not configured)'}
+                    </option>
+                  ))}
                 </select>
                 <p className="text-xs text-gray-500 mt-1">
-                  {extractSolutionsFormData.provider === 'gemini'
-                    ? 'Uses Google Gemini AI for extraction (alternative when LlamaParse limit is reached)'
-                    : 'Default extraction provider using LlamaParse API'}
+                  {getExtractionProviderDescription(extractSolutionsFormData.provider)}
                 </p>
               </div>
 
@@ -1251,6 +1653,17 @@ export default function ScannedItemsPage() {
         title={selectedPdfItem?.item_data || 'PDF Document'}
       />
 
+      {/* Image Viewer Modal */}
+      <ImageViewerModal
+        isOpen={imageViewerOpen}
+        onClose={() => {
+          setImageViewerOpen(false);
+          setSelectedImageItem(null);
+        }}
+        scannedItemId={selectedImageItem?.id}
+        title={selectedImageItem?.item_data || 'Images'}
+      />
+
       {/* LaTeX Viewer Modal */}
       {latexViewerOpen && selectedLatexItem && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
@@ -1271,6 +1684,26 @@ export default function ScannedItemsPage() {
               </button>
             </div>
             <div className="p-4 overflow-auto flex-1">
+              {isImageItem(selectedLatexItem) && selectedLatexItem.metadata?.images?.length > 0 && (
+                <div className="flex gap-2 mb-4 overflow-x-auto">
+                  {selectedLatexItem.metadata.images.map((image) => (
+                    <a
+                      key={image.position}
+                      href={`/api/scanned-items/${selectedLatexItem.id}/images/${image.position}`}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="flex-shrink-0 border rounded hover:border-blue-400"
+                      title={image.filename}
+                    >
+                      <img
+                        src={`/api/scanned-items/${selectedLatexItem.id}/images/${image.position}`}
+                        alt={image.filename}
+                        className="h-24 w-auto rounded"
+                      />
+                    </a>
+                  ))}
+                </div>
+              )}
               <pre className="bg-gray-50 p-4 rounded-lg text-sm font-mono whitespace-pre-wrap break-words overflow-x-auto">
                 {selectedLatexItem.latex_doc || 'No LaTeX content available'}
               </pre>